@@ -3,12 +3,17 @@
 pragma solidity ^0.8.22;
 
 import {ERC20} from '@openzeppelin/contracts/token/ERC20/ERC20.sol';
+import {ERC20Permit} from '@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol';
 import {Ownable} from '@openzeppelin/contracts/access/Ownable.sol';
 
-contract DAppToken is ERC20, Ownable {
+contract DAppToken is ERC20, ERC20Permit, Ownable {
   constructor(
     address initialOwner
-  ) ERC20('DApp Token', 'DAPP') Ownable(initialOwner) {}
+  )
+    ERC20('DApp Token', 'DAPP')
+    ERC20Permit('DApp Token')
+    Ownable(initialOwner)
+  {}
 
   function mint(address to, uint256 amount) public onlyOwner {
     _mint(to, amount);
@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import './DappToken.sol';
+import './IPriceOracle.sol';
+
+/**
+ * @title Farm APR
+ * @notice Yearly return of staking at the current emission rate, valued with
+ * the DAPP and LP prices of a pluggable price oracle
+ * @dev State lives in an ERC-7201 namespace, so TokenFarm and TokenFarmV2 can
+ * share it without touching their sequential storage layouts.
+ */
+abstract contract FarmApr {
+  // APRs are fractions scaled by APR_PRECISION: 1e18 is 100%
+  uint256 public constant APR_PRECISION = 1e18;
+
+  /// @custom:storage-location erc7201:tokenfarm.storage.FarmApr
+  struct FarmAprStorage {
+    IPriceOracle priceOracle;
+    uint256 blocksPerYear;
+  }
+
+  // keccak256(abi.encode(uint256(keccak256("tokenfarm.storage.FarmApr")) - 1)) & ~bytes32(uint256(0xff))
+  bytes32 private constant FARM_APR_STORAGE_LOCATION =
+    0x98497f8dc7bcf3f3e1848cd55c305e6d03e646191d2fcd13241a2948845a8700;
+
+  event PriceOracleChanged(
+    address indexed owner,
+    address indexed oracle,
+    uint256 blocksPerYear,
+    uint256 timestamp
+  );
+
+  function _rewardToken() internal view virtual returns (DAppToken);
+
+  function _stakedToken() internal view virtual returns (address);
+
+  function _totalStaked() internal view virtual returns (uint256);
+
+  /**
+   * @dev DAPP emitted in a year at the current rate, counting
+   * `blocksPerYear` blocks for per-block emission, 0 once the reward budget
+   * has run out
+   */
+  function _rewardsPerYear(
+    uint256 blocksPerYear
+  ) internal view virtual returns (uint256);
+
+  function priceOracle() public view returns (IPriceOracle) {
+    return _getFarmAprStorage().priceOracle;
+  }
+
+  /**
+   * @notice Blocks per year assumed when annualizing `rewardPerBlock`
+   */
+  function blocksPerYear() public view returns (uint256) {
+    return _getFarmAprStorage().blocksPerYear;
+  }
+
+  /**
+   * @notice Value of a year of rewards over the value staked, before the
+   * claim fee, scaled by APR_PRECISION. 0 while nothing is staked, the LP
+   * token has no price or a funded reward budget has run out.
+   */
+  function getApr() public view returns (uint256) {
+    FarmAprStorage storage $ = _getFarmAprStorage();
+    require(address($.priceOracle) != address(0), 'No price oracle');
+
+    uint256 stakedValue = _totalStaked() *
+      $.priceOracle.getPrice(_stakedToken());
+    if (stakedValue == 0) {
+      return 0;
+    }
+
+    uint256 rewardValue = _rewardsPerYear($.blocksPerYear) *
+      $.priceOracle.getPrice(address(_rewardToken()));
+    return (rewardValue * APR_PRECISION) / stakedValue;
+  }
+
+  /**
+   * @dev The zero address turns getApr off. Callers emit PriceOracleChanged.
+   */
+  function _setPriceOracle(
+    IPriceOracle oracle,
+    uint256 _blocksPerYear
+  ) internal {
+    require(_blocksPerYear > 0, 'Blocks per year must be greater than 0');
+    FarmAprStorage storage $ = _getFarmAprStorage();
+    $.priceOracle = oracle;
+    $.blocksPerYear = _blocksPerYear;
+  }
+
+  function _getFarmAprStorage()
+    private
+    pure
+    returns (FarmAprStorage storage $)
+  {
+    assembly {
+      $.slot := FARM_APR_STORAGE_LOCATION
+    }
+  }
+}
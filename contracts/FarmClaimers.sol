@@ -0,0 +1,114 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import './FarmMetaTransactions.sol';
+
+/**
+ * @title Farm Claimers
+ * @notice Claiming on behalf of stakers: a staker can send a claim to any
+ * address, and approve operators who claim for it. Operator claims always
+ * pay the staker, or the recipient the staker chose, never the operator, so
+ * a cold wallet can stake once and leave routine claims to a hot wallet.
+ * @dev Approvals and recipients live in an ERC-7201 namespace, like
+ * FarmRoles. The farm settles and pays the claim in `_claimRewards`.
+ */
+abstract contract FarmClaimers is FarmMetaTransactions {
+  /// @custom:storage-location erc7201:tokenfarm.storage.FarmClaimers
+  struct FarmClaimersStorage {
+    mapping(address => mapping(address => bool)) claimers;
+    mapping(address => address) rewardRecipients;
+  }
+
+  // keccak256(abi.encode(uint256(keccak256("tokenfarm.storage.FarmClaimers")) - 1)) & ~bytes32(uint256(0xff))
+  bytes32 private constant FARM_CLAIMERS_STORAGE_LOCATION =
+    0x4437bb04fc75be3ac7075af05a1f8594d3dcd1a31d3cebab3a0e2c18d094eb00;
+
+  event ClaimerSet(
+    address indexed user,
+    address indexed operator,
+    bool approved,
+    uint256 timestamp
+  );
+  event RewardRecipientChanged(
+    address indexed user,
+    address oldRecipient,
+    address newRecipient,
+    uint256 timestamp
+  );
+
+  /**
+   * @dev Settles `user`'s pending rewards and pays them, net of the claim
+   * fee, to `recipient`
+   */
+  function _claimRewards(address user, address recipient) internal virtual;
+
+  function isClaimer(
+    address user,
+    address operator
+  ) public view returns (bool) {
+    return _getFarmClaimersStorage().claimers[user][operator];
+  }
+
+  /**
+   * @notice Where operator claims for `user` are paid: the recipient the
+   * user chose, or the user itself
+   */
+  function rewardRecipientOf(address user) public view returns (address) {
+    address recipient = _getFarmClaimersStorage().rewardRecipients[user];
+    return recipient == address(0) ? user : recipient;
+  }
+
+  /**
+   * @notice Approve or revoke an operator allowed to claim your rewards
+   */
+  function setClaimer(address operator, bool approved) external {
+    require(operator != address(0), 'Zero address');
+    address user = _msgSender();
+    _getFarmClaimersStorage().claimers[user][operator] = approved;
+    emit ClaimerSet(user, operator, approved, block.timestamp);
+  }
+
+  /**
+   * @notice Choose where operator claims send your rewards, or the zero
+   * address to receive them yourself
+   */
+  function setRewardRecipient(address recipient) external {
+    address user = _msgSender();
+    FarmClaimersStorage storage $ = _getFarmClaimersStorage();
+    address oldRecipient = rewardRecipientOf(user);
+    $.rewardRecipients[user] = recipient;
+    emit RewardRecipientChanged(
+      user,
+      oldRecipient,
+      rewardRecipientOf(user),
+      block.timestamp
+    );
+  }
+
+  /**
+   * @notice Claim your pending rewards to `recipient`
+   */
+  function claimRewardsTo(address recipient) external {
+    require(recipient != address(0), 'Zero address');
+    _claimRewards(_msgSender(), recipient);
+  }
+
+  /**
+   * @notice Claim `user`'s pending rewards as one of its approved operators.
+   * The rewards go to `rewardRecipientOf(user)`
+   */
+  function claimRewardsFor(address user) external {
+    require(isClaimer(user, _msgSender()), 'Not an approved claimer');
+    _claimRewards(user, rewardRecipientOf(user));
+  }
+
+  function _getFarmClaimersStorage()
+    private
+    pure
+    returns (FarmClaimersStorage storage $)
+  {
+    assembly {
+      $.slot := FARM_CLAIMERS_STORAGE_LOCATION
+    }
+  }
+}
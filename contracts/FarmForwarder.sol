@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import {ERC2771Forwarder} from '@openzeppelin/contracts/metatx/ERC2771Forwarder.sol';
+
+/**
+ * @title Farm Forwarder
+ * @notice ERC-2771 forwarder that relayers submit signed farm calls to. Farms
+ * only accept it once the admin calls `setTrustedForwarder`.
+ */
+contract FarmForwarder is ERC2771Forwarder {
+  constructor() ERC2771Forwarder('FarmForwarder') {}
+}
@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import './IVersionedFarm.sol';
+import './TokenFarm.sol';
+import './TokenFarmV2.sol';
+
+/**
+ * @title Farm Lens
+ * @notice Read-only snapshots of staker positions for front-ends: a page of
+ * positions of a TokenFarm or TokenFarmV2 in one call, instead of a few
+ * calls per staker
+ * @dev Holds no state. TokenFarm has no locks or boosts and does not track
+ * claimed rewards, so those fields are 0 for its stakers
+ */
+contract FarmLens {
+  struct Position {
+    address staker;
+    // Staked LP, including any redistributed penalty share
+    uint256 stakingBalance;
+    // What claimRewards would pay before the fee
+    uint256 pendingRewards;
+    // LP withdrawn with the early withdrawal penalty until `unlockBlock`
+    uint256 lockedBalance;
+    uint256 unlockBlock;
+    // Boost multiplier in basis points, 0 without a boost
+    uint256 boostMultiplier;
+    uint256 boostUnlockBlock;
+    uint256 totalRewardsClaimed;
+  }
+
+  /**
+   * @notice Farm version from its `getVersion()`
+   * @dev Read on every call: a farm behind a UUPS proxy reports a new
+   * version once it is upgraded
+   */
+  function farmVersion(address farm) public view returns (uint256) {
+    return IVersionedFarm(farm).getVersion();
+  }
+
+  /**
+   * @notice Positions of up to `count` active stakers from position `start`
+   * @return positions The page, in the farm's active staker order
+   * @return total Number of active stakers
+   */
+  function getPositions(
+    address farm,
+    uint256 start,
+    uint256 count
+  ) external view returns (Position[] memory positions, uint256 total) {
+    address[] memory stakers = TokenFarm(farm).getActiveStakers(start, count);
+    bool isV2 = farmVersion(farm) >= 2;
+
+    positions = new Position[](stakers.length);
+    for (uint256 i; i < stakers.length; i++) {
+      positions[i] = _getPosition(farm, stakers[i], isV2);
+    }
+    total = TokenFarm(farm).getActiveStakerCount();
+  }
+
+  function getPosition(
+    address farm,
+    address staker
+  ) external view returns (Position memory) {
+    return _getPosition(farm, staker, farmVersion(farm) >= 2);
+  }
+
+  function _getPosition(
+    address farm,
+    address staker,
+    bool isV2
+  ) private view returns (Position memory position) {
+    position.staker = staker;
+    // Both farms share these views
+    position.stakingBalance = TokenFarm(farm).getStakingBalance(staker);
+    position.pendingRewards = TokenFarm(farm).previewPendingRewards(staker);
+    if (!isV2) {
+      return position;
+    }
+
+    TokenFarmV2 farmV2 = TokenFarmV2(farm);
+    (position.lockedBalance, , position.unlockBlock) = farmV2.getLockInfo(
+      staker
+    );
+    (position.boostMultiplier, position.boostUnlockBlock, , ) = farmV2
+      .boostInfo(staker);
+    (, , , , , position.totalRewardsClaimed, , ) = farmV2.getUserInfo(staker);
+  }
+}
@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import './FarmRoles.sol';
+
+/**
+ * @title Farm Meta Transactions
+ * @notice ERC-2771 support for staker actions: calls relayed by the trusted
+ * forwarder act for the user who signed the request, so users holding LP
+ * tokens but no ETH can stake, withdraw and claim through a relayer.
+ * @dev Only the staker actions read `_msgSender()`; admin and role functions
+ * keep checking `msg.sender` and cannot be relayed. The forwarder lives in
+ * an ERC-7201 namespace, like FarmRoles, and is unset by default.
+ */
+abstract contract FarmMetaTransactions is FarmRoles {
+  /// @custom:storage-location erc7201:tokenfarm.storage.FarmMetaTransactions
+  struct FarmMetaTransactionsStorage {
+    address trustedForwarder;
+  }
+
+  // keccak256(abi.encode(uint256(keccak256("tokenfarm.storage.FarmMetaTransactions")) - 1)) & ~bytes32(uint256(0xff))
+  bytes32 private constant FARM_META_TRANSACTIONS_STORAGE_LOCATION =
+    0x14aa92dea6b0190c2083284f27edc7503fe9b23e95d89d2b1eecec5f1b0cb700;
+
+  event TrustedForwarderChanged(
+    address indexed admin,
+    address oldForwarder,
+    address newForwarder,
+    uint256 timestamp
+  );
+
+  function trustedForwarder() public view returns (address) {
+    return _getFarmMetaTransactionsStorage().trustedForwarder;
+  }
+
+  /**
+   * @notice Whether `forwarder` may relay calls for users (ERC-2771)
+   */
+  function isTrustedForwarder(address forwarder) public view returns (bool) {
+    return forwarder != address(0) && forwarder == trustedForwarder();
+  }
+
+  /**
+   * @notice Set the forwarder allowed to relay staker actions, or the zero
+   * address to stop accepting relayed calls
+   */
+  function setTrustedForwarder(address forwarder) external onlyAdmin {
+    FarmMetaTransactionsStorage storage $ = _getFarmMetaTransactionsStorage();
+    address oldForwarder = $.trustedForwarder;
+    $.trustedForwarder = forwarder;
+    emit TrustedForwarderChanged(
+      msg.sender,
+      oldForwarder,
+      forwarder,
+      block.timestamp
+    );
+  }
+
+  /**
+   * @dev The user a call acts for: the signer appended to the calldata by
+   * the trusted forwarder, or `msg.sender` for direct calls
+   */
+  function _msgSender() internal view returns (address) {
+    if (msg.data.length >= 20 && isTrustedForwarder(msg.sender)) {
+      return address(bytes20(msg.data[msg.data.length - 20:]));
+    }
+    return msg.sender;
+  }
+
+  function _getFarmMetaTransactionsStorage()
+    private
+    pure
+    returns (FarmMetaTransactionsStorage storage $)
+  {
+    assembly {
+      $.slot := FARM_META_TRANSACTIONS_STORAGE_LOCATION
+    }
+  }
+}
@@ -0,0 +1,166 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import './DappToken.sol';
+import './FarmRoles.sol';
+
+/**
+ * @title Farm Ownership
+ * @notice Two-step transfer of the farm admin: the owner proposes a new owner,
+ * who has to accept before anything changes, so a mistyped address never
+ * takes control. Mint rights on DAppToken move the same way: the farm that
+ * owns DAppToken only hands it over to the address it proposed, once that
+ * address (or the new farm, through `claimRewardTokenOwnership`) asks for it.
+ * @dev Ownership can never be renounced. The pending owners live in an
+ * ERC-7201 namespace, so TokenFarm and TokenFarmV2 can share them without
+ * touching their sequential storage layouts.
+ */
+abstract contract FarmOwnership is FarmRoles {
+  /// @custom:storage-location erc7201:tokenfarm.storage.FarmOwnership
+  struct FarmOwnershipStorage {
+    address pendingOwner;
+    address pendingRewardTokenOwner;
+  }
+
+  // keccak256(abi.encode(uint256(keccak256("tokenfarm.storage.FarmOwnership")) - 1)) & ~bytes32(uint256(0xff))
+  bytes32 private constant FARM_OWNERSHIP_STORAGE_LOCATION =
+    0x96fd5cce46919d4ce429375b0c9a6009544026a701fe79a27ca1d2ecf3a05400;
+
+  event OwnershipTransferStarted(
+    address indexed owner,
+    address indexed pendingOwner,
+    uint256 timestamp
+  );
+  event OwnershipTransferCancelled(
+    address indexed owner,
+    address indexed pendingOwner,
+    uint256 timestamp
+  );
+  event RewardTokenOwnershipTransferStarted(
+    address indexed owner,
+    address indexed pendingOwner,
+    uint256 timestamp
+  );
+  event RewardTokenOwnershipTransferred(
+    address indexed previousOwner,
+    address indexed newOwner,
+    uint256 timestamp
+  );
+
+  function _owner() internal view virtual returns (address);
+
+  /**
+   * @dev Stores the new owner and emits the farm's OwnerChanged event
+   */
+  function _setOwner(address newOwner) internal virtual;
+
+  function _rewardToken() internal view virtual returns (DAppToken);
+
+  function _isAdmin(address account) internal view override returns (bool) {
+    return account == _owner();
+  }
+
+  function pendingOwner() public view returns (address) {
+    return _getFarmOwnershipStorage().pendingOwner;
+  }
+
+  function pendingRewardTokenOwner() public view returns (address) {
+    return _getFarmOwnershipStorage().pendingRewardTokenOwner;
+  }
+
+  /**
+   * @notice Propose a new owner, who takes over on `acceptOwnership`
+   * @dev Replaces any earlier proposal
+   */
+  function transferOwnership(address newOwner) external virtual onlyAdmin {
+    require(newOwner != address(0), 'Zero address');
+    require(newOwner != _owner(), 'Already owner');
+
+    _getFarmOwnershipStorage().pendingOwner = newOwner;
+    emit OwnershipTransferStarted(_owner(), newOwner, block.timestamp);
+  }
+
+  function acceptOwnership() external virtual {
+    FarmOwnershipStorage storage $ = _getFarmOwnershipStorage();
+    require(msg.sender == $.pendingOwner, 'Not the pending owner');
+
+    delete $.pendingOwner;
+    _setOwner(msg.sender);
+  }
+
+  function cancelOwnershipTransfer() external virtual onlyAdmin {
+    FarmOwnershipStorage storage $ = _getFarmOwnershipStorage();
+    require($.pendingOwner != address(0), 'No pending transfer');
+
+    address cancelled = $.pendingOwner;
+    delete $.pendingOwner;
+    emit OwnershipTransferCancelled(_owner(), cancelled, block.timestamp);
+  }
+
+  /**
+   * @notice Propose who takes over minting DAPP from this farm, typically
+   * the farm replacing it. The zero address clears the proposal
+   */
+  function transferRewardTokenOwnership(
+    address newOwner
+  ) external virtual onlyAdmin {
+    require(
+      newOwner == address(0) || _rewardToken().owner() == address(this),
+      'Farm does not own the reward token'
+    );
+
+    _getFarmOwnershipStorage().pendingRewardTokenOwner = newOwner;
+    emit RewardTokenOwnershipTransferStarted(
+      _owner(),
+      newOwner,
+      block.timestamp
+    );
+  }
+
+  /**
+   * @notice Take over DAppToken ownership as the proposed reward token owner
+   */
+  function acceptRewardTokenOwnership() external virtual {
+    FarmOwnershipStorage storage $ = _getFarmOwnershipStorage();
+    require(
+      msg.sender == $.pendingRewardTokenOwner,
+      'Not the pending reward token owner'
+    );
+
+    delete $.pendingRewardTokenOwner;
+    _rewardToken().transferOwnership(msg.sender);
+    emit RewardTokenOwnershipTransferred(
+      address(this),
+      msg.sender,
+      block.timestamp
+    );
+  }
+
+  /**
+   * @notice Pull DAppToken ownership from `fromFarm`, which must have
+   * proposed this farm with `transferRewardTokenOwnership`
+   */
+  function claimRewardTokenOwnership(
+    FarmOwnership fromFarm
+  ) external virtual onlyAdmin {
+    require(
+      address(fromFarm) != address(this),
+      'Farm already owns the reward token'
+    );
+    fromFarm.acceptRewardTokenOwnership();
+    require(
+      _rewardToken().owner() == address(this),
+      'Reward token not transferred'
+    );
+  }
+
+  function _getFarmOwnershipStorage()
+    private
+    pure
+    returns (FarmOwnershipStorage storage $)
+  {
+    assembly {
+      $.slot := FARM_OWNERSHIP_STORAGE_LOCATION
+    }
+  }
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import {ERC1967Proxy} from '@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol';
+
+/**
+ * @title Farm Proxy
+ * @notice ERC-1967 proxy for the UUPS farms (TokenFarm, TokenFarmV2).
+ */
+contract FarmProxy is ERC1967Proxy {
+  constructor(
+    address implementation,
+    bytes memory data
+  ) payable ERC1967Proxy(implementation, data) {}
+}
@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title Farm Reentrancy Guard
+ * @notice Blocks calls back into the farm while it moves tokens, so a token
+ * with transfer hooks cannot deposit, withdraw or claim in the middle of
+ * another of those calls
+ * @dev OpenZeppelin's ReentrancyGuard keeps its status in sequential storage,
+ * which would shift the layout of upgraded farms; this one keeps it in an
+ * ERC-7201 namespace. Farms deployed before the guard start at 0, which
+ * counts as not entered.
+ */
+abstract contract FarmReentrancyGuard {
+  uint256 private constant NOT_ENTERED = 1;
+  uint256 private constant ENTERED = 2;
+
+  /// @custom:storage-location erc7201:tokenfarm.storage.FarmReentrancyGuard
+  struct FarmReentrancyGuardStorage {
+    uint256 status;
+  }
+
+  // keccak256(abi.encode(uint256(keccak256("tokenfarm.storage.FarmReentrancyGuard")) - 1)) & ~bytes32(uint256(0xff))
+  bytes32 private constant FARM_REENTRANCY_GUARD_STORAGE_LOCATION =
+    0x2319c556b633b1d1103f058b21c686cad0d9c57833a037959c5485dab9057c00;
+
+  modifier nonReentrant() {
+    _nonReentrantBefore();
+    _;
+    _nonReentrantAfter();
+  }
+
+  function _nonReentrantBefore() private {
+    FarmReentrancyGuardStorage storage $ = _getFarmReentrancyGuardStorage();
+    require($.status != ENTERED, 'Reentrant call');
+    $.status = ENTERED;
+  }
+
+  function _nonReentrantAfter() private {
+    _getFarmReentrancyGuardStorage().status = NOT_ENTERED;
+  }
+
+  function _getFarmReentrancyGuardStorage()
+    private
+    pure
+    returns (FarmReentrancyGuardStorage storage $)
+  {
+    assembly {
+      $.slot := FARM_REENTRANCY_GUARD_STORAGE_LOCATION
+    }
+  }
+}
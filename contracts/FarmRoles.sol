@@ -0,0 +1,89 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title Farm Roles
+ * @notice Splits farm administration into roles the admin (the farm owner)
+ * grants and revokes: a parameter manager for reward and fee settings, a
+ * pauser that can trigger the emergency stop but never lift it, and a fee
+ * collector. The admin holds every role.
+ * @dev State lives in an ERC-7201 namespace, so TokenFarm and TokenFarmV2 can
+ * share it without touching their sequential storage layouts. Roles granted
+ * on a TokenFarm proxy carry over when it is upgraded to V2. `grantRole` and
+ * `revokeRole` are virtual so TokenFarmV2 can run them in TokenFarmV2Admin.
+ */
+abstract contract FarmRoles {
+  bytes32 public constant PARAMETER_MANAGER_ROLE =
+    keccak256('PARAMETER_MANAGER_ROLE');
+  bytes32 public constant PAUSER_ROLE = keccak256('PAUSER_ROLE');
+  bytes32 public constant FEE_COLLECTOR_ROLE = keccak256('FEE_COLLECTOR_ROLE');
+
+  /// @custom:storage-location erc7201:tokenfarm.storage.FarmRoles
+  struct FarmRolesStorage {
+    mapping(bytes32 => mapping(address => bool)) members;
+  }
+
+  // keccak256(abi.encode(uint256(keccak256("tokenfarm.storage.FarmRoles")) - 1)) & ~bytes32(uint256(0xff))
+  bytes32 private constant FARM_ROLES_STORAGE_LOCATION =
+    0xdda4951870d422fb49f3aba134c210c7c1cbd040d8c1c6dc858e4dea812e1700;
+
+  event RoleGranted(
+    bytes32 indexed role,
+    address indexed account,
+    address indexed admin,
+    uint256 timestamp
+  );
+  event RoleRevoked(
+    bytes32 indexed role,
+    address indexed account,
+    address indexed admin,
+    uint256 timestamp
+  );
+
+  modifier onlyRole(bytes32 role) {
+    require(hasRole(role, msg.sender), 'Missing role');
+    _;
+  }
+
+  modifier onlyAdmin() {
+    require(_isAdmin(msg.sender), 'Only owner can call this function');
+    _;
+  }
+
+  function _isAdmin(address account) internal view virtual returns (bool);
+
+  function hasRole(bytes32 role, address account) public view returns (bool) {
+    return _getFarmRolesStorage().members[role][account] || _isAdmin(account);
+  }
+
+  function grantRole(bytes32 role, address account) external virtual onlyAdmin {
+    require(account != address(0), 'Zero address');
+    require(
+      role == PARAMETER_MANAGER_ROLE ||
+        role == PAUSER_ROLE ||
+        role == FEE_COLLECTOR_ROLE,
+      'Unknown role'
+    );
+    _getFarmRolesStorage().members[role][account] = true;
+    emit RoleGranted(role, account, msg.sender, block.timestamp);
+  }
+
+  function revokeRole(
+    bytes32 role,
+    address account
+  ) external virtual onlyAdmin {
+    require(_getFarmRolesStorage().members[role][account], 'Role not granted');
+    delete _getFarmRolesStorage().members[role][account];
+    emit RoleRevoked(role, account, msg.sender, block.timestamp);
+  }
+
+  function _getFarmRolesStorage()
+    private
+    pure
+    returns (FarmRolesStorage storage $)
+  {
+    assembly {
+      $.slot := FARM_ROLES_STORAGE_LOCATION
+    }
+  }
+}
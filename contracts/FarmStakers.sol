@@ -0,0 +1,174 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title Farm Stakers
+ * @notice Keeps the farm's `stakers` list down to the active stakers: a
+ * staker who fully exits is swap-and-pop removed, and joins again on the next
+ * deposit. `distributeRewardsBatch` walks the list in pages from a saved
+ * cursor, settling each staker's accrued rewards into `pendingRewards`, so
+ * no call has to touch every staker at once.
+ * @dev The list stays in the farm's sequential storage; positions and the
+ * cursor live in an ERC-7201 namespace. Stakers listed before positions were
+ * tracked have none recorded: they are removed by the first batch that finds
+ * them exited, and get their position recorded otherwise.
+ */
+abstract contract FarmStakers {
+  /// @custom:storage-location erc7201:tokenfarm.storage.FarmStakers
+  struct FarmStakersStorage {
+    // Index in the list plus one; 0 when unknown, REMOVED once delisted
+    mapping(address => uint256) positions;
+    uint256 cursor;
+  }
+
+  // keccak256(abi.encode(uint256(keccak256("tokenfarm.storage.FarmStakers")) - 1)) & ~bytes32(uint256(0xff))
+  bytes32 private constant FARM_STAKERS_STORAGE_LOCATION =
+    0x6d52ef6ab215e2db19235c93b27cd1480d5e1c840477c384eefce9f5a6e18a00;
+
+  uint256 private constant REMOVED = type(uint256).max;
+
+  event RewardsDistributed(
+    address indexed caller,
+    uint256 start,
+    uint256 next,
+    uint256 removed,
+    uint256 timestamp
+  );
+
+  function _stakerList() internal view virtual returns (address[] storage);
+
+  function _isStaking(address user) internal view virtual returns (bool);
+
+  /**
+   * @dev Moves the rewards `user` accrued into its pending rewards
+   */
+  function _settleStaker(address user) internal virtual;
+
+  /**
+   * @notice Where the next `distributeRewardsBatch` round should start
+   */
+  function distributionCursor() public view returns (uint256) {
+    uint256 cursor = _getFarmStakersStorage().cursor;
+    return cursor < _stakerList().length ? cursor : 0;
+  }
+
+  /**
+   * @notice Number of stakers in the active list
+   */
+  function getActiveStakerCount() external view returns (uint256) {
+    return _stakerList().length;
+  }
+
+  /**
+   * @notice Up to `count` active stakers from position `start`
+   */
+  function getActiveStakers(
+    uint256 start,
+    uint256 count
+  ) external view returns (address[] memory page) {
+    address[] storage list = _stakerList();
+    if (start >= list.length) {
+      return page;
+    }
+    if (count > list.length - start) {
+      count = list.length - start;
+    }
+
+    page = new address[](count);
+    for (uint256 i; i < count; i++) {
+      page[i] = list[start + i];
+    }
+  }
+
+  /**
+   * @notice Settle the accrued rewards of up to `count` listed stakers from
+   * position `start`, removing the ones that have exited. The position to
+   * continue from is saved as `distributionCursor`, back at 0 after the end
+   * of the list
+   * @dev Removals while a round is under way move the last staker into the
+   * freed slot, so it can be skipped until the next round. Rewards are still
+   * exact: settling only moves them into `pendingRewards` ahead of time.
+   * @return next Position the next batch starts from
+   */
+  function distributeRewardsBatch(
+    uint256 start,
+    uint256 count
+  ) external returns (uint256 next) {
+    address[] storage list = _stakerList();
+    require(start <= list.length, 'Start out of bounds');
+
+    FarmStakersStorage storage $ = _getFarmStakersStorage();
+    uint256 removed;
+    next = start;
+    for (uint256 visited; visited < count && next < list.length; visited++) {
+      address staker = list[next];
+      if (_isStaking(staker)) {
+        _settleStaker(staker);
+        $.positions[staker] = next + 1;
+        next++;
+      } else {
+        _removeAt(list, next);
+        $.positions[staker] = REMOVED;
+        removed++;
+      }
+    }
+    if (next == list.length) {
+      next = 0;
+    }
+
+    $.cursor = next;
+    emit RewardsDistributed(msg.sender, start, next, removed, block.timestamp);
+  }
+
+  /**
+   * @dev Whether `user` is in the list; `hasStaked` is set on the first
+   * deposit and never cleared
+   */
+  function _isListed(
+    address user,
+    bool hasStaked
+  ) internal view returns (bool) {
+    return hasStaked && _getFarmStakersStorage().positions[user] != REMOVED;
+  }
+
+  function _addStaker(address user) internal {
+    address[] storage list = _stakerList();
+    list.push(user);
+    _getFarmStakersStorage().positions[user] = list.length;
+  }
+
+  /**
+   * @dev Delists a staker that fully exited. Stakers without a recorded
+   * position stay listed until a batch finds them
+   */
+  function _removeStaker(address user) internal {
+    FarmStakersStorage storage $ = _getFarmStakersStorage();
+    uint256 position = $.positions[user];
+    if (position == 0 || position == REMOVED) {
+      return;
+    }
+
+    _removeAt(_stakerList(), position - 1);
+    $.positions[user] = REMOVED;
+  }
+
+  function _removeAt(address[] storage list, uint256 index) private {
+    uint256 lastIndex = list.length - 1;
+    if (index != lastIndex) {
+      address last = list[lastIndex];
+      list[index] = last;
+      _getFarmStakersStorage().positions[last] = index + 1;
+    }
+    list.pop();
+  }
+
+  function _getFarmStakersStorage()
+    private
+    pure
+    returns (FarmStakersStorage storage $)
+  {
+    assembly {
+      $.slot := FARM_STAKERS_STORAGE_LOCATION
+    }
+  }
+}
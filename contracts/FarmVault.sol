@@ -0,0 +1,251 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import {ERC20} from '@openzeppelin/contracts/token/ERC20/ERC20.sol';
+import {IERC20} from '@openzeppelin/contracts/token/ERC20/IERC20.sol';
+import {ERC4626} from '@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol';
+import {SafeERC20} from '@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol';
+import {Ownable} from '@openzeppelin/contracts/access/Ownable.sol';
+import {Math} from '@openzeppelin/contracts/utils/math/Math.sol';
+import './TokenFarmV2.sol';
+import './IRewardConverter.sol';
+
+/**
+ * @title Farm Vault
+ * @notice ERC-4626 vault over a TokenFarmV2: deposited LP tokens are staked
+ * in the farm, and `harvest` claims the farm rewards, converts them into LP
+ * tokens through the owner's converter and stakes those too, so each share
+ * is worth more LP tokens over time.
+ * @dev The vault is a single staker in the farm, so all its LP tokens share
+ * one lock. Withdrawals use idle LP tokens first, then the unlocked stake,
+ * then the locked stake; the early withdrawal penalty on the locked part is
+ * charged to the withdrawing user alone, so the share price never goes down
+ * for the holders who stay. Rewards are only counted once harvested.
+ */
+contract FarmVault is ERC4626, Ownable {
+  using SafeERC20 for IERC20;
+
+  TokenFarmV2 public immutable farm;
+  DAppToken public immutable dappToken;
+  IRewardConverter public converter;
+
+  event Harvested(
+    address indexed caller,
+    uint256 rewards,
+    uint256 assets,
+    uint256 timestamp
+  );
+  event ConverterChanged(
+    address indexed owner,
+    address oldConverter,
+    address newConverter,
+    uint256 timestamp
+  );
+
+  constructor(
+    TokenFarmV2 _farm,
+    IRewardConverter _converter,
+    address initialOwner
+  )
+    ERC20('Farm Vault LP Token', 'vLPT')
+    ERC4626(_farm.lpToken())
+    Ownable(initialOwner)
+  {
+    farm = _farm;
+    dappToken = _farm.dappToken();
+    converter = _converter;
+  }
+
+  function setConverter(IRewardConverter _converter) external onlyOwner {
+    address oldConverter = address(converter);
+    converter = _converter;
+    emit ConverterChanged(
+      msg.sender,
+      oldConverter,
+      address(_converter),
+      block.timestamp
+    );
+  }
+
+  /**
+   * @notice Claim the farm rewards, convert them into LP tokens and stake
+   * every idle LP token. Anyone can call it.
+   * @dev The farm keeps its claim fee, only the net rewards are converted
+   * @return rewards DAPP converted, after the farm's claim fee
+   * @return assets LP tokens added to the vault by the conversion
+   */
+  function harvest() external returns (uint256 rewards, uint256 assets) {
+    require(address(converter) != address(0), 'No converter set');
+
+    (uint256 gross, , ) = farm.previewClaim(address(this));
+    if (gross > 0) {
+      farm.claimRewards();
+    }
+
+    rewards = dappToken.balanceOf(address(this));
+    if (rewards > 0) {
+      IERC20 lp = IERC20(asset());
+      uint256 balanceBefore = lp.balanceOf(address(this));
+      IERC20(address(dappToken)).forceApprove(address(converter), rewards);
+      converter.convert(rewards);
+      assets = lp.balanceOf(address(this)) - balanceBefore;
+    }
+
+    _stakeIdle();
+    emit Harvested(msg.sender, rewards, assets, block.timestamp);
+  }
+
+  /**
+   * @notice Idle LP tokens plus the vault's stake in the farm, including
+   * locked tokens and redistributed penalties
+   */
+  function totalAssets() public view override returns (uint256) {
+    return
+      IERC20(asset()).balanceOf(address(this)) +
+      farm.getStakingBalance(address(this));
+  }
+
+  /**
+   * @dev The farm rejects deposits during an emergency stop
+   */
+  function maxDeposit(address) public view override returns (uint256) {
+    return farm.emergencyStop() ? 0 : type(uint256).max;
+  }
+
+  function maxMint(address) public view override returns (uint256) {
+    return farm.emergencyStop() ? 0 : type(uint256).max;
+  }
+
+  /**
+   * @notice LP tokens `holder` can withdraw, net of the early withdrawal
+   * penalty
+   */
+  function maxWithdraw(address holder) public view override returns (uint256) {
+    return previewRedeem(balanceOf(holder));
+  }
+
+  /**
+   * @notice Shares burned to withdraw `assets` LP tokens after the penalty
+   */
+  function previewWithdraw(
+    uint256 assets
+  ) public view override returns (uint256) {
+    return _convertToShares(_grossAssets(assets), Math.Rounding.Ceil);
+  }
+
+  /**
+   * @notice LP tokens paid for `shares`, net of the early withdrawal penalty
+   */
+  function previewRedeem(
+    uint256 shares
+  ) public view override returns (uint256) {
+    uint256 gross = _convertToAssets(shares, Math.Rounding.Floor);
+    return gross - _penalty(gross);
+  }
+
+  /**
+   * @notice Early withdrawal penalty charged on taking `assets` LP tokens
+   * out of the vault, before the penalty
+   */
+  function withdrawalPenalty(uint256 assets) external view returns (uint256) {
+    return _penalty(assets);
+  }
+
+  function _deposit(
+    address caller,
+    address receiver,
+    uint256 assets,
+    uint256 shares
+  ) internal override {
+    super._deposit(caller, receiver, assets, shares);
+    _stakeIdle();
+  }
+
+  /**
+   * @dev Takes the penalty-inclusive amount out of the farm and pays the
+   * user `assets`. Rounding leftovers stay in the vault.
+   */
+  function _withdraw(
+    address caller,
+    address receiver,
+    address holder,
+    uint256 assets,
+    uint256 shares
+  ) internal override {
+    uint256 gross = _grossAssets(assets);
+    uint256 idle = IERC20(asset()).balanceOf(address(this));
+
+    if (gross > idle) {
+      if (farm.emergencyStop()) {
+        // No penalty in an emergency, but the whole stake comes out
+        farm.emergencyWithdraw();
+      } else {
+        farm.withdraw(gross - idle);
+      }
+    }
+
+    super._withdraw(caller, receiver, holder, assets, shares);
+  }
+
+  function _stakeIdle() private {
+    uint256 idle = IERC20(asset()).balanceOf(address(this));
+    if (idle == 0 || farm.emergencyStop()) {
+      return;
+    }
+    IERC20(asset()).forceApprove(address(farm), idle);
+    farm.deposit(idle);
+  }
+
+  /**
+   * @dev LP tokens taken out of the vault without a penalty: idle tokens
+   * plus the unlocked stake, or everything during an emergency stop
+   */
+  function _freeAssets() private view returns (uint256) {
+    if (farm.emergencyStop()) {
+      return type(uint256).max;
+    }
+    (, uint256 unlocked, ) = farm.getLockInfo(address(this));
+    return IERC20(asset()).balanceOf(address(this)) + unlocked;
+  }
+
+  /**
+   * @dev Penalty the farm charges when `gross` LP tokens leave the vault
+   */
+  function _penalty(uint256 gross) private view returns (uint256) {
+    uint256 free = _freeAssets();
+    if (gross <= free) {
+      return 0;
+    }
+    return
+      ((gross - free) * farm.earlyWithdrawalPenalty()) /
+      farm.BASIS_POINTS_DENOMINATOR();
+  }
+
+  /**
+   * @dev Smallest amount to take out of the vault so that `assets` are left
+   * after the penalty
+   */
+  function _grossAssets(uint256 assets) private view returns (uint256) {
+    uint256 free = _freeAssets();
+    if (assets <= free) {
+      return assets;
+    }
+
+    uint256 penalty = farm.earlyWithdrawalPenalty();
+    uint256 denominator = farm.BASIS_POINTS_DENOMINATOR();
+    uint256 locked = Math.mulDiv(
+      assets - free,
+      denominator,
+      denominator - penalty,
+      Math.Rounding.Ceil
+    );
+    // The farm rounds the penalty down, so a slightly smaller amount may do
+    while (
+      locked > 0 &&
+      locked - 1 - ((locked - 1) * penalty) / denominator >= assets - free
+    ) {
+      locked--;
+    }
+    return free + locked;
+  }
+}
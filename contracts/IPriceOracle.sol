@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title Price Oracle
+ * @notice Token prices for the farm APR, e.g. an adapter over Chainlink feeds
+ * or a DEX TWAP
+ */
+interface IPriceOracle {
+  /**
+   * @notice Price of one whole `token` (1e18 base units) in a quote unit
+   * shared by every token, with 18 decimals
+   */
+  function getPrice(address token) external view returns (uint256 price);
+}
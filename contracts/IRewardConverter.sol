@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title Reward Converter
+ * @notice Turns harvested DAPP into the LP token a FarmVault stakes, e.g. by
+ * swapping on a DEX and adding liquidity
+ */
+interface IRewardConverter {
+  /**
+   * @notice Pull `amountIn` DAPP from the caller and send it LP tokens
+   * @return amountOut LP tokens sent to the caller
+   */
+  function convert(uint256 amountIn) external returns (uint256 amountOut);
+}
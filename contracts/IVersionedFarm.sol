@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title Versioned Farm
+ * @notice Version of a farm implementation. Declared `view` rather than
+ * `pure` because a farm behind a UUPS proxy changes version when upgraded
+ */
+interface IVersionedFarm {
+  function getVersion() external view returns (uint256);
+}
@@ -3,12 +3,13 @@
 pragma solidity ^0.8.22;
 
 import {ERC20} from '@openzeppelin/contracts/token/ERC20/ERC20.sol';
+import {ERC20Permit} from '@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol';
 import {Ownable} from '@openzeppelin/contracts/access/Ownable.sol';
 
-contract LPToken is ERC20, Ownable {
+contract LPToken is ERC20, ERC20Permit, Ownable {
   constructor(
     address initialOwner
-  ) ERC20('LP Token', 'LPT') Ownable(initialOwner) {}
+  ) ERC20('LP Token', 'LPT') ERC20Permit('LP Token') Ownable(initialOwner) {}
 
   function mint(address to, uint256 amount) public onlyOwner {
     _mint(to, amount);
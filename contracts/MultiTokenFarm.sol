@@ -0,0 +1,647 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import {IERC20} from '@openzeppelin/contracts/token/ERC20/IERC20.sol';
+import {SafeERC20} from '@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol';
+import './DappToken.sol';
+import './FarmReentrancyGuard.sol';
+
+/**
+ * @title Multi Token Farm
+ * @notice Staking farm for many LP tokens. `rewardPerBlock` is split across
+ * pools by allocation points and each pool applies the V2 fee, lock-period
+ * and emergency-stop rules. Early withdrawal penalties stay in their pool
+ * until the owner sends them to a treasury.
+ */
+contract MultiTokenFarm is FarmReentrancyGuard {
+  using SafeERC20 for IERC20;
+
+  // Basic state
+  string public name = 'Multi Token Farm';
+  address public owner;
+  DAppToken public dappToken;
+
+  // Reward settings
+  uint256 public rewardPerBlock;
+  uint256 public minRewardPerBlock;
+  uint256 public maxRewardPerBlock;
+  uint256 public totalAllocPoint;
+
+  // Reward accumulator (MasterChef-style)
+  uint256 public constant ACC_REWARD_PRECISION = 1e12;
+
+  // Withdrawal fee (3%)
+  uint256 public withdrawalFeeBasisPoints;
+  uint256 public constant BASIS_POINTS_DENOMINATOR = 10000;
+  uint256 public accumulatedFees;
+
+  // Pool data
+  struct PoolInfo {
+    IERC20 lpToken;
+    uint256 allocPoint;
+    uint256 lastRewardBlock;
+    uint256 accRewardPerShare;
+    uint256 totalStakingBalance;
+    uint256 stakingLockPeriod;
+    uint256 earlyWithdrawalPenalty;
+    bool emergencyStop;
+    uint256 penaltyPool;
+  }
+
+  // User data (per pool)
+  struct UserInfo {
+    uint256 stakingBalance;
+    uint256 checkpoint;
+    uint256 pendingRewards;
+    bool hasStaked;
+    bool isStaking;
+    uint256 rewardDebt;
+    uint256 totalRewardsClaimed;
+    uint256 lastClaimBlock;
+    uint256 stakingStartBlock;
+    uint256 lockedBalance;
+    uint256 unlockBlock;
+  }
+
+  PoolInfo[] public poolInfo;
+  mapping(address => bool) public hasPool;
+  mapping(uint256 => address[]) public stakers;
+  mapping(uint256 => mapping(address => UserInfo)) public userInfo;
+
+  // Events
+  event PoolAdded(
+    uint256 indexed pid,
+    address indexed lpToken,
+    uint256 allocPoint,
+    uint256 timestamp
+  );
+  event PoolAllocPointChanged(
+    uint256 indexed pid,
+    uint256 oldValue,
+    uint256 newValue,
+    uint256 timestamp
+  );
+  event Deposit(
+    address indexed user,
+    uint256 indexed pid,
+    uint256 amount,
+    uint256 timestamp
+  );
+  event Withdraw(
+    address indexed user,
+    uint256 indexed pid,
+    uint256 amount,
+    uint256 penalty,
+    uint256 timestamp
+  );
+  event RewardsClaimed(
+    address indexed user,
+    uint256 indexed pid,
+    uint256 amount,
+    uint256 fee,
+    uint256 netAmount,
+    uint256 timestamp
+  );
+  event OwnerChanged(
+    address indexed oldOwner,
+    address indexed newOwner,
+    uint256 timestamp
+  );
+  event RewardPerBlockChanged(
+    address indexed owner,
+    uint256 oldValue,
+    uint256 newValue,
+    uint256 timestamp
+  );
+  event FeesWithdrawn(address indexed owner, uint256 amount, uint256 timestamp);
+  event WithdrawalFeeChanged(
+    address indexed owner,
+    uint256 oldValue,
+    uint256 newValue,
+    uint256 timestamp
+  );
+  event StakingLockPeriodChanged(
+    uint256 indexed pid,
+    uint256 oldValue,
+    uint256 newValue,
+    uint256 timestamp
+  );
+  event EarlyWithdrawalPenaltyChanged(
+    uint256 indexed pid,
+    uint256 oldValue,
+    uint256 newValue,
+    uint256 timestamp
+  );
+  event EmergencyStopToggled(
+    uint256 indexed pid,
+    bool stopped,
+    uint256 timestamp
+  );
+  event PenaltiesSentToTreasury(
+    uint256 indexed pid,
+    address indexed treasury,
+    uint256 amount,
+    uint256 timestamp
+  );
+
+  // Modifiers
+  modifier onlyOwner() {
+    require(msg.sender == owner, 'Only owner can call this function');
+    _;
+  }
+  modifier validPool(uint256 _pid) {
+    require(_pid < poolInfo.length, 'Pool does not exist');
+    _;
+  }
+  modifier onlyStaker(uint256 _pid) {
+    require(userInfo[_pid][msg.sender].isStaking, 'User is not staking');
+    _;
+  }
+  modifier whenNotEmergency(uint256 _pid) {
+    require(!poolInfo[_pid].emergencyStop, 'Pool is in emergency stop');
+    _;
+  }
+
+  constructor(DAppToken _dappToken) {
+    dappToken = _dappToken;
+    owner = msg.sender;
+
+    // Defaults
+    rewardPerBlock = 1e18;
+    minRewardPerBlock = 0.1e18;
+    maxRewardPerBlock = 10e18;
+    withdrawalFeeBasisPoints = 300; // 3%
+  }
+
+  // --- Pool management ---
+
+  /**
+   * @notice Register a new LP token pool
+   * @param _lpToken The LP token staked in the pool
+   * @param _allocPoint Share of `rewardPerBlock` assigned to the pool
+   */
+  function addPool(IERC20 _lpToken, uint256 _allocPoint) external onlyOwner {
+    require(address(_lpToken) != address(0), 'Zero address');
+    require(!hasPool[address(_lpToken)], 'Pool already exists');
+
+    massUpdatePools();
+
+    totalAllocPoint += _allocPoint;
+    hasPool[address(_lpToken)] = true;
+    poolInfo.push(
+      PoolInfo({
+        lpToken: _lpToken,
+        allocPoint: _allocPoint,
+        lastRewardBlock: block.number,
+        accRewardPerShare: 0,
+        totalStakingBalance: 0,
+        stakingLockPeriod: 100, // 100 blocks
+        earlyWithdrawalPenalty: 500, // 5%
+        emergencyStop: false,
+        penaltyPool: 0
+      })
+    );
+
+    emit PoolAdded(
+      poolInfo.length - 1,
+      address(_lpToken),
+      _allocPoint,
+      block.timestamp
+    );
+  }
+
+  /**
+   * @notice Change the allocation points of a pool
+   */
+  function setPool(
+    uint256 _pid,
+    uint256 _allocPoint
+  ) external onlyOwner validPool(_pid) {
+    massUpdatePools();
+
+    uint256 oldValue = poolInfo[_pid].allocPoint;
+    totalAllocPoint = totalAllocPoint - oldValue + _allocPoint;
+    poolInfo[_pid].allocPoint = _allocPoint;
+
+    emit PoolAllocPointChanged(_pid, oldValue, _allocPoint, block.timestamp);
+  }
+
+  // --- User functions ---
+
+  /**
+   * @notice Stake LP tokens in a pool
+   * @dev Credits what actually arrived, so LP tokens that take a fee on
+   * transfer cannot inflate the pool's `totalStakingBalance`
+   */
+  function deposit(
+    uint256 _pid,
+    uint256 _amount
+  ) external nonReentrant validPool(_pid) whenNotEmergency(_pid) {
+    require(_amount > 0, 'Amount must be greater than 0');
+
+    PoolInfo storage pool = poolInfo[_pid];
+    UserInfo storage user = userInfo[_pid][msg.sender];
+
+    IERC20 token = pool.lpToken;
+    uint256 balanceBefore = token.balanceOf(address(this));
+    token.safeTransferFrom(msg.sender, address(this), _amount);
+    uint256 received = token.balanceOf(address(this)) - balanceBefore;
+    require(received > 0, 'No tokens received');
+
+    distributeRewards(_pid, msg.sender);
+
+    user.stakingBalance += received;
+    pool.totalStakingBalance += received;
+
+    if (!user.hasStaked) {
+      stakers[_pid].push(msg.sender);
+      user.hasStaked = true;
+      user.stakingStartBlock = block.number;
+    }
+
+    user.isStaking = true;
+    user.rewardDebt = calculateRewardDebt(_pid, msg.sender);
+
+    lockDeposit(_pid, msg.sender, received);
+
+    emit Deposit(msg.sender, _pid, received, block.timestamp);
+  }
+
+  /**
+   * @notice Withdraw staked LP tokens from a pool, fully or partially
+   * @dev The early withdrawal penalty only applies to the part of the amount
+   * that is still locked
+   */
+  function withdraw(
+    uint256 _pid,
+    uint256 _amount
+  )
+    external
+    nonReentrant
+    validPool(_pid)
+    onlyStaker(_pid)
+    whenNotEmergency(_pid)
+  {
+    require(_amount > 0, 'Amount must be greater than 0');
+
+    PoolInfo storage pool = poolInfo[_pid];
+    UserInfo storage user = userInfo[_pid][msg.sender];
+    require(_amount <= user.stakingBalance, 'Insufficient staked balance');
+
+    distributeRewards(_pid, msg.sender);
+
+    // Unlocked tokens go out first, only the locked remainder is penalized
+    uint256 locked = lockedBalanceOf(_pid, msg.sender);
+    uint256 unlocked = user.stakingBalance - locked;
+    uint256 lockedWithdrawn = _amount > unlocked ? _amount - unlocked : 0;
+    uint256 penalty = (lockedWithdrawn * pool.earlyWithdrawalPenalty) /
+      BASIS_POINTS_DENOMINATOR;
+
+    uint256 payout = _amount - penalty;
+    user.lockedBalance = locked - lockedWithdrawn;
+
+    user.stakingBalance -= _amount;
+    user.rewardDebt = calculateRewardDebt(_pid, msg.sender);
+    pool.totalStakingBalance -= _amount;
+    pool.penaltyPool += penalty;
+
+    if (user.stakingBalance == 0) {
+      user.isStaking = false;
+    }
+
+    pool.lpToken.safeTransfer(msg.sender, payout);
+
+    emit Withdraw(msg.sender, _pid, payout, penalty, block.timestamp);
+  }
+
+  /**
+   * @notice Claim accumulated rewards from a pool
+   */
+  function claimRewards(
+    uint256 _pid
+  ) external nonReentrant validPool(_pid) whenNotEmergency(_pid) {
+    distributeRewards(_pid, msg.sender);
+
+    UserInfo storage user = userInfo[_pid][msg.sender];
+    uint256 pendingAmount = user.pendingRewards;
+    require(pendingAmount > 0, 'No rewards to claim');
+
+    uint256 fee = (pendingAmount * withdrawalFeeBasisPoints) /
+      BASIS_POINTS_DENOMINATOR;
+    uint256 netAmount = pendingAmount - fee;
+
+    user.pendingRewards = 0;
+    user.totalRewardsClaimed += netAmount;
+    user.lastClaimBlock = block.number;
+
+    accumulatedFees += fee;
+
+    dappToken.mint(msg.sender, netAmount);
+
+    emit RewardsClaimed(
+      msg.sender,
+      _pid,
+      pendingAmount,
+      fee,
+      netAmount,
+      block.timestamp
+    );
+  }
+
+  // --- Reward accounting ---
+
+  /**
+   * @notice Accrue the pool's share of emissions into its accumulator
+   */
+  function updatePool(uint256 _pid) public validPool(_pid) {
+    PoolInfo storage pool = poolInfo[_pid];
+    if (block.number <= pool.lastRewardBlock) {
+      return;
+    }
+
+    if (pool.totalStakingBalance > 0 && totalAllocPoint > 0) {
+      uint256 reward = ((block.number - pool.lastRewardBlock) *
+        rewardPerBlock *
+        pool.allocPoint) / totalAllocPoint;
+      pool.accRewardPerShare +=
+        (reward * ACC_REWARD_PRECISION) /
+        pool.totalStakingBalance;
+    }
+
+    pool.lastRewardBlock = block.number;
+  }
+
+  /**
+   * @notice Update every pool, required before emission weights change
+   */
+  function massUpdatePools() public {
+    for (uint256 pid = 0; pid < poolInfo.length; pid++) {
+      updatePool(pid);
+    }
+  }
+
+  /**
+   * @dev Moves rewards accrued through the pool accumulator into pendingRewards
+   */
+  function distributeRewards(uint256 _pid, address beneficiary) private {
+    updatePool(_pid);
+
+    UserInfo storage user = userInfo[_pid][beneficiary];
+    if (user.stakingBalance > 0) {
+      user.pendingRewards +=
+        calculateRewardDebt(_pid, beneficiary) -
+        user.rewardDebt;
+    }
+    user.rewardDebt = calculateRewardDebt(_pid, beneficiary);
+    user.checkpoint = block.number;
+  }
+
+  /**
+   * @dev Locks a new deposit for the pool's lock period. The still-locked
+   * balance shares one unlock block, the amount-weighted average of its
+   * deposits, so a top-up neither resets nor skips the lock of older tokens.
+   */
+  function lockDeposit(uint256 _pid, address user, uint256 _amount) private {
+    uint256 lockPeriod = poolInfo[_pid].stakingLockPeriod;
+    if (lockPeriod == 0) {
+      return;
+    }
+
+    UserInfo storage info = userInfo[_pid][user];
+    uint256 locked = lockedBalanceOf(_pid, user);
+    uint256 newLocked = locked + _amount;
+    uint256 lockedWeight = locked * info.unlockBlock;
+    uint256 depositWeight = _amount * (block.number + lockPeriod);
+
+    info.lockedBalance = newLocked;
+    // Round up so a weighted lock never ends early
+    info.unlockBlock =
+      (lockedWeight + depositWeight + newLocked - 1) /
+      newLocked;
+  }
+
+  function lockedBalanceOf(
+    uint256 _pid,
+    address user
+  ) private view returns (uint256) {
+    if (block.number >= userInfo[_pid][user].unlockBlock) {
+      return 0;
+    }
+    return userInfo[_pid][user].lockedBalance;
+  }
+
+  function calculateRewardDebt(
+    uint256 _pid,
+    address user
+  ) private view returns (uint256) {
+    return
+      (userInfo[_pid][user].stakingBalance * poolInfo[_pid].accRewardPerShare) /
+      ACC_REWARD_PRECISION;
+  }
+
+  // --- Owner functions ---
+
+  function setRewardPerBlock(uint256 _newRewardPerBlock) external onlyOwner {
+    require(_newRewardPerBlock >= minRewardPerBlock, 'Below minimum');
+    require(_newRewardPerBlock <= maxRewardPerBlock, 'Above maximum');
+
+    massUpdatePools();
+
+    uint256 oldValue = rewardPerBlock;
+    rewardPerBlock = _newRewardPerBlock;
+
+    emit RewardPerBlockChanged(
+      owner,
+      oldValue,
+      _newRewardPerBlock,
+      block.timestamp
+    );
+  }
+
+  function setRewardRange(
+    uint256 _minReward,
+    uint256 _maxReward
+  ) external onlyOwner {
+    require(_minReward < _maxReward, 'Invalid range');
+    require(_maxReward > 0, 'Max must be > 0');
+
+    massUpdatePools();
+
+    minRewardPerBlock = _minReward;
+    maxRewardPerBlock = _maxReward;
+
+    if (rewardPerBlock < _minReward) {
+      rewardPerBlock = _minReward;
+    } else if (rewardPerBlock > _maxReward) {
+      rewardPerBlock = _maxReward;
+    }
+  }
+
+  function withdrawFees() external onlyOwner {
+    require(accumulatedFees > 0, 'No fees to withdraw');
+    uint256 amount = accumulatedFees;
+    accumulatedFees = 0;
+
+    dappToken.mint(owner, amount);
+    emit FeesWithdrawn(owner, amount, block.timestamp);
+  }
+
+  function setWithdrawalFee(uint256 _newFeeBasisPoints) external onlyOwner {
+    require(_newFeeBasisPoints <= 1000, 'Fee cannot exceed 10%');
+    uint256 oldValue = withdrawalFeeBasisPoints;
+    withdrawalFeeBasisPoints = _newFeeBasisPoints;
+    emit WithdrawalFeeChanged(
+      owner,
+      oldValue,
+      _newFeeBasisPoints,
+      block.timestamp
+    );
+  }
+
+  function setStakingLockPeriod(
+    uint256 _pid,
+    uint256 _newLockPeriod
+  ) external onlyOwner validPool(_pid) {
+    require(_newLockPeriod <= 10000, 'Lock period cannot exceed 10000 blocks');
+    uint256 oldValue = poolInfo[_pid].stakingLockPeriod;
+    poolInfo[_pid].stakingLockPeriod = _newLockPeriod;
+    emit StakingLockPeriodChanged(
+      _pid,
+      oldValue,
+      _newLockPeriod,
+      block.timestamp
+    );
+  }
+
+  function setEarlyWithdrawalPenalty(
+    uint256 _pid,
+    uint256 _newPenaltyBasisPoints
+  ) external onlyOwner validPool(_pid) {
+    require(_newPenaltyBasisPoints <= 2000, 'Penalty cannot exceed 20%');
+    uint256 oldValue = poolInfo[_pid].earlyWithdrawalPenalty;
+    poolInfo[_pid].earlyWithdrawalPenalty = _newPenaltyBasisPoints;
+    emit EarlyWithdrawalPenaltyChanged(
+      _pid,
+      oldValue,
+      _newPenaltyBasisPoints,
+      block.timestamp
+    );
+  }
+
+  /**
+   * @notice Send a pool's early withdrawal penalties to a treasury address
+   */
+  function sendPenaltiesToTreasury(
+    uint256 _pid,
+    address _treasury
+  ) external nonReentrant onlyOwner validPool(_pid) {
+    require(_treasury != address(0), 'Zero address');
+    PoolInfo storage pool = poolInfo[_pid];
+    require(pool.penaltyPool > 0, 'No penalties to distribute');
+    uint256 amount = pool.penaltyPool;
+    pool.penaltyPool = 0;
+
+    pool.lpToken.safeTransfer(_treasury, amount);
+    emit PenaltiesSentToTreasury(_pid, _treasury, amount, block.timestamp);
+  }
+
+  function toggleEmergencyStop(
+    uint256 _pid
+  ) external onlyOwner validPool(_pid) {
+    poolInfo[_pid].emergencyStop = !poolInfo[_pid].emergencyStop;
+    emit EmergencyStopToggled(
+      _pid,
+      poolInfo[_pid].emergencyStop,
+      block.timestamp
+    );
+  }
+
+  // --- Emergency ---
+
+  function emergencyWithdraw(
+    uint256 _pid
+  ) external nonReentrant validPool(_pid) onlyStaker(_pid) {
+    PoolInfo storage pool = poolInfo[_pid];
+    UserInfo storage user = userInfo[_pid][msg.sender];
+
+    require(pool.emergencyStop, 'Not in emergency');
+    uint256 balance = user.stakingBalance;
+    require(balance > 0, 'No tokens to withdraw');
+
+    updatePool(_pid);
+
+    user.stakingBalance = 0;
+    user.rewardDebt = 0;
+    user.isStaking = false;
+    user.lockedBalance = 0;
+    pool.totalStakingBalance -= balance;
+
+    pool.lpToken.safeTransfer(msg.sender, balance);
+    emit Withdraw(msg.sender, _pid, balance, 0, block.timestamp);
+  }
+
+  // --- View helpers ---
+
+  function poolLength() external view returns (uint256) {
+    return poolInfo.length;
+  }
+
+  function getAccumulatedFees() external view returns (uint256) {
+    return accumulatedFees;
+  }
+
+  function getWithdrawalFeeRate() external view returns (uint256) {
+    return withdrawalFeeBasisPoints;
+  }
+
+  function getStakerCount(uint256 _pid) external view returns (uint256) {
+    return stakers[_pid].length;
+  }
+
+  function getPendingRewards(
+    uint256 _pid,
+    address user
+  ) external view returns (uint256) {
+    return userInfo[_pid][user].pendingRewards;
+  }
+
+  function getStakingBalance(
+    uint256 _pid,
+    address user
+  ) external view returns (uint256) {
+    return userInfo[_pid][user].stakingBalance;
+  }
+
+  function getPenaltyPool(uint256 _pid) external view returns (uint256) {
+    return poolInfo[_pid].penaltyPool;
+  }
+
+  /**
+   * @notice Split a user's stake in a pool into the part still locked and
+   * the part that can be withdrawn without penalty
+   */
+  function getLockInfo(
+    uint256 _pid,
+    address user
+  )
+    external
+    view
+    returns (
+      uint256 lockedBalance,
+      uint256 unlockedBalance,
+      uint256 unlockBlock
+    )
+  {
+    lockedBalance = lockedBalanceOf(_pid, user);
+    unlockedBalance = userInfo[_pid][user].stakingBalance - lockedBalance;
+    unlockBlock = lockedBalance > 0 ? userInfo[_pid][user].unlockBlock : 0;
+  }
+
+  function transferOwnership(address newOwner) external onlyOwner {
+    require(newOwner != address(0), 'Zero address');
+    require(newOwner != owner, 'Already owner');
+    address oldOwner = owner;
+    owner = newOwner;
+    emit OwnerChanged(oldOwner, newOwner, block.timestamp);
+  }
+}
@@ -0,0 +1,180 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import './FarmRoles.sol';
+
+/**
+ * @title Parameter Timelock
+ * @notice Delays changes to the economic parameters of a farm so stakers can
+ * react before they apply. A parameter manager queues the exact call with
+ * `queueParameterChange`; once `timelockDelay` seconds have passed, calling
+ * the setter with the same arguments executes it, within
+ * `TIMELOCK_GRACE_PERIOD`. With no delay set, setters apply immediately.
+ * @dev A change is identified by the hash of its calldata and stores when it
+ * was queued, so the delay in force at execution applies. State lives in an
+ * ERC-7201 namespace, like FarmRoles. The external functions are virtual so
+ * TokenFarmV2 can run them in TokenFarmV2Admin.
+ */
+abstract contract ParameterTimelock is FarmRoles {
+  uint256 public constant MAX_TIMELOCK_DELAY = 30 days;
+  // Time a ready change stays executable before it has to be queued again
+  uint256 public constant TIMELOCK_GRACE_PERIOD = 14 days;
+
+  /// @custom:storage-location erc7201:tokenfarm.storage.ParameterTimelock
+  struct ParameterTimelockStorage {
+    uint256 delay;
+    mapping(bytes32 => uint256) queuedAt;
+  }
+
+  // keccak256(abi.encode(uint256(keccak256("tokenfarm.storage.ParameterTimelock")) - 1)) & ~bytes32(uint256(0xff))
+  bytes32 private constant PARAMETER_TIMELOCK_STORAGE_LOCATION =
+    0xdc1a35d0afd0fceac62ba08e7cc0b5caf56b42aa165040c76c4458322bbfc300;
+
+  event ParameterChangeQueued(
+    bytes32 indexed id,
+    address indexed caller,
+    bytes data,
+    uint256 readyAt,
+    uint256 timestamp
+  );
+  event ParameterChangeCancelled(
+    bytes32 indexed id,
+    address indexed caller,
+    uint256 timestamp
+  );
+  event ParameterChangeExecuted(
+    bytes32 indexed id,
+    address indexed caller,
+    uint256 timestamp
+  );
+  event TimelockDelayChanged(
+    address indexed admin,
+    uint256 oldValue,
+    uint256 newValue,
+    uint256 timestamp
+  );
+
+  /**
+   * @dev Consumes the queued change matching this call's calldata
+   */
+  modifier timelocked() {
+    _executeQueued();
+    _;
+  }
+
+  /**
+   * @dev Whether calls to `selector` must go through the timelock
+   */
+  function _isTimelocked(bytes4 selector) internal pure virtual returns (bool) {
+    return selector == this.setTimelockDelay.selector;
+  }
+
+  /**
+   * @notice Seconds between queueing a parameter change and executing it
+   */
+  function timelockDelay() public view returns (uint256) {
+    return _getParameterTimelockStorage().delay;
+  }
+
+  /**
+   * @notice When a queued change can be executed under the current delay, 0
+   * if it is not queued. It expires `TIMELOCK_GRACE_PERIOD` later.
+   * @param id keccak256 of the setter calldata
+   */
+  function queuedChangeReadyAt(bytes32 id) public view returns (uint256) {
+    ParameterTimelockStorage storage $ = _getParameterTimelockStorage();
+    uint256 queuedAt = $.queuedAt[id];
+    return queuedAt == 0 ? 0 : queuedAt + $.delay;
+  }
+
+  /**
+   * @notice Queue a call to a timelocked setter
+   * @param data ABI-encoded setter call, e.g. `setWithdrawalFee(500)`
+   * @return id Identifier of the change, keccak256 of `data`
+   */
+  function queueParameterChange(
+    bytes calldata data
+  ) external virtual onlyRole(PARAMETER_MANAGER_ROLE) returns (bytes32 id) {
+    require(
+      data.length >= 4 && _isTimelocked(bytes4(data)),
+      'Not a timelocked change'
+    );
+
+    ParameterTimelockStorage storage $ = _getParameterTimelockStorage();
+    id = keccak256(data);
+    // An expired change can be queued again
+    uint256 readyAt = queuedChangeReadyAt(id);
+    require(
+      readyAt == 0 || block.timestamp > readyAt + TIMELOCK_GRACE_PERIOD,
+      'Change already queued'
+    );
+
+    $.queuedAt[id] = block.timestamp;
+    emit ParameterChangeQueued(
+      id,
+      msg.sender,
+      data,
+      block.timestamp + $.delay,
+      block.timestamp
+    );
+  }
+
+  function cancelParameterChange(
+    bytes32 id
+  ) external virtual onlyRole(PARAMETER_MANAGER_ROLE) {
+    ParameterTimelockStorage storage $ = _getParameterTimelockStorage();
+    require($.queuedAt[id] != 0, 'Change not queued');
+
+    delete $.queuedAt[id];
+    emit ParameterChangeCancelled(id, msg.sender, block.timestamp);
+  }
+
+  /**
+   * @notice Set the timelock delay. Timelocked itself, so shortening the
+   * delay takes as long as the current delay.
+   */
+  function setTimelockDelay(
+    uint256 _delay
+  ) external virtual onlyAdmin timelocked {
+    require(_delay <= MAX_TIMELOCK_DELAY, 'Delay too long');
+
+    ParameterTimelockStorage storage $ = _getParameterTimelockStorage();
+    uint256 oldValue = $.delay;
+    $.delay = _delay;
+    emit TimelockDelayChanged(msg.sender, oldValue, _delay, block.timestamp);
+  }
+
+  /**
+   * @dev A queued change is consumed even while the delay is 0, so it cannot
+   * be replayed once a delay is set
+   */
+  function _executeQueued() private {
+    ParameterTimelockStorage storage $ = _getParameterTimelockStorage();
+    bytes32 id = keccak256(msg.data);
+    uint256 queuedAt = $.queuedAt[id];
+    if (queuedAt == 0) {
+      require($.delay == 0, 'Change not queued');
+      return;
+    }
+
+    uint256 readyAt = queuedAt + $.delay;
+    require(block.timestamp >= readyAt, 'Timelock not expired');
+    require(
+      block.timestamp <= readyAt + TIMELOCK_GRACE_PERIOD,
+      'Change expired'
+    );
+
+    delete $.queuedAt[id];
+    emit ParameterChangeExecuted(id, msg.sender, block.timestamp);
+  }
+
+  function _getParameterTimelockStorage()
+    private
+    pure
+    returns (ParameterTimelockStorage storage $)
+  {
+    assembly {
+      $.slot := PARAMETER_TIMELOCK_STORAGE_LOCATION
+    }
+  }
+}
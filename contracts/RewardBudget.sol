@@ -0,0 +1,145 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import './DappToken.sol';
+
+/**
+ * @title Reward Budget
+ * @notice Pays farm rewards either by minting DAPP (the default) or, once the
+ * owner funds the farm through `notifyRewardAmount`, by transferring from a
+ * fixed DAPP budget held by the farm. Emission stops when the budget is spent.
+ * @dev State lives in an ERC-7201 namespace, so TokenFarm and TokenFarmV2 can
+ * share it without touching their sequential storage layouts.
+ */
+abstract contract RewardBudget {
+  /// @custom:storage-location erc7201:tokenfarm.storage.RewardBudget
+  struct RewardBudgetStorage {
+    bool funded;
+    uint256 budget;
+    uint256 unpaid;
+  }
+
+  // keccak256(abi.encode(uint256(keccak256("tokenfarm.storage.RewardBudget")) - 1)) & ~bytes32(uint256(0xff))
+  bytes32 private constant REWARD_BUDGET_STORAGE_LOCATION =
+    0xfa29c30f2bceb085ffeab6cabf6edeb72643a50f4ee3f1df04c330c8ceabb500;
+
+  event RewardAmountNotified(
+    address indexed owner,
+    uint256 amount,
+    uint256 duration,
+    uint256 rewardPerBlock,
+    uint256 timestamp
+  );
+
+  function _rewardToken() internal view virtual returns (DAppToken);
+
+  /**
+   * @notice Whether rewards are paid from a fixed budget instead of minted
+   */
+  function isFunded() public view returns (bool) {
+    return _getRewardBudgetStorage().funded;
+  }
+
+  /**
+   * @notice DAPP held for rewards that have not been emitted yet
+   */
+  function rewardBudget() public view returns (uint256) {
+    return _getRewardBudgetStorage().budget;
+  }
+
+  /**
+   * @notice Rewards already emitted but not yet claimed or withdrawn as fees
+   */
+  function unpaidRewards() public view returns (uint256) {
+    return _getRewardBudgetStorage().unpaid;
+  }
+
+  /**
+   * @dev Adds `amount` DAPP, already transferred to the farm, to the budget
+   * and switches the farm to budget mode. Rewards emitted before the switch
+   * are paid from the same balance, so they must be covered too.
+   */
+  function _addRewardBudget(uint256 amount) internal {
+    RewardBudgetStorage storage $ = _getRewardBudgetStorage();
+    require(
+      _rewardToken().balanceOf(address(this)) >= $.budget + $.unpaid + amount,
+      'Insufficient reward balance'
+    );
+
+    $.funded = true;
+    $.budget += amount;
+  }
+
+  /**
+   * @dev Books `reward` as emitted and returns the part the budget covers
+   */
+  function _allocateRewards(uint256 reward) internal returns (uint256) {
+    RewardBudgetStorage storage $ = _getRewardBudgetStorage();
+    reward = _coveredRewards(reward);
+    if ($.funded) {
+      $.budget -= reward;
+    }
+    $.unpaid += reward;
+    return reward;
+  }
+
+  /**
+   * @dev The part of `reward` the budget covers, without booking it
+   */
+  function _coveredRewards(uint256 reward) internal view returns (uint256) {
+    RewardBudgetStorage storage $ = _getRewardBudgetStorage();
+    if ($.funded && reward > $.budget) {
+      return $.budget;
+    }
+    return reward;
+  }
+
+  function _payRewards(address to, uint256 amount) internal {
+    RewardBudgetStorage storage $ = _getRewardBudgetStorage();
+    // Farms upgraded in place may owe rewards emitted before tracking began
+    $.unpaid = amount < $.unpaid ? $.unpaid - amount : 0;
+
+    if ($.funded) {
+      require(_rewardToken().transfer(to, amount), 'Transfer failed');
+    } else {
+      _rewardToken().mint(to, amount);
+    }
+  }
+
+  /**
+   * @dev Blocks left until the budget runs out at `rate`, after `accrued`
+   * rewards not yet allocated by the farm. Unlimited when minting.
+   */
+  function _rewardRunway(
+    uint256 rate,
+    uint256 accrued
+  ) internal view returns (uint256) {
+    uint256 budget = _budgetLeft(accrued);
+    if (budget == type(uint256).max || rate == 0) {
+      return type(uint256).max;
+    }
+    return (budget + rate - 1) / rate;
+  }
+
+  /**
+   * @dev Budget left after `accrued` rewards not yet allocated by the farm,
+   * or type(uint256).max when minting
+   */
+  function _budgetLeft(uint256 accrued) internal view returns (uint256) {
+    RewardBudgetStorage storage $ = _getRewardBudgetStorage();
+    if (!$.funded) {
+      return type(uint256).max;
+    }
+    return accrued < $.budget ? $.budget - accrued : 0;
+  }
+
+  function _getRewardBudgetStorage()
+    private
+    pure
+    returns (RewardBudgetStorage storage $)
+  {
+    assembly {
+      $.slot := REWARD_BUDGET_STORAGE_LOCATION
+    }
+  }
+}
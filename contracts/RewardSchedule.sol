@@ -0,0 +1,215 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+/**
+ * @title Reward Schedule
+ * @notice Timestamp-based emission as an alternative to a flat reward per
+ * block. Rewards are emitted between `startTime` and `endTime`, at the rate
+ * of the epoch in effect (for example, halving every N days).
+ * @dev State lives in an ERC-7201 namespace, so TokenFarm and TokenFarmV2 can
+ * share it without touching their sequential storage layouts.
+ */
+abstract contract RewardSchedule {
+  uint256 public constant MAX_EPOCHS = 52;
+
+  // An epoch runs from its start until the next epoch or the schedule end
+  struct Epoch {
+    uint256 startTime;
+    uint256 rewardPerSecond;
+  }
+
+  /// @custom:storage-location erc7201:tokenfarm.storage.RewardSchedule
+  struct RewardScheduleStorage {
+    uint256 startTime;
+    uint256 endTime;
+    uint256 lastRewardTime;
+    Epoch[] epochs;
+  }
+
+  // keccak256(abi.encode(uint256(keccak256("tokenfarm.storage.RewardSchedule")) - 1)) & ~bytes32(uint256(0xff))
+  bytes32 private constant REWARD_SCHEDULE_STORAGE_LOCATION =
+    0x3fa58937787545ee8ff7913ac3bf18797b1ac685c79b588026180d4759da7000;
+
+  event RewardScheduleSet(
+    address indexed owner,
+    uint256 startTime,
+    uint256 endTime,
+    uint256 epochCount,
+    uint256 timestamp
+  );
+  event RewardScheduleCleared(address indexed owner, uint256 timestamp);
+
+  /**
+   * @notice Whether emission follows the schedule instead of rewardPerBlock
+   */
+  function isScheduled() public view returns (bool) {
+    return _getRewardScheduleStorage().epochs.length > 0;
+  }
+
+  function getRewardSchedule()
+    external
+    view
+    returns (uint256 startTime, uint256 endTime, Epoch[] memory epochs)
+  {
+    RewardScheduleStorage storage $ = _getRewardScheduleStorage();
+    return ($.startTime, $.endTime, $.epochs);
+  }
+
+  /**
+   * @notice Reward emitted per second right now, 0 outside the schedule
+   */
+  function currentRewardPerSecond() public view returns (uint256) {
+    RewardScheduleStorage storage $ = _getRewardScheduleStorage();
+    if (block.timestamp < $.startTime || block.timestamp >= $.endTime) {
+      return 0;
+    }
+
+    uint256 i = $.epochs.length;
+    while (i > 0 && $.epochs[i - 1].startTime > block.timestamp) {
+      i--;
+    }
+    return i > 0 ? $.epochs[i - 1].rewardPerSecond : 0;
+  }
+
+  /**
+   * @dev Replaces the schedule. The first epoch must begin at `startTime`,
+   * epochs must be in order and every rate within [`minRate`, `maxRate`].
+   * Callers must settle emission under the previous settings first.
+   */
+  function _setRewardSchedule(
+    uint256 startTime,
+    uint256 endTime,
+    Epoch[] calldata epochs,
+    uint256 minRate,
+    uint256 maxRate
+  ) internal {
+    require(
+      startTime >= block.timestamp && startTime < endTime,
+      'Invalid schedule'
+    );
+    require(
+      epochs.length > 0 && epochs.length <= MAX_EPOCHS,
+      'Invalid epoch count'
+    );
+    require(epochs[0].startTime == startTime, 'Invalid epochs');
+
+    RewardScheduleStorage storage $ = _getRewardScheduleStorage();
+    delete $.epochs;
+
+    for (uint256 i = 0; i < epochs.length; i++) {
+      if (i > 0) {
+        require(
+          epochs[i].startTime > epochs[i - 1].startTime &&
+            epochs[i].startTime < endTime,
+          'Invalid epochs'
+        );
+      }
+      require(epochs[i].rewardPerSecond >= minRate, 'Below minimum');
+      require(epochs[i].rewardPerSecond <= maxRate, 'Above maximum');
+      $.epochs.push(epochs[i]);
+    }
+
+    $.startTime = startTime;
+    $.endTime = endTime;
+    $.lastRewardTime = block.timestamp;
+  }
+
+  /**
+   * @dev Drops the schedule so emission returns to rewardPerBlock. Callers
+   * must settle emission under the schedule first.
+   */
+  function _clearRewardSchedule() internal {
+    require(isScheduled(), 'No reward schedule');
+
+    RewardScheduleStorage storage $ = _getRewardScheduleStorage();
+    delete $.epochs;
+    $.startTime = 0;
+    $.endTime = 0;
+  }
+
+  /**
+   * @dev Keeps every epoch rate within a new reward range
+   */
+  function _clampEpochRates(uint256 minRate, uint256 maxRate) internal {
+    Epoch[] storage epochs = _getRewardScheduleStorage().epochs;
+    for (uint256 i = 0; i < epochs.length; i++) {
+      if (epochs[i].rewardPerSecond < minRate) {
+        epochs[i].rewardPerSecond = minRate;
+      } else if (epochs[i].rewardPerSecond > maxRate) {
+        epochs[i].rewardPerSecond = maxRate;
+      }
+    }
+  }
+
+  /**
+   * @dev Returns the rewards emitted since the last call and moves the
+   * checkpoint to now
+   */
+  function _takeScheduledRewards() internal returns (uint256 reward) {
+    reward = _pendingScheduledRewards();
+    _getRewardScheduleStorage().lastRewardTime = block.timestamp;
+  }
+
+  function _pendingScheduledRewards() internal view returns (uint256 reward) {
+    RewardScheduleStorage storage $ = _getRewardScheduleStorage();
+    uint256 from = $.lastRewardTime > $.startTime
+      ? $.lastRewardTime
+      : $.startTime;
+    uint256 to = block.timestamp < $.endTime ? block.timestamp : $.endTime;
+
+    for (uint256 i = 0; i < $.epochs.length && from < to; i++) {
+      uint256 epochEnd = i + 1 < $.epochs.length
+        ? $.epochs[i + 1].startTime
+        : $.endTime;
+      if (epochEnd <= from) {
+        continue;
+      }
+
+      uint256 until = epochEnd < to ? epochEnd : to;
+      reward += (until - from) * $.epochs[i].rewardPerSecond;
+      from = until;
+    }
+  }
+
+  /**
+   * @dev Seconds until scheduled emission stops, either at `endTime` or once
+   * it has paid out `budget`
+   */
+  function _scheduledRunway(uint256 budget) internal view returns (uint256) {
+    RewardScheduleStorage storage $ = _getRewardScheduleStorage();
+    if (budget == 0 || block.timestamp >= $.endTime) {
+      return 0;
+    }
+
+    uint256 from = block.timestamp > $.startTime
+      ? block.timestamp
+      : $.startTime;
+    for (uint256 i = 0; i < $.epochs.length; i++) {
+      uint256 epochEnd = i + 1 < $.epochs.length
+        ? $.epochs[i + 1].startTime
+        : $.endTime;
+      if (epochEnd <= from) {
+        continue;
+      }
+
+      uint256 rate = $.epochs[i].rewardPerSecond;
+      uint256 emission = (epochEnd - from) * rate;
+      if (emission >= budget) {
+        return from + (budget + rate - 1) / rate - block.timestamp;
+      }
+      budget -= emission;
+      from = epochEnd;
+    }
+    return $.endTime - block.timestamp;
+  }
+
+  function _getRewardScheduleStorage()
+    private
+    pure
+    returns (RewardScheduleStorage storage $)
+  {
+    assembly {
+      $.slot := REWARD_SCHEDULE_STORAGE_LOCATION
+    }
+  }
+}
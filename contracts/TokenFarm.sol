@@ -1,16 +1,44 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.18;
 
+import {Initializable} from '@openzeppelin/contracts/proxy/utils/Initializable.sol';
+import {UUPSUpgradeable} from '@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol';
+import {IERC20Permit} from '@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol';
+import {SafeERC20} from '@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol';
 import './DappToken.sol';
 import './LPToken.sol';
+import './RewardBudget.sol';
+import './RewardSchedule.sol';
+import './ParameterTimelock.sol';
+import './FarmOwnership.sol';
+import './FarmClaimers.sol';
+import './FarmStakers.sol';
+import './FarmApr.sol';
+import './FarmReentrancyGuard.sol';
 
 /**
  * @title Proportional Token Farm
  * @notice Staking farm where rewards are distributed proportionally to the total staked amount.
+ * @dev UUPS upgradeable. TokenFarmV2 extends this storage layout, so state
+ * variables and UserInfo fields must never be reordered or removed.
  */
-contract TokenFarm {
+contract TokenFarm is
+  Initializable,
+  UUPSUpgradeable,
+  RewardBudget,
+  RewardSchedule,
+  ParameterTimelock,
+  FarmOwnership,
+  FarmClaimers,
+  FarmStakers,
+  FarmApr,
+  FarmReentrancyGuard
+{
+  using SafeERC20 for LPToken;
+
   // Basic state
-  string public name = 'Proportional Token Farm';
+  string public name;
+  uint256 public constant VERSION = 1;
   address public owner;
   DAppToken public dappToken;
   LPToken public lpToken;
@@ -21,6 +49,11 @@ contract TokenFarm {
   uint256 public maxRewardPerBlock;
   uint256 public totalStakingBalance;
 
+  // Reward accumulator (MasterChef-style)
+  uint256 public constant ACC_REWARD_PRECISION = 1e12;
+  uint256 public accRewardPerShare;
+  uint256 public lastRewardBlock;
+
   // Withdrawal fee (3%)
   uint256 public constant WITHDRAWAL_FEE_BASIS_POINTS = 300;
   uint256 public constant BASIS_POINTS_DENOMINATOR = 10000;
@@ -33,6 +66,7 @@ contract TokenFarm {
     uint256 pendingRewards;
     bool hasStaked;
     bool isStaking;
+    uint256 rewardDebt;
   }
 
   address[] public stakers;
@@ -43,16 +77,13 @@ contract TokenFarm {
   event Withdraw(address indexed user, uint256 amount, uint256 timestamp);
   event RewardsClaimed(
     address indexed user,
+    address indexed recipient,
+    address caller,
     uint256 amount,
     uint256 fee,
     uint256 netAmount,
     uint256 timestamp
   );
-  event RewardsDistributed(
-    address indexed owner,
-    uint256 totalUsers,
-    uint256 timestamp
-  );
   event OwnerChanged(
     address indexed oldOwner,
     address indexed newOwner,
@@ -73,7 +104,7 @@ contract TokenFarm {
   }
 
   modifier onlyStaker() {
-    require(userInfo[msg.sender].isStaking, 'User is not staking');
+    require(userInfo[_msgSender()].isStaking, 'User is not staking');
     _;
   }
 
@@ -86,14 +117,33 @@ contract TokenFarm {
   }
 
   constructor(DAppToken _dappToken, LPToken _lpToken) {
+    initialize(_dappToken, _lpToken, msg.sender);
+  }
+
+  /**
+   * @notice Set up the farm state, once per deployment or proxy.
+   * @param _dappToken Reward token minted by the farm.
+   * @param _lpToken LP token staked in the farm.
+   * @param _initialOwner Farm administrator.
+   */
+  function initialize(
+    DAppToken _dappToken,
+    LPToken _lpToken,
+    address _initialOwner
+  ) public initializer {
+    require(_initialOwner != address(0), 'New owner cannot be zero address');
+
+    name = 'Proportional Token Farm';
     dappToken = _dappToken;
     lpToken = _lpToken;
-    owner = msg.sender;
+    owner = _initialOwner;
 
     // Default reward range
     rewardPerBlock = 1e18;
     minRewardPerBlock = 0.1e18;
     maxRewardPerBlock = 10e18;
+
+    lastRewardBlock = block.number;
   }
 
   /**
@@ -101,68 +151,129 @@ contract TokenFarm {
    * @param _amount The amount of LP tokens to stake.
    */
   function deposit(uint256 _amount) external {
-    require(_amount > 0, 'Amount must be greater than 0');
+    stake(_msgSender(), _amount);
+  }
 
-    require(
-      lpToken.transferFrom(msg.sender, address(this), _amount),
-      'Transfer failed'
-    );
+  /**
+   * @notice Deposit LP tokens approved through an EIP-2612 permit signature,
+   * so no separate approve transaction is needed.
+   * @dev A permit already used by someone front-running this call is fine as
+   * long as the allowance is in place.
+   * @param _amount The amount of LP tokens to stake.
+   * @param _deadline Timestamp after which the signature is invalid.
+   */
+  function depositWithPermit(
+    uint256 _amount,
+    uint256 _deadline,
+    uint8 _v,
+    bytes32 _r,
+    bytes32 _s
+  ) external {
+    address user = _msgSender();
+    try
+      IERC20Permit(address(lpToken)).permit(
+        user,
+        address(this),
+        _amount,
+        _deadline,
+        _v,
+        _r,
+        _s
+      )
+    {} catch {
+      require(
+        lpToken.allowance(user, address(this)) >= _amount,
+        'Invalid permit'
+      );
+    }
+    stake(user, _amount);
+  }
+
+  /**
+   * @dev Credits what actually arrived, so LP tokens that take a fee on
+   * transfer cannot inflate `totalStakingBalance`.
+   */
+  function stake(address user, uint256 _amount) private nonReentrant {
+    require(_amount > 0, 'Amount must be greater than 0');
 
-    userInfo[msg.sender].stakingBalance += _amount;
-    totalStakingBalance += _amount;
+    uint256 balanceBefore = lpToken.balanceOf(address(this));
+    lpToken.safeTransferFrom(user, address(this), _amount);
+    uint256 received = lpToken.balanceOf(address(this)) - balanceBefore;
+    require(received > 0, 'No tokens received');
 
-    if (!userInfo[msg.sender].hasStaked) {
-      stakers.push(msg.sender);
-      userInfo[msg.sender].hasStaked = true;
-    }
+    distributeRewards(user);
 
-    userInfo[msg.sender].isStaking = true;
+    userInfo[user].stakingBalance += received;
+    totalStakingBalance += received;
 
-    if (userInfo[msg.sender].checkpoint == 0) {
-      userInfo[msg.sender].checkpoint = block.number;
+    if (!_isListed(user, userInfo[user].hasStaked)) {
+      _addStaker(user);
+      userInfo[user].hasStaked = true;
     }
 
-    distributeRewards(msg.sender);
+    userInfo[user].isStaking = true;
+    userInfo[user].rewardDebt = calculateRewardDebt(user);
 
-    emit Deposit(msg.sender, _amount, block.timestamp);
+    emit Deposit(user, received, block.timestamp);
   }
 
   /**
-   * @notice Withdraw all staked LP tokens.
+   * @notice Withdraw staked LP tokens, fully or partially.
+   * @param _amount The amount of LP tokens to unstake.
    */
-  function withdraw() external onlyStaker {
-    uint256 balance = userInfo[msg.sender].stakingBalance;
-    require(balance > 0, 'No tokens to withdraw');
+  function withdraw(uint256 _amount) external nonReentrant onlyStaker {
+    address user = _msgSender();
+    require(_amount > 0, 'Amount must be greater than 0');
+    require(
+      _amount <= userInfo[user].stakingBalance,
+      'Insufficient staked balance'
+    );
 
-    distributeRewards(msg.sender);
+    distributeRewards(user);
 
-    userInfo[msg.sender].stakingBalance = 0;
-    totalStakingBalance -= balance;
-    userInfo[msg.sender].isStaking = false;
+    userInfo[user].stakingBalance -= _amount;
+    userInfo[user].rewardDebt = calculateRewardDebt(user);
+    totalStakingBalance -= _amount;
 
-    require(lpToken.transfer(msg.sender, balance), 'Transfer failed');
+    if (userInfo[user].stakingBalance == 0) {
+      userInfo[user].isStaking = false;
+      _removeStaker(user);
+    }
 
-    emit Withdraw(msg.sender, balance, block.timestamp);
+    lpToken.safeTransfer(user, _amount);
+
+    emit Withdraw(user, _amount, block.timestamp);
   }
 
   /**
    * @notice Claim pending rewards (after fee deduction).
    */
   function claimRewards() external {
-    uint256 pendingAmount = userInfo[msg.sender].pendingRewards;
+    _claimRewards(_msgSender(), _msgSender());
+  }
+
+  function _claimRewards(
+    address user,
+    address recipient
+  ) internal override nonReentrant {
+    distributeRewards(user);
+
+    uint256 pendingAmount = userInfo[user].pendingRewards;
     require(pendingAmount > 0, 'No rewards to claim');
 
     uint256 fee = (pendingAmount * WITHDRAWAL_FEE_BASIS_POINTS) /
       BASIS_POINTS_DENOMINATOR;
     uint256 netAmount = pendingAmount - fee;
 
-    userInfo[msg.sender].pendingRewards = 0;
+    userInfo[user].pendingRewards = 0;
     accumulatedFees += fee;
 
-    dappToken.mint(msg.sender, netAmount);
+    _payRewards(recipient, netAmount);
 
     emit RewardsClaimed(
-      msg.sender,
+      user,
+      recipient,
+      _msgSender(),
       pendingAmount,
       fee,
       netAmount,
@@ -171,53 +282,94 @@ contract TokenFarm {
   }
 
   /**
-   * @notice Distribute rewards to all active stakers.
+   * @notice Accrue rewards emitted since the last update into the accumulator.
+   * @dev Emission is `rewardPerBlock` per block, split by stake through
+   * `accRewardPerShare`, so a user's share never depends on when other
+   * users happen to touch the contract.
    */
-  function distributeRewardsAll() external onlyOwner {
-    for (uint256 i = 0; i < stakers.length; i++) {
-      address staker = stakers[i];
-      if (userInfo[staker].isStaking) {
-        distributeRewards(staker);
-      }
+  function updatePool() public {
+    if (block.number <= lastRewardBlock) {
+      return;
+    }
+
+    uint256 emitted = isScheduled()
+      ? _takeScheduledRewards()
+      : (block.number - lastRewardBlock) * rewardPerBlock;
+
+    if (totalStakingBalance > 0) {
+      uint256 reward = _allocateRewards(emitted);
+      accRewardPerShare +=
+        (reward * ACC_REWARD_PRECISION) /
+        totalStakingBalance;
     }
 
-    emit RewardsDistributed(msg.sender, stakers.length, block.timestamp);
+    lastRewardBlock = block.number;
   }
 
   /**
-   * @notice Update user rewards based on their stake.
+   * @notice Move rewards accrued by a user into their pending rewards.
+   * @dev Callers must refresh `rewardDebt` after changing the user's balance.
    * @param beneficiary The user whose rewards are updated.
    */
   function distributeRewards(address beneficiary) private {
-    uint256 lastCheckpoint = userInfo[beneficiary].checkpoint;
+    updatePool();
 
-    if (block.number > lastCheckpoint && totalStakingBalance > 0) {
-      uint256 blocksPassed = block.number - lastCheckpoint;
-      uint256 userShare = userInfo[beneficiary].stakingBalance;
+    UserInfo storage user = userInfo[beneficiary];
+    if (user.stakingBalance > 0) {
+      user.pendingRewards += calculateRewardDebt(beneficiary) - user.rewardDebt;
+    }
+    user.rewardDebt = calculateRewardDebt(beneficiary);
+    user.checkpoint = block.number;
+  }
 
-      if (userShare > 0) {
-        uint256 reward = (rewardPerBlock * blocksPassed * userShare) /
-          totalStakingBalance;
-        userInfo[beneficiary].pendingRewards += reward;
-      }
+  /**
+   * @notice Rewards emitted since the last pool update.
+   */
+  function pendingEmission() private view returns (uint256) {
+    return
+      isScheduled()
+        ? _pendingScheduledRewards()
+        : (block.number - lastRewardBlock) * rewardPerBlock;
+  }
 
-      userInfo[beneficiary].checkpoint = block.number;
+  /**
+   * @notice accRewardPerShare as updatePool would leave it in this block.
+   */
+  function currentAccRewardPerShare() private view returns (uint256) {
+    if (block.number <= lastRewardBlock || totalStakingBalance == 0) {
+      return accRewardPerShare;
     }
+    return
+      accRewardPerShare +
+      (_coveredRewards(pendingEmission()) * ACC_REWARD_PRECISION) /
+      totalStakingBalance;
+  }
+
+  function calculateRewardDebt(address user) private view returns (uint256) {
+    return
+      (userInfo[user].stakingBalance * accRewardPerShare) /
+      ACC_REWARD_PRECISION;
   }
 
   /**
    * @notice Update reward per block within allowed range.
+   * @dev Reverts while a reward schedule sets emission instead.
    * @param _newRewardPerBlock The new reward per block.
    */
-  function setRewardPerBlock(uint256 _newRewardPerBlock) external onlyOwner {
+  function setRewardPerBlock(
+    uint256 _newRewardPerBlock
+  ) external onlyRole(PARAMETER_MANAGER_ROLE) {
+    require(!isScheduled(), 'Reward schedule active');
     require(_newRewardPerBlock >= minRewardPerBlock, 'Below minimum');
     require(_newRewardPerBlock <= maxRewardPerBlock, 'Above maximum');
 
+    updatePool();
+
     uint256 oldValue = rewardPerBlock;
     rewardPerBlock = _newRewardPerBlock;
 
     emit RewardPerBlockChanged(
-      owner,
+      msg.sender,
       oldValue,
       _newRewardPerBlock,
       block.timestamp
@@ -225,17 +377,19 @@ contract TokenFarm {
   }
 
   /**
-   * @notice Set the min and max reward per block.
+   * @notice Set the min and max reward per block. Timelocked.
    * @param _minReward Minimum allowed reward per block.
    * @param _maxReward Maximum allowed reward per block.
    */
   function setRewardRange(
     uint256 _minReward,
     uint256 _maxReward
-  ) external onlyOwner {
+  ) external onlyRole(PARAMETER_MANAGER_ROLE) timelocked {
     require(_minReward < _maxReward, 'Min must be less than max');
     require(_maxReward > 0, 'Max must be greater than 0');
 
+    updatePool();
+
     minRewardPerBlock = _minReward;
     maxRewardPerBlock = _maxReward;
 
@@ -244,20 +398,129 @@ contract TokenFarm {
     } else if (rewardPerBlock > _maxReward) {
       rewardPerBlock = _maxReward;
     }
+    _clampEpochRates(_minReward, _maxReward);
+  }
+
+  /**
+   * @notice Emit rewards by timestamp from `_startTime` to `_endTime`
+   * instead of `rewardPerBlock`.
+   * @dev Epoch rates are per second and must be within the reward range.
+   * A new schedule replaces the current one from now on.
+   * @param _startTime When emission starts, also the first epoch start.
+   * @param _endTime When emission stops.
+   * @param _epochs Emission rates in order of start time.
+   */
+  function setRewardSchedule(
+    uint256 _startTime,
+    uint256 _endTime,
+    Epoch[] calldata _epochs
+  ) external onlyOwner {
+    updatePool();
+    _setRewardSchedule(
+      _startTime,
+      _endTime,
+      _epochs,
+      minRewardPerBlock,
+      maxRewardPerBlock
+    );
+
+    emit RewardScheduleSet(
+      owner,
+      _startTime,
+      _endTime,
+      _epochs.length,
+      block.timestamp
+    );
+  }
+
+  /**
+   * @notice Drop the reward schedule and go back to emitting
+   * `rewardPerBlock`, also once the schedule has ended.
+   */
+  function clearRewardSchedule() external onlyOwner {
+    updatePool();
+    _clearRewardSchedule();
+
+    emit RewardScheduleCleared(owner, block.timestamp);
+  }
+
+  /**
+   * @notice Fund rewards with DAPP already sent to the farm, spread over
+   * `_duration` blocks like Synthetix StakingRewards.
+   * @dev Switches the farm from minting to budget mode. Budget left from an
+   * earlier period rolls into the new one. Under a reward schedule the
+   * budget pays its epochs and `rewardPerBlock` is left as is.
+   * @param _amount DAPP added to the budget.
+   * @param _duration Blocks over which the whole budget is emitted, unused
+   * under a reward schedule.
+   */
+  function notifyRewardAmount(
+    uint256 _amount,
+    uint256 _duration
+  ) external onlyOwner {
+    require(_amount > 0, 'Amount must be greater than 0');
+
+    updatePool();
+    _addRewardBudget(_amount);
+
+    // Under a reward schedule the budget funds its epochs instead
+    uint256 newRewardPerBlock;
+    if (!isScheduled()) {
+      require(_duration > 0, 'Duration must be greater than 0');
+      newRewardPerBlock = rewardBudget() / _duration;
+      require(newRewardPerBlock >= minRewardPerBlock, 'Below minimum');
+      require(newRewardPerBlock <= maxRewardPerBlock, 'Above maximum');
+
+      uint256 oldValue = rewardPerBlock;
+      rewardPerBlock = newRewardPerBlock;
+
+      emit RewardPerBlockChanged(
+        owner,
+        oldValue,
+        newRewardPerBlock,
+        block.timestamp
+      );
+    }
+
+    emit RewardAmountNotified(
+      owner,
+      _amount,
+      _duration,
+      newRewardPerBlock,
+      block.timestamp
+    );
   }
 
   /**
-   * @notice Withdraw accumulated fees to the owner.
+   * @notice Set the oracle pricing DAPP and LP tokens for getApr.
+   * @param _oracle Price oracle, or the zero address to turn getApr off.
+   * @param _blocksPerYear Blocks per year on this network.
    */
-  function withdrawFees() external onlyOwner {
+  function setPriceOracle(
+    IPriceOracle _oracle,
+    uint256 _blocksPerYear
+  ) external onlyOwner {
+    _setPriceOracle(_oracle, _blocksPerYear);
+    emit PriceOracleChanged(
+      owner,
+      address(_oracle),
+      _blocksPerYear,
+      block.timestamp
+    );
+  }
+
+  /**
+   * @notice Withdraw accumulated fees to the fee collector.
+   */
+  function withdrawFees() external onlyRole(FEE_COLLECTOR_ROLE) {
     require(accumulatedFees > 0, 'No fees to withdraw');
 
     uint256 amount = accumulatedFees;
     accumulatedFees = 0;
 
-    dappToken.mint(owner, amount);
+    _payRewards(msg.sender, amount);
 
-    emit FeesWithdrawn(owner, amount, block.timestamp);
+    emit FeesWithdrawn(msg.sender, amount, block.timestamp);
   }
 
   // Utility getters
@@ -269,6 +532,29 @@ contract TokenFarm {
     return WITHDRAWAL_FEE_BASIS_POINTS;
   }
 
+  /**
+   * @notice Farm version, 2 once a proxy is upgraded to TokenFarmV2.
+   */
+  function getVersion() external pure returns (uint256) {
+    return VERSION;
+  }
+
+  /**
+   * @notice Blocks of emission left in the reward budget at the current
+   * rate, or type(uint256).max while rewards are minted. Under a reward
+   * schedule, seconds until emission stops at its end or with the budget.
+   */
+  function getRewardRunway() public view returns (uint256) {
+    uint256 accrued;
+    if (totalStakingBalance > 0) {
+      accrued = pendingEmission();
+    }
+    if (isScheduled()) {
+      return _scheduledRunway(_budgetLeft(accrued));
+    }
+    return _rewardRunway(rewardPerBlock, accrued);
+  }
+
   function getStakerCount() external view returns (uint256) {
     return stakers.length;
   }
@@ -282,6 +568,22 @@ contract TokenFarm {
     return userInfo[user].pendingRewards;
   }
 
+  /**
+   * @notice Pending rewards including blocks not yet accrued, i.e. what
+   * claimRewards would pay before the fee if called in this block.
+   */
+  function previewPendingRewards(address user) public view returns (uint256) {
+    UserInfo memory info = userInfo[user];
+    if (info.stakingBalance == 0) {
+      return info.pendingRewards;
+    }
+    return
+      info.pendingRewards +
+      (info.stakingBalance * currentAccRewardPerShare()) /
+      ACC_REWARD_PRECISION -
+      info.rewardDebt;
+  }
+
   function getStakingBalance(address user) external view returns (uint256) {
     return userInfo[user].stakingBalance;
   }
@@ -310,16 +612,66 @@ contract TokenFarm {
   }
 
   /**
-   * @notice Transfer contract ownership to a new address.
-   * @param newOwner The address of the new owner.
+   * @notice Only the owner can upgrade the proxy implementation.
    */
-  function transferOwnership(address newOwner) external onlyOwner {
-    require(newOwner != address(0), 'New owner cannot be zero address');
-    require(newOwner != owner, 'Already owner');
+  function _authorizeUpgrade(address) internal override onlyOwner {}
+
+  function _rewardToken()
+    internal
+    view
+    override(RewardBudget, FarmOwnership, FarmApr)
+    returns (DAppToken)
+  {
+    return dappToken;
+  }
+
+  function _stakedToken() internal view override returns (address) {
+    return address(lpToken);
+  }
+
+  function _totalStaked() internal view override returns (uint256) {
+    return totalStakingBalance;
+  }
 
+  function _rewardsPerYear(
+    uint256 _blocksPerYear
+  ) internal view override returns (uint256) {
+    // A funded budget that ran out emits nothing until topped up
+    if (getRewardRunway() == 0) {
+      return 0;
+    }
+    if (isScheduled()) {
+      return currentRewardPerSecond() * 365 days;
+    }
+    return rewardPerBlock * _blocksPerYear;
+  }
+
+  function _stakerList() internal view override returns (address[] storage) {
+    return stakers;
+  }
+
+  function _isStaking(address user) internal view override returns (bool) {
+    return userInfo[user].isStaking;
+  }
+
+  function _settleStaker(address user) internal override {
+    distributeRewards(user);
+  }
+
+  function _owner() internal view override returns (address) {
+    return owner;
+  }
+
+  function _setOwner(address newOwner) internal override {
     address oldOwner = owner;
     owner = newOwner;
-
     emit OwnerChanged(oldOwner, newOwner, block.timestamp);
   }
+
+  function _isTimelocked(
+    bytes4 selector
+  ) internal pure override returns (bool) {
+    return
+      selector == this.setRewardRange.selector || super._isTimelocked(selector);
+  }
 }
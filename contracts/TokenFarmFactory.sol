@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import {Clones} from '@openzeppelin/contracts/proxy/Clones.sol';
+import './TokenFarmV2.sol';
+
+/**
+ * @title Token Farm Factory
+ * @notice Deploys one TokenFarmV2 per LP token as an EIP-1167 minimal proxy
+ * of a single implementation, so new farms only pay for a clone.
+ */
+contract TokenFarmFactory {
+  // Basic state
+  address public owner;
+  address public implementation;
+  DAppToken public dappToken;
+
+  // Farm registry
+  address[] public farms;
+  mapping(address => address) public farmByLpToken;
+
+  // Events
+  event FarmCreated(
+    address indexed lpToken,
+    address indexed farm,
+    address indexed owner,
+    uint256 index,
+    uint256 timestamp
+  );
+  event OwnerChanged(
+    address indexed oldOwner,
+    address indexed newOwner,
+    uint256 timestamp
+  );
+
+  // Access control
+  modifier onlyOwner() {
+    require(msg.sender == owner, 'Only owner can call this function');
+    _;
+  }
+
+  constructor(address _implementation, DAppToken _dappToken) {
+    require(_implementation != address(0), 'Zero address');
+    implementation = _implementation;
+    dappToken = _dappToken;
+    owner = msg.sender;
+  }
+
+  /**
+   * @notice Clone the implementation for a new LP token.
+   * @param _lpToken The LP token staked in the new farm.
+   * @param _params Initial reward range, fee, lock period and penalty.
+   * @return farm The address of the new farm, owned by the caller.
+   */
+  function createFarm(
+    LPToken _lpToken,
+    TokenFarmV2.FarmParams calldata _params
+  ) external onlyOwner returns (address farm) {
+    require(address(_lpToken) != address(0), 'Zero address');
+    require(
+      farmByLpToken[address(_lpToken)] == address(0),
+      'Farm already exists'
+    );
+
+    farm = Clones.cloneDeterministic(implementation, salt(_lpToken));
+    TokenFarmV2(farm).initialize(dappToken, _lpToken, msg.sender, _params);
+
+    farmByLpToken[address(_lpToken)] = farm;
+    farms.push(farm);
+
+    emit FarmCreated(
+      address(_lpToken),
+      farm,
+      msg.sender,
+      farms.length - 1,
+      block.timestamp
+    );
+  }
+
+  /**
+   * @notice Address the farm for `_lpToken` is (or will be) deployed at.
+   */
+  function predictFarmAddress(
+    LPToken _lpToken
+  ) external view returns (address) {
+    return Clones.predictDeterministicAddress(implementation, salt(_lpToken));
+  }
+
+  function getFarmCount() external view returns (uint256) {
+    return farms.length;
+  }
+
+  function getFarmByIndex(uint256 index) external view returns (address) {
+    require(index < farms.length, 'Index out of bounds');
+    return farms[index];
+  }
+
+  function transferOwnership(address newOwner) external onlyOwner {
+    require(newOwner != address(0), 'Zero address');
+    require(newOwner != owner, 'Already owner');
+    address oldOwner = owner;
+    owner = newOwner;
+    emit OwnerChanged(oldOwner, newOwner, block.timestamp);
+  }
+
+  function salt(LPToken _lpToken) private pure returns (bytes32) {
+    return bytes32(uint256(uint160(address(_lpToken))));
+  }
+}
@@ -1,107 +1,48 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.18;
 
-import './DappToken.sol';
-import './LPToken.sol';
+import {Initializable} from '@openzeppelin/contracts/proxy/utils/Initializable.sol';
+import {UUPSUpgradeable} from '@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol';
+import {IERC20Permit} from '@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol';
+import {SafeERC20} from '@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol';
+import {Address} from '@openzeppelin/contracts/utils/Address.sol';
+import './TokenFarmV2Storage.sol';
+import './TokenFarmV2Admin.sol';
+import './RewardBudget.sol';
+import './RewardSchedule.sol';
+import './ParameterTimelock.sol';
+import './FarmOwnership.sol';
+import './FarmClaimers.sol';
+import './FarmStakers.sol';
+import './FarmApr.sol';
+import './FarmReentrancyGuard.sol';
 
 /**
  * @title Proportional Token Farm V2
  * @notice Staking farm with versioning, withdrawal fees, lock periods and emergency controls.
+ * @dev Can be deployed directly, cloned (see TokenFarmFactory) or used as the
+ * upgrade target of a TokenFarm proxy. Storage starts with the exact TokenFarm
+ * layout and only appends after it (see TokenFarmV2Storage). Admin, role,
+ * ownership and timelock functions run in TokenFarmV2Admin through
+ * delegatecall, so the farm stays well under the contract size limit.
  */
-contract TokenFarmV2 {
-  // Basic state
-  string public name = 'Proportional Token Farm V2';
-  uint256 public constant VERSION = 2;
-  address public owner;
-  DAppToken public dappToken;
-  LPToken public lpToken;
-
-  // Rewards setings
-  uint256 public rewardPerBlock;
-  uint256 public minRewardPerBlock;
-  uint256 public maxRewardPerBlock;
-  uint256 public totalStakingBalance;
-
-  // Withdrawal fee (3%)
-  uint256 public withdrawalFeeBasisPoints;
-  uint256 public constant BASIS_POINTS_DENOMINATOR = 10000;
-  uint256 public accumulatedFees;
-
-  // V2 features
-  uint256 public stakingLockPeriod;
-  uint256 public earlyWithdrawalPenalty;
-  bool public emergencyStop;
-
-  // User data
-  struct UserInfo {
-    uint256 stakingBalance;
-    uint256 checkpoint;
-    uint256 pendingRewards;
-    bool hasStaked;
-    bool isStaking;
-    uint256 totalRewardsClaimed;
-    uint256 lastClaimBlock;
-    uint256 stakingStartBlock;
-  }
-
-  address[] public stakers;
-  mapping(address => UserInfo) public userInfo;
-
-  // Events
-  event Deposit(address indexed user, uint256 amount, uint256 timestamp);
-  event Withdraw(
-    address indexed user,
-    uint256 amount,
-    uint256 penalty,
-    uint256 timestamp
-  );
-  event RewardsClaimed(
-    address indexed user,
-    uint256 amount,
-    uint256 fee,
-    uint256 netAmount,
-    uint256 timestamp
-  );
-  event RewardsDistributed(
-    address indexed owner,
-    uint256 totalUsers,
-    uint256 timestamp
-  );
-  event OwnerChanged(
-    address indexed oldOwner,
-    address indexed newOwner,
-    uint256 timestamp
-  );
-  event RewardPerBlockChanged(
-    address indexed owner,
-    uint256 oldValue,
-    uint256 newValue,
-    uint256 timestamp
-  );
-  event FeesWithdrawn(address indexed owner, uint256 amount, uint256 timestamp);
-  event StakingLockPeriodChanged(
-    address indexed owner,
-    uint256 oldValue,
-    uint256 newValue,
-    uint256 timestamp
-  );
-  event EarlyWithdrawalPenaltyChanged(
-    address indexed owner,
-    uint256 oldValue,
-    uint256 newValue,
-    uint256 timestamp
-  );
-  event WithdrawalFeeChanged(
-    address indexed owner,
-    uint256 oldValue,
-    uint256 newValue,
-    uint256 timestamp
-  );
-  event EmergencyStopToggled(
-    address indexed owner,
-    bool stopped,
-    uint256 timestamp
-  );
+contract TokenFarmV2 is
+  TokenFarmV2Storage,
+  Initializable,
+  UUPSUpgradeable,
+  RewardBudget,
+  RewardSchedule,
+  ParameterTimelock,
+  FarmOwnership,
+  FarmClaimers,
+  FarmStakers,
+  FarmApr,
+  FarmReentrancyGuard
+{
+  using SafeERC20 for LPToken;
+
+  // Runs the larger admin functions in this farm's storage
+  address private immutable adminFunctions;
 
   // Modifiers
   modifier onlyOwner() {
@@ -109,7 +50,7 @@ contract TokenFarmV2 {
     _;
   }
   modifier onlyStaker() {
-    require(userInfo[msg.sender].isStaking, 'User is not staking');
+    require(userInfo[_msgSender()].isStaking, 'User is not staking');
     _;
   }
   modifier onlyStakerOrOwner() {
@@ -123,98 +64,252 @@ contract TokenFarmV2 {
     require(!emergencyStop, 'Contract is in emergency stop');
     _;
   }
+  /**
+   * @dev Only before any initialization: `initialize` runs as
+   * `reinitializer(2)` so a fresh farm has no `initializeV2` left to call,
+   * and this keeps an upgraded TokenFarm proxy from running it instead
+   */
+  modifier onlyUninitialized() {
+    if (_getInitializedVersion() != 0) {
+      revert InvalidInitialization();
+    }
+    _;
+  }
 
   constructor(DAppToken _dappToken, LPToken _lpToken) {
-    dappToken = _dappToken;
-    lpToken = _lpToken;
-    owner = msg.sender;
+    adminFunctions = address(new TokenFarmV2Admin());
+    initialize(_dappToken, _lpToken, msg.sender, defaultParams());
+  }
 
-    // Defaults
-    rewardPerBlock = 1e18;
-    minRewardPerBlock = 0.1e18;
-    maxRewardPerBlock = 10e18;
-    withdrawalFeeBasisPoints = 300; // 3%
-    stakingLockPeriod = 100; // 100 blocks
-    earlyWithdrawalPenalty = 500; // 5%
-    emergencyStop = false;
+  /**
+   * @notice Set up the farm state, once per deployment or clone
+   * @param _dappToken Reward token minted by the farm
+   * @param _lpToken LP token staked in the farm
+   * @param _initialOwner Farm administrator
+   * @param _params Reward range, fee, lock period and penalty settings
+   */
+  function initialize(
+    DAppToken _dappToken,
+    LPToken _lpToken,
+    address _initialOwner,
+    FarmParams memory _params
+  ) public onlyUninitialized reinitializer(2) {
+    delegateToAdmin(
+      abi.encodeCall(
+        TokenFarmV2Admin.initialize,
+        (_dappToken, _lpToken, _initialOwner, _params)
+      )
+    );
   }
 
   /**
-   * @notice Stake LP tokens
+   * @notice Set up the V2 settings of a TokenFarm proxy upgraded to V2
+   * @dev Run through `upgradeToAndCall`; existing userInfo is kept as is
    */
-  function deposit(uint256 _amount) external whenNotEmergency {
-    require(_amount > 0, 'Amount must be greater than 0');
+  function initializeV2(
+    uint256 _withdrawalFeeBasisPoints,
+    uint256 _stakingLockPeriod,
+    uint256 _earlyWithdrawalPenalty
+  ) external reinitializer(2) onlyOwner {
+    delegateToAdmin(
+      abi.encodeCall(
+        TokenFarmV2Admin.initializeV2,
+        (_withdrawalFeeBasisPoints, _stakingLockPeriod, _earlyWithdrawalPenalty)
+      )
+    );
+  }
+
+  /**
+   * @notice Default settings used by direct deployments
+   */
+  function defaultParams() public pure returns (FarmParams memory) {
+    return
+      FarmParams({
+        rewardPerBlock: 1e18,
+        minRewardPerBlock: 0.1e18,
+        maxRewardPerBlock: 10e18,
+        withdrawalFeeBasisPoints: 300, // 3%
+        stakingLockPeriod: 100, // 100 blocks
+        earlyWithdrawalPenalty: 500 // 5%
+      });
+  }
+
+  /**
+   * @notice Stake LP tokens without a boost lock. During a boost lock the
+   * tokens join the boosted stake and the lock restarts at its tier
+   */
+  function deposit(uint256 _amount) external {
+    stake(_msgSender(), _amount, 0);
+  }
 
-    lpToken.transferFrom(msg.sender, address(this), _amount);
+  /**
+   * @notice Stake LP tokens approved through an EIP-2612 permit signature,
+   * like `deposit(uint256)`
+   * @dev A permit already used by someone front-running this call is fine as
+   * long as the allowance is in place
+   */
+  function depositWithPermit(
+    uint256 _amount,
+    uint256 _deadline,
+    uint8 _v,
+    bytes32 _r,
+    bytes32 _s
+  ) external {
+    address user = _msgSender();
+    try
+      IERC20Permit(address(lpToken)).permit(
+        user,
+        address(this),
+        _amount,
+        _deadline,
+        _v,
+        _r,
+        _s
+      )
+    {} catch {
+      require(
+        lpToken.allowance(user, address(this)) >= _amount,
+        'Invalid permit'
+      );
+    }
+    stake(user, _amount, 0);
+  }
 
-    userInfo[msg.sender].stakingBalance += _amount;
-    totalStakingBalance += _amount;
+  /**
+   * @notice Stake LP tokens and lock the whole stake for `_lockBlocks`
+   * blocks, earning rewards at that boost tier's multiplier until the lock
+   * ends. 0 deposits without a boost.
+   * @dev A new lock cannot end before the user's current one
+   */
+  function deposit(uint256 _amount, uint256 _lockBlocks) external {
+    stake(_msgSender(), _amount, _lockBlocks);
+  }
+
+  /**
+   * @dev Credits what actually arrived, so LP tokens that take a fee on
+   * transfer cannot inflate `totalStakingBalance`
+   */
+  function stake(
+    address user,
+    uint256 _amount,
+    uint256 _lockBlocks
+  ) private nonReentrant whenNotEmergency {
+    require(_amount > 0, 'Amount must be greater than 0');
 
-    if (!userInfo[msg.sender].hasStaked) {
-      stakers.push(msg.sender);
-      userInfo[msg.sender].hasStaked = true;
-      userInfo[msg.sender].stakingStartBlock = block.number;
+    LPToken token = lpToken;
+    uint256 balanceBefore = token.balanceOf(address(this));
+    token.safeTransferFrom(user, address(this), _amount);
+    uint256 received = token.balanceOf(address(this)) - balanceBefore;
+    require(received > 0, 'No tokens received');
+
+    distributeRewards(user);
+    if (_lockBlocks > 0) {
+      lockBoost(user, _lockBlocks);
+    } else if (block.number < boostInfo[user].unlockBlock) {
+      extendBoost(user);
     }
 
-    userInfo[msg.sender].isStaking = true;
-    if (userInfo[msg.sender].checkpoint == 0) {
-      userInfo[msg.sender].checkpoint = block.number;
+    userInfo[user].stakingBalance += received;
+    totalStakingBalance += received;
+
+    if (!_isListed(user, userInfo[user].hasStaked)) {
+      _addStaker(user);
+      if (!userInfo[user].hasStaked) {
+        userInfo[user].hasStaked = true;
+        userInfo[user].stakingStartBlock = block.number;
+      }
     }
 
-    distributeRewards(msg.sender);
+    userInfo[user].isStaking = true;
+    updateBoostWeight(user);
+    userInfo[user].rewardDebt = calculateRewardDebt(user);
+
+    lockDeposit(user, received);
 
-    emit Deposit(msg.sender, _amount, block.timestamp);
+    emit Deposit(user, received, block.timestamp);
   }
 
   /**
-   * @notice Withdraw all staked LP tokens
+   * @notice Withdraw staked LP tokens, fully or partially
+   * @dev The early withdrawal penalty only applies to the part of the amount
+   * that is still locked. Boost-locked stakes cannot be withdrawn at all
+   * until the boost lock ends.
    */
-  function withdraw() external onlyStaker whenNotEmergency {
-    uint256 staked = userInfo[msg.sender].stakingBalance;
-    require(staked > 0, 'No tokens to withdraw');
+  function withdraw(
+    uint256 _amount
+  ) external nonReentrant onlyStaker whenNotEmergency {
+    address user = _msgSender();
+    require(_amount > 0, 'Amount must be greater than 0');
+    require(
+      block.number >= boostInfo[user].unlockBlock,
+      'Stake is boost-locked'
+    );
 
-    uint256 blocksStaked = block.number -
-      userInfo[msg.sender].stakingStartBlock;
-    uint256 penalty = 0;
+    distributeRewards(user);
 
-    if (blocksStaked < stakingLockPeriod) {
-      penalty = (staked * earlyWithdrawalPenalty) / BASIS_POINTS_DENOMINATOR;
-    }
+    require(
+      _amount <= userInfo[user].stakingBalance,
+      'Insufficient staked balance'
+    );
+
+    // Unlocked tokens go out first, only the locked remainder is penalized
+    uint256 locked = lockedBalanceOf(user);
+    uint256 unlocked = userInfo[user].stakingBalance - locked;
+    uint256 lockedWithdrawn = _amount > unlocked ? _amount - unlocked : 0;
+    uint256 penalty = (lockedWithdrawn * earlyWithdrawalPenalty) /
+      BASIS_POINTS_DENOMINATOR;
 
-    uint256 payout = staked - penalty;
+    uint256 payout = _amount - penalty;
+    userInfo[user].lockedBalance = locked - lockedWithdrawn;
 
-    distributeRewards(msg.sender);
+    userInfo[user].stakingBalance -= _amount;
+    updateBoostWeight(user);
+    userInfo[user].rewardDebt = calculateRewardDebt(user);
+    totalStakingBalance -= _amount;
+    penaltyPool += penalty;
 
-    userInfo[msg.sender].stakingBalance = 0;
-    userInfo[msg.sender].isStaking = false;
-    totalStakingBalance -= staked;
+    if (userInfo[user].stakingBalance == 0) {
+      userInfo[user].isStaking = false;
+      _removeStaker(user);
+    }
 
-    lpToken.transfer(msg.sender, payout);
+    lpToken.safeTransfer(user, payout);
 
-    emit Withdraw(msg.sender, payout, penalty, block.timestamp);
+    emit Withdraw(user, payout, penalty, block.timestamp);
   }
 
   /**
    * @notice Claim accumulated rewards
    */
-  function claimRewards() external whenNotEmergency {
-    uint256 pendingAmount = userInfo[msg.sender].pendingRewards;
+  function claimRewards() external {
+    _claimRewards(_msgSender(), _msgSender());
+  }
+
+  function _claimRewards(
+    address user,
+    address recipient
+  ) internal override nonReentrant whenNotEmergency {
+    distributeRewards(user);
+
+    uint256 pendingAmount = userInfo[user].pendingRewards;
     require(pendingAmount > 0, 'No rewards to claim');
 
     uint256 fee = (pendingAmount * withdrawalFeeBasisPoints) /
       BASIS_POINTS_DENOMINATOR;
     uint256 netAmount = pendingAmount - fee;
 
-    userInfo[msg.sender].pendingRewards = 0;
-    userInfo[msg.sender].totalRewardsClaimed += netAmount;
-    userInfo[msg.sender].lastClaimBlock = block.number;
+    userInfo[user].pendingRewards = 0;
+    userInfo[user].totalRewardsClaimed += netAmount;
+    userInfo[user].lastClaimBlock = block.number;
 
     accumulatedFees += fee;
 
-    dappToken.mint(msg.sender, netAmount);
+    _payRewards(recipient, netAmount);
 
     emit RewardsClaimed(
-      msg.sender,
+      user,
+      recipient,
+      _msgSender(),
       pendingAmount,
       fee,
       netAmount,
@@ -223,137 +318,525 @@ contract TokenFarmV2 {
   }
 
   /**
-   * @notice Distribute rewards to all stakers
+   * @notice Accrue rewards emitted since the last update into the accumulator
    */
-  function distributeRewardsAll() external onlyOwner whenNotEmergency {
-    for (uint256 i = 0; i < stakers.length; i++) {
-      address staker = stakers[i];
-      if (userInfo[staker].isStaking) {
-        distributeRewards(staker);
-      }
+  function updatePool() public {
+    if (block.number <= lastRewardBlock) {
+      return;
     }
-    emit RewardsDistributed(msg.sender, stakers.length, block.timestamp);
+
+    uint256 emitted = isScheduled()
+      ? _takeScheduledRewards()
+      : (block.number - lastRewardBlock) * rewardPerBlock;
+
+    if (totalStakingBalance > 0) {
+      uint256 reward = _allocateRewards(emitted);
+      accRewardPerShare +=
+        (reward * ACC_REWARD_PRECISION) /
+        (totalStakingBalance + totalBoostWeight);
+    }
+
+    lastRewardBlock = block.number;
   }
 
   /**
-   * @dev Internal reward calculation
+   * @dev Moves rewards accrued through the accumulator into pendingRewards,
+   * less what an expired boost earned after its unlock block, adds the user's
+   * share of redistributed penalties to the stake and drops an expired boost
    */
   function distributeRewards(address beneficiary) private {
-    uint256 lastCheckpoint = userInfo[beneficiary].checkpoint;
-
-    if (block.number > lastCheckpoint && totalStakingBalance > 0) {
-      uint256 blocksPassed = block.number - lastCheckpoint;
-      uint256 userShare = userInfo[beneficiary].stakingBalance;
-
-      if (userShare > 0) {
-        uint256 reward = (rewardPerBlock * blocksPassed * userShare) /
-          totalStakingBalance;
-        userInfo[beneficiary].pendingRewards += reward;
+    updatePool();
+
+    UserInfo storage user = userInfo[beneficiary];
+    if (user.stakingBalance > 0) {
+      uint256 accrued = calculateRewardDebt(beneficiary) - user.rewardDebt;
+      uint256 forfeited = expiredBoostRewards(beneficiary, accrued);
+      if (forfeited > 0) {
+        // Back to the other stakers, who earned less while it counted
+        accRewardPerShare +=
+          (forfeited * ACC_REWARD_PRECISION) /
+          (totalStakingBalance +
+            totalBoostWeight -
+            rewardWeightOf(beneficiary));
       }
-
-      userInfo[beneficiary].checkpoint = block.number;
+      user.pendingRewards += accrued - forfeited;
+      uint256 share = pendingPenaltyShare(beneficiary);
+      user.stakingBalance += share;
+      totalStakingBalance += share;
+      uncreditedPenalties -= share;
     }
+    updateBoostWeight(beneficiary);
+    user.penaltyPerSharePaid = accPenaltyPerShare;
+    user.rewardDebt = calculateRewardDebt(beneficiary);
+    user.checkpoint = block.number;
   }
 
-  // --- Owner functions ---
+  /**
+   * @dev Locks a new deposit for `stakingLockPeriod` blocks. The still-locked
+   * balance shares one unlock block, the amount-weighted average of its
+   * deposits, so a top-up neither resets nor skips the lock of older tokens.
+   */
+  function lockDeposit(address user, uint256 _amount) private {
+    if (stakingLockPeriod == 0) {
+      return;
+    }
 
-  function setRewardPerBlock(uint256 _newRewardPerBlock) external onlyOwner {
-    require(_newRewardPerBlock >= minRewardPerBlock, 'Below minimum');
-    require(_newRewardPerBlock <= maxRewardPerBlock, 'Above maximum');
+    UserInfo storage info = userInfo[user];
+    uint256 locked = lockedBalanceOf(user);
+    uint256 newLocked = locked + _amount;
+    uint256 lockedWeight = locked * info.unlockBlock;
+    uint256 depositWeight = _amount * (block.number + stakingLockPeriod);
+
+    info.lockedBalance = newLocked;
+    // Round up so a weighted lock never ends early
+    info.unlockBlock =
+      (lockedWeight + depositWeight + newLocked - 1) /
+      newLocked;
+  }
 
-    uint256 oldValue = rewardPerBlock;
-    rewardPerBlock = _newRewardPerBlock;
+  /**
+   * @dev Boost the user's whole stake at the tier of `_lockBlocks`, locked
+   * from now on
+   */
+  function lockBoost(address user, uint256 _lockBlocks) private {
+    uint256 multiplier = boostMultiplier[_lockBlocks];
+    require(multiplier > 0, 'Unknown lock duration');
+
+    BoostInfo storage boost = boostInfo[user];
+    uint256 unlockBlock = block.number + _lockBlocks;
+    require(unlockBlock >= boost.unlockBlock, 'Lock ends before current lock');
+
+    boost.multiplier = multiplier;
+    boost.unlockBlock = unlockBlock;
+    boost.lockBlocks = _lockBlocks;
+    emit BoostLocked(
+      user,
+      _lockBlocks,
+      multiplier,
+      unlockBlock,
+      block.timestamp
+    );
+  }
 
-    emit RewardPerBlockChanged(
-      owner,
-      oldValue,
-      _newRewardPerBlock,
+  /**
+   * @dev Restart an active boost lock at its tier and multiplier, so a
+   * top-up is locked as long as the rest of the boosted stake
+   */
+  function extendBoost(address user) private {
+    BoostInfo storage boost = boostInfo[user];
+    uint256 unlockBlock = block.number + boost.lockBlocks;
+    if (unlockBlock > boost.unlockBlock) {
+      boost.unlockBlock = unlockBlock;
+    }
+    emit BoostLocked(
+      user,
+      boost.lockBlocks,
+      boost.multiplier,
+      boost.unlockBlock,
       block.timestamp
     );
   }
 
-  function setRewardRange(
-    uint256 _minReward,
-    uint256 _maxReward
-  ) external onlyOwner {
-    require(_minReward < _maxReward, 'Invalid range');
-    require(_maxReward > 0, 'Max must be > 0');
+  /**
+   * @dev Recompute the extra reward weight after a balance change. The boost
+   * ends with its lock; rewards it earned past the unlock block are taken
+   * back by `expiredBoostRewards` on the same update.
+   */
+  function updateBoostWeight(address user) private {
+    BoostInfo storage boost = boostInfo[user];
+    if (boost.multiplier > 0 && block.number >= boost.unlockBlock) {
+      boost.multiplier = 0;
+    }
 
-    minRewardPerBlock = _minReward;
-    maxRewardPerBlock = _maxReward;
+    uint256 weight;
+    if (boost.multiplier > 0) {
+      weight =
+        (userInfo[user].stakingBalance *
+          (boost.multiplier - BASIS_POINTS_DENOMINATOR)) /
+        BASIS_POINTS_DENOMINATOR;
+    }
+    totalBoostWeight = totalBoostWeight - boost.weight + weight;
+    boost.weight = weight;
+  }
 
-    if (rewardPerBlock < _minReward) {
-      rewardPerBlock = _minReward;
-    } else if (rewardPerBlock > _maxReward) {
-      rewardPerBlock = _maxReward;
+  function lockedBalanceOf(address user) private view returns (uint256) {
+    if (block.number >= userInfo[user].unlockBlock) {
+      return 0;
     }
+    return userInfo[user].lockedBalance;
   }
 
-  function withdrawFees() external onlyOwner {
-    require(accumulatedFees > 0, 'No fees to withdraw');
-    uint256 amount = accumulatedFees;
-    accumulatedFees = 0;
+  /**
+   * @dev What `accrued` over-counts for a boost that expired since the user's
+   * last update: the blocks after the unlock block get their pro rata part of
+   * `accrued`, repriced as if unboosted at the current totals. 0 with no
+   * other stakers, whose share the boost took.
+   */
+  function expiredBoostRewards(
+    address user,
+    uint256 accrued
+  ) private view returns (uint256) {
+    BoostInfo memory boost = boostInfo[user];
+    uint256 checkpoint = userInfo[user].checkpoint;
+    uint256 totalWeight = totalStakingBalance + totalBoostWeight;
+    if (
+      boost.multiplier == 0 ||
+      block.number < boost.unlockBlock ||
+      block.number <= checkpoint ||
+      totalWeight == rewardWeightOf(user)
+    ) {
+      return 0;
+    }
 
-    dappToken.mint(owner, amount);
-    emit FeesWithdrawn(owner, amount, block.timestamp);
+    uint256 expiredSince = boost.unlockBlock > checkpoint
+      ? boost.unlockBlock
+      : checkpoint;
+    uint256 expiredAccrued = (accrued * (block.number - expiredSince)) /
+      (block.number - checkpoint);
+    uint256 unboosted = (((expiredAccrued * userInfo[user].stakingBalance) /
+      rewardWeightOf(user)) * totalWeight) / (totalWeight - boost.weight);
+    return expiredAccrued - unboosted;
   }
 
-  function setWithdrawalFee(uint256 _newFeeBasisPoints) external onlyOwner {
-    require(_newFeeBasisPoints <= 1000, 'Fee cannot exceed 10%');
-    uint256 oldValue = withdrawalFeeBasisPoints;
-    withdrawalFeeBasisPoints = _newFeeBasisPoints;
-    emit WithdrawalFeeChanged(
-      owner,
-      oldValue,
-      _newFeeBasisPoints,
-      block.timestamp
-    );
+  /**
+   * @dev Redistributed penalties owed to `user` but not yet added to the
+   * stake. Rounds down per user, so the sum never exceeds what was
+   * redistributed.
+   */
+  function pendingPenaltyShare(address user) private view returns (uint256) {
+    return
+      (userInfo[user].stakingBalance *
+        (accPenaltyPerShare - userInfo[user].penaltyPerSharePaid)) /
+      ACC_REWARD_PRECISION;
   }
 
-  function setStakingLockPeriod(uint256 _newLockPeriod) external onlyOwner {
-    require(_newLockPeriod <= 10000, 'Lock period cannot exceed 10000 blocks');
-    uint256 oldValue = stakingLockPeriod;
-    stakingLockPeriod = _newLockPeriod;
-    emit StakingLockPeriodChanged(
-      owner,
-      oldValue,
-      _newLockPeriod,
-      block.timestamp
-    );
+  /**
+   * @dev Rewards emitted since the last pool update
+   */
+  function pendingEmission() private view returns (uint256) {
+    return
+      isScheduled()
+        ? _pendingScheduledRewards()
+        : (block.number - lastRewardBlock) * rewardPerBlock;
   }
 
-  function setEarlyWithdrawalPenalty(
-    uint256 _newPenaltyBasisPoints
+  /**
+   * @dev accRewardPerShare as updatePool would leave it in this block
+   */
+  function currentAccRewardPerShare() private view returns (uint256) {
+    if (block.number <= lastRewardBlock || totalStakingBalance == 0) {
+      return accRewardPerShare;
+    }
+    return
+      accRewardPerShare +
+      (_coveredRewards(pendingEmission()) * ACC_REWARD_PRECISION) /
+      (totalStakingBalance + totalBoostWeight);
+  }
+
+  function calculateRewardDebt(address user) private view returns (uint256) {
+    return (rewardWeightOf(user) * accRewardPerShare) / ACC_REWARD_PRECISION;
+  }
+
+  // --- Admin and role functions ---
+  // Run in TokenFarmV2Admin, which checks access and timelocks
+
+  /**
+   * @dev Reverts while a reward schedule sets emission instead
+   */
+  function setRewardPerBlock(uint256 /* _newRewardPerBlock */) external {
+    updatePool();
+    delegateToAdmin(msg.data);
+  }
+
+  /**
+   * @notice Set the min and max reward per block. Timelocked
+   */
+  function setRewardRange(
+    uint256 /* _minReward */,
+    uint256 /* _maxReward */
+  ) external {
+    updatePool();
+    delegateToAdmin(msg.data);
+  }
+
+  /**
+   * @notice Emit rewards by timestamp from `_startTime` to `_endTime`
+   * instead of `rewardPerBlock`
+   * @dev Epoch rates are per second and must be within the reward range.
+   * A new schedule replaces the current one from now on
+   */
+  function setRewardSchedule(
+    uint256 /* _startTime */,
+    uint256 /* _endTime */,
+    Epoch[] calldata /* _epochs */
+  ) external {
+    updatePool();
+    delegateToAdmin(msg.data);
+  }
+
+  /**
+   * @notice Drop the reward schedule and go back to emitting
+   * `rewardPerBlock`, also once the schedule has ended
+   */
+  function clearRewardSchedule() external {
+    updatePool();
+    delegateToAdmin(msg.data);
+  }
+
+  /**
+   * @notice Fund rewards with DAPP already sent to the farm, spread over
+   * `_duration` blocks like Synthetix StakingRewards
+   * @dev Switches the farm from minting to budget mode. Budget left from an
+   * earlier period rolls into the new one. Under a reward schedule the
+   * budget pays its epochs and `rewardPerBlock` is left as is
+   */
+  function notifyRewardAmount(
+    uint256 /* _amount */,
+    uint256 /* _duration */
+  ) external {
+    updatePool();
+    delegateToAdmin(msg.data);
+  }
+
+  /**
+   * @notice Set the oracle pricing DAPP and LP tokens for getApr
+   * @param _oracle Price oracle, or the zero address to turn getApr off
+   * @param _blocksPerYear Blocks per year on this network
+   */
+  function setPriceOracle(
+    IPriceOracle _oracle,
+    uint256 _blocksPerYear
   ) external onlyOwner {
-    require(_newPenaltyBasisPoints <= 2000, 'Penalty cannot exceed 20%');
-    uint256 oldValue = earlyWithdrawalPenalty;
-    earlyWithdrawalPenalty = _newPenaltyBasisPoints;
-    emit EarlyWithdrawalPenaltyChanged(
+    _setPriceOracle(_oracle, _blocksPerYear);
+    emit PriceOracleChanged(
       owner,
-      oldValue,
-      _newPenaltyBasisPoints,
+      address(_oracle),
+      _blocksPerYear,
       block.timestamp
     );
   }
 
-  function toggleEmergencyStop() external onlyOwner {
-    emergencyStop = !emergencyStop;
-    emit EmergencyStopToggled(owner, emergencyStop, block.timestamp);
+  /**
+   * @notice Withdraw accumulated fees to the fee collector
+   */
+  function withdrawFees() external {
+    delegateToAdmin(msg.data);
+  }
+
+  // Timelocked: queue the exact call with queueParameterChange first
+
+  function setWithdrawalFee(uint256 /* _newFeeBasisPoints */) external {
+    delegateToAdmin(msg.data);
+  }
+
+  function setStakingLockPeriod(uint256 /* _newLockPeriod */) external {
+    delegateToAdmin(msg.data);
+  }
+
+  function setEarlyWithdrawalPenalty(
+    uint256 /* _newPenaltyBasisPoints */
+  ) external {
+    delegateToAdmin(msg.data);
+  }
+
+  /**
+   * @notice Add, change or remove (with a 0 multiplier) the boost tier for
+   * a lock duration. Existing locks keep the multiplier they started with.
+   */
+  function setBoostTier(
+    uint256 /* _lockBlocks */,
+    uint256 /* _multiplier */
+  ) external {
+    delegateToAdmin(msg.data);
+  }
+
+  function queueParameterChange(
+    bytes calldata /* data */
+  ) external override returns (bytes32) {
+    return abi.decode(delegateToAdmin(msg.data), (bytes32));
+  }
+
+  function cancelParameterChange(bytes32 /* id */) external override {
+    delegateToAdmin(msg.data);
+  }
+
+  function setTimelockDelay(uint256 /* _delay */) external override {
+    delegateToAdmin(msg.data);
+  }
+
+  function grantRole(
+    bytes32 /* role */,
+    address /* account */
+  ) external override {
+    delegateToAdmin(msg.data);
+  }
+
+  function revokeRole(
+    bytes32 /* role */,
+    address /* account */
+  ) external override {
+    delegateToAdmin(msg.data);
+  }
+
+  function transferOwnership(address /* newOwner */) external override {
+    delegateToAdmin(msg.data);
+  }
+
+  function acceptOwnership() external override {
+    delegateToAdmin(msg.data);
+  }
+
+  function cancelOwnershipTransfer() external override {
+    delegateToAdmin(msg.data);
+  }
+
+  function transferRewardTokenOwnership(
+    address /* newOwner */
+  ) external override {
+    delegateToAdmin(msg.data);
+  }
+
+  function acceptRewardTokenOwnership() external override {
+    delegateToAdmin(msg.data);
+  }
+
+  function claimRewardTokenOwnership(
+    FarmOwnership /* fromFarm */
+  ) external override {
+    delegateToAdmin(msg.data);
+  }
+
+  /**
+   * @notice End an expired boost so its weight stops diluting the other
+   * stakers' rewards. Anyone can call it.
+   */
+  function kickBoost(address user) external {
+    BoostInfo memory boost = boostInfo[user];
+    require(boost.multiplier > 0, 'No active boost');
+    require(block.number >= boost.unlockBlock, 'Boost still locked');
+
+    distributeRewards(user);
+  }
+
+  /**
+   * @notice Send the penalty pool to a treasury address
+   */
+  function sendPenaltiesToTreasury(address /* _treasury */) external {
+    delegateToAdmin(msg.data);
+  }
+
+  /**
+   * @notice Share the penalty pool out to the current stakers, pro rata to
+   * their staking balance. Each share is added to the staker's balance as
+   * unlocked tokens on their next interaction, and earns rewards from then on.
+   * @dev Rounding dust stays in the pool for the next distribution. Shares
+   * wait in `uncreditedPenalties` until credited
+   */
+  function redistributePenalties() external {
+    // Rewards up to now accrue on the balances before the redistribution
+    updatePool();
+    delegateToAdmin(msg.data);
+  }
+
+  /**
+   * @notice Stop or resume the farm. Only the admin can resume
+   */
+  function toggleEmergencyStop() external {
+    delegateToAdmin(msg.data);
+  }
+
+  /**
+   * @notice Stop the farm. Pausers can stop it but never resume it
+   */
+  function triggerEmergencyStop() external {
+    delegateToAdmin(msg.data);
+  }
+
+  function _authorizeUpgrade(address) internal override onlyOwner {}
+
+  /**
+   * @dev Runs a TokenFarmV2Admin call in this farm's storage, bubbling up
+   * its revert reason
+   */
+  function delegateToAdmin(bytes memory data) private returns (bytes memory) {
+    return Address.functionDelegateCall(adminFunctions, data);
+  }
+
+  function _rewardToken()
+    internal
+    view
+    override(RewardBudget, FarmOwnership, FarmApr)
+    returns (DAppToken)
+  {
+    return dappToken;
+  }
+
+  function _stakedToken() internal view override returns (address) {
+    return address(lpToken);
+  }
+
+  function _totalStaked() internal view override returns (uint256) {
+    return totalStakingBalance;
+  }
+
+  function _rewardsPerYear(
+    uint256 _blocksPerYear
+  ) internal view override returns (uint256) {
+    // A funded budget that ran out emits nothing until topped up
+    if (getRewardRunway() == 0) {
+      return 0;
+    }
+    if (isScheduled()) {
+      return currentRewardPerSecond() * 365 days;
+    }
+    return rewardPerBlock * _blocksPerYear;
+  }
+
+  function _stakerList() internal view override returns (address[] storage) {
+    return stakers;
+  }
+
+  function _isStaking(address user) internal view override returns (bool) {
+    return userInfo[user].isStaking;
+  }
+
+  function _settleStaker(address user) internal override {
+    distributeRewards(user);
+  }
+
+  function _owner() internal view override returns (address) {
+    return owner;
+  }
+
+  function _setOwner(address newOwner) internal override {
+    address oldOwner = owner;
+    owner = newOwner;
+    emit OwnerChanged(oldOwner, newOwner, block.timestamp);
   }
 
   // --- Emergency ---
 
-  function emergencyWithdraw() external onlyStaker {
+  function emergencyWithdraw() external nonReentrant onlyStaker {
+    address user = _msgSender();
     require(emergencyStop, 'Not in emergency');
-    uint256 balance = userInfo[msg.sender].stakingBalance;
+    uint256 share = pendingPenaltyShare(user);
+    uint256 balance = userInfo[user].stakingBalance + share;
     require(balance > 0, 'No tokens to withdraw');
 
-    userInfo[msg.sender].stakingBalance = 0;
-    userInfo[msg.sender].isStaking = false;
-    totalStakingBalance -= balance;
+    updatePool();
 
-    require(lpToken.transfer(msg.sender, balance), 'Transfer failed');
-    emit Withdraw(msg.sender, balance, 0, block.timestamp);
+    totalStakingBalance -= userInfo[user].stakingBalance;
+    uncreditedPenalties -= share;
+    userInfo[user].stakingBalance = 0;
+    userInfo[user].rewardDebt = 0;
+    userInfo[user].isStaking = false;
+    userInfo[user].lockedBalance = 0;
+    _removeStaker(user);
+    totalBoostWeight -= boostInfo[user].weight;
+    delete boostInfo[user];
+
+    lpToken.safeTransfer(user, balance);
+    emit Withdraw(user, balance, 0, block.timestamp);
   }
 
   // --- View helpers ---
@@ -366,6 +849,31 @@ contract TokenFarmV2 {
     return withdrawalFeeBasisPoints;
   }
 
+  /**
+   * @notice getApr after the withdrawal fee taken from every claim
+   */
+  function getNetApr() external view returns (uint256) {
+    return
+      (getApr() * (BASIS_POINTS_DENOMINATOR - withdrawalFeeBasisPoints)) /
+      BASIS_POINTS_DENOMINATOR;
+  }
+
+  /**
+   * @notice Blocks of emission left in the reward budget at the current
+   * rate, or type(uint256).max while rewards are minted. Under a reward
+   * schedule, seconds until emission stops at its end or with the budget
+   */
+  function getRewardRunway() public view returns (uint256) {
+    uint256 accrued;
+    if (totalStakingBalance > 0) {
+      accrued = pendingEmission();
+    }
+    if (isScheduled()) {
+      return _scheduledRunway(_budgetLeft(accrued));
+    }
+    return _rewardRunway(rewardPerBlock, accrued);
+  }
+
   function getStakerCount() external view returns (uint256) {
     return stakers.length;
   }
@@ -379,8 +887,107 @@ contract TokenFarmV2 {
     return userInfo[user].pendingRewards;
   }
 
-  function getStakingBalance(address user) external view returns (uint256) {
-    return userInfo[user].stakingBalance;
+  /**
+   * @notice Pending rewards including blocks not yet accrued, i.e. what
+   * claimRewards would pay before the fee if called in this block
+   */
+  function previewPendingRewards(address user) public view returns (uint256) {
+    UserInfo memory info = userInfo[user];
+    if (info.stakingBalance == 0) {
+      return info.pendingRewards;
+    }
+    uint256 accrued = (rewardWeightOf(user) * currentAccRewardPerShare()) /
+      ACC_REWARD_PRECISION -
+      info.rewardDebt;
+    return info.pendingRewards + accrued - expiredBoostRewards(user, accrued);
+  }
+
+  /**
+   * @notice Balance the user earns rewards on: the staking balance plus the
+   * extra weight of an active boost
+   */
+  function rewardWeightOf(address user) public view returns (uint256) {
+    return userInfo[user].stakingBalance + boostInfo[user].weight;
+  }
+
+  /**
+   * @notice Lock durations with a boost tier and their multipliers, in
+   * basis points
+   */
+  function getBoostTiers()
+    external
+    view
+    returns (uint256[] memory lockBlocks, uint256[] memory multipliers)
+  {
+    lockBlocks = boostDurations;
+    multipliers = new uint256[](lockBlocks.length);
+    for (uint256 i = 0; i < lockBlocks.length; i++) {
+      multipliers[i] = boostMultiplier[lockBlocks[i]];
+    }
+  }
+
+  /**
+   * @notice What claimRewards would pay in this block
+   * @return gross Pending rewards before the fee
+   * @return fee Part of the rewards kept as withdrawal fee
+   * @return net Rewards sent to the user
+   */
+  function previewClaim(
+    address user
+  ) external view returns (uint256 gross, uint256 fee, uint256 net) {
+    gross = previewPendingRewards(user);
+    fee = (gross * withdrawalFeeBasisPoints) / BASIS_POINTS_DENOMINATOR;
+    net = gross - fee;
+  }
+
+  /**
+   * @notice What withdrawing the whole stake would pay in this block, (0, 0)
+   * while the stake is boost-locked and cannot be withdrawn
+   * @return payout LP tokens sent to the user
+   * @return penalty LP tokens kept for the still-locked part of the stake
+   */
+  function previewWithdraw(
+    address user
+  ) external view returns (uint256 payout, uint256 penalty) {
+    if (block.number < boostInfo[user].unlockBlock) {
+      return (0, 0);
+    }
+    uint256 balance = getStakingBalance(user);
+    penalty =
+      (lockedBalanceOf(user) * earlyWithdrawalPenalty) /
+      BASIS_POINTS_DENOMINATOR;
+    payout = balance - penalty;
+  }
+
+  /**
+   * @notice Staked balance, including any redistributed penalty share
+   */
+  function getStakingBalance(address user) public view returns (uint256) {
+    return userInfo[user].stakingBalance + pendingPenaltyShare(user);
+  }
+
+  function getPenaltyPool() external view returns (uint256) {
+    return penaltyPool;
+  }
+
+  /**
+   * @notice Split a user's stake into the part still locked and the part
+   * that can be withdrawn without penalty
+   */
+  function getLockInfo(
+    address user
+  )
+    external
+    view
+    returns (
+      uint256 lockedBalance,
+      uint256 unlockedBalance,
+      uint256 unlockBlock
+    )
+  {
+    lockedBalance = lockedBalanceOf(user);
+    unlockedBalance = getStakingBalance(user) - lockedBalance;
+    unlockBlock = lockedBalance > 0 ? userInfo[user].unlockBlock : 0;
   }
 
   function getUserInfo(
@@ -412,14 +1019,6 @@ contract TokenFarmV2 {
     );
   }
 
-  function transferOwnership(address newOwner) external onlyOwner {
-    require(newOwner != address(0), 'Zero address');
-    require(newOwner != owner, 'Already owner');
-    address oldOwner = owner;
-    owner = newOwner;
-    emit OwnerChanged(oldOwner, newOwner, block.timestamp);
-  }
-
   function getVersion() external pure returns (uint256) {
     return VERSION;
   }
@@ -0,0 +1,405 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import {SafeERC20} from '@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol';
+import './TokenFarmV2Storage.sol';
+import './RewardBudget.sol';
+import './RewardSchedule.sol';
+import './ParameterTimelock.sol';
+import './FarmOwnership.sol';
+
+/**
+ * @title Token Farm V2 Admin
+ * @notice Admin functions of TokenFarmV2 that the farm runs in its own
+ * storage through delegatecall, keeping its code under the 24 KiB contract
+ * size limit
+ * @dev Each function matches the farm function that delegates to it. The
+ * farm forwards its calldata unchanged, so `msg.sender` and `msg.data` are
+ * the original caller's and the functions here check access and timelocks
+ * themselves. The farm settles the pool before delegating where a change
+ * affects emission. Called directly, they run against this contract's own
+ * empty storage, where nobody holds a role.
+ */
+contract TokenFarmV2Admin is
+  TokenFarmV2Storage,
+  RewardBudget,
+  RewardSchedule,
+  ParameterTimelock,
+  FarmOwnership
+{
+  using SafeERC20 for LPToken;
+
+  address private immutable self = address(this);
+
+  modifier onlyDelegateCall() {
+    require(address(this) != self, 'Only through the farm');
+    _;
+  }
+  modifier onlyOwner() {
+    require(msg.sender == owner, 'Only owner can call this function');
+    _;
+  }
+
+  function initialize(
+    DAppToken _dappToken,
+    LPToken _lpToken,
+    address _initialOwner,
+    FarmParams memory _params
+  ) external onlyDelegateCall {
+    require(_initialOwner != address(0), 'Zero address');
+    require(
+      _params.minRewardPerBlock < _params.maxRewardPerBlock,
+      'Invalid range'
+    );
+    require(
+      _params.rewardPerBlock >= _params.minRewardPerBlock,
+      'Below minimum'
+    );
+    require(
+      _params.rewardPerBlock <= _params.maxRewardPerBlock,
+      'Above maximum'
+    );
+    require(_params.withdrawalFeeBasisPoints <= 1000, 'Fee cannot exceed 10%');
+    require(
+      _params.stakingLockPeriod <= 10000,
+      'Lock period cannot exceed 10000 blocks'
+    );
+    require(
+      _params.earlyWithdrawalPenalty <= 2000,
+      'Penalty cannot exceed 20%'
+    );
+
+    name = 'Proportional Token Farm V2';
+    dappToken = _dappToken;
+    lpToken = _lpToken;
+    owner = _initialOwner;
+
+    rewardPerBlock = _params.rewardPerBlock;
+    minRewardPerBlock = _params.minRewardPerBlock;
+    maxRewardPerBlock = _params.maxRewardPerBlock;
+    withdrawalFeeBasisPoints = _params.withdrawalFeeBasisPoints;
+    stakingLockPeriod = _params.stakingLockPeriod;
+    earlyWithdrawalPenalty = _params.earlyWithdrawalPenalty;
+    emergencyStop = false;
+    lastRewardBlock = block.number;
+    setDefaultBoostTiers();
+  }
+
+  function initializeV2(
+    uint256 _withdrawalFeeBasisPoints,
+    uint256 _stakingLockPeriod,
+    uint256 _earlyWithdrawalPenalty
+  ) external onlyDelegateCall {
+    require(_withdrawalFeeBasisPoints <= 1000, 'Fee cannot exceed 10%');
+    require(
+      _stakingLockPeriod <= 10000,
+      'Lock period cannot exceed 10000 blocks'
+    );
+    require(_earlyWithdrawalPenalty <= 2000, 'Penalty cannot exceed 20%');
+
+    name = 'Proportional Token Farm V2';
+    withdrawalFeeBasisPoints = _withdrawalFeeBasisPoints;
+    stakingLockPeriod = _stakingLockPeriod;
+    earlyWithdrawalPenalty = _earlyWithdrawalPenalty;
+    setDefaultBoostTiers();
+  }
+
+  /**
+   * @dev 1.1x for 1,000 blocks, 1.5x for 5,000 and 2x for 10,000
+   */
+  function setDefaultBoostTiers() private {
+    uint16[3] memory lockBlocks = [1000, 5000, 10000];
+    uint16[3] memory multipliers = [11000, 15000, 20000];
+    for (uint256 i = 0; i < lockBlocks.length; i++) {
+      if (boostMultiplier[lockBlocks[i]] == 0) {
+        boostDurations.push(lockBlocks[i]);
+      }
+      boostMultiplier[lockBlocks[i]] = multipliers[i];
+    }
+  }
+
+  function toggleEmergencyStop() external onlyDelegateCall onlyOwner {
+    emergencyStop = !emergencyStop;
+    emit EmergencyStopToggled(owner, emergencyStop, block.timestamp);
+  }
+
+  function triggerEmergencyStop()
+    external
+    onlyDelegateCall
+    onlyRole(PAUSER_ROLE)
+  {
+    require(!emergencyStop, 'Contract is in emergency stop');
+    emergencyStop = true;
+    emit EmergencyStopToggled(msg.sender, true, block.timestamp);
+  }
+
+  function setRewardPerBlock(
+    uint256 _newRewardPerBlock
+  ) external onlyDelegateCall onlyRole(PARAMETER_MANAGER_ROLE) {
+    require(!isScheduled(), 'Reward schedule active');
+    require(_newRewardPerBlock >= minRewardPerBlock, 'Below minimum');
+    require(_newRewardPerBlock <= maxRewardPerBlock, 'Above maximum');
+
+    uint256 oldValue = rewardPerBlock;
+    rewardPerBlock = _newRewardPerBlock;
+
+    emit RewardPerBlockChanged(
+      msg.sender,
+      oldValue,
+      _newRewardPerBlock,
+      block.timestamp
+    );
+  }
+
+  /**
+   * @param _minReward Minimum allowed reward per block
+   * @param _maxReward Maximum allowed reward per block
+   */
+  function setRewardRange(
+    uint256 _minReward,
+    uint256 _maxReward
+  ) external onlyDelegateCall onlyRole(PARAMETER_MANAGER_ROLE) timelocked {
+    require(_minReward < _maxReward, 'Invalid range');
+    require(_maxReward > 0, 'Max must be > 0');
+
+    minRewardPerBlock = _minReward;
+    maxRewardPerBlock = _maxReward;
+
+    if (rewardPerBlock < _minReward) {
+      rewardPerBlock = _minReward;
+    } else if (rewardPerBlock > _maxReward) {
+      rewardPerBlock = _maxReward;
+    }
+    _clampEpochRates(_minReward, _maxReward);
+  }
+
+  function setWithdrawalFee(
+    uint256 _newFeeBasisPoints
+  ) external onlyDelegateCall onlyRole(PARAMETER_MANAGER_ROLE) timelocked {
+    require(_newFeeBasisPoints <= 1000, 'Fee cannot exceed 10%');
+    uint256 oldValue = withdrawalFeeBasisPoints;
+    withdrawalFeeBasisPoints = _newFeeBasisPoints;
+    emit WithdrawalFeeChanged(
+      msg.sender,
+      oldValue,
+      _newFeeBasisPoints,
+      block.timestamp
+    );
+  }
+
+  function setStakingLockPeriod(
+    uint256 _newLockPeriod
+  ) external onlyDelegateCall onlyRole(PARAMETER_MANAGER_ROLE) timelocked {
+    require(_newLockPeriod <= 10000, 'Lock period cannot exceed 10000 blocks');
+    uint256 oldValue = stakingLockPeriod;
+    stakingLockPeriod = _newLockPeriod;
+    emit StakingLockPeriodChanged(
+      msg.sender,
+      oldValue,
+      _newLockPeriod,
+      block.timestamp
+    );
+  }
+
+  function setEarlyWithdrawalPenalty(
+    uint256 _newPenaltyBasisPoints
+  ) external onlyDelegateCall onlyRole(PARAMETER_MANAGER_ROLE) timelocked {
+    require(_newPenaltyBasisPoints <= 2000, 'Penalty cannot exceed 20%');
+    uint256 oldValue = earlyWithdrawalPenalty;
+    earlyWithdrawalPenalty = _newPenaltyBasisPoints;
+    emit EarlyWithdrawalPenaltyChanged(
+      msg.sender,
+      oldValue,
+      _newPenaltyBasisPoints,
+      block.timestamp
+    );
+  }
+
+  /**
+   * @param _startTime When emission starts, also the first epoch start
+   * @param _endTime When emission stops
+   * @param _epochs Emission rates in order of start time
+   */
+  function setRewardSchedule(
+    uint256 _startTime,
+    uint256 _endTime,
+    Epoch[] calldata _epochs
+  ) external onlyDelegateCall onlyOwner {
+    _setRewardSchedule(
+      _startTime,
+      _endTime,
+      _epochs,
+      minRewardPerBlock,
+      maxRewardPerBlock
+    );
+
+    emit RewardScheduleSet(
+      owner,
+      _startTime,
+      _endTime,
+      _epochs.length,
+      block.timestamp
+    );
+  }
+
+  function clearRewardSchedule() external onlyDelegateCall onlyOwner {
+    _clearRewardSchedule();
+    emit RewardScheduleCleared(owner, block.timestamp);
+  }
+
+  /**
+   * @param _amount DAPP added to the budget
+   * @param _duration Blocks over which the whole budget is emitted, unused
+   * under a reward schedule
+   */
+  function notifyRewardAmount(
+    uint256 _amount,
+    uint256 _duration
+  ) external onlyDelegateCall onlyOwner {
+    require(_amount > 0, 'Amount must be greater than 0');
+
+    _addRewardBudget(_amount);
+
+    // Under a reward schedule the budget funds its epochs instead
+    uint256 newRewardPerBlock;
+    if (!isScheduled()) {
+      require(_duration > 0, 'Duration must be greater than 0');
+      newRewardPerBlock = rewardBudget() / _duration;
+      require(newRewardPerBlock >= minRewardPerBlock, 'Below minimum');
+      require(newRewardPerBlock <= maxRewardPerBlock, 'Above maximum');
+
+      uint256 oldValue = rewardPerBlock;
+      rewardPerBlock = newRewardPerBlock;
+
+      emit RewardPerBlockChanged(
+        owner,
+        oldValue,
+        newRewardPerBlock,
+        block.timestamp
+      );
+    }
+
+    emit RewardAmountNotified(
+      owner,
+      _amount,
+      _duration,
+      newRewardPerBlock,
+      block.timestamp
+    );
+  }
+
+  /**
+   * @param _lockBlocks Lock duration in blocks
+   * @param _multiplier Reward multiplier in basis points, 10000 = 1x
+   */
+  function setBoostTier(
+    uint256 _lockBlocks,
+    uint256 _multiplier
+  ) external onlyDelegateCall onlyRole(PARAMETER_MANAGER_ROLE) timelocked {
+    require(
+      _lockBlocks > 0 && _lockBlocks <= MAX_BOOST_LOCK,
+      'Invalid lock duration'
+    );
+    require(
+      _multiplier == 0 ||
+        (_multiplier >= BASIS_POINTS_DENOMINATOR &&
+          _multiplier <= MAX_BOOST_MULTIPLIER),
+      'Multiplier out of range'
+    );
+
+    uint256 oldValue = boostMultiplier[_lockBlocks];
+    if (_multiplier == 0) {
+      require(oldValue > 0, 'Unknown lock duration');
+      uint256 last = boostDurations.length - 1;
+      for (uint256 i = 0; i < last; i++) {
+        if (boostDurations[i] == _lockBlocks) {
+          boostDurations[i] = boostDurations[last];
+          break;
+        }
+      }
+      boostDurations.pop();
+    } else if (oldValue == 0) {
+      boostDurations.push(_lockBlocks);
+    }
+
+    boostMultiplier[_lockBlocks] = _multiplier;
+    emit BoostTierChanged(
+      msg.sender,
+      _lockBlocks,
+      oldValue,
+      _multiplier,
+      block.timestamp
+    );
+  }
+
+  function withdrawFees()
+    external
+    onlyDelegateCall
+    onlyRole(FEE_COLLECTOR_ROLE)
+  {
+    require(accumulatedFees > 0, 'No fees to withdraw');
+    uint256 amount = accumulatedFees;
+    accumulatedFees = 0;
+
+    _payRewards(msg.sender, amount);
+    emit FeesWithdrawn(msg.sender, amount, block.timestamp);
+  }
+
+  function sendPenaltiesToTreasury(
+    address _treasury
+  ) external onlyDelegateCall onlyOwner {
+    require(_treasury != address(0), 'Zero address');
+    require(penaltyPool > 0, 'No penalties to distribute');
+    uint256 amount = penaltyPool;
+    penaltyPool = 0;
+
+    lpToken.safeTransfer(_treasury, amount);
+    emit PenaltiesSentToTreasury(owner, _treasury, amount, block.timestamp);
+  }
+
+  function redistributePenalties() external onlyDelegateCall onlyOwner {
+    require(penaltyPool > 0, 'No penalties to distribute');
+    require(totalStakingBalance > 0, 'No stakers');
+
+    uint256 perShare = (penaltyPool * ACC_REWARD_PRECISION) /
+      totalStakingBalance;
+    uint256 amount = (perShare * totalStakingBalance) / ACC_REWARD_PRECISION;
+
+    accPenaltyPerShare += perShare;
+    penaltyPool -= amount;
+    uncreditedPenalties += amount;
+
+    emit PenaltiesRedistributed(owner, amount, block.timestamp);
+  }
+
+  function _rewardToken()
+    internal
+    view
+    override(RewardBudget, FarmOwnership)
+    returns (DAppToken)
+  {
+    return dappToken;
+  }
+
+  function _owner() internal view override returns (address) {
+    return owner;
+  }
+
+  function _setOwner(address newOwner) internal override {
+    address oldOwner = owner;
+    owner = newOwner;
+    emit OwnerChanged(oldOwner, newOwner, block.timestamp);
+  }
+
+  function _isTimelocked(
+    bytes4 selector
+  ) internal pure override returns (bool) {
+    return
+      selector == this.setWithdrawalFee.selector ||
+      selector == this.setEarlyWithdrawalPenalty.selector ||
+      selector == this.setStakingLockPeriod.selector ||
+      selector == this.setRewardRange.selector ||
+      selector == this.setBoostTier.selector ||
+      super._isTimelocked(selector);
+  }
+}
@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.18;
+
+import './DappToken.sol';
+import './LPToken.sol';
+
+/**
+ * @title Token Farm V2 Storage
+ * @notice State, structs and events of TokenFarmV2
+ * @dev Shared by TokenFarmV2 and TokenFarmV2Admin, which runs in the farm's
+ * storage through delegatecall. Storage starts with the exact TokenFarm
+ * layout and only appends after it; declare no state anywhere else in the
+ * farm's inheritance chain.
+ */
+abstract contract TokenFarmV2Storage {
+  // Basic state
+  string public name;
+  uint256 public constant VERSION = 2;
+  address public owner;
+  DAppToken public dappToken;
+  LPToken public lpToken;
+
+  // Rewards setings
+  uint256 public rewardPerBlock;
+  uint256 public minRewardPerBlock;
+  uint256 public maxRewardPerBlock;
+  uint256 public totalStakingBalance;
+
+  // Reward accumulator (MasterChef-style)
+  uint256 public constant ACC_REWARD_PRECISION = 1e12;
+  uint256 public accRewardPerShare;
+  uint256 public lastRewardBlock;
+
+  // Fee accounting
+  uint256 public constant BASIS_POINTS_DENOMINATOR = 10000;
+  uint256 public accumulatedFees;
+
+  // Initial configuration
+  struct FarmParams {
+    uint256 rewardPerBlock;
+    uint256 minRewardPerBlock;
+    uint256 maxRewardPerBlock;
+    uint256 withdrawalFeeBasisPoints;
+    uint256 stakingLockPeriod;
+    uint256 earlyWithdrawalPenalty;
+  }
+
+  // User data
+  struct UserInfo {
+    uint256 stakingBalance;
+    uint256 checkpoint;
+    uint256 pendingRewards;
+    bool hasStaked;
+    bool isStaking;
+    uint256 rewardDebt;
+    uint256 totalRewardsClaimed;
+    uint256 lastClaimBlock;
+    uint256 stakingStartBlock;
+    uint256 lockedBalance;
+    uint256 unlockBlock;
+    uint256 penaltyPerSharePaid;
+  }
+
+  address[] public stakers;
+  mapping(address => UserInfo) public userInfo;
+
+  // V2 storage (appended after the TokenFarm layout)
+  uint256 public withdrawalFeeBasisPoints;
+  uint256 public stakingLockPeriod;
+  uint256 public earlyWithdrawalPenalty;
+  bool public emergencyStop;
+
+  // Early withdrawal penalties kept by the farm until the owner sends them to
+  // a treasury or redistributes them to the remaining stakers
+  uint256 public penaltyPool;
+  uint256 public accPenaltyPerShare;
+
+  // Lock boosts: stakers who lock their whole stake for one of the tier
+  // durations earn rewards on a multiplied balance. The extra weight is
+  // tracked apart from the staking balance, so unboosted stakes need no
+  // migration.
+  struct BoostInfo {
+    uint256 multiplier;
+    uint256 unlockBlock;
+    uint256 weight;
+    // Tier of the lock, restarted by top-ups during the lock
+    uint256 lockBlocks;
+  }
+
+  uint256 public constant MAX_BOOST_MULTIPLIER = 30000; // 3x
+  uint256 public constant MAX_BOOST_LOCK = 100000; // blocks
+  uint256 public totalBoostWeight;
+  mapping(uint256 => uint256) public boostMultiplier;
+  uint256[] internal boostDurations;
+  mapping(address => BoostInfo) public boostInfo;
+
+  // Redistributed penalties not yet added to a staker's balance. They join
+  // totalStakingBalance as each share is credited, so rewards are only split
+  // over stake that can claim them.
+  uint256 public uncreditedPenalties;
+
+  // Events
+  event Deposit(address indexed user, uint256 amount, uint256 timestamp);
+  event Withdraw(
+    address indexed user,
+    uint256 amount,
+    uint256 penalty,
+    uint256 timestamp
+  );
+  event RewardsClaimed(
+    address indexed user,
+    address indexed recipient,
+    address caller,
+    uint256 amount,
+    uint256 fee,
+    uint256 netAmount,
+    uint256 timestamp
+  );
+  event OwnerChanged(
+    address indexed oldOwner,
+    address indexed newOwner,
+    uint256 timestamp
+  );
+  event RewardPerBlockChanged(
+    address indexed owner,
+    uint256 oldValue,
+    uint256 newValue,
+    uint256 timestamp
+  );
+  event FeesWithdrawn(address indexed owner, uint256 amount, uint256 timestamp);
+  event StakingLockPeriodChanged(
+    address indexed owner,
+    uint256 oldValue,
+    uint256 newValue,
+    uint256 timestamp
+  );
+  event EarlyWithdrawalPenaltyChanged(
+    address indexed owner,
+    uint256 oldValue,
+    uint256 newValue,
+    uint256 timestamp
+  );
+  event WithdrawalFeeChanged(
+    address indexed owner,
+    uint256 oldValue,
+    uint256 newValue,
+    uint256 timestamp
+  );
+  event EmergencyStopToggled(
+    address indexed owner,
+    bool stopped,
+    uint256 timestamp
+  );
+  event PenaltiesSentToTreasury(
+    address indexed owner,
+    address indexed treasury,
+    uint256 amount,
+    uint256 timestamp
+  );
+  event PenaltiesRedistributed(
+    address indexed owner,
+    uint256 amount,
+    uint256 timestamp
+  );
+  event BoostTierChanged(
+    address indexed owner,
+    uint256 lockBlocks,
+    uint256 oldMultiplier,
+    uint256 newMultiplier,
+    uint256 timestamp
+  );
+  event BoostLocked(
+    address indexed user,
+    uint256 lockBlocks,
+    uint256 multiplier,
+    uint256 unlockBlock,
+    uint256 timestamp
+  );
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import {ERC20} from '@openzeppelin/contracts/token/ERC20/ERC20.sol';
+
+/**
+ * @title False-Return Token
+ * @notice LP token stand-in that, once told to fail, returns false from
+ * transfer and transferFrom without moving anything, like some older tokens
+ */
+contract FalseReturnToken is ERC20 {
+  bool public failTransfers;
+
+  constructor() ERC20('False LP Token', 'XLPT') {}
+
+  function mint(address to, uint256 amount) external {
+    _mint(to, amount);
+  }
+
+  function setFailTransfers(bool _failTransfers) external {
+    failTransfers = _failTransfers;
+  }
+
+  function transfer(address to, uint256 value) public override returns (bool) {
+    if (failTransfers) {
+      return false;
+    }
+    return super.transfer(to, value);
+  }
+
+  function transferFrom(
+    address from,
+    address to,
+    uint256 value
+  ) public override returns (bool) {
+    if (failTransfers) {
+      return false;
+    }
+    return super.transferFrom(from, to, value);
+  }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import {ERC20} from '@openzeppelin/contracts/token/ERC20/ERC20.sol';
+
+/**
+ * @title Fee-on-Transfer Token
+ * @notice LP token stand-in that burns a fee from every transfer, so the
+ * receiver gets less than the amount sent
+ */
+contract FeeOnTransferToken is ERC20 {
+  uint256 public constant BASIS_POINTS_DENOMINATOR = 10000;
+
+  uint256 public feeBasisPoints;
+
+  constructor(uint256 _feeBasisPoints) ERC20('Fee LP Token', 'FLPT') {
+    feeBasisPoints = _feeBasisPoints;
+  }
+
+  function mint(address to, uint256 amount) external {
+    _mint(to, amount);
+  }
+
+  function _update(address from, address to, uint256 value) internal override {
+    if (from != address(0) && to != address(0)) {
+      uint256 fee = (value * feeBasisPoints) / BASIS_POINTS_DENOMINATOR;
+      super._update(from, address(0), fee);
+      value -= fee;
+    }
+    super._update(from, to, value);
+  }
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import '../IPriceOracle.sol';
+
+/**
+ * @title Mock Price Oracle
+ * @notice Local stand-in for a price feed: returns whatever price was set for
+ * a token, 0 until then
+ */
+contract MockPriceOracle is IPriceOracle {
+  mapping(address => uint256) public prices;
+
+  function setPrice(address token, uint256 price) external {
+    prices[token] = price;
+  }
+
+  function getPrice(address token) external view returns (uint256) {
+    return prices[token];
+  }
+}
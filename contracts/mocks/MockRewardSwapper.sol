@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import {IERC20} from '@openzeppelin/contracts/token/ERC20/IERC20.sol';
+import '../IRewardConverter.sol';
+
+/**
+ * @title Mock Reward Swapper
+ * @notice Local stand-in for a DEX: converts DAPP into LP tokens at a fixed
+ * rate, paying out of the LP tokens it holds
+ */
+contract MockRewardSwapper is IRewardConverter {
+  uint256 public constant RATE_PRECISION = 1e18;
+
+  IERC20 public immutable rewardToken;
+  IERC20 public immutable lpToken;
+  // LP tokens paid per DAPP, scaled by RATE_PRECISION
+  uint256 public rate;
+
+  constructor(IERC20 _rewardToken, IERC20 _lpToken, uint256 _rate) {
+    rewardToken = _rewardToken;
+    lpToken = _lpToken;
+    rate = _rate;
+  }
+
+  function setRate(uint256 _rate) external {
+    rate = _rate;
+  }
+
+  function convert(uint256 amountIn) external returns (uint256 amountOut) {
+    amountOut = (amountIn * rate) / RATE_PRECISION;
+    require(
+      rewardToken.transferFrom(msg.sender, address(this), amountIn),
+      'Transfer failed'
+    );
+    require(lpToken.transfer(msg.sender, amountOut), 'Transfer failed');
+  }
+}
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import {ERC20} from '@openzeppelin/contracts/token/ERC20/ERC20.sol';
+import {Address} from '@openzeppelin/contracts/utils/Address.sol';
+
+/**
+ * @title Reentrant Token
+ * @notice LP token stand-in with a malicious transfer hook: the next
+ * transfer calls `target` with `data` before moving the tokens, bubbling up
+ * any revert
+ */
+contract ReentrantToken is ERC20 {
+  address public target;
+  bytes public data;
+
+  constructor() ERC20('Reentrant LP Token', 'RLPT') {}
+
+  function mint(address to, uint256 amount) external {
+    _mint(to, amount);
+  }
+
+  /**
+   * @notice Arm the hook for the next transfer
+   */
+  function setReentry(address _target, bytes calldata _data) external {
+    target = _target;
+    data = _data;
+  }
+
+  function _update(address from, address to, uint256 value) internal override {
+    if (target != address(0) && from != address(0) && to != address(0)) {
+      address callTarget = target;
+      target = address(0);
+      Address.functionCall(callTarget, data);
+    }
+    super._update(from, to, value);
+  }
+}
@@ -2,12 +2,27 @@ require('@nomicfoundation/hardhat-toolbox');
 require("@nomicfoundation/hardhat-verify");
 const { vars } = require('hardhat/config');
 
+require('./tasks/farm');
+require('./tasks/indexer');
+
 const ALCHEMY_API_KEY = vars.get('ALCHEMY_API_KEY');
 const SEPOLIA_PRIVATE_KEY = vars.get('SEPOLIA_PRIVATE_KEY');
 const ETHERSCAN_API_KEY = vars.get('ETHERSCAN_API_KEY');
 
 module.exports = {
-  solidity: '0.8.22',
+  solidity: {
+    compilers: [
+      {
+        version: '0.8.22',
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+        },
+      },
+    ],
+  },
   networks: {
     hardhat: {
       chainId: 1337,
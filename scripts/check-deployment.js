@@ -0,0 +1,174 @@
+const { ethers, network } = require('hardhat');
+const {
+  ROLES,
+  budgetFarms,
+  loadConfig,
+  loadManifest,
+} = require('./lib/deployments');
+
+/**
+ * Compare the deployed contracts with the config: token wiring, reward token
+ * ownership, reward settings, roles, trusted forwarder and farm ownership.
+ * @returns {Promise<Array<{label: string, ok: boolean, detail?: string}>>}
+ */
+async function checkDeployment(config, manifest) {
+  const checks = [];
+  const addressOf = (name) => manifest.contracts[name]?.address;
+
+  function check(label, ok, detail) {
+    checks.push({ label, ok, detail });
+  }
+
+  function checkEqual(label, actual, expected) {
+    check(label, actual === expected, `expected ${expected}, got ${actual}`);
+  }
+
+  for (const [name, entry] of Object.entries(manifest.contracts)) {
+    check(
+      `${name} has code at ${entry.address}`,
+      (await ethers.provider.getCode(entry.address)) !== '0x',
+      'no contract at this address'
+    );
+  }
+  if (checks.some((result) => !result.ok)) {
+    return checks;
+  }
+
+  const [deployer] = await ethers.getSigners();
+  const farmOwner = config.farmOwner
+    ? ethers.getAddress(config.farmOwner)
+    : deployer.address;
+  const dappAddress = addressOf('DAppToken');
+  const lpAddress = addressOf('LPToken');
+  const funded = budgetFarms(config);
+  const forwarderAddress =
+    config.trustedForwarder === 'FarmForwarder'
+      ? addressOf('FarmForwarder')
+      : config.trustedForwarder
+        ? ethers.getAddress(config.trustedForwarder)
+        : ethers.ZeroAddress;
+
+  for (const name of config.farms) {
+    const farm = await ethers.getContractAt(name, addressOf(name));
+
+    checkEqual(`${name} reward token`, await farm.dappToken(), dappAddress);
+    if (name === 'MultiTokenFarm') {
+      check(
+        `${name} has an LPToken pool`,
+        await farm.hasPool(lpAddress),
+        'LPToken pool missing'
+      );
+    } else {
+      checkEqual(`${name} LP token`, await farm.lpToken(), lpAddress);
+    }
+    const currentOwner = await farm.owner();
+    const pending =
+      name !== 'MultiTokenFarm' && (await farm.pendingOwner()) === farmOwner;
+    check(
+      `${name} owner`,
+      currentOwner === farmOwner,
+      pending
+        ? `${farmOwner} has not accepted ownership yet`
+        : `expected ${farmOwner}, got ${currentOwner}`
+    );
+
+    checkEqual(
+      `${name} min reward per block`,
+      await farm.minRewardPerBlock(),
+      ethers.parseEther(config.minRewardPerBlock)
+    );
+    checkEqual(
+      `${name} max reward per block`,
+      await farm.maxRewardPerBlock(),
+      ethers.parseEther(config.maxRewardPerBlock)
+    );
+
+    if (name !== 'TokenFarm') {
+      checkEqual(
+        `${name} withdrawal fee`,
+        await farm.withdrawalFeeBasisPoints(),
+        BigInt(config.withdrawalFeeBasisPoints)
+      );
+    }
+    if (name === 'TokenFarmV2') {
+      checkEqual(
+        `${name} lock period`,
+        await farm.stakingLockPeriod(),
+        BigInt(config.stakingLockPeriod)
+      );
+      checkEqual(
+        `${name} early withdrawal penalty`,
+        await farm.earlyWithdrawalPenalty(),
+        BigInt(config.earlyWithdrawalPenalty)
+      );
+    }
+
+    if (name !== 'MultiTokenFarm') {
+      for (const [key, role] of Object.entries(ROLES)) {
+        const account = config.roles?.[key];
+        if (account) {
+          check(
+            `${name} ${key} role granted to ${account}`,
+            await farm.hasRole(await farm[role](), account),
+            'role not granted'
+          );
+        }
+      }
+      checkEqual(
+        `${name} trusted forwarder`,
+        await farm.trustedForwarder(),
+        forwarderAddress
+      );
+      checkEqual(
+        `${name} timelock delay`,
+        await farm.timelockDelay(),
+        BigInt(config.timelockDelay ?? 0)
+      );
+    }
+
+    if (config.rewardBudget && funded.includes(name)) {
+      check(
+        `${name} pays rewards from a funded budget`,
+        await farm.isFunded(),
+        'reward budget not funded'
+      );
+    }
+  }
+
+  if (config.rewardTokenOwner) {
+    const dappToken = await ethers.getContractAt('DAppToken', dappAddress);
+    checkEqual(
+      `DAppToken owned by ${config.rewardTokenOwner}`,
+      await dappToken.owner(),
+      addressOf(config.rewardTokenOwner)
+    );
+  }
+
+  return checks;
+}
+
+function printChecks(checks) {
+  for (const { label, ok, detail } of checks) {
+    console.log(`${ok ? '✓' : '✗'} ${label}${ok ? '' : ` (${detail})`}`);
+  }
+}
+
+async function main() {
+  const config = loadConfig(network.name);
+  const manifest = loadManifest(network.name);
+
+  const checks = await checkDeployment(config, manifest);
+  printChecks(checks);
+  if (checks.some((check) => !check.ok)) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { checkDeployment, printChecks };
@@ -1,51 +1,365 @@
-const { ethers } = require('hardhat');
+const { ethers, network } = require('hardhat');
+const {
+  ROLES,
+  budgetFarms,
+  loadConfig,
+  loadManifest,
+  saveManifest,
+} = require('./lib/deployments');
+const { checkDeployment, printChecks } = require('./check-deployment');
+
+/**
+ * Deploy (or reuse) the tokens and farms described by `config`, wire them
+ * together and record every address in `manifest`. Running it again only
+ * sends the transactions needed to match the config.
+ */
+async function deploy(config, manifest, log = console.log) {
+  const [deployer] = await ethers.getSigners();
+  manifest.chainId = Number((await ethers.provider.getNetwork()).chainId);
+  manifest.deployer = deployer.address;
+
+  async function send(description, txPromise) {
+    const tx = await txPromise;
+    await tx.wait();
+    log(description);
+  }
+
+  // Once a farm has a timelock delay, timelocked setters only run queued: the
+  // first run queues the change, a run after the delay executes it
+  async function sendTimelocked(name, farm, change, method, args) {
+    if (name === 'MultiTokenFarm' || (await farm.timelockDelay()) === 0n) {
+      return send(`${name}: ${change}`, farm[method](...args));
+    }
+
+    const data = farm.interface.encodeFunctionData(method, args);
+    const id = ethers.keccak256(data);
+    const readyAt = await farm.queuedChangeReadyAt(id);
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    const expired =
+      readyAt !== 0n &&
+      BigInt(timestamp) > readyAt + (await farm.TIMELOCK_GRACE_PERIOD());
+
+    if (readyAt === 0n || expired) {
+      await (await farm.queueParameterChange(data)).wait();
+      log(
+        `${name}: queued "${change}", ready at ${isoTime(await farm.queuedChangeReadyAt(id))}; deploy again then`
+      );
+    } else if (BigInt(timestamp) < readyAt) {
+      log(
+        `${name}: "${change}" is queued until ${isoTime(readyAt)}; deploy again then`
+      );
+    } else {
+      await send(`${name}: ${change}`, farm[method](...args));
+    }
+  }
+
+  async function deployOrReuse(name, args, { address, isCurrent } = {}) {
+    const Factory = await ethers.getContractFactory(name);
+
+    // Addresses fixed in the config are never redeployed
+    if (address) {
+      manifest.contracts[name] = { address, external: true };
+      log(`${name}: using ${address} from config`);
+      return Factory.attach(address);
+    }
+
+    const entry = manifest.contracts[name];
+    if (entry && (await ethers.provider.getCode(entry.address)) !== '0x') {
+      const existing = Factory.attach(entry.address);
+      if (!isCurrent || (await isCurrent(existing))) {
+        log(`${name}: reusing ${entry.address}`);
+        return existing;
+      }
+      log(`${name}: ${entry.address} points to other tokens, redeploying`);
+    }
+
+    const contract = await Factory.deploy(...args);
+    const receipt = await contract.deploymentTransaction().wait();
+    manifest.contracts[name] = {
+      address: await contract.getAddress(),
+      blockNumber: receipt.blockNumber,
+      transactionHash: receipt.hash,
+    };
+    log(`${name}: deployed to ${manifest.contracts[name].address}`);
+    return contract;
+  }
+
+  // Tokens
+  const lpToken = await deployOrReuse('LPToken', [deployer.address], {
+    address: config.lpToken,
+  });
+  const dappToken = await deployOrReuse('DAppToken', [deployer.address], {
+    address: config.dappToken,
+  });
+  const lpAddress = await lpToken.getAddress();
+  const dappAddress = await dappToken.getAddress();
+
+  // Farms
+  const farms = {};
+  for (const name of config.farms) {
+    const isMulti = name === 'MultiTokenFarm';
+    farms[name] = await deployOrReuse(
+      name,
+      isMulti ? [dappAddress] : [dappAddress, lpAddress],
+      {
+        isCurrent: async (farm) =>
+          (await farm.dappToken()) === dappAddress &&
+          (isMulti || (await farm.lpToken()) === lpAddress),
+      }
+    );
+    await configureFarm(name, farms[name]);
+  }
+
+  async function configureFarm(name, farm) {
+    const min = ethers.parseEther(config.minRewardPerBlock);
+    const max = ethers.parseEther(config.maxRewardPerBlock);
+    if (
+      (await farm.minRewardPerBlock()) !== min ||
+      (await farm.maxRewardPerBlock()) !== max
+    ) {
+      await sendTimelocked(
+        name,
+        farm,
+        `reward range set to ${config.minRewardPerBlock}-${config.maxRewardPerBlock} DAPP`,
+        'setRewardRange',
+        [min, max]
+      );
+    }
+
+    // A funded farm derives its rate from the budget
+    const funded = name !== 'MultiTokenFarm' && (await farm.isFunded());
+    const rewardPerBlock = ethers.parseEther(config.rewardPerBlock);
+    if (!funded && (await farm.rewardPerBlock()) !== rewardPerBlock) {
+      await send(
+        `${name}: reward per block set to ${config.rewardPerBlock} DAPP`,
+        farm.setRewardPerBlock(rewardPerBlock)
+      );
+    }
+
+    if (
+      name !== 'TokenFarm' &&
+      (await farm.withdrawalFeeBasisPoints()) !==
+        BigInt(config.withdrawalFeeBasisPoints)
+    ) {
+      await sendTimelocked(
+        name,
+        farm,
+        `withdrawal fee set to ${config.withdrawalFeeBasisPoints} bps`,
+        'setWithdrawalFee',
+        [config.withdrawalFeeBasisPoints]
+      );
+    }
+
+    if (name === 'TokenFarmV2') {
+      if (
+        (await farm.stakingLockPeriod()) !== BigInt(config.stakingLockPeriod)
+      ) {
+        await sendTimelocked(
+          name,
+          farm,
+          `lock period set to ${config.stakingLockPeriod} blocks`,
+          'setStakingLockPeriod',
+          [config.stakingLockPeriod]
+        );
+      }
+      if (
+        (await farm.earlyWithdrawalPenalty()) !==
+        BigInt(config.earlyWithdrawalPenalty)
+      ) {
+        await sendTimelocked(
+          name,
+          farm,
+          `early withdrawal penalty set to ${config.earlyWithdrawalPenalty} bps`,
+          'setEarlyWithdrawalPenalty',
+          [config.earlyWithdrawalPenalty]
+        );
+      }
+    }
+
+    if (name === 'MultiTokenFarm' && !(await farm.hasPool(lpAddress))) {
+      await send(
+        `${name}: LPToken registered with ${config.multiTokenFarmAllocPoint} alloc points`,
+        farm.addPool(lpAddress, config.multiTokenFarmAllocPoint)
+      );
+    }
+  }
+
+  // Farms that will not own DAppToken pay rewards from a budget. Funding has
+  // to happen before the ownership handoff while the deployer can still mint.
+  if (config.rewardBudget) {
+    const amount = ethers.parseEther(config.rewardBudget.amount);
+    for (const name of budgetFarms(config)) {
+      const farm = farms[name];
+      if (await farm.isFunded()) {
+        log(`${name}: reward budget already funded`);
+        continue;
+      }
+
+      const farmAddress = await farm.getAddress();
+      if ((await dappToken.owner()) === deployer.address) {
+        await send(
+          `${name}: minted ${config.rewardBudget.amount} DAPP`,
+          dappToken.mint(farmAddress, amount)
+        );
+      } else {
+        await send(
+          `${name}: transferred ${config.rewardBudget.amount} DAPP`,
+          dappToken.transfer(farmAddress, amount)
+        );
+      }
+      await send(
+        `${name}: rewards funded for ${config.rewardBudget.duration} blocks`,
+        farm.notifyRewardAmount(amount, config.rewardBudget.duration)
+      );
+    }
+  }
+
+  // Trusted forwarder for relayed staker actions: our own FarmForwarder, an
+  // external one fixed by address, or none
+  let forwarderAddress = ethers.ZeroAddress;
+  if (config.trustedForwarder === 'FarmForwarder') {
+    const forwarder = await deployOrReuse('FarmForwarder', []);
+    forwarderAddress = await forwarder.getAddress();
+  } else if (config.trustedForwarder) {
+    forwarderAddress = ethers.getAddress(config.trustedForwarder);
+  }
+
+  // Read-only staker positions for front-ends, shared by every farm
+  if (config.farms.some((name) => name !== 'MultiTokenFarm')) {
+    await deployOrReuse('FarmLens', []);
+  }
+
+  // Roles, the trusted forwarder and the parameter timelock, while the
+  // deployer is still the admin. The delay is set last: parameter changes
+  // after it have to be queued.
+  for (const name of config.farms.filter((farm) => farm !== 'MultiTokenFarm')) {
+    const farm = farms[name];
+    for (const [key, role] of Object.entries(ROLES)) {
+      const account = config.roles?.[key];
+      if (account && !(await farm.hasRole(await farm[role](), account))) {
+        await send(
+          `${name}: ${key} role granted to ${account}`,
+          farm.grantRole(await farm[role](), account)
+        );
+      }
+    }
+
+    if ((await farm.trustedForwarder()) !== forwarderAddress) {
+      await send(
+        `${name}: trusted forwarder set to ${forwarderAddress}`,
+        farm.setTrustedForwarder(forwarderAddress)
+      );
+    }
+
+    const delay = BigInt(config.timelockDelay ?? 0);
+    if ((await farm.timelockDelay()) !== delay) {
+      await sendTimelocked(
+        name,
+        farm,
+        `timelock delay set to ${delay} seconds`,
+        'setTimelockDelay',
+        [delay]
+      );
+    }
+  }
+
+  // Ownership handoff
+  if (config.rewardTokenOwner) {
+    const target = farms[config.rewardTokenOwner];
+    const targetAddress = await target.getAddress();
+    const currentOwner = await dappToken.owner();
+
+    // Mint rights held by another of our farms move with the two-step handoff
+    const ownerFarm = Object.keys(farms).find(
+      (name) =>
+        name !== 'MultiTokenFarm' &&
+        manifest.contracts[name].address === currentOwner
+    );
+
+    if (currentOwner === deployer.address) {
+      await send(
+        `DAppToken ownership transferred to ${config.rewardTokenOwner}`,
+        dappToken.transferOwnership(targetAddress)
+      );
+    } else if (
+      ownerFarm &&
+      ownerFarm !== config.rewardTokenOwner &&
+      config.rewardTokenOwner !== 'MultiTokenFarm'
+    ) {
+      await send(
+        `${ownerFarm}: DAppToken ownership offered to ${config.rewardTokenOwner}`,
+        farms[ownerFarm].transferRewardTokenOwnership(targetAddress)
+      );
+      await send(
+        `DAppToken ownership moved from ${ownerFarm} to ${config.rewardTokenOwner}`,
+        target.claimRewardTokenOwnership(currentOwner)
+      );
+    } else if (currentOwner !== targetAddress) {
+      throw new Error(
+        `DAppToken is owned by ${currentOwner}, the deployer cannot hand it to ${config.rewardTokenOwner}`
+      );
+    }
+  }
+  manifest.rewardTokenOwner = config.rewardTokenOwner || null;
+
+  // Farm ownership is only proposed: the new owner has to accept it
+  if (config.farmOwner) {
+    const farmOwner = ethers.getAddress(config.farmOwner);
+    for (const name of config.farms) {
+      const farm = farms[name];
+      if ((await farm.owner()) === farmOwner) {
+        continue;
+      }
+      if (
+        name !== 'MultiTokenFarm' &&
+        (await farm.pendingOwner()) === farmOwner
+      ) {
+        log(`${name}: waiting for ${farmOwner} to accept ownership`);
+        continue;
+      }
+      await send(
+        name === 'MultiTokenFarm'
+          ? `${name}: ownership transferred to ${farmOwner}`
+          : `${name}: ownership offered to ${farmOwner}, who must call acceptOwnership`,
+        farm.transferOwnership(farmOwner)
+      );
+    }
+  }
+
+  return manifest;
+}
+
+function isoTime(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString();
+}
 
 async function main() {
   const [deployer] = await ethers.getSigners();
-  console.log('Deploying contracts with account:', deployer.address);
-
-  // Deploy LPToken
-  const LPToken = await ethers.getContractFactory('LPToken');
-  const lpToken = await LPToken.deploy(deployer.address);
-  await lpToken.waitForDeployment();
-  console.log('LPToken deployed to:', await lpToken.getAddress());
-
-  // Deploy DappToken
-  const DappToken = await ethers.getContractFactory('DAppToken');
-  const dappToken = await DappToken.deploy(deployer.address);
-  await dappToken.waitForDeployment();
-  console.log('DappToken deployed to:', await dappToken.getAddress());
-
-  // Deploy TokenFarm
-  const TokenFarm = await ethers.getContractFactory('TokenFarm');
-  const tokenFarm = await TokenFarm.deploy(
-    await lpToken.getAddress(),
-    await dappToken.getAddress()
-  );
-  await tokenFarm.waitForDeployment();
-  console.log('TokenFarm deployed to:', await tokenFarm.getAddress());
-
-  // Mint tokens rewards
-  const initialReward = ethers.parseEther('10000'); // 10,000 DAPP
-  let tx = await dappToken.mint(await tokenFarm.getAddress(), initialReward);
-  await tx.wait();
-  console.log(`Minted ${initialReward.toString()} DAPP to TokenFarm`);
-
-  // Deploy TokenFarmV2
-  const TokenFarmV2 = await ethers.getContractFactory('TokenFarmV2');
-  const tokenFarmV2 = await TokenFarmV2.deploy(
-    await lpToken.getAddress(),
-    await dappToken.getAddress()
-  );
-  await tokenFarmV2.waitForDeployment();
-  console.log('TokenFarmV2 deployed to:', await tokenFarmV2.getAddress());
-
-  tx = await dappToken.mint(await tokenFarmV2.getAddress(), initialReward);
-  await tx.wait();
-  console.log(`Minted ${initialReward.toString()} DAPP to TokenFarmV2`);
+  console.log(`Deploying to ${network.name} with account:`, deployer.address);
+
+  const config = loadConfig(network.name);
+  const manifest = loadManifest(network.name);
+
+  try {
+    await deploy(config, manifest);
+  } finally {
+    // Keep whatever got deployed, so a rerun resumes from there
+    saveManifest(network.name, manifest);
+  }
+
+  console.log('\nChecking deployment:');
+  const checks = await checkDeployment(config, manifest);
+  printChecks(checks);
+  if (checks.some((check) => !check.ok)) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
 }
 
-main().catch((error) => {
-  console.error(error);
-  process.exit(1);
-});
+module.exports = { deploy };
@@ -0,0 +1,92 @@
+/**
+ * Replay every event a farm emitted since the last indexed block into the
+ * store. Events are decoded with the farm ABI and kept in chain order.
+ * @param farm ethers Contract attached to the farm
+ * @param store Store from `loadStore`, updated in place
+ * @param options.toBlock Last block to index, defaults to the latest block
+ *   minus `confirmations`
+ * @param options.batchSize Blocks per `eth_getLogs` request
+ * @param options.onBatch Called after each batch, e.g. to save progress
+ * @returns Number of events added
+ */
+async function indexFarm(
+  farm,
+  store,
+  { toBlock, confirmations = 0, batchSize = 2000, onBatch } = {}
+) {
+  const provider = farm.runner.provider;
+  const address = await farm.getAddress();
+  const lastBlock =
+    toBlock ?? (await provider.getBlockNumber()) - confirmations;
+
+  const timestamps = new Map();
+  async function blockTimestamp(blockNumber) {
+    if (!timestamps.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber);
+      timestamps.set(blockNumber, block.timestamp);
+    }
+    return timestamps.get(blockNumber);
+  }
+
+  let added = 0;
+  for (
+    let fromBlock = store.lastIndexedBlock + 1;
+    fromBlock <= lastBlock;
+    fromBlock += batchSize
+  ) {
+    const batchEnd = Math.min(fromBlock + batchSize - 1, lastBlock);
+    const logs = await provider.getLogs({
+      address,
+      fromBlock,
+      toBlock: batchEnd,
+    });
+
+    for (const log of logs) {
+      const event = farm.interface.parseLog(log);
+      if (!event) {
+        continue;
+      }
+
+      store.events.push({
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash,
+        timestamp: await blockTimestamp(log.blockNumber),
+        name: event.name,
+        args: serializeArgs(event),
+      });
+      added++;
+    }
+
+    store.lastIndexedBlock = batchEnd;
+    if (onBatch) {
+      await onBatch(store);
+    }
+  }
+
+  // Reward rate for reports on stores without rate changes
+  store.rewardPerBlock = (await rewardPerBlockAt(farm, store)).toString();
+  return added;
+}
+
+// Reading state at a past block needs an archive node; other nodes only
+// keep recent state, so fall back to the current rate
+async function rewardPerBlockAt(farm, store) {
+  try {
+    return await farm.rewardPerBlock({ blockTag: store.lastIndexedBlock });
+  } catch {
+    return farm.rewardPerBlock();
+  }
+}
+
+// Event args by name, with uint256 values as decimal strings
+function serializeArgs(event) {
+  const args = {};
+  event.fragment.inputs.forEach((input, i) => {
+    const value = event.args[i];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+  return args;
+}
+
+module.exports = { indexFarm };
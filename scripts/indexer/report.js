@@ -0,0 +1,177 @@
+const { formatEther } = require('ethers');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * @notice Per-user totals: stake moved, penalties paid and rewards claimed
+ */
+function summarizeByUser(store) {
+  const users = new Map();
+  const userRow = (user) => {
+    if (!users.has(user)) {
+      users.set(user, {
+        user,
+        deposits: 0,
+        deposited: 0n,
+        withdrawals: 0,
+        withdrawn: 0n,
+        penalties: 0n,
+        claims: 0,
+        rewardsClaimed: 0n,
+        feesPaid: 0n,
+        netRewards: 0n,
+      });
+    }
+    return users.get(user);
+  };
+
+  for (const { name, args } of store.events) {
+    if (name === 'Deposit') {
+      const row = userRow(args.user);
+      row.deposits++;
+      row.deposited += BigInt(args.amount);
+    } else if (name === 'Withdraw') {
+      const row = userRow(args.user);
+      row.withdrawals++;
+      row.withdrawn += BigInt(args.amount);
+      row.penalties += BigInt(args.penalty ?? 0);
+    } else if (name === 'RewardsClaimed') {
+      const row = userRow(args.user);
+      row.claims++;
+      row.rewardsClaimed += BigInt(args.amount);
+      row.feesPaid += BigInt(args.fee);
+      row.netRewards += BigInt(args.netAmount);
+    }
+  }
+
+  return [...users.values()]
+    .sort((a, b) => a.user.localeCompare(b.user))
+    .map(formatAmounts);
+}
+
+/**
+ * @notice What the `rewardApr` column of the daily report does not account
+ * for, printed next to the report
+ */
+const APR_LIMITATIONS = [
+  'rewardApr is rewardPerBlock * blocksPerDay * 365 / totalStaked, priced at 1 DAPP = 1 LP.',
+  'It follows RewardPerBlockChanged events only: rates clamped by setRewardRange and reward schedules are not applied.',
+  'The rate before the first indexed change is read at the last indexed block, or at the latest block on nodes without archive state.',
+];
+
+/**
+ * @notice Per-day (UTC) activity, stake and emission APR at the end of
+ * each day
+ * @dev See `APR_LIMITATIONS` for what the APR leaves out
+ */
+function summarizeByDay(store, { blocksPerDay = 7200 } = {}) {
+  const days = new Map();
+  let totalStaked = 0n;
+  // The rate before the first change, or the rate at the last indexed block
+  const firstChange = store.events.find(
+    ({ name }) => name === 'RewardPerBlockChanged'
+  );
+  let rewardPerBlock = BigInt(
+    firstChange ? firstChange.args.oldValue : (store.rewardPerBlock ?? 0)
+  );
+
+  for (const { name, args, timestamp } of store.events) {
+    const day = new Date(
+      Math.floor(timestamp / DAY_SECONDS) * DAY_SECONDS * 1000
+    )
+      .toISOString()
+      .slice(0, 10);
+    if (!days.has(day)) {
+      days.set(day, {
+        day,
+        deposits: 0,
+        deposited: 0n,
+        withdrawals: 0,
+        withdrawn: 0n,
+        penalties: 0n,
+        claims: 0,
+        rewardsClaimed: 0n,
+        feesPaid: 0n,
+        feesWithdrawn: 0n,
+        activeUsers: new Set(),
+      });
+    }
+    const row = days.get(day);
+
+    if (name === 'Deposit') {
+      row.deposits++;
+      row.deposited += BigInt(args.amount);
+      row.activeUsers.add(args.user);
+      totalStaked += BigInt(args.amount);
+    } else if (name === 'Withdraw') {
+      // V2 reports the payout and the penalty kept by the farm
+      const penalty = BigInt(args.penalty ?? 0);
+      row.withdrawals++;
+      row.withdrawn += BigInt(args.amount);
+      row.penalties += penalty;
+      row.activeUsers.add(args.user);
+      totalStaked -= BigInt(args.amount) + penalty;
+    } else if (name === 'RewardsClaimed') {
+      row.claims++;
+      row.rewardsClaimed += BigInt(args.amount);
+      row.feesPaid += BigInt(args.fee);
+      row.activeUsers.add(args.user);
+    } else if (name === 'FeesWithdrawn') {
+      row.feesWithdrawn += BigInt(args.amount);
+    } else if (name === 'PenaltiesRedistributed') {
+      totalStaked += BigInt(args.amount);
+    } else if (name === 'RewardPerBlockChanged') {
+      rewardPerBlock = BigInt(args.newValue);
+    }
+
+    row.totalStaked = totalStaked;
+    row.rewardPerBlock = rewardPerBlock;
+  }
+
+  return [...days.values()].map(({ activeUsers, ...row }) => ({
+    ...formatAmounts(row),
+    activeUsers: activeUsers.size,
+    rewardApr: formatApr(row.rewardPerBlock, row.totalStaked, blocksPerDay),
+  }));
+}
+
+function formatApr(rewardPerBlock, totalStaked, blocksPerDay) {
+  if (totalStaked === 0n) {
+    return '';
+  }
+  const yearlyRewards = rewardPerBlock * BigInt(blocksPerDay) * 365n;
+  // Percentage with two decimals
+  const basisPoints = (yearlyRewards * 10000n) / totalStaked;
+  return `${basisPoints / 100n}.${(basisPoints % 100n).toString().padStart(2, '0')}%`;
+}
+
+// Token amounts in ether units
+function formatAmounts(row) {
+  return Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [
+      key,
+      typeof value === 'bigint' ? formatEther(value) : value,
+    ])
+  );
+}
+
+function toCsv(rows) {
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const columns = Object.keys(rows[0]);
+  const escape = (value) => {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.join(','),
+    ...rows.map((row) =>
+      columns.map((column) => escape(row[column])).join(',')
+    ),
+  ].join('\n');
+}
+
+module.exports = { APR_LIMITATIONS, summarizeByUser, summarizeByDay, toCsv };
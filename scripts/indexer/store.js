@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'indexer-data');
+
+/**
+ * @notice Default store file for a farm: one JSON file per network and farm
+ */
+function storePath(networkName, farmAddress) {
+  return path.join(
+    DATA_DIR,
+    `${networkName}-${farmAddress.toLowerCase()}.json`
+  );
+}
+
+/**
+ * @notice Read a store, or start an empty one that indexes from `fromBlock`
+ */
+function loadStore(file, { network, farm, contractName, fromBlock = 0 }) {
+  if (fs.existsSync(file)) {
+    const store = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (store.farm.toLowerCase() !== farm.toLowerCase()) {
+      throw new Error(`${file} indexes ${store.farm}, not ${farm}`);
+    }
+    return store;
+  }
+
+  return {
+    network,
+    farm,
+    contractName,
+    startBlock: fromBlock,
+    lastIndexedBlock: fromBlock - 1,
+    rewardPerBlock: null,
+    events: [],
+  };
+}
+
+/**
+ * @notice Write the store through a temporary file, so an interrupted run
+ * never leaves a half-written store behind
+ */
+function saveStore(file, store) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, `${JSON.stringify(store, null, 2)}\n`);
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { storePath, loadStore, saveStore };
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_DIR = path.join(__dirname, '..', '..', 'config');
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', '..', 'deployments');
+
+/**
+ * @notice Farm contracts the pipeline knows how to deploy and wire
+ */
+const FARMS = ['TokenFarm', 'TokenFarmV2', 'MultiTokenFarm'];
+
+/**
+ * @notice Config `roles` keys and the farm role constants they map to
+ */
+const ROLES = {
+  parameterManager: 'PARAMETER_MANAGER_ROLE',
+  pauser: 'PAUSER_ROLE',
+  feeCollector: 'FEE_COLLECTOR_ROLE',
+};
+
+function configPath(networkName) {
+  return path.join(CONFIG_DIR, `${networkName}.json`);
+}
+
+function manifestPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+/**
+ * @notice Read and validate `config/<network>.json`
+ */
+function loadConfig(networkName) {
+  const file = configPath(networkName);
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `No deploy config for network "${networkName}" (expected ${path.relative(process.cwd(), file)})`
+    );
+  }
+
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  for (const farm of config.farms || []) {
+    if (!FARMS.includes(farm)) {
+      throw new Error(`Unknown farm "${farm}" in ${file}`);
+    }
+  }
+  if (
+    config.rewardTokenOwner &&
+    !config.farms.includes(config.rewardTokenOwner)
+  ) {
+    throw new Error(
+      `rewardTokenOwner "${config.rewardTokenOwner}" is not one of the deployed farms`
+    );
+  }
+
+  return config;
+}
+
+/**
+ * @notice Farms paid from a reward budget: every budget-capable farm except
+ * the one that mints as DAppToken owner
+ */
+function budgetFarms(config) {
+  return config.farms.filter(
+    (name) => name !== config.rewardTokenOwner && name !== 'MultiTokenFarm'
+  );
+}
+
+/**
+ * @notice Read `deployments/<network>.json`, or an empty manifest
+ */
+function loadManifest(networkName) {
+  const file = manifestPath(networkName);
+  if (!fs.existsSync(file)) {
+    return { network: networkName, contracts: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveManifest(networkName, manifest) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(
+    manifestPath(networkName),
+    `${JSON.stringify({ ...manifest, updatedAt: new Date().toISOString() }, null, 2)}\n`
+  );
+}
+
+module.exports = {
+  FARMS,
+  ROLES,
+  budgetFarms,
+  configPath,
+  manifestPath,
+  loadConfig,
+  loadManifest,
+  saveManifest,
+};
@@ -0,0 +1,86 @@
+// Seconds a forward request stays valid when no deadline is given
+const DEFAULT_REQUEST_TTL = 60 * 60;
+
+// Gas forwarded to the farm call when the request does not set it
+const DEFAULT_REQUEST_GAS = 500000n;
+
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' },
+  ],
+};
+
+/**
+ * Sign an ERC-2771 forward request calling `method` on `target` for the
+ * signer. The result is what `FarmForwarder.execute` takes.
+ * @param forwarder ethers Contract of the FarmForwarder
+ * @param signer Account the call acts for; it never sends a transaction
+ * @param target ethers Contract the forwarder calls, e.g. a farm
+ * @param options.gas Gas forwarded to the call
+ * @param options.deadline Unix timestamp the request expires at, defaults to
+ *   DEFAULT_REQUEST_TTL seconds after the latest block
+ */
+async function signForwardRequest(
+  forwarder,
+  signer,
+  target,
+  method,
+  args = [],
+  options = {}
+) {
+  let { gas = DEFAULT_REQUEST_GAS, deadline } = options;
+  if (deadline === undefined) {
+    const latest = await signer.provider.getBlock('latest');
+    deadline = BigInt(latest.timestamp + DEFAULT_REQUEST_TTL);
+  }
+
+  const { name, version, chainId, verifyingContract } =
+    await forwarder.eip712Domain();
+  const request = {
+    from: signer.address,
+    to: await target.getAddress(),
+    value: 0n,
+    gas,
+    nonce: await forwarder.nonces(signer.address),
+    deadline,
+    data: target.interface.encodeFunctionData(method, args),
+  };
+  const signature = await signer.signTypedData(
+    { name, version, chainId, verifyingContract },
+    FORWARD_REQUEST_TYPES,
+    request
+  );
+
+  const { nonce, ...requestData } = request;
+  return { ...requestData, signature };
+}
+
+/**
+ * Submit a signed request through the forwarder, paying the gas as
+ * `relayer`. Requests the forwarder would reject are refused before
+ * anything is sent.
+ * @returns The relay transaction
+ */
+async function relay(forwarder, relayer, request) {
+  const connected = forwarder.connect(relayer);
+  if (!(await connected.verify(request))) {
+    throw new Error(
+      `Invalid forward request from ${request.from}: bad signature, used nonce, expired deadline or untrusted target`
+    );
+  }
+  return connected.execute(request);
+}
+
+module.exports = {
+  DEFAULT_REQUEST_TTL,
+  DEFAULT_REQUEST_GAS,
+  FORWARD_REQUEST_TYPES,
+  signForwardRequest,
+  relay,
+};
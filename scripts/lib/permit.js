@@ -0,0 +1,86 @@
+const { Contract, Signature } = require('ethers');
+
+// Seconds a permit stays valid when no deadline is given
+const DEFAULT_PERMIT_TTL = 60 * 60;
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+const PERMIT_ABI = [
+  'function nonces(address owner) view returns (uint256)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+];
+
+/**
+ * EIP-712 domain of an ERC20Permit token, read from the token itself
+ * (ERC-5267) so the name and version always match the contract.
+ */
+async function permitDomain(token) {
+  const { name, version, chainId, verifyingContract } =
+    await token.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * Sign an EIP-2612 permit letting `spender` move `value` of the signer's
+ * tokens.
+ * @param token ethers Contract of an ERC20Permit token (LPToken, DAppToken)
+ * @param owner Signer holding the tokens
+ * @param options.deadline Unix timestamp the permit expires at, defaults to
+ *   DEFAULT_PERMIT_TTL seconds after the latest block
+ * @param options.nonce Defaults to the owner's current token nonce
+ * @returns `{ deadline, v, r, s }`, ready for `permit` or `depositWithPermit`
+ */
+async function signPermit(token, owner, spender, value, options = {}) {
+  let { deadline, nonce } = options;
+  if (deadline === undefined) {
+    const latest = await owner.provider.getBlock('latest');
+    deadline = BigInt(latest.timestamp + DEFAULT_PERMIT_TTL);
+  }
+  if (nonce === undefined) {
+    nonce = await token.nonces(owner.address);
+  }
+
+  const signature = await owner.signTypedData(
+    await permitDomain(token),
+    PERMIT_TYPES,
+    { owner: owner.address, spender, value, nonce, deadline }
+  );
+  const { v, r, s } = Signature.from(signature);
+  return { deadline, v, r, s };
+}
+
+/**
+ * Stake LP tokens with a freshly signed permit instead of an approve
+ * transaction.
+ * @param farm ethers Contract of a TokenFarm or TokenFarmV2
+ * @param owner Signer staking the tokens
+ * @param options Passed to `signPermit`
+ * @returns The deposit transaction
+ */
+async function depositWithPermit(farm, owner, amount, options = {}) {
+  const lpToken = new Contract(await farm.lpToken(), PERMIT_ABI, owner);
+  const { deadline, v, r, s } = await signPermit(
+    lpToken,
+    owner,
+    await farm.getAddress(),
+    amount,
+    options
+  );
+  return farm.connect(owner).depositWithPermit(amount, deadline, v, r, s);
+}
+
+module.exports = {
+  DEFAULT_PERMIT_TTL,
+  PERMIT_TYPES,
+  permitDomain,
+  signPermit,
+  depositWithPermit,
+};
@@ -0,0 +1,128 @@
+const { ethers, network } = require('hardhat');
+const { loadManifest } = require('./lib/deployments');
+const { signForwardRequest, relay } = require('./lib/forwarder');
+const { signPermit } = require('./lib/permit');
+
+// Relayable actions by farm version (`getVersion`); TokenFarm has no
+// emergency withdrawal
+const ACTIONS = {
+  1: ['deposit', 'withdraw', 'claim'],
+  2: ['deposit', 'withdraw', 'claim', 'emergencyWithdraw'],
+};
+
+/**
+ * Relay one staker action through the FarmForwarder: `user` only signs, the
+ * relayer sends the transaction and pays the gas. Deposits carry an LP
+ * permit, so the user needs no ETH at all.
+ * @param farm ethers Contract of a TokenFarm or TokenFarmV2
+ * @param forwarder ethers Contract of the farm's trusted FarmForwarder
+ * @param action One of the ACTIONS of the farm's version
+ * @param amount LP tokens for deposit and withdraw, in wei
+ * @returns The relay transaction receipt
+ */
+async function relayAction(farm, forwarder, { user, relayer, action, amount }) {
+  const version = Number(await farm.getVersion());
+  const actions = ACTIONS[version];
+  if (!actions) {
+    throw new Error(`Unsupported farm version ${version}`);
+  }
+  if (!actions.includes(action)) {
+    throw new Error(
+      `Unknown action "${action}" for this farm (${actions.join(', ')})`
+    );
+  }
+
+  let method;
+  let args;
+  switch (action) {
+    case 'deposit': {
+      const lpToken = await ethers.getContractAt(
+        'LPToken',
+        await farm.lpToken(),
+        user
+      );
+      const { deadline, v, r, s } = await signPermit(
+        lpToken,
+        user,
+        await farm.getAddress(),
+        amount
+      );
+      method = 'depositWithPermit';
+      args = [amount, deadline, v, r, s];
+      break;
+    }
+    case 'withdraw':
+      method = 'withdraw';
+      args = [amount];
+      break;
+    case 'claim':
+      method = 'claimRewards';
+      args = [];
+      break;
+    case 'emergencyWithdraw':
+      method = 'emergencyWithdraw';
+      args = [];
+      break;
+  }
+
+  const request = await signForwardRequest(forwarder, user, farm, method, args);
+  const tx = await relay(forwarder, relayer, request);
+  return tx.wait();
+}
+
+/**
+ * Local relayer for a Hardhat node, configured through the environment:
+ *   ACTION  deposit | withdraw | claim, or emergencyWithdraw on TokenFarmV2
+ *   AMOUNT  LP tokens in ether units, for deposit and withdraw
+ *   FARM    TokenFarm or TokenFarmV2 (default)
+ *   SIGNER  Index of the account signing the request (default 1); account 0
+ *           relays and pays the gas
+ * e.g. ACTION=claim npx hardhat run scripts/relayer.js --network localhost
+ */
+async function main() {
+  const {
+    ACTION,
+    AMOUNT = '0',
+    FARM = 'TokenFarmV2',
+    SIGNER = '1',
+  } = process.env;
+  const manifest = loadManifest(network.name);
+  for (const name of [FARM, 'FarmForwarder']) {
+    if (!manifest.contracts[name]) {
+      throw new Error(
+        `No ${name} in the ${network.name} manifest; run the deploy script first`
+      );
+    }
+  }
+
+  const signers = await ethers.getSigners();
+  const relayer = signers[0];
+  const user = signers[Number(SIGNER)];
+  const farm = await ethers.getContractAt(
+    FARM,
+    manifest.contracts[FARM].address
+  );
+  const forwarder = await ethers.getContractAt(
+    'FarmForwarder',
+    manifest.contracts.FarmForwarder.address
+  );
+
+  const receipt = await relayAction(farm, forwarder, {
+    user,
+    relayer,
+    action: ACTION,
+    amount: ethers.parseEther(AMOUNT),
+  });
+  console.log(
+    `Relayed ${ACTION} for ${user.address} from ${relayer.address} (tx ${receipt.hash}, ${receipt.gasUsed} gas)`
+  );
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ACTIONS, relayAction };
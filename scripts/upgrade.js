@@ -0,0 +1,81 @@
+const { ethers } = require('hardhat');
+
+async function main() {
+  const [deployer] = await ethers.getSigners();
+  console.log('Deploying contracts with account:', deployer.address);
+
+  // Deploy LPToken
+  const LPToken = await ethers.getContractFactory('LPToken');
+  const lpToken = await LPToken.deploy(deployer.address);
+  await lpToken.waitForDeployment();
+  console.log('LPToken deployed to:', await lpToken.getAddress());
+
+  // Deploy DappToken
+  const DappToken = await ethers.getContractFactory('DAppToken');
+  const dappToken = await DappToken.deploy(deployer.address);
+  await dappToken.waitForDeployment();
+  console.log('DappToken deployed to:', await dappToken.getAddress());
+
+  // Deploy TokenFarm implementation and a proxy initialized with it
+  const TokenFarm = await ethers.getContractFactory('TokenFarm');
+  const tokenFarmImpl = await TokenFarm.deploy(
+    await dappToken.getAddress(),
+    await lpToken.getAddress()
+  );
+  await tokenFarmImpl.waitForDeployment();
+  console.log(
+    'TokenFarm implementation deployed to:',
+    await tokenFarmImpl.getAddress()
+  );
+
+  const FarmProxy = await ethers.getContractFactory('FarmProxy');
+  const proxy = await FarmProxy.deploy(
+    await tokenFarmImpl.getAddress(),
+    TokenFarm.interface.encodeFunctionData('initialize', [
+      await dappToken.getAddress(),
+      await lpToken.getAddress(),
+      deployer.address,
+    ])
+  );
+  await proxy.waitForDeployment();
+  const proxyAddress = await proxy.getAddress();
+  console.log('TokenFarm proxy deployed to:', proxyAddress);
+
+  // The proxy mints the rewards, so it must own DappToken
+  let tx = await dappToken.transferOwnership(proxyAddress);
+  await tx.wait();
+  console.log('DappToken ownership transferred to the proxy');
+
+  // Deploy TokenFarmV2 implementation and upgrade the proxy in place
+  const TokenFarmV2 = await ethers.getContractFactory('TokenFarmV2');
+  const tokenFarmV2Impl = await TokenFarmV2.deploy(
+    await dappToken.getAddress(),
+    await lpToken.getAddress()
+  );
+  await tokenFarmV2Impl.waitForDeployment();
+  console.log(
+    'TokenFarmV2 implementation deployed to:',
+    await tokenFarmV2Impl.getAddress()
+  );
+
+  const tokenFarm = TokenFarm.attach(proxyAddress);
+  tx = await tokenFarm.upgradeToAndCall(
+    await tokenFarmV2Impl.getAddress(),
+    TokenFarmV2.interface.encodeFunctionData('initializeV2', [
+      300, // 3% withdrawal fee
+      100, // 100 blocks lock period
+      500, // 5% early withdrawal penalty
+    ])
+  );
+  await tx.wait();
+
+  const tokenFarmV2 = TokenFarmV2.attach(proxyAddress);
+  console.log(
+    `Proxy upgraded to ${await tokenFarmV2.name()} (version ${await tokenFarmV2.getVersion()})`
+  );
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+// Parts of the farm ABIs the SDK uses, shared by TokenFarm and TokenFarmV2
+const COMMON_ABI = [
+  'function name() view returns (string)',
+  'function getVersion() view returns (uint256)',
+  'function owner() view returns (address)',
+  'function lpToken() view returns (address)',
+  'function dappToken() view returns (address)',
+  'function rewardPerBlock() view returns (uint256)',
+  'function minRewardPerBlock() view returns (uint256)',
+  'function maxRewardPerBlock() view returns (uint256)',
+  'function totalStakingBalance() view returns (uint256)',
+  'function isScheduled() view returns (bool)',
+  'function isFunded() view returns (bool)',
+  'function currentRewardPerSecond() view returns (uint256)',
+  'function getWithdrawalFeeRate() view returns (uint256)',
+  'function getRewardRunway() view returns (uint256)',
+  'function priceOracle() view returns (address)',
+  'function blocksPerYear() view returns (uint256)',
+  'function getApr() view returns (uint256)',
+  'function getStakingBalance(address user) view returns (uint256)',
+  'function previewPendingRewards(address user) view returns (uint256)',
+  'function deposit(uint256 amount)',
+  'function withdraw(uint256 amount)',
+  'function claimRewards()',
+  'function claimRewardsTo(address recipient)',
+  'event Deposit(address indexed user, uint256 amount, uint256 timestamp)',
+  'event RewardsClaimed(address indexed user, address indexed recipient, address caller, uint256 amount, uint256 fee, uint256 netAmount, uint256 timestamp)',
+  'event RewardPerBlockChanged(address indexed owner, uint256 oldValue, uint256 newValue, uint256 timestamp)',
+  'event OwnerChanged(address indexed oldOwner, address indexed newOwner, uint256 timestamp)',
+  'event FeesWithdrawn(address indexed owner, uint256 amount, uint256 timestamp)',
+];
+
+const TOKEN_FARM_ABI = [
+  ...COMMON_ABI,
+  'function getUserInfo(address user) view returns (uint256 stakingBalance, uint256 checkpoint, uint256 pendingRewards, bool hasStaked, bool isStaking)',
+  'event Withdraw(address indexed user, uint256 amount, uint256 timestamp)',
+];
+
+const TOKEN_FARM_V2_ABI = [
+  ...COMMON_ABI,
+  'function deposit(uint256 amount, uint256 lockBlocks)',
+  'function getUserInfo(address user) view returns (uint256 stakingBalance, uint256 checkpoint, uint256 pendingRewards, bool hasStaked, bool isStaking, uint256 totalRewardsClaimed, uint256 lastClaimBlock, uint256 stakingStartBlock)',
+  'function getLockInfo(address user) view returns (uint256 lockedBalance, uint256 unlockedBalance, uint256 unlockBlock)',
+  'function boostInfo(address user) view returns (uint256 multiplier, uint256 unlockBlock, uint256 weight, uint256 lockBlocks)',
+  'function stakingLockPeriod() view returns (uint256)',
+  'function earlyWithdrawalPenalty() view returns (uint256)',
+  'function emergencyStop() view returns (bool)',
+  'function getNetApr() view returns (uint256)',
+  'event Withdraw(address indexed user, uint256 amount, uint256 penalty, uint256 timestamp)',
+  'event EmergencyStopToggled(address indexed owner, bool stopped, uint256 timestamp)',
+  'event BoostLocked(address indexed user, uint256 lockBlocks, uint256 multiplier, uint256 unlockBlock, uint256 timestamp)',
+];
+
+const POSITION =
+  'tuple(address staker, uint256 stakingBalance, uint256 pendingRewards, uint256 lockedBalance, uint256 unlockBlock, uint256 boostMultiplier, uint256 boostUnlockBlock, uint256 totalRewardsClaimed)';
+
+const FARM_LENS_ABI = [
+  'function farmVersion(address farm) view returns (uint256)',
+  `function getPositions(address farm, uint256 start, uint256 count) view returns (${POSITION}[] positions, uint256 total)`,
+  `function getPosition(address farm, address staker) view returns (${POSITION})`,
+];
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 value) returns (bool)',
+];
+
+// Farm ABIs by the version getVersion reports, 1 for TokenFarm
+const FARM_ABIS = {
+  1: TOKEN_FARM_ABI,
+  2: TOKEN_FARM_V2_ABI,
+};
+
+module.exports = {
+  TOKEN_FARM_ABI,
+  TOKEN_FARM_V2_ABI,
+  FARM_LENS_ABI,
+  ERC20_ABI,
+  FARM_ABIS,
+};
@@ -0,0 +1,81 @@
+const { formatUnits } = require('ethers');
+
+// Blocks per year by chain id, from each network's target block time. Local
+// networks mine on demand, so they are priced like mainnet.
+const BLOCKS_PER_YEAR = {
+  1: 2628000, // Ethereum, 12 s
+  11155111: 2628000, // Sepolia, 12 s
+  137: 15768000, // Polygon PoS, 2 s
+  8453: 15768000, // Base, 2 s
+  10: 15768000, // OP Mainnet, 2 s
+  1337: 2628000, // Hardhat Network, as configured here
+  31337: 2628000, // Hardhat Network default
+};
+
+// getApr and getNetApr are scaled by 1e18
+const APR_DECIMALS = 18;
+const BASIS_POINTS = 10000n;
+
+/**
+ * Blocks per year on `chainId`, to pass to `setPriceOracle` or `aprToApy`
+ */
+function blocksPerYear(chainId) {
+  const blocks = BLOCKS_PER_YEAR[Number(chainId)];
+  if (!blocks) {
+    throw new Error(`No blocks per year for chain ${chainId}`);
+  }
+  return blocks;
+}
+
+/**
+ * APY of `apr` when rewards are restaked `compoundsPerYear` times a year,
+ * both as fractions (0.25 is 25%)
+ */
+function aprToApy(apr, compoundsPerYear) {
+  if (!(compoundsPerYear > 0)) {
+    throw new Error('compoundsPerYear must be greater than 0');
+  }
+  // expm1/log1p keep small per-period rates from rounding away
+  return Math.expm1(compoundsPerYear * Math.log1p(apr / compoundsPerYear));
+}
+
+/**
+ * APR a farm reports through its price oracle, as a fraction. `net` takes
+ * out the withdrawal fee, like getNetApr on TokenFarmV2. 0 while nothing is
+ * staked.
+ */
+async function getApr(farm, { net = false } = {}) {
+  let apr = await farm.getApr();
+  if (net) {
+    apr =
+      (apr * (BASIS_POINTS - (await farm.getWithdrawalFeeRate()))) /
+      BASIS_POINTS;
+  }
+  return Number(formatUnits(apr, APR_DECIMALS));
+}
+
+/**
+ * getApr compounded every block, or `options.compoundsPerYear` times a year.
+ * Blocks per year default to the network of the farm's provider.
+ */
+async function getApy(
+  farm,
+  { net = false, blocksPerYear: blocks, compoundsPerYear } = {}
+) {
+  if (!compoundsPerYear) {
+    if (!blocks) {
+      const { chainId } = await farm.runner.provider.getNetwork();
+      blocks = blocksPerYear(chainId);
+    }
+    compoundsPerYear = blocks;
+  }
+  return aprToApy(await getApr(farm, { net }), compoundsPerYear);
+}
+
+module.exports = {
+  BLOCKS_PER_YEAR,
+  blocksPerYear,
+  aprToApy,
+  getApr,
+  getApy,
+};
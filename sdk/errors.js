@@ -0,0 +1,112 @@
+/**
+ * Any revert of a farm call. `reason` is the require message, or the custom
+ * error with its arguments.
+ */
+class FarmError extends Error {
+  constructor(reason, options) {
+    super(reason, options);
+    this.name = this.constructor.name;
+    this.reason = reason;
+  }
+}
+
+// The caller lacks the role, ownership or approval the call needs
+class NotAuthorizedError extends FarmError {}
+
+// TokenFarmV2 is stopped: no deposits, withdrawals or claims
+class EmergencyStopError extends FarmError {}
+
+// The account has nothing staked
+class NotStakingError extends FarmError {}
+
+class InsufficientBalanceError extends FarmError {}
+
+// A lock or boost lock blocks the call until it ends
+class LockedError extends FarmError {}
+
+class NoRewardsError extends FarmError {}
+
+// A timelocked change was not queued or its delay has not passed
+class TimelockError extends FarmError {}
+
+// An amount, address or setting the farm rejects
+class InvalidArgumentError extends FarmError {}
+
+// Revert strings of TokenFarm, TokenFarmV2 and their modules
+const REVERT_ERRORS = {
+  'Only owner can call this function': NotAuthorizedError,
+  'Missing role': NotAuthorizedError,
+  'Not staking and not owner': NotAuthorizedError,
+  'Not an approved claimer': NotAuthorizedError,
+  'Not the pending owner': NotAuthorizedError,
+  'Contract is in emergency stop': EmergencyStopError,
+  'User is not staking': NotStakingError,
+  'Insufficient staked balance': InsufficientBalanceError,
+  'Stake is boost-locked': LockedError,
+  'Boost still locked': LockedError,
+  'Lock ends before current lock': LockedError,
+  'No rewards to claim': NoRewardsError,
+  'Change not queued': TimelockError,
+  'Change already queued': TimelockError,
+  'Timelock not expired': TimelockError,
+  'Amount must be greater than 0': InvalidArgumentError,
+  'Zero address': InvalidArgumentError,
+  'New owner cannot be zero address': InvalidArgumentError,
+  'Invalid permit': InvalidArgumentError,
+  'Unknown lock duration': InvalidArgumentError,
+  'Below minimum': InvalidArgumentError,
+  'Above maximum': InvalidArgumentError,
+  'Invalid range': InvalidArgumentError,
+  'Blocks per year must be greater than 0': InvalidArgumentError,
+  'Min must be less than max': InvalidArgumentError,
+  'Fee cannot exceed 10%': InvalidArgumentError,
+  'Lock period cannot exceed 10000 blocks': InvalidArgumentError,
+  'Penalty cannot exceed 20%': InvalidArgumentError,
+};
+
+/**
+ * The require message or custom error of a reverted call, or null when the
+ * error is not a revert (a network failure, a rejected signature, ...)
+ */
+function revertReason(error) {
+  if (error.reason) {
+    return error.reason;
+  }
+  if (error.revert) {
+    return `${error.revert.name}(${error.revert.args.join(', ')})`;
+  }
+
+  // Hardhat Network reports reverts in the error message
+  const match = /reverted with (?:reason string|custom error) '(.*)'/.exec(
+    error.message
+  );
+  return match ? match[1] : null;
+}
+
+/**
+ * The typed FarmError for a reverted call, keeping the original error as its
+ * `cause`. Errors other than reverts are returned unchanged.
+ */
+function toFarmError(error) {
+  const reason = revertReason(error);
+  if (reason === null) {
+    return error;
+  }
+  const ErrorClass = REVERT_ERRORS[reason] || FarmError;
+  return new ErrorClass(reason, { cause: error });
+}
+
+module.exports = {
+  FarmError,
+  NotAuthorizedError,
+  EmergencyStopError,
+  NotStakingError,
+  InsufficientBalanceError,
+  LockedError,
+  NoRewardsError,
+  TimelockError,
+  InvalidArgumentError,
+  REVERT_ERRORS,
+  revertReason,
+  toFarmError,
+};
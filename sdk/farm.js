@@ -0,0 +1,260 @@
+const { Contract, formatUnits, parseUnits } = require('ethers');
+const { ERC20_ABI, FARM_ABIS, FARM_LENS_ABI } = require('./abi');
+const { toFarmError } = require('./errors');
+const { aprToApy } = require('./apy');
+const { getPosition } = require('./lens');
+
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+const BASIS_POINTS = 10000n;
+
+// Seconds per block assumed when annualizing a per-block reward
+const DEFAULT_BLOCK_TIME = 12;
+
+/**
+ * A TokenFarm or TokenFarmV2 at a known address. Amounts are bigints in wei,
+ * and reverted calls throw the typed errors of `./errors`.
+ *
+ * @example
+ * const farm = await Farm.connect(address, signer);
+ * await farm.deposit(parseEther('100'));
+ * const { netAmount } = await farm.claim();
+ */
+class Farm {
+  /**
+   * Use `Farm.connect`, which detects the farm version
+   */
+  constructor(contract, version, lens = null) {
+    this.contract = contract;
+    this.version = version;
+    this.lens = lens;
+  }
+
+  /**
+   * @param address Farm or farm proxy address
+   * @param runner ethers Signer for transactions, or a Provider for reads
+   * @param options.version Skips reading `getVersion`, e.g. 1 for TokenFarm
+   *   deployments that predate it
+   * @param options.lens FarmLens address, needed by `position`
+   */
+  static async connect(address, runner, { version, lens } = {}) {
+    if (version === undefined) {
+      const probe = new Contract(address, FARM_ABIS[1], runner);
+      try {
+        version = Number(await probe.getVersion());
+      } catch (error) {
+        throw toFarmError(error);
+      }
+    }
+    if (!FARM_ABIS[version]) {
+      throw new Error(`Unsupported farm version ${version} at ${address}`);
+    }
+
+    return new Farm(
+      new Contract(address, FARM_ABIS[version], runner),
+      version,
+      lens ? new Contract(lens, FARM_LENS_ABI, runner) : null
+    );
+  }
+
+  get isV2() {
+    return this.version >= 2;
+  }
+
+  getAddress() {
+    return this.contract.getAddress();
+  }
+
+  /**
+   * Stake LP tokens, first approving the farm when its allowance is short.
+   * @param options.lockBlocks Boost lock duration (TokenFarmV2 only)
+   * @returns The deposit receipt
+   */
+  async deposit(amount, { lockBlocks } = {}) {
+    if (lockBlocks && !this.isV2) {
+      throw new Error('Boost locks are only available on TokenFarmV2');
+    }
+
+    const owner = await this.#signerAddress();
+    const farmAddress = await this.getAddress();
+    const lpToken = new Contract(
+      await this.contract.lpToken(),
+      ERC20_ABI,
+      this.contract.runner
+    );
+    if ((await lpToken.allowance(owner, farmAddress)) < amount) {
+      await this.#send(lpToken.approve(farmAddress, amount));
+    }
+
+    return this.#send(
+      lockBlocks
+        ? this.contract['deposit(uint256,uint256)'](amount, lockBlocks)
+        : this.contract['deposit(uint256)'](amount)
+    );
+  }
+
+  /**
+   * @returns The withdraw receipt
+   */
+  async withdraw(amount) {
+    return this.#send(this.contract.withdraw(amount));
+  }
+
+  /**
+   * Claim the signer's pending rewards, to `options.to` if given.
+   * @returns `{ recipient, amount, fee, netAmount, receipt }`, where
+   *   `amount` is before the fee
+   */
+  async claim({ to } = {}) {
+    const receipt = await this.#send(
+      to ? this.contract.claimRewardsTo(to) : this.contract.claimRewards()
+    );
+    const { recipient, amount, fee, netAmount } = receipt.logs
+      .map((log) => this.contract.interface.parseLog(log))
+      .find((event) => event && event.name === 'RewardsClaimed').args;
+    return { recipient, amount, fee, netAmount, receipt };
+  }
+
+  /**
+   * A staker's position read through FarmLens (see `getPosition` in
+   * `./lens`). TokenFarm has no locks or boosts and does not track claimed
+   * rewards, so those fields are 0 for it.
+   * @param user Defaults to the signer
+   * @returns {Promise<import('./lens').Position>}
+   */
+  async position(user) {
+    if (!this.lens) {
+      throw new Error('Reading positions needs a FarmLens: pass options.lens');
+    }
+    user = user || (await this.#signerAddress());
+    return getPosition(this.lens, await this.getAddress(), user);
+  }
+
+  /**
+   * Farm settings. Lock settings are 0 and `emergencyStop` false on
+   * TokenFarm, which has neither.
+   */
+  async config() {
+    const farm = this.contract;
+    const config = {
+      version: this.version,
+      name: await farm.name(),
+      owner: await farm.owner(),
+      lpToken: await farm.lpToken(),
+      rewardToken: await farm.dappToken(),
+      rewardPerBlock: await farm.rewardPerBlock(),
+      minRewardPerBlock: await farm.minRewardPerBlock(),
+      maxRewardPerBlock: await farm.maxRewardPerBlock(),
+      isScheduled: await farm.isScheduled(),
+      isFunded: await farm.isFunded(),
+      totalStakingBalance: await farm.totalStakingBalance(),
+      withdrawalFeeBasisPoints: await farm.getWithdrawalFeeRate(),
+      stakingLockPeriod: 0n,
+      earlyWithdrawalPenalty: 0n,
+      emergencyStop: false,
+    };
+    if (this.isV2) {
+      config.stakingLockPeriod = await farm.stakingLockPeriod();
+      config.earlyWithdrawalPenalty = await farm.earlyWithdrawalPenalty();
+      config.emergencyStop = await farm.emergencyStop();
+    }
+    return config;
+  }
+
+  /**
+   * Yearly rewards per staked LP at the current emission rate, net of the
+   * claim fee, as a fraction (0.25 is 25%), from prices given by the caller.
+   * Null while nothing is staked, 0 once a funded reward budget runs out.
+   * @param options.rewardPrice Price of one DAPP, in any unit, as a number
+   *   or decimal string
+   * @param options.lpPrice Price of one LP token, in the same unit
+   * @param options.blockTime Seconds per block, for per-block emission
+   */
+  async apr({
+    rewardPrice = 1,
+    lpPrice = 1,
+    blockTime = DEFAULT_BLOCK_TIME,
+  } = {}) {
+    const farm = this.contract;
+    const totalStaked = await farm.totalStakingBalance();
+    if (totalStaked === 0n) {
+      return null;
+    }
+    if ((await farm.getRewardRunway()) === 0n) {
+      return 0;
+    }
+
+    const yearlyRewards = (await farm.isScheduled())
+      ? (await farm.currentRewardPerSecond()) * SECONDS_PER_YEAR
+      : ((await farm.rewardPerBlock()) * SECONDS_PER_YEAR) / BigInt(blockTime);
+    const fee = await farm.getWithdrawalFeeRate();
+
+    // Prices as 18-decimal fixed point, so the math stays in bigints
+    const rewardValue =
+      (yearlyRewards * toFixed18(rewardPrice) * (BASIS_POINTS - fee)) /
+      BASIS_POINTS;
+    const stakedValue = totalStaked * toFixed18(lpPrice);
+    return Number(formatUnits((rewardValue * 10n ** 18n) / stakedValue, 18));
+  }
+
+  /**
+   * `apr` with the same options, compounded. Null while nothing is staked.
+   * @param options.compoundsPerYear Restakes a year, by default every block
+   *   of `options.blockTime`
+   */
+  async apy({ compoundsPerYear, ...options } = {}) {
+    const apr = await this.apr(options);
+    if (apr === null) {
+      return null;
+    }
+    const blockTime = options.blockTime || DEFAULT_BLOCK_TIME;
+    return aprToApy(
+      apr,
+      compoundsPerYear || Number(SECONDS_PER_YEAR) / blockTime
+    );
+  }
+
+  /**
+   * Call `listener` with every new `eventName` the farm emits, as
+   * `{ name, args, blockNumber, transactionHash }` with `args` keyed by
+   * parameter name.
+   * @returns A function that stops the subscription
+   */
+  async on(eventName, listener) {
+    const handler = (...values) => {
+      const payload = values[values.length - 1];
+      listener({
+        name: payload.fragment.name,
+        args: payload.args.toObject(),
+        blockNumber: payload.log.blockNumber,
+        transactionHash: payload.log.transactionHash,
+      });
+    };
+    await this.contract.on(eventName, handler);
+    return () => this.contract.off(eventName, handler);
+  }
+
+  async #signerAddress() {
+    const { runner } = this.contract;
+    if (!runner || typeof runner.getAddress !== 'function') {
+      throw new Error('This call needs a farm connected with a signer');
+    }
+    return runner.getAddress();
+  }
+
+  // Wait for a transaction, turning reverts into typed errors
+  async #send(txPromise) {
+    try {
+      const tx = await txPromise;
+      return await tx.wait();
+    } catch (error) {
+      throw toFarmError(error);
+    }
+  }
+}
+
+// Accepts numbers and decimal strings, without float rounding to 18 places
+function toFixed18(price) {
+  return parseUnits(String(price), 18);
+}
+
+module.exports = { Farm, DEFAULT_BLOCK_TIME };
@@ -0,0 +1,19 @@
+/**
+ * SDK for TokenFarm and TokenFarmV2: a `Farm` built from an address and an
+ * ethers signer or provider, with typed errors for farm reverts, and paged
+ * staker positions through FarmLens. It needs only ethers, not Hardhat.
+ */
+const { Farm, DEFAULT_BLOCK_TIME } = require('./farm');
+const errors = require('./errors');
+const abi = require('./abi');
+const apy = require('./apy');
+const lens = require('./lens');
+
+module.exports = {
+  Farm,
+  DEFAULT_BLOCK_TIME,
+  ...errors,
+  ...abi,
+  ...apy,
+  ...lens,
+};
@@ -0,0 +1,108 @@
+// Stakers per getPositions call when paging through a whole farm
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * A staker's position as returned by FarmLens. Amounts are in wei and block
+ * numbers are bigints, like every other ethers value.
+ * @typedef {Object} Position
+ * @property {string} staker
+ * @property {bigint} stakingBalance Staked LP, including any redistributed
+ *   penalty share
+ * @property {bigint} pendingRewards What claimRewards would pay before the fee
+ * @property {bigint} lockedBalance LP still under the early withdrawal lock
+ * @property {bigint} unlockBlock Block the lock ends at, 0 without a lock
+ * @property {bigint} boostMultiplier In basis points, 0 without a boost
+ * @property {bigint} boostUnlockBlock
+ * @property {bigint} totalRewardsClaimed
+ * @property {boolean} isLocked Whether, at the block read, a withdrawal pays
+ *   the early withdrawal penalty or is blocked by a boost lock
+ */
+
+/**
+ * @typedef {Object} PositionPage
+ * @property {Position[]} positions
+ * @property {bigint} total Number of active stakers in the farm
+ * @property {number|null} next Start of the next page, null after the last
+ */
+
+function toPosition(result, blockNumber) {
+  const position = {
+    staker: result.staker,
+    stakingBalance: result.stakingBalance,
+    pendingRewards: result.pendingRewards,
+    lockedBalance: result.lockedBalance,
+    unlockBlock: result.unlockBlock,
+    boostMultiplier: result.boostMultiplier,
+    boostUnlockBlock: result.boostUnlockBlock,
+    totalRewardsClaimed: result.totalRewardsClaimed,
+  };
+  position.isLocked =
+    position.lockedBalance > 0n || position.boostUnlockBlock > blockNumber;
+  return position;
+}
+
+// Every read of a call runs against the same block
+async function latestBlock(lens) {
+  return BigInt(await lens.runner.provider.getBlockNumber());
+}
+
+/**
+ * Read a page of a farm's staker positions in one call.
+ * @param lens ethers Contract of a FarmLens
+ * @param farm TokenFarm or TokenFarmV2 address or Contract
+ * @param options.start Position in the farm's active staker list
+ * @param options.count Stakers in the page
+ * @returns {Promise<PositionPage>}
+ */
+async function getPositions(
+  lens,
+  farm,
+  { start = 0, count = DEFAULT_PAGE_SIZE } = {}
+) {
+  const blockNumber = await latestBlock(lens);
+  const [positions, total] = await lens.getPositions(farm, start, count, {
+    blockTag: blockNumber,
+  });
+
+  const next = start + positions.length;
+  return {
+    positions: positions.map((result) => toPosition(result, blockNumber)),
+    total,
+    next: positions.length > 0 && BigInt(next) < total ? next : null,
+  };
+}
+
+/**
+ * Read every active staker's position, `pageSize` stakers per call. Stakers
+ * joining or leaving between calls can be missed or repeated.
+ * @returns {Promise<Position[]>}
+ */
+async function getAllPositions(lens, farm, pageSize = DEFAULT_PAGE_SIZE) {
+  const positions = [];
+  let start = 0;
+  do {
+    const page = await getPositions(lens, farm, { start, count: pageSize });
+    positions.push(...page.positions);
+    start = page.next;
+  } while (start !== null);
+  return positions;
+}
+
+/**
+ * Read one staker's position, whether or not it is still staking.
+ * @returns {Promise<Position>}
+ */
+async function getPosition(lens, farm, staker) {
+  const blockNumber = await latestBlock(lens);
+  return toPosition(
+    await lens.getPosition(farm, staker, { blockTag: blockNumber }),
+    blockNumber
+  );
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  getPositions,
+  getAllPositions,
+  getPosition,
+};
@@ -0,0 +1,524 @@
+const { task, types } = require('hardhat/config');
+const { HardhatPluginError } = require('hardhat/plugins');
+const {
+  ROLES,
+  loadManifest,
+  manifestPath,
+} = require('../scripts/lib/deployments');
+const { depositWithPermit } = require('../scripts/lib/permit');
+const { revertReason: findRevertReason } = require('../sdk/errors');
+
+const PLUGIN_NAME = 'farm';
+const SUPPORTED_FARMS = ['TokenFarm', 'TokenFarmV2'];
+
+/**
+ * Declare a farm task with the options every farm task shares
+ */
+function farmTask(name, description) {
+  return task(name, description)
+    .addOptionalParam(
+      'farm',
+      `Farm in the deployment manifest (${SUPPORTED_FARMS.join(' or ')})`,
+      'TokenFarmV2'
+    )
+    .addOptionalParam('address', 'Farm address, instead of the manifest entry')
+    .addOptionalParam('signer', 'Index of the signer account', 0, types.int);
+}
+
+async function getFarm(hre, { farm: name, address, signer }) {
+  if (!SUPPORTED_FARMS.includes(name)) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Unsupported farm "${name}"`);
+  }
+
+  if (!address) {
+    address = loadManifest(hre.network.name).contracts[name]?.address;
+    if (!address) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        `No ${name} in ${manifestPath(hre.network.name)}; run the deploy script or pass --address`
+      );
+    }
+  }
+
+  const account = (await hre.ethers.getSigners())[signer];
+  return {
+    name,
+    account,
+    farm: await hre.ethers.getContractAt(name, address, account),
+  };
+}
+
+function requireV2({ name }, action) {
+  if (name !== 'TokenFarmV2') {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `${action} is only available on TokenFarmV2`
+    );
+  }
+}
+
+function parseAmount(hre, value) {
+  try {
+    return hre.ethers.parseEther(value);
+  } catch {
+    throw new HardhatPluginError(PLUGIN_NAME, `Invalid amount "${value}"`);
+  }
+}
+
+/**
+ * The require message of a revert, or the custom error, instead of a stack
+ */
+function revertReason(error) {
+  return findRevertReason(error) ?? (error.shortMessage || error.message);
+}
+
+async function send(action, txPromise) {
+  try {
+    const tx = await txPromise;
+    const receipt = await tx.wait();
+    console.log(`✓ ${action} (tx ${receipt.hash})`);
+    return receipt;
+  } catch (error) {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `${action} reverted: ${revertReason(error)}`
+    );
+  }
+}
+
+function findEvent(contract, receipt, eventName) {
+  return receipt.logs
+    .map((log) => contract.interface.parseLog(log))
+    .find((event) => event && event.name === eventName);
+}
+
+/**
+ * Call a timelocked setter, or queue the call when `queue` is set. A queued
+ * change runs once the delay has passed and the task is repeated without
+ * --queue.
+ */
+async function sendTimelocked(farm, action, method, args, queue) {
+  if (!queue) {
+    return send(action, farm[method](...args));
+  }
+
+  const data = farm.interface.encodeFunctionData(method, args);
+  const receipt = await send(
+    `Queue: ${action}`,
+    farm.queueParameterChange(data)
+  );
+  const { readyAt } = findEvent(farm, receipt, 'ParameterChangeQueued').args;
+  console.log(
+    `Ready at ${new Date(Number(readyAt) * 1000).toISOString()}; run the task again without --queue`
+  );
+}
+
+function roleConstant(role) {
+  if (!ROLES[role]) {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `Unknown role "${role}" (${Object.keys(ROLES).join(', ')})`
+    );
+  }
+  return ROLES[role];
+}
+
+farmTask('farm:deposit', 'Stake LP tokens, approving the farm if needed')
+  .addParam('amount', 'LP tokens to stake, in ether units')
+  .addOptionalParam(
+    'lock',
+    'Boost lock duration in blocks (TokenFarmV2 only)',
+    undefined,
+    types.int
+  )
+  .addFlag('permit', 'Sign an EIP-2612 permit instead of sending an approve')
+  .setAction(async (args, hre) => {
+    const target = await getFarm(hre, args);
+    const { farm, account } = target;
+    const amount = parseAmount(hre, args.amount);
+    if (args.lock !== undefined) {
+      requireV2(target, 'Boost locks');
+    }
+    if (args.permit) {
+      if (args.lock !== undefined) {
+        throw new HardhatPluginError(
+          PLUGIN_NAME,
+          'Permit deposits cannot take a boost lock'
+        );
+      }
+      await send(
+        `Deposit ${args.amount} LP with a permit`,
+        depositWithPermit(farm, account, amount)
+      );
+      return;
+    }
+
+    const lpToken = await hre.ethers.getContractAt(
+      'LPToken',
+      await farm.lpToken(),
+      account
+    );
+
+    const farmAddress = await farm.getAddress();
+    if ((await lpToken.allowance(account.address, farmAddress)) < amount) {
+      await send(
+        `Approve ${args.amount} LP`,
+        lpToken.approve(farmAddress, amount)
+      );
+    }
+    if (args.lock !== undefined) {
+      await send(
+        `Deposit ${args.amount} LP locked for ${args.lock} blocks`,
+        farm['deposit(uint256,uint256)'](amount, args.lock)
+      );
+    } else {
+      await send(`Deposit ${args.amount} LP`, farm['deposit(uint256)'](amount));
+    }
+  });
+
+farmTask('farm:withdraw', 'Withdraw staked LP tokens')
+  .addParam('amount', 'LP tokens to withdraw, in ether units')
+  .setAction(async (args, hre) => {
+    const { farm } = await getFarm(hre, args);
+    await send(
+      `Withdraw ${args.amount} LP`,
+      farm.withdraw(parseAmount(hre, args.amount))
+    );
+  });
+
+farmTask('farm:claim', 'Claim pending rewards')
+  .addOptionalParam(
+    'to',
+    'Address receiving the rewards, instead of the signer'
+  )
+  .addOptionalParam(
+    'for',
+    'Staker to claim for as an approved claimer; pays its reward recipient'
+  )
+  .setAction(async (args, hre) => {
+    const { farm, account } = await getFarm(hre, args);
+    if (args.to && args.for) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        'Claims for another staker go to its reward recipient; drop --to'
+      );
+    }
+
+    let receipt;
+    if (args.for) {
+      receipt = await send(
+        `Claim rewards for ${args.for}`,
+        farm.claimRewardsFor(args.for)
+      );
+    } else if (args.to) {
+      receipt = await send(
+        `Claim rewards to ${args.to}`,
+        farm.claimRewardsTo(args.to)
+      );
+    } else {
+      receipt = await send('Claim rewards', farm.claimRewards());
+    }
+
+    const { recipient, amount, fee, netAmount } = findEvent(
+      farm,
+      receipt,
+      'RewardsClaimed'
+    ).args;
+    const { formatEther } = hre.ethers;
+    const to = recipient === account.address ? '' : ` to ${recipient}`;
+    console.log(
+      `Claimed ${formatEther(netAmount)} DAPP${to} (${formatEther(amount)} minus ${formatEther(fee)} fee)`
+    );
+  });
+
+farmTask(
+  'farm:claimer',
+  'Approve or revoke an operator claiming for the signer'
+)
+  .addParam('operator', 'Address allowed to claim the rewards')
+  .addFlag('revoke', 'Revoke the operator instead of approving it')
+  .addOptionalParam(
+    'recipient',
+    'Where operator claims pay the rewards, instead of the signer'
+  )
+  .setAction(async (args, hre) => {
+    const { farm } = await getFarm(hre, args);
+    await send(
+      `${args.revoke ? 'Revoke' : 'Approve'} claimer ${args.operator}`,
+      farm.setClaimer(args.operator, !args.revoke)
+    );
+    if (args.recipient) {
+      await send(
+        `Send claimed rewards to ${args.recipient}`,
+        farm.setRewardRecipient(args.recipient)
+      );
+    }
+  });
+
+farmTask('farm:info', 'Show farm settings and a staker position')
+  .addOptionalParam('user', 'Staker address, defaults to the signer')
+  .setAction(async (args, hre) => {
+    const { name, farm, account } = await getFarm(hre, args);
+    const { formatEther } = hre.ethers;
+    const user = args.user || account.address;
+
+    const lines = [];
+    if (name === 'TokenFarmV2') {
+      const info = await farm.getContractInfo();
+      lines.push(
+        ['Farm', `${info.contractName} (version ${info.version})`],
+        ['Stakers', info.totalStakers],
+        ['Total staked', `${formatEther(info.totalStaked)} LP`],
+        ['Emergency stop', info.isEmergencyStopped]
+      );
+    } else {
+      lines.push(
+        ['Farm', await farm.name()],
+        ['Stakers', await farm.getStakerCount()],
+        ['Total staked', `${formatEther(await farm.totalStakingBalance())} LP`]
+      );
+    }
+
+    lines.push(
+      ['Reward per block', `${formatEther(await farm.rewardPerBlock())} DAPP`],
+      [
+        'Reward range',
+        `${formatEther(await farm.minRewardPerBlock())}-${formatEther(await farm.maxRewardPerBlock())} DAPP`,
+      ],
+      ['Withdrawal fee', `${await farm.getWithdrawalFeeRate()} bps`],
+      [
+        'Accumulated fees',
+        `${formatEther(await farm.getAccumulatedFees())} DAPP`,
+      ]
+    );
+    if (await farm.isFunded()) {
+      lines.push(
+        ['Reward budget', `${formatEther(await farm.rewardBudget())} DAPP`],
+        ['Runway', `${await farm.getRewardRunway()} blocks`]
+      );
+    }
+    if (name === 'TokenFarmV2') {
+      lines.push(
+        ['Lock period', `${await farm.stakingLockPeriod()} blocks`],
+        [
+          'Early withdrawal penalty',
+          `${await farm.earlyWithdrawalPenalty()} bps`,
+        ],
+        ['Penalty pool', `${formatEther(await farm.getPenaltyPool())} LP`]
+      );
+    }
+
+    const userInfo = await farm.getUserInfo(user);
+    lines.push(
+      ['User', user],
+      [
+        'Staking balance',
+        `${formatEther(await farm.getStakingBalance(user))} LP`,
+      ],
+      [
+        'Pending rewards',
+        `${formatEther(await farm.previewPendingRewards(user))} DAPP`,
+      ],
+      ['Staking', userInfo.isStaking]
+    );
+    if (name === 'TokenFarmV2') {
+      const lock = await farm.getLockInfo(user);
+      const boost = await farm.boostInfo(user);
+      lines.push(
+        ['Total claimed', `${formatEther(userInfo.totalRewardsClaimed)} DAPP`],
+        ['Locked', `${formatEther(lock.lockedBalance)} LP`],
+        [
+          'Boost',
+          boost.multiplier > 0n
+            ? `${Number(boost.multiplier) / 10000}x until block ${boost.unlockBlock}`
+            : 'none',
+        ]
+      );
+    }
+
+    for (const [label, value] of lines) {
+      console.log(`${`${label}:`.padEnd(26)}${value}`);
+    }
+  });
+
+farmTask('farm:set-reward', 'Set the reward per block and/or its range')
+  .addOptionalParam('amount', 'Reward per block, in ether units')
+  .addOptionalParam('min', 'Minimum reward per block, in ether units')
+  .addOptionalParam('max', 'Maximum reward per block, in ether units')
+  .addFlag('queue', 'Queue the timelocked range change instead of running it')
+  .setAction(async (args, hre) => {
+    if (!args.amount && !(args.min && args.max)) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        'Pass --amount, or --min and --max'
+      );
+    }
+
+    const { farm } = await getFarm(hre, args);
+    if (args.min && args.max) {
+      await sendTimelocked(
+        farm,
+        `Set reward range to ${args.min}-${args.max} DAPP`,
+        'setRewardRange',
+        [parseAmount(hre, args.min), parseAmount(hre, args.max)],
+        args.queue
+      );
+    }
+    if (args.amount) {
+      await send(
+        `Set reward per block to ${args.amount} DAPP`,
+        farm.setRewardPerBlock(parseAmount(hre, args.amount))
+      );
+    }
+  });
+
+farmTask('farm:set-fee', 'Set the claim fee')
+  .addParam('bps', 'Fee in basis points', undefined, types.int)
+  .addFlag('queue', 'Queue the timelocked change instead of running it')
+  .setAction(async (args, hre) => {
+    const target = await getFarm(hre, args);
+    requireV2(target, 'Changing the fee');
+    await sendTimelocked(
+      target.farm,
+      `Set withdrawal fee to ${args.bps} bps`,
+      'setWithdrawalFee',
+      [args.bps],
+      args.queue
+    );
+  });
+
+farmTask('farm:set-lock', 'Set the lock period and/or early withdrawal penalty')
+  .addOptionalParam('blocks', 'Lock period in blocks', undefined, types.int)
+  .addOptionalParam(
+    'penalty',
+    'Early withdrawal penalty in basis points',
+    undefined,
+    types.int
+  )
+  .addFlag('queue', 'Queue the timelocked changes instead of running them')
+  .setAction(async (args, hre) => {
+    if (args.blocks === undefined && args.penalty === undefined) {
+      throw new HardhatPluginError(PLUGIN_NAME, 'Pass --blocks or --penalty');
+    }
+
+    const target = await getFarm(hre, args);
+    requireV2(target, 'Changing the lock');
+    if (args.blocks !== undefined) {
+      await sendTimelocked(
+        target.farm,
+        `Set lock period to ${args.blocks} blocks`,
+        'setStakingLockPeriod',
+        [args.blocks],
+        args.queue
+      );
+    }
+    if (args.penalty !== undefined) {
+      await sendTimelocked(
+        target.farm,
+        `Set early withdrawal penalty to ${args.penalty} bps`,
+        'setEarlyWithdrawalPenalty',
+        [args.penalty],
+        args.queue
+      );
+    }
+  });
+
+farmTask('farm:set-timelock', 'Set the delay of timelocked parameter changes')
+  .addParam('seconds', 'Delay in seconds', undefined, types.int)
+  .addFlag('queue', 'Queue the timelocked change instead of running it')
+  .setAction(async (args, hre) => {
+    const { farm } = await getFarm(hre, args);
+    await sendTimelocked(
+      farm,
+      `Set timelock delay to ${args.seconds} seconds`,
+      'setTimelockDelay',
+      [args.seconds],
+      args.queue
+    );
+  });
+
+farmTask('farm:grant-role', 'Grant a farm role')
+  .addParam('role', `Role to grant (${Object.keys(ROLES).join(', ')})`)
+  .addParam('account', 'Address receiving the role')
+  .setAction(async (args, hre) => {
+    const role = roleConstant(args.role);
+    const { farm } = await getFarm(hre, args);
+    await send(
+      `Grant ${args.role} to ${args.account}`,
+      farm.grantRole(await farm[role](), args.account)
+    );
+  });
+
+farmTask('farm:revoke-role', 'Revoke a farm role')
+  .addParam('role', `Role to revoke (${Object.keys(ROLES).join(', ')})`)
+  .addParam('account', 'Address losing the role')
+  .setAction(async (args, hre) => {
+    const role = roleConstant(args.role);
+    const { farm } = await getFarm(hre, args);
+    await send(
+      `Revoke ${args.role} from ${args.account}`,
+      farm.revokeRole(await farm[role](), args.account)
+    );
+  });
+
+farmTask('farm:emergency', 'Toggle the emergency stop')
+  .addFlag(
+    'trigger',
+    'Only switch the stop on, as a PAUSER_ROLE holder instead of the owner'
+  )
+  .setAction(async (args, hre) => {
+    const target = await getFarm(hre, args);
+    requireV2(target, 'The emergency stop');
+    if (args.trigger) {
+      await send('Trigger emergency stop', target.farm.triggerEmergencyStop());
+    } else {
+      await send('Toggle emergency stop', target.farm.toggleEmergencyStop());
+    }
+    console.log(`Emergency stop is now ${await target.farm.emergencyStop()}`);
+  });
+
+farmTask(
+  'farm:withdraw-fees',
+  'Send accumulated fees to the signer, which needs FEE_COLLECTOR_ROLE'
+).setAction(async (args, hre) => {
+  const { farm } = await getFarm(hre, args);
+  const receipt = await send('Withdraw fees', farm.withdrawFees());
+
+  const { amount } = findEvent(farm, receipt, 'FeesWithdrawn').args;
+  console.log(`Withdrew ${hre.ethers.formatEther(amount)} DAPP in fees`);
+});
+
+farmTask(
+  'farm:distribute',
+  'Accrue emitted rewards for all stakers (updatePool)'
+)
+  .addOptionalParam(
+    'batch',
+    'Also settle this many stakers from the saved cursor into their pending rewards',
+    undefined,
+    types.int
+  )
+  .setAction(async (args, hre) => {
+    const { farm } = await getFarm(hre, args);
+    if (args.batch === undefined) {
+      await send('Update pool', farm.updatePool());
+      console.log(`accRewardPerShare: ${await farm.accRewardPerShare()}`);
+      return;
+    }
+
+    const start = await farm.distributionCursor();
+    const receipt = await send(
+      `Distribute rewards to ${args.batch} stakers from #${start}`,
+      farm.distributeRewardsBatch(start, args.batch)
+    );
+    const { next, removed } = findEvent(
+      farm,
+      receipt,
+      'RewardsDistributed'
+    ).args;
+    console.log(
+      `Removed ${removed} exited stakers; ${next === 0n ? 'round complete' : `next batch starts at #${next}`}`
+    );
+  });
+
+module.exports = { getFarm, revertReason };
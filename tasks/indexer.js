@@ -0,0 +1,136 @@
+const fs = require('fs');
+const { task, types } = require('hardhat/config');
+const { HardhatPluginError } = require('hardhat/plugins');
+const { loadManifest } = require('../scripts/lib/deployments');
+const { indexFarm } = require('../scripts/indexer/indexer');
+const { storePath, loadStore, saveStore } = require('../scripts/indexer/store');
+const {
+  APR_LIMITATIONS,
+  summarizeByUser,
+  summarizeByDay,
+  toCsv,
+} = require('../scripts/indexer/report');
+const { getFarm } = require('./farm');
+
+const PLUGIN_NAME = 'indexer';
+
+/**
+ * Declare an indexer task: the farm options of the farm tasks plus the store
+ */
+function indexerTask(name, description) {
+  return task(name, description)
+    .addOptionalParam(
+      'farm',
+      'Farm in the deployment manifest (TokenFarm or TokenFarmV2)',
+      'TokenFarmV2'
+    )
+    .addOptionalParam('address', 'Farm address, instead of the manifest entry')
+    .addOptionalParam(
+      'store',
+      'Store file, defaults to indexer-data/<network>-<farm>.json'
+    );
+}
+
+async function openStore(hre, args) {
+  const { name, farm } = await getFarm(hre, { ...args, signer: 0 });
+  const address = await farm.getAddress();
+  const file = args.store || storePath(hre.network.name, address);
+
+  // Start from the deployment block when the manifest knows it
+  const deployment = loadManifest(hre.network.name).contracts[name];
+  const fromBlock =
+    args.fromBlock ??
+    (deployment?.address?.toLowerCase() === address.toLowerCase()
+      ? (deployment.blockNumber ?? 0)
+      : 0);
+
+  const store = loadStore(file, {
+    network: hre.network.name,
+    farm: address,
+    contractName: name,
+    fromBlock,
+  });
+  return { farm, file, store };
+}
+
+indexerTask('indexer:sync', 'Index farm events since the last indexed block')
+  .addOptionalParam(
+    'fromBlock',
+    'First block to index for a new store',
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    'confirmations',
+    'Blocks to stay behind the latest block',
+    0,
+    types.int
+  )
+  .addOptionalParam('batchSize', 'Blocks per log request', 2000, types.int)
+  .setAction(async (args, hre) => {
+    const { farm, file, store } = await openStore(hre, args);
+
+    const added = await indexFarm(farm, store, {
+      confirmations: args.confirmations,
+      batchSize: args.batchSize,
+      onBatch: (updated) => saveStore(file, updated),
+    });
+    saveStore(file, store);
+
+    console.log(
+      `Indexed ${added} events up to block ${store.lastIndexedBlock} (${store.events.length} total) in ${file}`
+    );
+  });
+
+indexerTask('indexer:report', 'Summarize indexed events per user or per day')
+  .addOptionalParam('by', 'Group rows by "user" or "day"', 'day')
+  .addOptionalParam('format', 'Output "csv" or "json"', 'csv')
+  .addOptionalParam('out', 'Output file, defaults to stdout')
+  .addOptionalParam(
+    'blocksPerDay',
+    'Blocks per day used for the APR column',
+    7200,
+    types.int
+  )
+  .setAction(async (args, hre) => {
+    if (!['user', 'day'].includes(args.by)) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        `Unknown grouping "${args.by}"`
+      );
+    }
+    if (!['csv', 'json'].includes(args.format)) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        `Unknown format "${args.format}"`
+      );
+    }
+
+    const { file, store } = await openStore(hre, args);
+    if (!fs.existsSync(file)) {
+      throw new HardhatPluginError(
+        PLUGIN_NAME,
+        `No store at ${file}; run indexer:sync first`
+      );
+    }
+
+    const rows =
+      args.by === 'user'
+        ? summarizeByUser(store)
+        : summarizeByDay(store, { blocksPerDay: args.blocksPerDay });
+    const output =
+      args.format === 'json' ? JSON.stringify(rows, null, 2) : toCsv(rows);
+
+    if (args.out) {
+      fs.writeFileSync(args.out, `${output}\n`);
+      console.log(`Wrote ${rows.length} rows to ${args.out}`);
+    } else {
+      console.log(output);
+    }
+
+    // On stderr when the report goes to stdout, to keep it parseable
+    if (args.by === 'day') {
+      const note = args.out ? console.log : console.warn;
+      note(`Note: ${APR_LIMITATIONS.join(' ')}`);
+    }
+  });
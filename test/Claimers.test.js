@@ -0,0 +1,154 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const { describeEachFarm, deployFarm } = require('./helpers/farms');
+
+// Reclamos hacia otra dirección y operadores aprobados, iguales en ambas farms
+describeEachFarm('Delegated claims', function (farmName) {
+  let dappToken, lpToken, farm;
+  let owner, user1, user2, operator, treasury;
+
+  // Dos stakers con 100 LP cada uno y recompensas ya acumuladas
+  async function deployFixture() {
+    const fixture = await deployFarm(farmName, { stakers: [user1, user2] });
+    for (const user of [user1, user2]) {
+      await fixture.farm.connect(user).deposit(ethers.parseEther('100'));
+    }
+    await ethers.provider.send('hardhat_mine', ['0x9']);
+    return fixture;
+  }
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, user1, user2, operator, treasury] = await ethers.getSigners();
+    ({ dappToken, lpToken, farm } = await loadFixture(deployFixture));
+  });
+
+  // Recompensas del próximo bloque, con la comisión del 3% de ambas farms
+  async function previewClaim(user) {
+    const gross = await farm.previewPendingRewards(user.address, {
+      blockTag: 'pending',
+    });
+    const fee = (gross * 300n) / 10000n;
+    return { gross, fee, net: gross - fee };
+  }
+
+  it('Should claim to another address', async function () {
+    const preview = await previewClaim(user1);
+
+    await expect(farm.connect(user1).claimRewardsTo(treasury.address))
+      .to.emit(farm, 'RewardsClaimed')
+      .withArgs(
+        user1.address,
+        treasury.address,
+        user1.address,
+        preview.gross,
+        preview.fee,
+        preview.net,
+        anyValue
+      );
+    expect(await dappToken.balanceOf(treasury.address)).to.equal(preview.net);
+    expect(await dappToken.balanceOf(user1.address)).to.equal(0);
+    expect(await farm.getPendingRewards(user1.address)).to.equal(0);
+
+    await expect(
+      farm.connect(user1).claimRewardsTo(ethers.ZeroAddress)
+    ).to.be.revertedWith('Zero address');
+  });
+
+  it('Should only let approved operators claim for a staker', async function () {
+    await expect(
+      farm.connect(operator).claimRewardsFor(user1.address)
+    ).to.be.revertedWith('Not an approved claimer');
+
+    await expect(farm.connect(user1).setClaimer(operator.address, true))
+      .to.emit(farm, 'ClaimerSet')
+      .withArgs(user1.address, operator.address, true, anyValue);
+    expect(await farm.isClaimer(user1.address, operator.address)).to.be.true;
+
+    // La aprobación es por staker
+    await expect(
+      farm.connect(operator).claimRewardsFor(user2.address)
+    ).to.be.revertedWith('Not an approved claimer');
+    await expect(
+      farm.connect(user1).setClaimer(ethers.ZeroAddress, true)
+    ).to.be.revertedWith('Zero address');
+  });
+
+  it('Should pay operator claims to the staker by default', async function () {
+    await farm.connect(user1).setClaimer(operator.address, true);
+    const preview = await previewClaim(user1);
+
+    await expect(farm.connect(operator).claimRewardsFor(user1.address))
+      .to.emit(farm, 'RewardsClaimed')
+      .withArgs(
+        user1.address,
+        user1.address,
+        operator.address,
+        preview.gross,
+        anyValue,
+        anyValue,
+        anyValue
+      );
+    expect(await dappToken.balanceOf(user1.address)).to.equal(preview.net);
+    expect(await dappToken.balanceOf(operator.address)).to.equal(0);
+  });
+
+  it('Should pay operator claims to the chosen recipient', async function () {
+    await farm.connect(user1).setClaimer(operator.address, true);
+    await expect(farm.connect(user1).setRewardRecipient(treasury.address))
+      .to.emit(farm, 'RewardRecipientChanged')
+      .withArgs(user1.address, user1.address, treasury.address, anyValue);
+    expect(await farm.rewardRecipientOf(user1.address)).to.equal(
+      treasury.address
+    );
+
+    const preview = await previewClaim(user1);
+    await farm.connect(operator).claimRewardsFor(user1.address);
+    expect(await dappToken.balanceOf(treasury.address)).to.equal(preview.net);
+    expect(await dappToken.balanceOf(user1.address)).to.equal(0);
+    expect(await dappToken.balanceOf(operator.address)).to.equal(0);
+
+    // La dirección cero devuelve las recompensas al staker
+    await expect(farm.connect(user1).setRewardRecipient(ethers.ZeroAddress))
+      .to.emit(farm, 'RewardRecipientChanged')
+      .withArgs(user1.address, treasury.address, user1.address, anyValue);
+    expect(await farm.rewardRecipientOf(user1.address)).to.equal(user1.address);
+  });
+
+  it('Should stop a revoked operator from claiming', async function () {
+    await farm.connect(user1).setClaimer(operator.address, true);
+    await farm.connect(operator).claimRewardsFor(user1.address);
+
+    await expect(farm.connect(user1).setClaimer(operator.address, false))
+      .to.emit(farm, 'ClaimerSet')
+      .withArgs(user1.address, operator.address, false, anyValue);
+    expect(await farm.isClaimer(user1.address, operator.address)).to.be.false;
+
+    await ethers.provider.send('evm_mine', []);
+    await expect(
+      farm.connect(operator).claimRewardsFor(user1.address)
+    ).to.be.revertedWith('Not an approved claimer');
+
+    // El staker sigue pudiendo reclamar
+    await expect(farm.connect(user1).claimRewards()).to.emit(
+      farm,
+      'RewardsClaimed'
+    );
+  });
+
+  if (farmName === 'TokenFarmV2') {
+    it('Should block delegated claims during an emergency stop', async function () {
+      await farm.connect(user1).setClaimer(operator.address, true);
+      await farm.toggleEmergencyStop();
+
+      await expect(
+        farm.connect(operator).claimRewardsFor(user1.address)
+      ).to.be.revertedWith('Contract is in emergency stop');
+      await expect(
+        farm.connect(user1).claimRewardsTo(treasury.address)
+      ).to.be.revertedWith('Contract is in emergency stop');
+    });
+  }
+});
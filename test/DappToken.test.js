@@ -1,5 +1,6 @@
 const { expect } = require('chai');
 const { ethers } = require('hardhat');
+const { signPermit } = require('../scripts/lib/permit');
 
 describe('DAppToken', function () {
   let DAppToken;
@@ -68,4 +69,35 @@ describe('DAppToken', function () {
       ).to.be.revertedWithCustomError(dappToken, 'OwnableUnauthorizedAccount');
     });
   });
+
+  describe('Permit', function () {
+    it('Should approve through an EIP-2612 signature', async function () {
+      const value = ethers.parseEther('100');
+      const domain = await dappToken.eip712Domain();
+      expect(domain.name).to.equal('DApp Token');
+      expect(domain.version).to.equal('1');
+
+      const { deadline, v, r, s } = await signPermit(
+        dappToken,
+        addr1,
+        addr2.address,
+        value
+      );
+      // Cualquiera puede enviar el permit firmado
+      await dappToken.permit(
+        addr1.address,
+        addr2.address,
+        value,
+        deadline,
+        v,
+        r,
+        s
+      );
+
+      expect(await dappToken.allowance(addr1.address, addr2.address)).to.equal(
+        value
+      );
+      expect(await dappToken.nonces(addr1.address)).to.equal(1);
+    });
+  });
 });
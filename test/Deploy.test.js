@@ -0,0 +1,215 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { deploy } = require('../scripts/deploy');
+const { checkDeployment } = require('../scripts/check-deployment');
+const { loadConfig } = require('../scripts/lib/deployments');
+
+describe('Deploy pipeline', function () {
+  let config, manifest;
+  let user1;
+
+  const silent = () => {};
+
+  beforeEach(async function () {
+    [, user1] = await ethers.getSigners();
+
+    // Configuración real de la red local, manifiesto vacío
+    config = loadConfig('hardhat');
+    manifest = { network: 'hardhat', contracts: {} };
+    await deploy(config, manifest, silent);
+  });
+
+  async function attach(name) {
+    return ethers.getContractAt(name, manifest.contracts[name].address);
+  }
+
+  it('Should record every contract in the manifest', async function () {
+    expect(Object.keys(manifest.contracts)).to.deep.equal([
+      'LPToken',
+      'DAppToken',
+      'TokenFarm',
+      'TokenFarmV2',
+      'FarmForwarder',
+      'FarmLens',
+    ]);
+    expect(manifest.rewardTokenOwner).to.equal('TokenFarmV2');
+  });
+
+  it('Should pass every wiring check', async function () {
+    const checks = await checkDeployment(config, manifest);
+
+    expect(checks.filter((check) => !check.ok)).to.deep.equal([]);
+    expect(checks.map((check) => check.label)).to.include(
+      'DAppToken owned by TokenFarmV2'
+    );
+  });
+
+  it('Should let stakers claim rewards on both farms', async function () {
+    const lpToken = await attach('LPToken');
+    const dappToken = await attach('DAppToken');
+    await lpToken.mint(user1.address, ethers.parseEther('200'));
+
+    // TokenFarm paga desde su presupuesto, TokenFarmV2 acuña como owner
+    for (const name of ['TokenFarm', 'TokenFarmV2']) {
+      const farm = await attach(name);
+      await lpToken
+        .connect(user1)
+        .approve(await farm.getAddress(), ethers.parseEther('100'));
+      await farm.connect(user1).deposit(ethers.parseEther('100'));
+      await ethers.provider.send('evm_mine', []);
+
+      const balanceBefore = await dappToken.balanceOf(user1.address);
+      await farm.connect(user1).claimRewards();
+      expect(await dappToken.balanceOf(user1.address)).to.be.gt(balanceBefore);
+    }
+  });
+
+  it('Should skip contracts already deployed', async function () {
+    const addresses = JSON.stringify(manifest.contracts);
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    await deploy(config, manifest, silent);
+
+    expect(JSON.stringify(manifest.contracts)).to.equal(addresses);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+  });
+
+  it('Should only send the transactions needed to match the config', async function () {
+    const lines = [];
+    await deploy(
+      { ...config, withdrawalFeeBasisPoints: 500 },
+      manifest,
+      (line) => lines.push(line)
+    );
+
+    expect(lines.filter((line) => !line.includes('reusing'))).to.deep.equal([
+      'TokenFarmV2: withdrawal fee set to 500 bps',
+      'TokenFarm: reward budget already funded',
+    ]);
+  });
+
+  it('Should grant the configured roles and set the timelock delay', async function () {
+    const roleConfig = {
+      ...config,
+      roles: { ...config.roles, pauser: user1.address },
+      timelockDelay: 3600,
+    };
+    await deploy(roleConfig, manifest, silent);
+
+    const farm = await attach('TokenFarmV2');
+    expect(await farm.hasRole(await farm.PAUSER_ROLE(), user1.address)).to.be
+      .true;
+    expect(await farm.timelockDelay()).to.equal(3600);
+
+    const checks = await checkDeployment(roleConfig, manifest);
+    expect(checks.filter((check) => !check.ok)).to.deep.equal([]);
+    expect(checks.map((check) => check.label)).to.include(
+      `TokenFarm pauser role granted to ${user1.address}`
+    );
+  });
+
+  it('Should queue timelocked changes and apply them on a later run', async function () {
+    const timelocked = { ...config, timelockDelay: 3600 };
+    await deploy(timelocked, manifest, silent);
+
+    // Con retraso, el cambio de comisión se encola en vez de revertir
+    const changed = { ...timelocked, withdrawalFeeBasisPoints: 500 };
+    let lines = [];
+    await deploy(changed, manifest, (line) => lines.push(line));
+    expect(lines.join('\n')).to.match(
+      /^TokenFarmV2: queued "withdrawal fee set to 500 bps", ready at .*; deploy again then$/m
+    );
+
+    const farm = await attach('TokenFarmV2');
+    expect(await farm.withdrawalFeeBasisPoints()).to.equal(300);
+
+    // Antes de que venza solo informa de la espera
+    lines = [];
+    await deploy(changed, manifest, (line) => lines.push(line));
+    expect(lines.join('\n')).to.match(
+      /^TokenFarmV2: "withdrawal fee set to 500 bps" is queued until /m
+    );
+
+    await ethers.provider.send('evm_increaseTime', [3600]);
+    await ethers.provider.send('evm_mine', []);
+    lines = [];
+    await deploy(changed, manifest, (line) => lines.push(line));
+    expect(lines).to.include('TokenFarmV2: withdrawal fee set to 500 bps');
+    expect(await farm.withdrawalFeeBasisPoints()).to.equal(500);
+  });
+
+  it('Should make the FarmForwarder the trusted forwarder', async function () {
+    const forwarder = manifest.contracts.FarmForwarder.address;
+    for (const name of ['TokenFarm', 'TokenFarmV2']) {
+      expect(await (await attach(name)).trustedForwarder()).to.equal(forwarder);
+    }
+
+    // Sin forwarder en la configuración se deja de aceptar
+    const lines = [];
+    const noForwarder = { ...config, trustedForwarder: null };
+    await deploy(noForwarder, manifest, (line) => lines.push(line));
+    expect(lines).to.include(
+      `TokenFarmV2: trusted forwarder set to ${ethers.ZeroAddress}`
+    );
+    const checks = await checkDeployment(noForwarder, manifest);
+    expect(checks.filter((check) => !check.ok)).to.deep.equal([]);
+  });
+
+  it('Should move mint rights between farms', async function () {
+    const lines = [];
+    await deploy(
+      { ...config, rewardTokenOwner: 'TokenFarm', rewardBudget: null },
+      manifest,
+      (line) => lines.push(line)
+    );
+
+    const dappToken = await attach('DAppToken');
+    expect(await dappToken.owner()).to.equal(
+      manifest.contracts.TokenFarm.address
+    );
+    expect(lines).to.include(
+      'DAppToken ownership moved from TokenFarmV2 to TokenFarm'
+    );
+  });
+
+  it('Should offer farm ownership until the new owner accepts', async function () {
+    const ownerConfig = { ...config, farmOwner: user1.address };
+    await deploy(ownerConfig, manifest, silent);
+
+    const checks = await checkDeployment(ownerConfig, manifest);
+    expect(
+      checks.find((check) => check.label === 'TokenFarmV2 owner')
+    ).to.deep.include({
+      ok: false,
+      detail: `${user1.address} has not accepted ownership yet`,
+    });
+
+    // Una segunda ejecución no vuelve a ofrecerla
+    const lines = [];
+    await deploy(ownerConfig, manifest, (line) => lines.push(line));
+    expect(lines).to.include(
+      `TokenFarmV2: waiting for ${user1.address} to accept ownership`
+    );
+
+    for (const name of ['TokenFarm', 'TokenFarmV2']) {
+      await (await attach(name)).connect(user1).acceptOwnership();
+    }
+    const after = await checkDeployment(ownerConfig, manifest);
+    expect(after.filter((check) => !check.ok)).to.deep.equal([]);
+  });
+
+  it('Should report wiring that does not match the config', async function () {
+    const checks = await checkDeployment(
+      { ...config, rewardTokenOwner: 'TokenFarm', stakingLockPeriod: 50 },
+      manifest
+    );
+
+    expect(
+      checks.filter((check) => !check.ok).map((check) => check.label)
+    ).to.deep.equal([
+      'TokenFarmV2 lock period',
+      'TokenFarmV2 pays rewards from a funded budget',
+      'DAppToken owned by TokenFarm',
+    ]);
+  });
+});
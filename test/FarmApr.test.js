@@ -0,0 +1,259 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const {
+  Farm,
+  BLOCKS_PER_YEAR,
+  blocksPerYear,
+  aprToApy,
+  getApr,
+  getApy,
+} = require('../sdk');
+const { describeEachFarm, deployFarm } = require('./helpers/farms');
+
+const BLOCKS = 2628000n;
+const APR_PRECISION = ethers.parseEther('1');
+
+// APR de ambas farms con un oráculo de precios de prueba
+describeEachFarm('Farm APR', function (farmName) {
+  let dappToken, lpToken, farm, oracle, farmAddress;
+  let owner, user1;
+
+  // DAPP a 0.5 y LP a 2 unidades de cotización
+  async function deployFixture() {
+    const fixture = await deployFarm(farmName, { stakers: [user1] });
+    const { dappToken, lpToken, farm } = fixture;
+
+    const MockPriceOracle = await ethers.getContractFactory('MockPriceOracle');
+    const oracle = await MockPriceOracle.deploy();
+    await oracle.setPrice(dappToken, ethers.parseEther('0.5'));
+    await oracle.setPrice(lpToken, ethers.parseEther('2'));
+    await farm.setPriceOracle(oracle, BLOCKS);
+    return { ...fixture, oracle };
+  }
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, user1] = await ethers.getSigners();
+    ({ dappToken, lpToken, farm, oracle, farmAddress } =
+      await loadFixture(deployFixture));
+  });
+
+  function expectedApr(yearlyRewards, staked) {
+    const rewardValue = yearlyRewards * ethers.parseEther('0.5');
+    const stakedValue = staked * ethers.parseEther('2');
+    return (rewardValue * APR_PRECISION) / stakedValue;
+  }
+
+  describe('Oracle', function () {
+    it('Should set the price oracle', async function () {
+      expect(await farm.priceOracle()).to.equal(await oracle.getAddress());
+      expect(await farm.blocksPerYear()).to.equal(BLOCKS);
+
+      await expect(farm.setPriceOracle(oracle, 15768000n))
+        .to.emit(farm, 'PriceOracleChanged')
+        .withArgs(
+          owner.address,
+          await oracle.getAddress(),
+          15768000n,
+          anyValue
+        );
+    });
+
+    it('Should only let the owner set the oracle', async function () {
+      await expect(
+        farm.connect(user1).setPriceOracle(oracle, BLOCKS)
+      ).to.be.revertedWith('Only owner can call this function');
+    });
+
+    it('Should reject zero blocks per year', async function () {
+      await expect(farm.setPriceOracle(oracle, 0)).to.be.revertedWith(
+        'Blocks per year must be greater than 0'
+      );
+    });
+
+    it('Should not report an APR without an oracle', async function () {
+      await farm.setPriceOracle(ethers.ZeroAddress, BLOCKS);
+
+      await expect(farm.getApr()).to.be.revertedWith('No price oracle');
+    });
+  });
+
+  describe('getApr', function () {
+    it('Should return 0 while nothing is staked', async function () {
+      expect(await farm.totalStakingBalance()).to.equal(0);
+      expect(await farm.getApr()).to.equal(0);
+    });
+
+    it('Should return 0 while the LP token has no price', async function () {
+      await farm.connect(user1).deposit(ethers.parseEther('100'));
+      await oracle.setPrice(lpToken, 0);
+
+      expect(await farm.getApr()).to.equal(0);
+    });
+
+    it('Should value a year of per-block rewards over the stake', async function () {
+      const staked = ethers.parseEther('100');
+      await farm.connect(user1).deposit(staked);
+
+      const rewardPerBlock = await farm.rewardPerBlock();
+      expect(await farm.getApr()).to.equal(
+        expectedApr(rewardPerBlock * BLOCKS, staked)
+      );
+
+      // Más stake reparte lo mismo entre más LP
+      await farm.connect(user1).deposit(staked);
+      expect(await farm.getApr()).to.equal(
+        expectedApr(rewardPerBlock * BLOCKS, staked * 2n)
+      );
+    });
+
+    it('Should follow the oracle prices', async function () {
+      await farm.connect(user1).deposit(ethers.parseEther('100'));
+      const before = await farm.getApr();
+
+      // Duplicar el precio de DAPP duplica el APR
+      await oracle.setPrice(dappToken, ethers.parseEther('1'));
+      expect(await farm.getApr()).to.equal(before * 2n);
+    });
+
+    it('Should use the per-second rate while scheduled', async function () {
+      const staked = ethers.parseEther('100');
+      await farm.connect(user1).deposit(staked);
+
+      const now = (await ethers.provider.getBlock('latest')).timestamp;
+      const rate = ethers.parseEther('0.2');
+      await farm.setRewardSchedule(now + 10, now + 1000, [
+        { startTime: now + 10, rewardPerSecond: rate },
+      ]);
+
+      // Antes del inicio no se emite nada
+      expect(await farm.getApr()).to.equal(0);
+
+      await ethers.provider.send('evm_increaseTime', [20]);
+      await ethers.provider.send('evm_mine', []);
+      expect(await farm.getApr()).to.equal(
+        expectedApr(rate * 365n * 24n * 60n * 60n, staked)
+      );
+    });
+  });
+
+  describe('JavaScript helpers', function () {
+    it('Should read the APR as a fraction', async function () {
+      const staked = ethers.parseEther('100');
+      await farm.connect(user1).deposit(staked);
+
+      const apr = await getApr(farm);
+      expect(apr).to.be.closeTo(
+        Number(ethers.formatEther(await farm.getApr())),
+        1e-12
+      );
+
+      // Neto de la comisión del 3% en ambas farms
+      expect(await getApr(farm, { net: true })).to.be.closeTo(apr * 0.97, 1e-9);
+    });
+
+    it('Should compound the APR every block of the network', async function () {
+      // 0.1 DAPP por bloque sobre 1M de LP: un APR de un 6.57%
+      await farm.setRewardPerBlock(ethers.parseEther('0.1'));
+      await lpToken.mint(user1.address, ethers.parseEther('1000000'));
+      await farm.connect(user1).deposit(ethers.parseEther('1000000'));
+
+      const apr = await getApr(farm);
+      expect(apr).to.be.closeTo(0.0657, 1e-9);
+      const apy = await getApy(farm);
+      expect(apy).to.be.closeTo(aprToApy(apr, BLOCKS_PER_YEAR[1337]), 1e-9);
+      expect(apy).to.be.greaterThan(apr);
+      expect(apy).to.be.closeTo(Math.expm1(apr), 1e-6);
+    });
+
+    it('Should return a 0 APY while nothing is staked', async function () {
+      expect(await getApy(farm)).to.equal(0);
+    });
+  });
+});
+
+// APR neto de la comisión de retiro en TokenFarmV2
+describe('Farm APR (TokenFarmV2 net APR)', function () {
+  let farm, oracle, dappToken, lpToken, owner, user1;
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const DAppToken = await ethers.getContractFactory('DAppToken');
+    dappToken = await DAppToken.deploy(owner.address);
+    const LPToken = await ethers.getContractFactory('LPToken');
+    lpToken = await LPToken.deploy(owner.address);
+    const TokenFarmV2 = await ethers.getContractFactory('TokenFarmV2');
+    farm = await TokenFarmV2.deploy(
+      await dappToken.getAddress(),
+      await lpToken.getAddress()
+    );
+    await dappToken.transferOwnership(await farm.getAddress());
+
+    const MockPriceOracle = await ethers.getContractFactory('MockPriceOracle');
+    oracle = await MockPriceOracle.deploy();
+    await oracle.setPrice(dappToken, ethers.parseEther('1'));
+    await oracle.setPrice(lpToken, ethers.parseEther('1'));
+    await farm.setPriceOracle(oracle, BLOCKS);
+
+    await lpToken.mint(user1.address, ethers.parseEther('1000'));
+    await lpToken
+      .connect(user1)
+      .approve(await farm.getAddress(), ethers.MaxUint256);
+  });
+
+  it('Should take the withdrawal fee out of the net APR', async function () {
+    await farm.connect(user1).deposit(ethers.parseEther('100'));
+
+    // Comisión por defecto del 3%
+    const apr = await farm.getApr();
+    expect(await farm.getNetApr()).to.equal((apr * 9700n) / 10000n);
+  });
+
+  it('Should return a 0 net APR while nothing is staked', async function () {
+    expect(await farm.getNetApr()).to.equal(0);
+  });
+
+  it('Should report the net APY through the SDK', async function () {
+    await farm.setRewardPerBlock(ethers.parseEther('0.1'));
+    await lpToken.mint(user1.address, ethers.parseEther('1000000'));
+    await farm.connect(user1).deposit(ethers.parseEther('1000000'));
+    const sdkFarm = await Farm.connect(await farm.getAddress(), user1);
+
+    const netApr = Number(ethers.formatEther(await farm.getNetApr()));
+    expect(await sdkFarm.apy()).to.be.closeTo(
+      aprToApy(netApr, blocksPerYear(1337)),
+      1e-9
+    );
+    expect(await sdkFarm.apy({ compoundsPerYear: 1 })).to.be.closeTo(
+      netApr,
+      1e-9
+    );
+  });
+});
+
+// Conversión de APR a APY por red
+describe('APY helpers', function () {
+  it('Should compound an APR', function () {
+    expect(aprToApy(1, 1)).to.equal(1);
+    expect(aprToApy(0.12, 12)).to.be.closeTo(0.126825, 1e-6);
+    expect(aprToApy(0, BLOCKS_PER_YEAR[1])).to.equal(0);
+  });
+
+  it('Should know the blocks per year of each network', function () {
+    expect(blocksPerYear(1)).to.equal(2628000);
+    expect(blocksPerYear(11155111n)).to.equal(2628000);
+    expect(blocksPerYear(137)).to.equal(15768000);
+    expect(() => blocksPerYear(999)).to.throw(
+      'No blocks per year for chain 999'
+    );
+  });
+
+  it('Should reject compounding less than once a year', function () {
+    expect(() => aprToApy(0.1, 0)).to.throw(
+      'compoundsPerYear must be greater than 0'
+    );
+  });
+});
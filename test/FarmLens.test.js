@@ -0,0 +1,153 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { getPositions, getAllPositions, getPosition } = require('../sdk');
+const { describeEachFarm, deployFarm } = require('./helpers/farms');
+
+// Posiciones de los stakers leídas con FarmLens, en ambas farms
+describeEachFarm('FarmLens', function (farmName) {
+  let dappToken, lpToken, farm, lens;
+  let owner, user1, user2, user3;
+
+  // Tres stakers con saldos distintos
+  async function deployFixture() {
+    const fixture = await deployFarm(farmName, {
+      stakers: [user1, user2, user3],
+    });
+    for (const [i, user] of [user1, user2, user3].entries()) {
+      await fixture.farm
+        .connect(user)
+        .deposit(ethers.parseEther(`${(i + 1) * 100}`));
+    }
+    await ethers.provider.send('hardhat_mine', ['0x5']);
+
+    const FarmLens = await ethers.getContractFactory('FarmLens');
+    return { ...fixture, lens: await FarmLens.deploy() };
+  }
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, user1, user2, user3] = await ethers.getSigners();
+    ({ dappToken, lpToken, farm, lens } = await loadFixture(deployFixture));
+  });
+
+  it('Should detect the farm version', async function () {
+    expect(await lens.farmVersion(farm)).to.equal(
+      farmName === 'TokenFarm' ? 1 : 2
+    );
+  });
+
+  it('Should return a page of positions in one call', async function () {
+    const [positions, total] = await lens.getPositions(farm, 1, 10);
+
+    expect(total).to.equal(3);
+    expect(positions.map((position) => position.staker)).to.deep.equal([
+      user2.address,
+      user3.address,
+    ]);
+    for (const position of positions) {
+      expect(position.stakingBalance).to.equal(
+        await farm.getStakingBalance(position.staker)
+      );
+      expect(position.pendingRewards).to.equal(
+        await farm.previewPendingRewards(position.staker)
+      );
+    }
+  });
+
+  it('Should return typed positions from the JS wrapper', async function () {
+    const page = await getPositions(lens, farm, { count: 2 });
+
+    expect(page.total).to.equal(3n);
+    expect(page.next).to.equal(2);
+    expect(page.positions[0]).to.deep.include({
+      staker: user1.address,
+      stakingBalance: ethers.parseEther('100'),
+      totalRewardsClaimed: 0n,
+    });
+    expect(page.positions[0].pendingRewards).to.be.a('bigint');
+
+    const last = await getPositions(lens, farm, { start: 2, count: 2 });
+    expect(last.positions).to.have.lengthOf(1);
+    expect(last.next).to.equal(null);
+  });
+
+  it('Should page through every staker', async function () {
+    const positions = await getAllPositions(lens, farm, 2);
+
+    expect(positions.map((position) => position.staker)).to.deep.equal([
+      user1.address,
+      user2.address,
+      user3.address,
+    ]);
+    expect(await getAllPositions(lens, farm)).to.deep.equal(positions);
+  });
+
+  it('Should read a staker who left the farm', async function () {
+    await ethers.provider.send('hardhat_mine', ['0x64']);
+    await farm.connect(user1).withdraw(ethers.parseEther('100'));
+
+    const position = await getPosition(lens, farm, user1.address);
+    expect(position.stakingBalance).to.equal(0);
+    expect(position.pendingRewards).to.equal(
+      await farm.previewPendingRewards(user1.address)
+    );
+    expect(position.isLocked).to.be.false;
+
+    const page = await getPositions(lens, farm);
+    expect(page.total).to.equal(2n);
+    expect(page.positions.map((p) => p.staker)).to.not.include(user1.address);
+  });
+
+  if (farmName === 'TokenFarm') {
+    it('Should report no locks or claims on TokenFarm', async function () {
+      await farm.connect(user1).claimRewards();
+
+      const position = await getPosition(lens, farm, user1.address);
+      expect(position).to.deep.include({
+        lockedBalance: 0n,
+        unlockBlock: 0n,
+        boostMultiplier: 0n,
+        boostUnlockBlock: 0n,
+        totalRewardsClaimed: 0n,
+        isLocked: false,
+      });
+    });
+  }
+
+  if (farmName === 'TokenFarmV2') {
+    it('Should report the lock, boost and claims on TokenFarmV2', async function () {
+      // Depósito nuevo dentro del período de bloqueo
+      let position = await getPosition(lens, farm, user1.address);
+      const [lockedBalance, , unlockBlock] = await farm.getLockInfo(
+        user1.address
+      );
+      expect(position.lockedBalance).to.equal(ethers.parseEther('100'));
+      expect(position.lockedBalance).to.equal(lockedBalance);
+      expect(position.unlockBlock).to.equal(unlockBlock);
+      expect(position.isLocked).to.be.true;
+
+      await farm.connect(user1).claimRewards();
+      const claimed = (await farm.getUserInfo(user1.address))
+        .totalRewardsClaimed;
+      expect(claimed).to.be.gt(0);
+
+      // Boost de 5.000 bloques sobre todo el stake
+      await farm
+        .connect(user1)
+        ['deposit(uint256,uint256)'](ethers.parseEther('100'), 5000);
+      position = await getPosition(lens, farm, user1.address);
+      expect(position.boostMultiplier).to.equal(15000);
+      expect(position.boostUnlockBlock).to.equal(
+        (await farm.boostInfo(user1.address)).unlockBlock
+      );
+      expect(position.totalRewardsClaimed).to.equal(claimed);
+
+      // Terminados el bloqueo y el boost, nada queda bloqueado
+      await ethers.provider.send('hardhat_mine', ['0x1388']);
+      position = await getPosition(lens, farm, user1.address);
+      expect(position.lockedBalance).to.equal(0);
+      expect(position.isLocked).to.be.false;
+    });
+  }
+});
@@ -0,0 +1,153 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const { describeEachFarm, deployFarm } = require('./helpers/farms');
+
+// Transferencia de propiedad en dos pasos, igual en ambas farms
+describeEachFarm('Farm ownership', function (farmName) {
+  let Farm, dappToken, lpToken, farm;
+  let owner, newOwner, user1;
+
+  async function deployFixture() {
+    return deployFarm(farmName);
+  }
+
+  beforeEach(async function () {
+    [owner, newOwner, user1] = await ethers.getSigners();
+    Farm = await ethers.getContractFactory(farmName);
+    ({ dappToken, lpToken, farm } = await loadFixture(deployFixture));
+  });
+
+  describe('Two-step transfer', function () {
+    it('Should only change the owner once the new owner accepts', async function () {
+      await expect(farm.transferOwnership(newOwner.address))
+        .to.emit(farm, 'OwnershipTransferStarted')
+        .withArgs(owner.address, newOwner.address, anyValue);
+      expect(await farm.owner()).to.equal(owner.address);
+      expect(await farm.pendingOwner()).to.equal(newOwner.address);
+
+      await expect(farm.connect(newOwner).acceptOwnership())
+        .to.emit(farm, 'OwnerChanged')
+        .withArgs(owner.address, newOwner.address, anyValue);
+      expect(await farm.owner()).to.equal(newOwner.address);
+      expect(await farm.pendingOwner()).to.equal(ethers.ZeroAddress);
+
+      // Los permisos de admin pasan al nuevo owner
+      const role = await farm.PARAMETER_MANAGER_ROLE();
+      expect(await farm.hasRole(role, newOwner.address)).to.be.true;
+      expect(await farm.hasRole(role, owner.address)).to.be.false;
+      await expect(farm.transferOwnership(user1.address)).to.be.revertedWith(
+        'Only owner can call this function'
+      );
+    });
+
+    it('Should reject acceptance from any other address', async function () {
+      await farm.transferOwnership(newOwner.address);
+
+      await expect(farm.connect(user1).acceptOwnership()).to.be.revertedWith(
+        'Not the pending owner'
+      );
+      await expect(farm.acceptOwnership()).to.be.revertedWith(
+        'Not the pending owner'
+      );
+      expect(await farm.owner()).to.equal(owner.address);
+    });
+
+    it('Should replace an earlier proposal', async function () {
+      await farm.transferOwnership(user1.address);
+      await farm.transferOwnership(newOwner.address);
+
+      await expect(farm.connect(user1).acceptOwnership()).to.be.revertedWith(
+        'Not the pending owner'
+      );
+      await farm.connect(newOwner).acceptOwnership();
+      expect(await farm.owner()).to.equal(newOwner.address);
+    });
+
+    it('Should cancel a pending transfer', async function () {
+      await farm.transferOwnership(newOwner.address);
+
+      await expect(
+        farm.connect(newOwner).cancelOwnershipTransfer()
+      ).to.be.revertedWith('Only owner can call this function');
+      await expect(farm.cancelOwnershipTransfer())
+        .to.emit(farm, 'OwnershipTransferCancelled')
+        .withArgs(owner.address, newOwner.address, anyValue);
+
+      await expect(farm.connect(newOwner).acceptOwnership()).to.be.revertedWith(
+        'Not the pending owner'
+      );
+      await expect(farm.cancelOwnershipTransfer()).to.be.revertedWith(
+        'No pending transfer'
+      );
+    });
+
+    it('Should never give ownership away to the zero address', async function () {
+      await expect(
+        farm.transferOwnership(ethers.ZeroAddress)
+      ).to.be.revertedWith('Zero address');
+      await expect(farm.transferOwnership(owner.address)).to.be.revertedWith(
+        'Already owner'
+      );
+    });
+  });
+
+  describe('Reward token handoff', function () {
+    let nextFarm;
+
+    beforeEach(async function () {
+      // La farm que reemplaza a la actual
+      nextFarm = await Farm.deploy(
+        await dappToken.getAddress(),
+        await lpToken.getAddress()
+      );
+    });
+
+    it('Should move mint rights to the proposed farm', async function () {
+      const nextAddress = await nextFarm.getAddress();
+      await expect(farm.transferRewardTokenOwnership(nextAddress))
+        .to.emit(farm, 'RewardTokenOwnershipTransferStarted')
+        .withArgs(owner.address, nextAddress, anyValue);
+      expect(await dappToken.owner()).to.equal(await farm.getAddress());
+
+      await expect(nextFarm.claimRewardTokenOwnership(await farm.getAddress()))
+        .to.emit(farm, 'RewardTokenOwnershipTransferred')
+        .withArgs(await farm.getAddress(), nextAddress, anyValue);
+      expect(await dappToken.owner()).to.equal(nextAddress);
+      expect(await farm.pendingRewardTokenOwner()).to.equal(ethers.ZeroAddress);
+    });
+
+    it('Should only hand mint rights to the proposed address', async function () {
+      await farm.transferRewardTokenOwnership(newOwner.address);
+
+      await expect(
+        nextFarm.claimRewardTokenOwnership(await farm.getAddress())
+      ).to.be.revertedWith('Not the pending reward token owner');
+      await expect(
+        farm.connect(user1).acceptRewardTokenOwnership()
+      ).to.be.revertedWith('Not the pending reward token owner');
+
+      await farm.connect(newOwner).acceptRewardTokenOwnership();
+      expect(await dappToken.owner()).to.equal(newOwner.address);
+    });
+
+    it('Should only let the admin propose or claim mint rights', async function () {
+      await expect(
+        farm
+          .connect(user1)
+          .transferRewardTokenOwnership(await nextFarm.getAddress())
+      ).to.be.revertedWith('Only owner can call this function');
+      await expect(
+        nextFarm
+          .connect(user1)
+          .claimRewardTokenOwnership(await farm.getAddress())
+      ).to.be.revertedWith('Only owner can call this function');
+
+      // Sin ser dueña del token no puede proponer a nadie
+      await expect(
+        nextFarm.transferRewardTokenOwnership(user1.address)
+      ).to.be.revertedWith('Farm does not own the reward token');
+    });
+  });
+});
@@ -0,0 +1,344 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const { describeEachFarm, deployFarm } = require('./helpers/farms');
+
+const DAY = 24 * 60 * 60;
+
+// Roles y timelock de parámetros, iguales en ambas farms
+describeEachFarm('Roles and parameter timelock', function (farmName) {
+  let dappToken, lpToken, farm, farmAddress;
+  let owner, manager, pauser, collector, user1;
+  let PARAMETER_MANAGER_ROLE, PAUSER_ROLE, FEE_COLLECTOR_ROLE;
+
+  async function deployFixture() {
+    const fixture = await deployFarm(farmName);
+    const { farm } = fixture;
+    await farm.grantRole(await farm.PARAMETER_MANAGER_ROLE(), manager.address);
+    await farm.grantRole(await farm.PAUSER_ROLE(), pauser.address);
+    await farm.grantRole(await farm.FEE_COLLECTOR_ROLE(), collector.address);
+    return fixture;
+  }
+
+  beforeEach(async function () {
+    [owner, manager, pauser, collector, user1] = await ethers.getSigners();
+    ({ dappToken, lpToken, farm, farmAddress } =
+      await loadFixture(deployFixture));
+
+    PARAMETER_MANAGER_ROLE = await farm.PARAMETER_MANAGER_ROLE();
+    PAUSER_ROLE = await farm.PAUSER_ROLE();
+    FEE_COLLECTOR_ROLE = await farm.FEE_COLLECTOR_ROLE();
+  });
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send('evm_increaseTime', [seconds]);
+    await ethers.provider.send('evm_mine', []);
+  }
+
+  function encode(method, args) {
+    return farm.interface.encodeFunctionData(method, args);
+  }
+
+  describe('Roles', function () {
+    it('Should give the admin every role', async function () {
+      for (const role of [
+        PARAMETER_MANAGER_ROLE,
+        PAUSER_ROLE,
+        FEE_COLLECTOR_ROLE,
+      ]) {
+        expect(await farm.hasRole(role, owner.address)).to.be.true;
+        expect(await farm.hasRole(role, user1.address)).to.be.false;
+      }
+      expect(await farm.hasRole(PAUSER_ROLE, manager.address)).to.be.false;
+    });
+
+    it('Should only let the admin grant and revoke roles', async function () {
+      await expect(farm.grantRole(PAUSER_ROLE, user1.address))
+        .to.emit(farm, 'RoleGranted')
+        .withArgs(PAUSER_ROLE, user1.address, owner.address, anyValue);
+      await expect(farm.revokeRole(PAUSER_ROLE, user1.address))
+        .to.emit(farm, 'RoleRevoked')
+        .withArgs(PAUSER_ROLE, user1.address, owner.address, anyValue);
+      expect(await farm.hasRole(PAUSER_ROLE, user1.address)).to.be.false;
+
+      await expect(
+        farm.connect(manager).grantRole(PARAMETER_MANAGER_ROLE, user1.address)
+      ).to.be.revertedWith('Only owner can call this function');
+      await expect(
+        farm.grantRole(ethers.id('OTHER_ROLE'), user1.address)
+      ).to.be.revertedWith('Unknown role');
+      await expect(
+        farm.grantRole(PAUSER_ROLE, ethers.ZeroAddress)
+      ).to.be.revertedWith('Zero address');
+      await expect(
+        farm.revokeRole(PAUSER_ROLE, user1.address)
+      ).to.be.revertedWith('Role not granted');
+    });
+
+    it('Should let the parameter manager change the reward rate', async function () {
+      await expect(
+        farm.connect(manager).setRewardPerBlock(ethers.parseEther('2'))
+      )
+        .to.emit(farm, 'RewardPerBlockChanged')
+        .withArgs(
+          manager.address,
+          ethers.parseEther('1'),
+          ethers.parseEther('2'),
+          anyValue
+        );
+
+      await expect(
+        farm.connect(user1).setRewardPerBlock(ethers.parseEther('3'))
+      ).to.be.revertedWith('Missing role');
+
+      // Revocado, ya no puede cambiarla
+      await farm.revokeRole(PARAMETER_MANAGER_ROLE, manager.address);
+      await expect(
+        farm.connect(manager).setRewardPerBlock(ethers.parseEther('3'))
+      ).to.be.revertedWith('Missing role');
+    });
+
+    it('Should send fees to the fee collector', async function () {
+      await lpToken.mint(user1.address, ethers.parseEther('100'));
+      await lpToken
+        .connect(user1)
+        .approve(farmAddress, ethers.parseEther('100'));
+      await farm.connect(user1).deposit(ethers.parseEther('100'));
+      await ethers.provider.send('evm_mine', []);
+      await farm.connect(user1).claimRewards();
+
+      const fees = await farm.getAccumulatedFees();
+      await expect(farm.connect(manager).withdrawFees()).to.be.revertedWith(
+        'Missing role'
+      );
+      await expect(farm.connect(collector).withdrawFees())
+        .to.emit(farm, 'FeesWithdrawn')
+        .withArgs(collector.address, fees, anyValue);
+      expect(await dappToken.balanceOf(collector.address)).to.equal(fees);
+    });
+
+    it('Should keep admin-only functions for the owner', async function () {
+      await expect(
+        farm.connect(manager).notifyRewardAmount(1, 1)
+      ).to.be.revertedWith('Only owner can call this function');
+      await expect(
+        farm.connect(manager).setTimelockDelay(DAY)
+      ).to.be.revertedWith('Only owner can call this function');
+    });
+  });
+
+  describe('Timelock', function () {
+    beforeEach(async function () {
+      await farm.setTimelockDelay(DAY);
+    });
+
+    it('Should raise the delay at once but queue a shorter one', async function () {
+      expect(await farm.timelockDelay()).to.equal(DAY);
+
+      await expect(farm.setTimelockDelay(0)).to.be.revertedWith(
+        'Change not queued'
+      );
+      await farm.queueParameterChange(encode('setTimelockDelay', [0]));
+      await increaseTime(DAY);
+      await expect(farm.setTimelockDelay(0))
+        .to.emit(farm, 'TimelockDelayChanged')
+        .withArgs(owner.address, DAY, 0, anyValue);
+
+      await expect(farm.setTimelockDelay(31 * DAY)).to.be.revertedWith(
+        'Delay too long'
+      );
+    });
+
+    it('Should only run a reward range change after the delay', async function () {
+      const min = ethers.parseEther('0.5');
+      const max = ethers.parseEther('5');
+      const data = encode('setRewardRange', [min, max]);
+      const id = ethers.keccak256(data);
+
+      await expect(
+        farm.connect(manager).setRewardRange(min, max)
+      ).to.be.revertedWith('Change not queued');
+
+      await expect(farm.connect(manager).queueParameterChange(data))
+        .to.emit(farm, 'ParameterChangeQueued')
+        .withArgs(id, manager.address, data, anyValue, anyValue);
+      const readyAt = await farm.queuedChangeReadyAt(id);
+      const { timestamp } = await ethers.provider.getBlock('latest');
+      expect(readyAt).to.equal(timestamp + DAY);
+
+      await expect(
+        farm.connect(manager).setRewardRange(min, max)
+      ).to.be.revertedWith('Timelock not expired');
+
+      await increaseTime(DAY);
+      // Solo se ejecuta la llamada exacta que se encoló
+      await expect(
+        farm.connect(manager).setRewardRange(min, ethers.parseEther('6'))
+      ).to.be.revertedWith('Change not queued');
+      await expect(farm.connect(manager).setRewardRange(min, max))
+        .to.emit(farm, 'ParameterChangeExecuted')
+        .withArgs(id, manager.address, anyValue);
+      expect(await farm.maxRewardPerBlock()).to.equal(max);
+
+      // Un cambio encolado se ejecuta una sola vez
+      expect(await farm.queuedChangeReadyAt(id)).to.equal(0);
+      await expect(
+        farm.connect(manager).setRewardRange(min, max)
+      ).to.be.revertedWith('Change not queued');
+    });
+
+    it('Should cancel queued changes', async function () {
+      const data = encode('setRewardRange', [1, 2]);
+      const id = ethers.keccak256(data);
+      await farm.connect(manager).queueParameterChange(data);
+
+      await expect(
+        farm.connect(manager).queueParameterChange(data)
+      ).to.be.revertedWith('Change already queued');
+      await expect(
+        farm.connect(user1).cancelParameterChange(id)
+      ).to.be.revertedWith('Missing role');
+
+      await expect(farm.connect(manager).cancelParameterChange(id))
+        .to.emit(farm, 'ParameterChangeCancelled')
+        .withArgs(id, manager.address, anyValue);
+
+      await increaseTime(DAY);
+      await expect(
+        farm.connect(manager).setRewardRange(1, 2)
+      ).to.be.revertedWith('Change not queued');
+      await expect(
+        farm.connect(manager).cancelParameterChange(id)
+      ).to.be.revertedWith('Change not queued');
+    });
+
+    it('Should expire changes not run within the grace period', async function () {
+      const data = encode('setRewardRange', [1, 2]);
+      const id = ethers.keccak256(data);
+      await farm.connect(manager).queueParameterChange(data);
+
+      const gracePeriod = await farm.TIMELOCK_GRACE_PERIOD();
+      await increaseTime(DAY + Number(gracePeriod) + 1);
+      await expect(
+        farm.connect(manager).setRewardRange(1, 2)
+      ).to.be.revertedWith('Change expired');
+
+      // Un cambio vencido se puede volver a encolar
+      await farm.connect(manager).queueParameterChange(data);
+      const { timestamp } = await ethers.provider.getBlock('latest');
+      expect(await farm.queuedChangeReadyAt(id)).to.equal(timestamp + DAY);
+      await increaseTime(DAY);
+      await farm.connect(manager).setRewardRange(1, 2);
+      expect(await farm.maxRewardPerBlock()).to.equal(2);
+    });
+
+    it('Should only queue timelocked setters', async function () {
+      await expect(
+        farm
+          .connect(manager)
+          .queueParameterChange(
+            encode('setRewardPerBlock', [ethers.parseEther('2')])
+          )
+      ).to.be.revertedWith('Not a timelocked change');
+      await expect(
+        farm.connect(manager).queueParameterChange('0x')
+      ).to.be.revertedWith('Not a timelocked change');
+      await expect(
+        farm
+          .connect(user1)
+          .queueParameterChange(encode('setRewardRange', [1, 2]))
+      ).to.be.revertedWith('Missing role');
+    });
+
+    it('Should not delay the reward per block', async function () {
+      await farm.connect(manager).setRewardPerBlock(ethers.parseEther('2'));
+      expect(await farm.rewardPerBlock()).to.equal(ethers.parseEther('2'));
+    });
+
+    if (farmName === 'TokenFarmV2') {
+      it('Should delay fee, lock period and penalty changes', async function () {
+        const changes = [
+          ['setWithdrawalFee', [500], 'withdrawalFeeBasisPoints'],
+          ['setStakingLockPeriod', [50], 'stakingLockPeriod'],
+          ['setEarlyWithdrawalPenalty', [1000], 'earlyWithdrawalPenalty'],
+        ];
+
+        for (const [method, args] of changes) {
+          await expect(
+            farm.connect(manager)[method](...args)
+          ).to.be.revertedWith('Change not queued');
+          await farm
+            .connect(manager)
+            .queueParameterChange(encode(method, args));
+        }
+
+        await increaseTime(DAY);
+        for (const [method, args, getter] of changes) {
+          await farm.connect(manager)[method](...args);
+          expect(await farm[getter]()).to.equal(args[0]);
+        }
+      });
+    }
+  });
+
+  describe('Timelock delay changes', function () {
+    it('Should apply a delay set after the change was queued', async function () {
+      // Encolado sin delay, pero ejecutado con el delay vigente
+      await farm
+        .connect(manager)
+        .queueParameterChange(encode('setRewardRange', [1, 2]));
+      await farm.setTimelockDelay(DAY);
+
+      await expect(
+        farm.connect(manager).setRewardRange(1, 2)
+      ).to.be.revertedWith('Timelock not expired');
+      await increaseTime(DAY);
+      await farm.connect(manager).setRewardRange(1, 2);
+      expect(await farm.maxRewardPerBlock()).to.equal(2);
+    });
+
+    it('Should consume a queued change run without a delay', async function () {
+      const data = encode('setRewardRange', [1, 2]);
+      const id = ethers.keccak256(data);
+      await farm.connect(manager).queueParameterChange(data);
+
+      await expect(farm.connect(manager).setRewardRange(1, 2))
+        .to.emit(farm, 'ParameterChangeExecuted')
+        .withArgs(id, manager.address, anyValue);
+      expect(await farm.queuedChangeReadyAt(id)).to.equal(0);
+
+      // No se puede repetir una vez que hay delay
+      await farm.setTimelockDelay(DAY);
+      await increaseTime(DAY);
+      await expect(
+        farm.connect(manager).setRewardRange(1, 2)
+      ).to.be.revertedWith('Change not queued');
+    });
+  });
+
+  if (farmName === 'TokenFarmV2') {
+    describe('Pauser', function () {
+      it('Should let the pauser stop but not resume the farm', async function () {
+        await expect(farm.connect(manager).triggerEmergencyStop()).to.be
+          .reverted;
+
+        await expect(farm.connect(pauser).triggerEmergencyStop())
+          .to.emit(farm, 'EmergencyStopToggled')
+          .withArgs(pauser.address, true, anyValue);
+        expect(await farm.emergencyStop()).to.be.true;
+
+        await expect(
+          farm.connect(pauser).triggerEmergencyStop()
+        ).to.be.revertedWith('Contract is in emergency stop');
+        await expect(
+          farm.connect(pauser).toggleEmergencyStop()
+        ).to.be.revertedWith('Only owner can call this function');
+
+        // Solo el admin reanuda
+        await farm.toggleEmergencyStop();
+        expect(await farm.emergencyStop()).to.be.false;
+      });
+    });
+  }
+});
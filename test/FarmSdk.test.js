@@ -0,0 +1,300 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const {
+  Farm,
+  DEFAULT_BLOCK_TIME,
+  FarmError,
+  EmergencyStopError,
+  InvalidArgumentError,
+  NoRewardsError,
+  aprToApy,
+  revertReason,
+  toFarmError,
+} = require('../sdk');
+const { describeEachFarm, deployFarm } = require('./helpers/farms');
+
+const SECONDS_PER_YEAR = 365n * 24n * 60n * 60n;
+
+// SDK de JavaScript sobre ambas farms, en la red de Hardhat
+describeEachFarm('Farm SDK', function (farmName) {
+  let dappToken, lpToken, farm, farmAddress, lensAddress;
+  let owner, user1, user2;
+
+  async function deployFixture() {
+    const fixture = await deployFarm(farmName, {
+      stakers: [user1, user2],
+      approve: false,
+    });
+    const FarmLens = await ethers.getContractFactory('FarmLens');
+    const lens = await FarmLens.deploy();
+    return { ...fixture, lensAddress: await lens.getAddress() };
+  }
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, user1, user2] = await ethers.getSigners();
+    ({ dappToken, lpToken, farm, farmAddress, lensAddress } =
+      await loadFixture(deployFixture));
+  });
+
+  it('Should detect the farm version', async function () {
+    const sdkFarm = await Farm.connect(farmAddress, user1);
+
+    expect(sdkFarm.version).to.equal(farmName === 'TokenFarm' ? 1 : 2);
+    expect(sdkFarm.isV2).to.equal(farmName === 'TokenFarmV2');
+    expect(await sdkFarm.getAddress()).to.equal(farmAddress);
+  });
+
+  it('Should take a known version without reading it', async function () {
+    const sdkFarm = await Farm.connect(farmAddress, user1, { version: 1 });
+    expect(sdkFarm.version).to.equal(1);
+
+    await expect(
+      Farm.connect(farmAddress, user1, { version: 3 })
+    ).to.be.rejectedWith(`Unsupported farm version 3 at ${farmAddress}`);
+  });
+
+  it('Should approve the farm only when the allowance is short', async function () {
+    const sdkFarm = await Farm.connect(farmAddress, user1);
+    const amount = ethers.parseEther('100');
+
+    // El primer depósito aprueba exactamente la cantidad
+    await sdkFarm.deposit(amount);
+    expect(await lpToken.allowance(user1.address, farmAddress)).to.equal(0);
+    expect(await farm.getStakingBalance(user1.address)).to.equal(amount);
+
+    // Con allowance suficiente no se envía otro approve
+    await lpToken.connect(user1).approve(farmAddress, ethers.MaxUint256);
+    const nonce = await ethers.provider.getTransactionCount(user1.address);
+    await sdkFarm.deposit(amount);
+    expect(await ethers.provider.getTransactionCount(user1.address)).to.equal(
+      nonce + 1
+    );
+    expect(await farm.getStakingBalance(user1.address)).to.equal(amount * 2n);
+  });
+
+  it('Should withdraw and claim rewards', async function () {
+    const sdkFarm = await Farm.connect(farmAddress, user1);
+    await sdkFarm.deposit(ethers.parseEther('100'));
+    await ethers.provider.send('hardhat_mine', ['0x5']);
+
+    await sdkFarm.withdraw(ethers.parseEther('40'));
+    expect(await farm.getStakingBalance(user1.address)).to.equal(
+      ethers.parseEther('60')
+    );
+
+    const pending = await farm.previewPendingRewards(user1.address);
+    const { recipient, amount, fee, netAmount, receipt } =
+      await sdkFarm.claim();
+
+    // El claim incluye el bloque de su propia transacción
+    expect(recipient).to.equal(user1.address);
+    expect(amount).to.be.greaterThan(pending);
+    expect(fee).to.equal((amount * 300n) / 10000n);
+    expect(netAmount).to.equal(amount - fee);
+    expect(receipt.status).to.equal(1);
+    expect(await dappToken.balanceOf(user1.address)).to.equal(netAmount);
+  });
+
+  it('Should claim rewards to another address', async function () {
+    const sdkFarm = await Farm.connect(farmAddress, user1);
+    await sdkFarm.deposit(ethers.parseEther('100'));
+    await ethers.provider.send('hardhat_mine', ['0x5']);
+
+    const { recipient, netAmount } = await sdkFarm.claim({
+      to: user2.address,
+    });
+
+    expect(recipient).to.equal(user2.address);
+    expect(await dappToken.balanceOf(user2.address)).to.equal(netAmount);
+    expect(await dappToken.balanceOf(user1.address)).to.equal(0);
+  });
+
+  it('Should read a position through FarmLens', async function () {
+    const sdkFarm = await Farm.connect(farmAddress, user1, {
+      lens: lensAddress,
+    });
+    await sdkFarm.deposit(ethers.parseEther('100'));
+    await ethers.provider.send('hardhat_mine', ['0x5']);
+
+    const position = await sdkFarm.position();
+    expect(position.staker).to.equal(user1.address);
+    expect(position.isLocked).to.equal(farmName === 'TokenFarmV2');
+    expect(position.stakingBalance).to.equal(ethers.parseEther('100'));
+    expect(position.pendingRewards).to.equal(
+      await farm.previewPendingRewards(user1.address)
+    );
+    expect(position.pendingRewards).to.be.greaterThan(0);
+    expect(position.totalRewardsClaimed).to.equal(0);
+
+    // Sin depósito no hay posición
+    const empty = await sdkFarm.position(user2.address);
+    expect(empty.stakingBalance).to.equal(0);
+    expect(empty.pendingRewards).to.equal(0);
+  });
+
+  it('Should need a FarmLens to read positions', async function () {
+    const sdkFarm = await Farm.connect(farmAddress, user1);
+
+    await expect(sdkFarm.position()).to.be.rejectedWith(
+      'Reading positions needs a FarmLens: pass options.lens'
+    );
+  });
+
+  it('Should read the farm config', async function () {
+    const sdkFarm = await Farm.connect(farmAddress, ethers.provider);
+    const config = await sdkFarm.config();
+
+    expect(config.version).to.equal(sdkFarm.version);
+    expect(config.name).to.equal(await farm.name());
+    expect(config.owner).to.equal(owner.address);
+    expect(config.lpToken).to.equal(await lpToken.getAddress());
+    expect(config.rewardToken).to.equal(await dappToken.getAddress());
+    expect(config.rewardPerBlock).to.equal(await farm.rewardPerBlock());
+    expect(config.isScheduled).to.equal(false);
+    expect(config.totalStakingBalance).to.equal(0);
+    expect(config.withdrawalFeeBasisPoints).to.equal(300);
+    expect(config.emergencyStop).to.equal(false);
+    if (farmName === 'TokenFarmV2') {
+      expect(config.stakingLockPeriod).to.equal(100);
+      expect(config.earlyWithdrawalPenalty).to.equal(500);
+    } else {
+      expect(config.stakingLockPeriod).to.equal(0);
+      expect(config.earlyWithdrawalPenalty).to.equal(0);
+    }
+  });
+
+  it('Should need a signer for transactions', async function () {
+    const sdkFarm = await Farm.connect(farmAddress, ethers.provider);
+
+    await expect(sdkFarm.deposit(1n)).to.be.rejectedWith(
+      'This call needs a farm connected with a signer'
+    );
+  });
+
+  it('Should return no APR while nothing is staked', async function () {
+    const sdkFarm = await Farm.connect(farmAddress, ethers.provider);
+
+    expect(await sdkFarm.apr()).to.equal(null);
+  });
+
+  it('Should compute the APR net of the claim fee', async function () {
+    const sdkFarm = await Farm.connect(farmAddress, user1);
+    const staked = ethers.parseEther('100');
+    await sdkFarm.deposit(staked);
+
+    // Recompensas de un año por LP, descontando la comisión del 3%
+    const yearly =
+      ((await farm.rewardPerBlock()) * SECONDS_PER_YEAR) /
+      BigInt(DEFAULT_BLOCK_TIME);
+    const expected =
+      Number(ethers.formatEther((yearly * 9700n) / 10000n)) /
+      Number(ethers.formatEther(staked));
+    expect(await sdkFarm.apr()).to.be.closeTo(expected, 1e-9);
+
+    // Con precios, el APR escala con precio de recompensa / precio del LP
+    expect(
+      await sdkFarm.apr({ rewardPrice: 0.5, lpPrice: 2, blockTime: 6 })
+    ).to.be.closeTo(expected / 2, 1e-9);
+    // Precios como texto decimal, sin redondeo de coma flotante
+    expect(
+      await sdkFarm.apr({ rewardPrice: '0.5', lpPrice: '2', blockTime: 6 })
+    ).to.be.closeTo(expected / 2, 1e-9);
+  });
+
+  it('Should compound the same APR into the APY', async function () {
+    const sdkFarm = await Farm.connect(farmAddress, user1);
+    expect(await sdkFarm.apy()).to.equal(null);
+    await sdkFarm.deposit(ethers.parseEther('100'));
+
+    const options = { rewardPrice: 0.5, lpPrice: 2, blockTime: 6 };
+    const apr = await sdkFarm.apr(options);
+    expect(
+      await sdkFarm.apy({ ...options, compoundsPerYear: 1 })
+    ).to.be.closeTo(apr, 1e-9);
+    expect(
+      await sdkFarm.apy({ ...options, compoundsPerYear: 12 })
+    ).to.be.closeTo(aprToApy(apr, 12), 1e-9);
+  });
+
+  it('Should throw typed errors for reverts', async function () {
+    const sdkFarm = await Farm.connect(farmAddress, user1);
+
+    const zero = await sdkFarm.deposit(0n).catch((error) => error);
+    expect(zero).to.be.instanceOf(InvalidArgumentError);
+    expect(zero).to.be.instanceOf(FarmError);
+    expect(zero.reason).to.equal('Amount must be greater than 0');
+    expect(zero.cause).to.exist;
+
+    const claim = await sdkFarm.claim().catch((error) => error);
+    expect(claim).to.be.instanceOf(NoRewardsError);
+
+    const withdraw = await sdkFarm.withdraw(1n).catch((error) => error);
+    expect(withdraw).to.be.instanceOf(FarmError);
+    expect(withdraw.reason).to.be.oneOf([
+      'User is not staking',
+      'Insufficient staked balance',
+    ]);
+  });
+
+  it('Should pass through errors that are not reverts', async function () {
+    const error = new Error('network down');
+
+    expect(revertReason(error)).to.equal(null);
+    expect(toFarmError(error)).to.equal(error);
+  });
+
+  it('Should deliver subscribed events', async function () {
+    const sdkFarm = await Farm.connect(farmAddress, user1);
+    const amount = ethers.parseEther('100');
+
+    let stop;
+    const received = new Promise((resolve) => {
+      sdkFarm
+        .on('Deposit', resolve)
+        .then((unsubscribe) => (stop = unsubscribe));
+    });
+    await sdkFarm.deposit(amount);
+    const event = await received;
+    await stop();
+
+    expect(event.name).to.equal('Deposit');
+    expect(event.args.user).to.equal(user1.address);
+    expect(event.args.amount).to.equal(amount);
+    expect(event.transactionHash).to.be.a('string');
+  });
+
+  if (farmName === 'TokenFarm') {
+    it('Should reject boost locks on TokenFarm', async function () {
+      const sdkFarm = await Farm.connect(farmAddress, user1);
+
+      await expect(
+        sdkFarm.deposit(ethers.parseEther('100'), { lockBlocks: 1000 })
+      ).to.be.rejectedWith('Boost locks are only available on TokenFarmV2');
+    });
+  } else {
+    it('Should deposit with a boost lock', async function () {
+      const sdkFarm = await Farm.connect(farmAddress, user1, {
+        lens: lensAddress,
+      });
+      await sdkFarm.deposit(ethers.parseEther('100'), { lockBlocks: 1000 });
+
+      const position = await sdkFarm.position();
+      expect(position.boostMultiplier).to.equal(11000);
+      expect(position.boostUnlockBlock).to.be.greaterThan(0);
+      expect(position.lockedBalance).to.equal(ethers.parseEther('100'));
+    });
+
+    it('Should throw an EmergencyStopError while stopped', async function () {
+      const sdkFarm = await Farm.connect(farmAddress, user1);
+      await farm.toggleEmergencyStop();
+
+      const error = await sdkFarm
+        .deposit(ethers.parseEther('100'))
+        .catch((error) => error);
+      expect(error).to.be.instanceOf(EmergencyStopError);
+      expect((await sdkFarm.config()).emergencyStop).to.equal(true);
+    });
+  }
+});
@@ -0,0 +1,259 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { ethers } = hre;
+
+describe('Farm tasks', function () {
+  let dappToken, lpToken, tokenFarmV2, farmAddress;
+  let owner, user1;
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, user1] = await ethers.getSigners();
+
+    // Desplegar los contratos
+    const DAppToken = await ethers.getContractFactory('DAppToken');
+    dappToken = await DAppToken.deploy(owner.address);
+
+    const LPToken = await ethers.getContractFactory('LPToken');
+    lpToken = await LPToken.deploy(owner.address);
+
+    const TokenFarmV2 = await ethers.getContractFactory('TokenFarmV2');
+    tokenFarmV2 = await TokenFarmV2.deploy(
+      await dappToken.getAddress(),
+      await lpToken.getAddress()
+    );
+    farmAddress = await tokenFarmV2.getAddress();
+
+    await dappToken.transferOwnership(farmAddress);
+    await lpToken.mint(user1.address, ethers.parseEther('1000'));
+  });
+
+  // Ejecuta una tarea y devuelve lo que imprimió
+  async function run(taskName, args = {}) {
+    const output = [];
+    const log = console.log;
+    console.log = (...values) => output.push(values.join(' '));
+    try {
+      await hre.run(taskName, { address: farmAddress, ...args });
+    } finally {
+      console.log = log;
+    }
+    return output;
+  }
+
+  it('Should approve and deposit in ether units', async function () {
+    const output = await run('farm:deposit', { amount: '12.5', signer: 1 });
+
+    expect(output[0]).to.match(/^✓ Approve 12.5 LP/);
+    expect(output[1]).to.match(/^✓ Deposit 12.5 LP/);
+    expect(await tokenFarmV2.getStakingBalance(user1.address)).to.equal(
+      ethers.parseEther('12.5')
+    );
+
+    // Con allowance suficiente no vuelve a aprobar
+    await lpToken.connect(user1).approve(farmAddress, ethers.parseEther('100'));
+    expect(
+      await run('farm:deposit', { amount: '10', signer: 1 })
+    ).to.have.lengthOf(1);
+  });
+
+  it('Should deposit with a permit instead of an approve', async function () {
+    const output = await run('farm:deposit', {
+      amount: '25',
+      permit: true,
+      signer: 1,
+    });
+
+    expect(output).to.have.lengthOf(1);
+    expect(output[0]).to.match(/^✓ Deposit 25 LP with a permit/);
+    expect(await tokenFarmV2.getStakingBalance(user1.address)).to.equal(
+      ethers.parseEther('25')
+    );
+    await expect(
+      run('farm:deposit', { amount: '1', permit: true, lock: 1000, signer: 1 })
+    ).to.be.rejectedWith('Permit deposits cannot take a boost lock');
+  });
+
+  it('Should deposit with a boost lock', async function () {
+    const output = await run('farm:deposit', {
+      amount: '100',
+      lock: 5000,
+      signer: 1,
+    });
+    expect(output[1]).to.match(/^✓ Deposit 100 LP locked for 5000 blocks/);
+    expect(await tokenFarmV2.rewardWeightOf(user1.address)).to.equal(
+      ethers.parseEther('150')
+    );
+
+    const info = await run('farm:info', { user: user1.address });
+    expect(info.find((line) => line.startsWith('Boost:'))).to.match(
+      /^Boost: +1\.5x until block \d+$/
+    );
+  });
+
+  it('Should claim and withdraw', async function () {
+    await run('farm:deposit', { amount: '100', signer: 1 });
+    await ethers.provider.send('evm_mine', []);
+
+    const output = await run('farm:claim', { signer: 1 });
+    // 2 bloques a 1 DAPP por bloque, comisión del 3%
+    expect(output[1]).to.equal('Claimed 1.94 DAPP (2.0 minus 0.06 fee)');
+
+    await ethers.provider.send('hardhat_mine', ['0x64']);
+    await run('farm:withdraw', { amount: '100', signer: 1 });
+    expect(await lpToken.balanceOf(user1.address)).to.equal(
+      ethers.parseEther('1000')
+    );
+
+    expect(await run('farm:withdraw-fees')).to.include(
+      'Withdrew 0.06 DAPP in fees'
+    );
+  });
+
+  it('Should claim for a staker through an approved claimer', async function () {
+    const [, , operator, treasury] = await ethers.getSigners();
+    await run('farm:deposit', { amount: '100', signer: 1 });
+    await run('farm:claimer', {
+      operator: operator.address,
+      recipient: treasury.address,
+      signer: 1,
+    });
+
+    // El operador reclama, pero las recompensas van a la tesorería
+    const output = await run('farm:claim', { for: user1.address, signer: 2 });
+    expect(output[1]).to.equal(
+      `Claimed 2.91 DAPP to ${treasury.address} (3.0 minus 0.09 fee)`
+    );
+    expect(await dappToken.balanceOf(operator.address)).to.equal(0);
+
+    await run('farm:claimer', {
+      operator: operator.address,
+      revoke: true,
+      signer: 1,
+    });
+    await expect(
+      run('farm:claim', { for: user1.address, signer: 2 })
+    ).to.be.rejectedWith('Not an approved claimer');
+  });
+
+  it('Should print farm and user info', async function () {
+    await run('farm:deposit', { amount: '100', signer: 1 });
+
+    const output = await run('farm:info', { user: user1.address });
+
+    expect(output).to.include(
+      'Farm:                     Proportional Token Farm V2 (version 2)'
+    );
+    expect(output).to.include('Staking balance:          100.0 LP');
+    expect(output).to.include('Withdrawal fee:           300 bps');
+  });
+
+  it('Should update owner settings', async function () {
+    await run('farm:set-reward', { amount: '2', min: '1', max: '5' });
+    await run('farm:set-fee', { bps: 500 });
+    await run('farm:set-lock', { blocks: 50, penalty: 1000 });
+    await run('farm:emergency');
+
+    expect(await tokenFarmV2.rewardPerBlock()).to.equal(ethers.parseEther('2'));
+    expect(await tokenFarmV2.minRewardPerBlock()).to.equal(
+      ethers.parseEther('1')
+    );
+    expect(await tokenFarmV2.withdrawalFeeBasisPoints()).to.equal(500);
+    expect(await tokenFarmV2.stakingLockPeriod()).to.equal(50);
+    expect(await tokenFarmV2.earlyWithdrawalPenalty()).to.equal(1000);
+    expect(await tokenFarmV2.emergencyStop()).to.be.true;
+  });
+
+  it('Should queue timelocked changes and run them after the delay', async function () {
+    await run('farm:set-timelock', { seconds: 3600 });
+    await expect(run('farm:set-fee', { bps: 500 })).to.be.rejectedWith(
+      'Set withdrawal fee to 500 bps reverted: Change not queued'
+    );
+
+    const output = await run('farm:set-fee', { bps: 500, queue: true });
+    expect(output[0]).to.match(/^✓ Queue: Set withdrawal fee to 500 bps/);
+    expect(output[1]).to.match(/^Ready at .*; run the task again/);
+
+    await ethers.provider.send('evm_increaseTime', [3600]);
+    await run('farm:set-fee', { bps: 500 });
+    expect(await tokenFarmV2.withdrawalFeeBasisPoints()).to.equal(500);
+  });
+
+  it('Should grant and revoke roles', async function () {
+    await run('farm:grant-role', {
+      role: 'parameterManager',
+      account: user1.address,
+    });
+    await run('farm:set-reward', { amount: '2', signer: 1 });
+    expect(await tokenFarmV2.rewardPerBlock()).to.equal(ethers.parseEther('2'));
+
+    await run('farm:revoke-role', {
+      role: 'parameterManager',
+      account: user1.address,
+    });
+    await expect(
+      run('farm:grant-role', { role: 'admin', account: user1.address })
+    ).to.be.rejectedWith('Unknown role "admin"');
+  });
+
+  it('Should let a pauser trigger the emergency stop', async function () {
+    await run('farm:grant-role', { role: 'pauser', account: user1.address });
+
+    // Sin --trigger el pauser no puede usar toggleEmergencyStop
+    await expect(run('farm:emergency', { signer: 1 })).to.be.rejected;
+
+    const output = await run('farm:emergency', { trigger: true, signer: 1 });
+    expect(output[0]).to.match(/^✓ Trigger emergency stop/);
+    expect(output[1]).to.equal('Emergency stop is now true');
+    await expect(
+      run('farm:emergency', { trigger: true, signer: 1 })
+    ).to.be.rejectedWith('Contract is in emergency stop');
+  });
+
+  it('Should accrue rewards with farm:distribute', async function () {
+    await run('farm:deposit', { amount: '100', signer: 1 });
+    await ethers.provider.send('evm_mine', []);
+
+    await run('farm:distribute');
+    expect(await tokenFarmV2.accRewardPerShare()).to.be.gt(0);
+  });
+
+  it('Should settle stakers in batches with farm:distribute', async function () {
+    await run('farm:deposit', { amount: '100', signer: 1 });
+    await lpToken.mint(owner.address, ethers.parseEther('100'));
+    await run('farm:deposit', { amount: '100' });
+
+    let output = await run('farm:distribute', { batch: 1 });
+    expect(output[0]).to.match(/^✓ Distribute rewards to 1 stakers from #0/);
+    expect(output[1]).to.equal(
+      'Removed 0 exited stakers; next batch starts at #1'
+    );
+    expect(await tokenFarmV2.getPendingRewards(user1.address)).to.be.gt(0);
+
+    // El segundo lote sigue desde el cursor y termina la ronda
+    output = await run('farm:distribute', { batch: 1 });
+    expect(output[0]).to.match(/from #1/);
+    expect(output[1]).to.equal('Removed 0 exited stakers; round complete');
+  });
+
+  it('Should report require messages as readable errors', async function () {
+    await expect(run('farm:set-fee', { bps: 1500 })).to.be.rejectedWith(
+      'Set withdrawal fee to 1500 bps reverted: Fee cannot exceed 10%'
+    );
+    await expect(run('farm:set-reward', { amount: '50' })).to.be.rejectedWith(
+      'Set reward per block to 50 DAPP reverted: Above maximum'
+    );
+    await expect(
+      run('farm:set-lock', { blocks: 10, signer: 1 })
+    ).to.be.rejectedWith('Set lock period to 10 blocks reverted: Missing role');
+    await expect(
+      run('farm:deposit', { amount: 'ten', signer: 1 })
+    ).to.be.rejectedWith('Invalid amount "ten"');
+  });
+
+  it('Should reject V2-only tasks on TokenFarm', async function () {
+    await expect(
+      run('farm:set-fee', { farm: 'TokenFarm', bps: 100 })
+    ).to.be.rejectedWith('Changing the fee is only available on TokenFarmV2');
+  });
+});
@@ -0,0 +1,388 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { describeEachFarm, deployFarm } = require('./helpers/farms');
+
+// Farms con LP tokens maliciosos o no estándar
+describeEachFarm('Farm token safety', function (farmName) {
+  let farm, farmAddress;
+  let owner, user1, user2;
+
+  // Desplegar una farm cuyo LP token es el token de prueba `tokenName`
+  async function deployTokenFarm(tokenName, ...args) {
+    const Token = await ethers.getContractFactory(tokenName);
+    return deployFarm(farmName, {
+      stakers: [user1, user2],
+      lpToken: await Token.deploy(...args),
+    });
+  }
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, user1, user2] = await ethers.getSigners();
+  });
+
+  describe('Reentrant token', function () {
+    let token;
+
+    async function deployFixture() {
+      return deployTokenFarm('ReentrantToken');
+    }
+
+    beforeEach(async function () {
+      ({
+        lpToken: token,
+        farm,
+        farmAddress,
+      } = await loadFixture(deployFixture));
+    });
+
+    // Armar el token para que llame a la farm en la próxima transferencia
+    function reenter(method, args = []) {
+      return token.setReentry(
+        farmAddress,
+        farm.interface.encodeFunctionData(method, args)
+      );
+    }
+
+    it('Should block a deposit reentering a deposit', async function () {
+      await reenter('deposit(uint256)', [1n]);
+
+      await expect(
+        farm.connect(user1)['deposit(uint256)'](ethers.parseEther('100'))
+      ).to.be.revertedWith('Reentrant call');
+    });
+
+    it('Should block a claim reentering a deposit', async function () {
+      await reenter('claimRewards');
+
+      await expect(
+        farm.connect(user1)['deposit(uint256)'](ethers.parseEther('100'))
+      ).to.be.revertedWith('Reentrant call');
+    });
+
+    it('Should block a withdraw reentering a withdraw', async function () {
+      await farm.connect(user1)['deposit(uint256)'](ethers.parseEther('100'));
+      await reenter('withdraw', [1n]);
+
+      await expect(
+        farm.connect(user1).withdraw(ethers.parseEther('50'))
+      ).to.be.revertedWith('Reentrant call');
+      expect(await farm.getStakingBalance(user1.address)).to.equal(
+        ethers.parseEther('100')
+      );
+    });
+
+    it('Should block claims to another address reentering a withdraw', async function () {
+      await farm.connect(user1)['deposit(uint256)'](ethers.parseEther('100'));
+      await reenter('claimRewardsTo', [user2.address]);
+
+      await expect(
+        farm.connect(user1).withdraw(ethers.parseEther('50'))
+      ).to.be.revertedWith('Reentrant call');
+    });
+
+    it('Should work normally after a blocked reentry', async function () {
+      await reenter('deposit(uint256)', [1n]);
+      await expect(
+        farm.connect(user1)['deposit(uint256)'](ethers.parseEther('100'))
+      ).to.be.revertedWith('Reentrant call');
+
+      // Sin reentrada las operaciones siguen funcionando
+      await token.setReentry(ethers.ZeroAddress, '0x');
+      await farm.connect(user1)['deposit(uint256)'](ethers.parseEther('100'));
+      await farm.connect(user1).claimRewards();
+
+      // Pasado el periodo de bloqueo de V2, sin penalización
+      await ethers.provider.send('hardhat_mine', ['0x64']);
+      await farm.connect(user1).withdraw(ethers.parseEther('100'));
+      expect(await token.balanceOf(user1.address)).to.equal(
+        ethers.parseEther('1000')
+      );
+    });
+
+    if (farmName === 'TokenFarmV2') {
+      it('Should block an emergency withdraw reentering itself', async function () {
+        await farm.connect(user1)['deposit(uint256)'](ethers.parseEther('100'));
+        await farm.toggleEmergencyStop();
+        await reenter('emergencyWithdraw');
+
+        await expect(
+          farm.connect(user1).emergencyWithdraw()
+        ).to.be.revertedWith('Reentrant call');
+        expect(await farm.getStakingBalance(user1.address)).to.equal(
+          ethers.parseEther('100')
+        );
+      });
+    }
+  });
+
+  describe('Fee-on-transfer token', function () {
+    let token;
+
+    // Comisión del 1% en cada transferencia
+    async function deployFixture() {
+      return deployTokenFarm('FeeOnTransferToken', 100);
+    }
+
+    beforeEach(async function () {
+      ({
+        lpToken: token,
+        farm,
+        farmAddress,
+      } = await loadFixture(deployFixture));
+    });
+
+    it('Should credit only the tokens that arrived', async function () {
+      await expect(
+        farm.connect(user1)['deposit(uint256)'](ethers.parseEther('100'))
+      )
+        .to.emit(farm, 'Deposit')
+        .withArgs(user1.address, ethers.parseEther('99'), (value) => value > 0);
+
+      expect(await farm.getStakingBalance(user1.address)).to.equal(
+        ethers.parseEther('99')
+      );
+      expect(await farm.totalStakingBalance()).to.equal(
+        ethers.parseEther('99')
+      );
+    });
+
+    it('Should keep the total stake backed by the farm balance', async function () {
+      await farm.connect(user1)['deposit(uint256)'](ethers.parseEther('100'));
+      await farm.connect(user2)['deposit(uint256)'](ethers.parseEther('300'));
+
+      expect(await farm.totalStakingBalance()).to.equal(
+        await token.balanceOf(farmAddress)
+      );
+
+      // Ambos pueden retirar todo lo acreditado, sin penalización en V2
+      await ethers.provider.send('hardhat_mine', ['0x64']);
+      await farm.connect(user1).withdraw(ethers.parseEther('99'));
+      await farm.connect(user2).withdraw(ethers.parseEther('297'));
+      expect(await farm.totalStakingBalance()).to.equal(0);
+      expect(await token.balanceOf(farmAddress)).to.equal(0);
+    });
+
+    it('Should reject a deposit where nothing arrives', async function () {
+      // Una comisión del 100% no deja llegar nada
+      ({ farm } = await deployTokenFarm('FeeOnTransferToken', 10000));
+
+      await expect(
+        farm.connect(user1)['deposit(uint256)'](ethers.parseEther('100'))
+      ).to.be.revertedWith('No tokens received');
+    });
+  });
+
+  describe('Token returning false', function () {
+    let token;
+
+    async function deployFixture() {
+      return deployTokenFarm('FalseReturnToken');
+    }
+
+    beforeEach(async function () {
+      ({
+        lpToken: token,
+        farm,
+        farmAddress,
+      } = await loadFixture(deployFixture));
+    });
+
+    it('Should revert a deposit whose transferFrom returns false', async function () {
+      await token.setFailTransfers(true);
+
+      await expect(
+        farm.connect(user1)['deposit(uint256)'](ethers.parseEther('100'))
+      )
+        .to.be.revertedWithCustomError(farm, 'SafeERC20FailedOperation')
+        .withArgs(await token.getAddress());
+      expect(await farm.totalStakingBalance()).to.equal(0);
+    });
+
+    it('Should revert a withdraw whose transfer returns false', async function () {
+      await farm.connect(user1)['deposit(uint256)'](ethers.parseEther('100'));
+      await token.setFailTransfers(true);
+
+      await expect(farm.connect(user1).withdraw(ethers.parseEther('100')))
+        .to.be.revertedWithCustomError(farm, 'SafeERC20FailedOperation')
+        .withArgs(await token.getAddress());
+
+      // El stake sigue intacto
+      expect(await farm.getStakingBalance(user1.address)).to.equal(
+        ethers.parseEther('100')
+      );
+      expect(await token.balanceOf(user1.address)).to.equal(
+        ethers.parseEther('900')
+      );
+    });
+  });
+});
+
+describe('Farm token safety (MultiTokenFarm)', function () {
+  let dappToken, farm, farmAddress;
+  let owner, user1, user2;
+
+  // Desplegar una MultiTokenFarm con `lpToken` como pool 0, sin bloqueo
+  async function deployMultiFarm(lpToken) {
+    const DAppToken = await ethers.getContractFactory('DAppToken');
+    dappToken = await DAppToken.deploy(owner.address);
+
+    const MultiTokenFarm = await ethers.getContractFactory('MultiTokenFarm');
+    farm = await MultiTokenFarm.deploy(await dappToken.getAddress());
+    farmAddress = await farm.getAddress();
+    await dappToken.transferOwnership(farmAddress);
+
+    await farm.addPool(await lpToken.getAddress(), 100);
+    await farm.setStakingLockPeriod(0, 0);
+
+    for (const user of [user1, user2]) {
+      await lpToken.mint(user.address, ethers.parseEther('1000'));
+      await lpToken.connect(user).approve(farmAddress, ethers.MaxUint256);
+    }
+  }
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, user1, user2] = await ethers.getSigners();
+  });
+
+  describe('Reentrant token', function () {
+    let token;
+
+    beforeEach(async function () {
+      const ReentrantToken = await ethers.getContractFactory('ReentrantToken');
+      token = await ReentrantToken.deploy();
+      await deployMultiFarm(token);
+    });
+
+    // Armar el token para que llame a la farm en la próxima transferencia
+    function reenter(method, args = []) {
+      return token.setReentry(
+        farmAddress,
+        farm.interface.encodeFunctionData(method, args)
+      );
+    }
+
+    it('Should block a deposit reentering a deposit', async function () {
+      await reenter('deposit', [0, 1n]);
+
+      await expect(
+        farm.connect(user1).deposit(0, ethers.parseEther('100'))
+      ).to.be.revertedWith('Reentrant call');
+    });
+
+    it('Should block a claim reentering a withdraw', async function () {
+      await farm.connect(user1).deposit(0, ethers.parseEther('100'));
+      await reenter('claimRewards', [0]);
+
+      await expect(
+        farm.connect(user1).withdraw(0, ethers.parseEther('50'))
+      ).to.be.revertedWith('Reentrant call');
+      expect(await farm.getStakingBalance(0, user1.address)).to.equal(
+        ethers.parseEther('100')
+      );
+    });
+
+    it('Should block an emergency withdraw reentering itself', async function () {
+      await farm.connect(user1).deposit(0, ethers.parseEther('100'));
+      await farm.toggleEmergencyStop(0);
+      await reenter('emergencyWithdraw', [0]);
+
+      await expect(farm.connect(user1).emergencyWithdraw(0)).to.be.revertedWith(
+        'Reentrant call'
+      );
+      expect(await farm.getStakingBalance(0, user1.address)).to.equal(
+        ethers.parseEther('100')
+      );
+    });
+  });
+
+  describe('Fee-on-transfer token', function () {
+    let token;
+
+    beforeEach(async function () {
+      // Comisión del 1% en cada transferencia
+      const FeeOnTransferToken =
+        await ethers.getContractFactory('FeeOnTransferToken');
+      token = await FeeOnTransferToken.deploy(100);
+      await deployMultiFarm(token);
+    });
+
+    it('Should credit only the tokens that arrived', async function () {
+      await expect(farm.connect(user1).deposit(0, ethers.parseEther('100')))
+        .to.emit(farm, 'Deposit')
+        .withArgs(
+          user1.address,
+          0,
+          ethers.parseEther('99'),
+          (value) => value > 0
+        );
+
+      expect(await farm.getStakingBalance(0, user1.address)).to.equal(
+        ethers.parseEther('99')
+      );
+    });
+
+    it('Should keep the pool stake backed by the farm balance', async function () {
+      await farm.connect(user1).deposit(0, ethers.parseEther('100'));
+      await farm.connect(user2).deposit(0, ethers.parseEther('300'));
+
+      expect((await farm.poolInfo(0)).totalStakingBalance).to.equal(
+        await token.balanceOf(farmAddress)
+      );
+
+      // Ambos pueden retirar todo lo acreditado
+      await farm.connect(user1).withdraw(0, ethers.parseEther('99'));
+      await farm.connect(user2).withdraw(0, ethers.parseEther('297'));
+      expect((await farm.poolInfo(0)).totalStakingBalance).to.equal(0);
+      expect(await token.balanceOf(farmAddress)).to.equal(0);
+    });
+
+    it('Should reject a deposit where nothing arrives', async function () {
+      // Una comisión del 100% no deja llegar nada
+      const FeeOnTransferToken =
+        await ethers.getContractFactory('FeeOnTransferToken');
+      token = await FeeOnTransferToken.deploy(10000);
+      await deployMultiFarm(token);
+
+      await expect(
+        farm.connect(user1).deposit(0, ethers.parseEther('100'))
+      ).to.be.revertedWith('No tokens received');
+    });
+  });
+
+  describe('Token returning false', function () {
+    let token;
+
+    beforeEach(async function () {
+      const FalseReturnToken =
+        await ethers.getContractFactory('FalseReturnToken');
+      token = await FalseReturnToken.deploy();
+      await deployMultiFarm(token);
+    });
+
+    it('Should revert a deposit whose transferFrom returns false', async function () {
+      await token.setFailTransfers(true);
+
+      await expect(farm.connect(user1).deposit(0, ethers.parseEther('100')))
+        .to.be.revertedWithCustomError(farm, 'SafeERC20FailedOperation')
+        .withArgs(await token.getAddress());
+      expect((await farm.poolInfo(0)).totalStakingBalance).to.equal(0);
+    });
+
+    it('Should revert a withdraw whose transfer returns false', async function () {
+      await farm.connect(user1).deposit(0, ethers.parseEther('100'));
+      await token.setFailTransfers(true);
+
+      await expect(farm.connect(user1).withdraw(0, ethers.parseEther('100')))
+        .to.be.revertedWithCustomError(farm, 'SafeERC20FailedOperation')
+        .withArgs(await token.getAddress());
+
+      // El stake sigue intacto
+      expect(await farm.getStakingBalance(0, user1.address)).to.equal(
+        ethers.parseEther('100')
+      );
+    });
+  });
+});
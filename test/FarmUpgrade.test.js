@@ -0,0 +1,229 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+
+describe('TokenFarm V1 -> V2 upgrade', function () {
+  let TokenFarm, TokenFarmV2, DAppToken, LPToken, FarmProxy;
+  let tokenFarm, tokenFarmV2Impl, dappToken, lpToken, proxyAddress;
+  let owner, user1, user2;
+  let ownerAddress, user1Address, user2Address;
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, user1, user2] = await ethers.getSigners();
+    ownerAddress = await owner.getAddress();
+    user1Address = await user1.getAddress();
+    user2Address = await user2.getAddress();
+
+    // Desplegar los tokens
+    DAppToken = await ethers.getContractFactory('DAppToken');
+    dappToken = await DAppToken.deploy(ownerAddress);
+
+    LPToken = await ethers.getContractFactory('LPToken');
+    lpToken = await LPToken.deploy(ownerAddress);
+
+    // Desplegar V1 detrás de un proxy
+    TokenFarm = await ethers.getContractFactory('TokenFarm');
+    const tokenFarmImpl = await TokenFarm.deploy(
+      await dappToken.getAddress(),
+      await lpToken.getAddress()
+    );
+
+    FarmProxy = await ethers.getContractFactory('FarmProxy');
+    const proxy = await FarmProxy.deploy(
+      await tokenFarmImpl.getAddress(),
+      TokenFarm.interface.encodeFunctionData('initialize', [
+        await dappToken.getAddress(),
+        await lpToken.getAddress(),
+        ownerAddress,
+      ])
+    );
+    proxyAddress = await proxy.getAddress();
+    tokenFarm = TokenFarm.attach(proxyAddress);
+
+    TokenFarmV2 = await ethers.getContractFactory('TokenFarmV2');
+    tokenFarmV2Impl = await TokenFarmV2.deploy(
+      await dappToken.getAddress(),
+      await lpToken.getAddress()
+    );
+
+    // El proxy es quien acuña las recompensas
+    await dappToken.transferOwnership(proxyAddress);
+
+    for (const user of [user1, user2]) {
+      await lpToken.mint(await user.getAddress(), ethers.parseEther('1000'));
+      await lpToken.connect(user).approve(proxyAddress, ethers.MaxUint256);
+    }
+  });
+
+  async function upgrade() {
+    await tokenFarm.upgradeToAndCall(
+      await tokenFarmV2Impl.getAddress(),
+      TokenFarmV2.interface.encodeFunctionData('initializeV2', [300, 100, 500])
+    );
+    return TokenFarmV2.attach(proxyAddress);
+  }
+
+  describe('Proxy', function () {
+    it('Should initialize V1 through the proxy', async function () {
+      expect(await tokenFarm.name()).to.equal('Proportional Token Farm');
+      expect(await tokenFarm.owner()).to.equal(ownerAddress);
+      expect(await tokenFarm.lpToken()).to.equal(await lpToken.getAddress());
+    });
+
+    it('Should not allow the proxy to be initialized twice', async function () {
+      await expect(
+        tokenFarm.initialize(
+          await dappToken.getAddress(),
+          await lpToken.getAddress(),
+          user1Address
+        )
+      ).to.be.revertedWithCustomError(tokenFarm, 'InvalidInitialization');
+    });
+
+    it('Should only allow owner to upgrade', async function () {
+      await expect(
+        tokenFarm
+          .connect(user1)
+          .upgradeToAndCall(await tokenFarmV2Impl.getAddress(), '0x')
+      ).to.be.revertedWith('Only owner can call this function');
+    });
+
+    it('Should not allow upgrades called on the implementation', async function () {
+      await expect(
+        tokenFarmV2Impl.upgradeToAndCall(
+          await tokenFarmV2Impl.getAddress(),
+          '0x'
+        )
+      ).to.be.revertedWithCustomError(
+        tokenFarmV2Impl,
+        'UUPSUnauthorizedCallContext'
+      );
+    });
+  });
+
+  describe('Upgrade', function () {
+    let depositBlock2;
+
+    beforeEach(async function () {
+      // Posiciones abiertas en V1
+      await tokenFarm.connect(user1).deposit(ethers.parseEther('100'));
+      const tx = await tokenFarm
+        .connect(user2)
+        .deposit(ethers.parseEther('300'));
+      depositBlock2 = (await tx.wait()).blockNumber;
+
+      await ethers.provider.send('evm_mine', []);
+      await tokenFarm.connect(user1).claimRewards();
+      await ethers.provider.send('evm_mine', []);
+    });
+
+    it('Should switch the proxy to V2 settings', async function () {
+      const tokenFarmV2 = await upgrade();
+
+      expect(await tokenFarmV2.name()).to.equal('Proportional Token Farm V2');
+      expect(await tokenFarmV2.getVersion()).to.equal(2);
+      expect(await tokenFarmV2.owner()).to.equal(ownerAddress);
+      expect(await tokenFarmV2.withdrawalFeeBasisPoints()).to.equal(300);
+      expect(await tokenFarmV2.stakingLockPeriod()).to.equal(100);
+      expect(await tokenFarmV2.earlyWithdrawalPenalty()).to.equal(500);
+      expect(await tokenFarmV2.emergencyStop()).to.be.false;
+    });
+
+    it('Should keep balances and user info', async function () {
+      const totalBefore = await tokenFarm.totalStakingBalance();
+      const accBefore = await tokenFarm.accRewardPerShare();
+      const feesBefore = await tokenFarm.accumulatedFees();
+      const user1Before = await tokenFarm.userInfo(user1Address);
+      const user2Before = await tokenFarm.userInfo(user2Address);
+
+      const tokenFarmV2 = await upgrade();
+
+      expect(await tokenFarmV2.totalStakingBalance()).to.equal(totalBefore);
+      expect(await tokenFarmV2.accRewardPerShare()).to.be.gte(accBefore);
+      expect(await tokenFarmV2.accumulatedFees()).to.equal(feesBefore);
+      expect(await tokenFarmV2.getStakerCount()).to.equal(2);
+      expect(await lpToken.balanceOf(proxyAddress)).to.equal(totalBefore);
+
+      for (const [address, before] of [
+        [user1Address, user1Before],
+        [user2Address, user2Before],
+      ]) {
+        const after = await tokenFarmV2.userInfo(address);
+        expect(after.stakingBalance).to.equal(before.stakingBalance);
+        expect(after.checkpoint).to.equal(before.checkpoint);
+        expect(after.pendingRewards).to.equal(before.pendingRewards);
+        expect(after.hasStaked).to.equal(before.hasStaked);
+        expect(after.isStaking).to.equal(before.isStaking);
+        expect(after.rewardDebt).to.equal(before.rewardDebt);
+        expect(after.totalRewardsClaimed).to.equal(0);
+        expect(after.stakingStartBlock).to.equal(0);
+      }
+    });
+
+    it('Should keep pending rewards accrued in V1', async function () {
+      const tokenFarmV2 = await upgrade();
+
+      // User2 no reclamó nunca: 75% de cada bloque desde su depósito
+      const claimBlock = (await ethers.provider.getBlockNumber()) + 1;
+      const expected =
+        (ethers.parseEther('1') * 3n * BigInt(claimBlock - depositBlock2)) / 4n;
+
+      await expect(tokenFarmV2.connect(user2).claimRewards())
+        .to.emit(tokenFarmV2, 'RewardsClaimed')
+        .withArgs(
+          user2Address,
+          user2Address,
+          user2Address,
+          expected,
+          anyValue,
+          anyValue,
+          anyValue
+        );
+    });
+
+    it('Should let V1 stakers withdraw without lock penalty', async function () {
+      const tokenFarmV2 = await upgrade();
+
+      const balanceBefore = await lpToken.balanceOf(user1Address);
+      await tokenFarmV2.connect(user1).withdraw(ethers.parseEther('100'));
+
+      expect(await lpToken.balanceOf(user1Address)).to.equal(
+        balanceBefore + ethers.parseEther('100')
+      );
+    });
+
+    it('Should not allow initializeV2 to run twice', async function () {
+      const tokenFarmV2 = await upgrade();
+
+      await expect(
+        tokenFarmV2.initializeV2(0, 0, 0)
+      ).to.be.revertedWithCustomError(tokenFarmV2, 'InvalidInitialization');
+    });
+
+    it('Should not allow the fresh V2 initialize on an upgraded proxy', async function () {
+      const tokenFarmV2 = await upgrade();
+
+      await expect(
+        tokenFarmV2
+          .connect(user1)
+          .initialize(
+            await dappToken.getAddress(),
+            await lpToken.getAddress(),
+            user1Address,
+            (await tokenFarmV2.defaultParams()).toObject()
+          )
+      ).to.be.revertedWithCustomError(tokenFarmV2, 'InvalidInitialization');
+    });
+  });
+
+  describe('Directly deployed V2', function () {
+    it('Should not allow initializeV2 after initialize', async function () {
+      // Saltaría el timelock de las comisiones, el lock y la penalización
+      await expect(
+        tokenFarmV2Impl.initializeV2(1000, 0, 0)
+      ).to.be.revertedWithCustomError(tokenFarmV2Impl, 'InvalidInitialization');
+      expect(await tokenFarmV2Impl.withdrawalFeeBasisPoints()).to.equal(300);
+    });
+  });
+});
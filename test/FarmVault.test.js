@@ -0,0 +1,310 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+
+describe('FarmVault', function () {
+  let dappToken, lpToken, farm, swapper, vault, vaultAddress;
+  let owner, user1, user2, user3;
+
+  const ONE = ethers.parseEther('1');
+  // 0.5 LP por cada DAPP
+  const RATE = ethers.parseEther('0.5');
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, user1, user2, user3] = await ethers.getSigners();
+
+    // Desplegar los contratos
+    const DAppToken = await ethers.getContractFactory('DAppToken');
+    dappToken = await DAppToken.deploy(owner.address);
+
+    const LPToken = await ethers.getContractFactory('LPToken');
+    lpToken = await LPToken.deploy(owner.address);
+
+    const TokenFarmV2 = await ethers.getContractFactory('TokenFarmV2');
+    farm = await TokenFarmV2.deploy(
+      await dappToken.getAddress(),
+      await lpToken.getAddress()
+    );
+    await dappToken.transferOwnership(await farm.getAddress());
+
+    const MockRewardSwapper =
+      await ethers.getContractFactory('MockRewardSwapper');
+    swapper = await MockRewardSwapper.deploy(
+      await dappToken.getAddress(),
+      await lpToken.getAddress(),
+      RATE
+    );
+    await lpToken.mint(await swapper.getAddress(), ethers.parseEther('10000'));
+
+    const FarmVault = await ethers.getContractFactory('FarmVault');
+    vault = await FarmVault.deploy(
+      await farm.getAddress(),
+      await swapper.getAddress(),
+      owner.address
+    );
+    vaultAddress = await vault.getAddress();
+
+    for (const user of [user1, user2, user3]) {
+      await lpToken.mint(user.address, ethers.parseEther('1000'));
+      await lpToken
+        .connect(user)
+        .approve(vaultAddress, ethers.parseEther('1000'));
+    }
+  });
+
+  async function mine(blocks) {
+    await ethers.provider.send('hardhat_mine', [ethers.toQuantity(blocks)]);
+  }
+
+  // Valor en LP de una participación completa
+  function sharePrice() {
+    return vault.convertToAssets(ONE);
+  }
+
+  describe('Deposits', function () {
+    it('Should stake deposits in the farm and mint shares', async function () {
+      await expect(
+        vault.connect(user1).deposit(ethers.parseEther('100'), user1.address)
+      )
+        .to.emit(farm, 'Deposit')
+        .withArgs(vaultAddress, ethers.parseEther('100'), anyValue);
+
+      expect(await vault.balanceOf(user1.address)).to.equal(
+        ethers.parseEther('100')
+      );
+      expect(await vault.totalAssets()).to.equal(ethers.parseEther('100'));
+      expect(await farm.getStakingBalance(vaultAddress)).to.equal(
+        ethers.parseEther('100')
+      );
+      expect(await lpToken.balanceOf(vaultAddress)).to.equal(0);
+    });
+
+    it('Should mint shares at the current share price', async function () {
+      await vault
+        .connect(user1)
+        .deposit(ethers.parseEther('100'), user1.address);
+      await mine(10);
+      await vault.harvest();
+
+      const price = await sharePrice();
+      expect(price).to.be.greaterThan(ONE);
+
+      await vault.connect(user2).mint(ethers.parseEther('10'), user2.address);
+      expect(await vault.balanceOf(user2.address)).to.equal(
+        ethers.parseEther('10')
+      );
+      expect(await sharePrice()).to.be.at.least(price);
+    });
+  });
+
+  describe('Harvest', function () {
+    beforeEach(async function () {
+      await vault
+        .connect(user1)
+        .deposit(ethers.parseEther('100'), user1.address);
+      await mine(9);
+    });
+
+    it('Should convert the net rewards and stake them', async function () {
+      // El próximo bloque lleva la recompensa a 10 DAPP
+      const [gross, fee, net] = await farm.previewClaim(vaultAddress, {
+        blockTag: 'pending',
+      });
+      expect(gross).to.equal(ethers.parseEther('10'));
+
+      const assets = (net * RATE) / ONE;
+      await expect(vault.connect(user3).harvest())
+        .to.emit(vault, 'Harvested')
+        .withArgs(user3.address, net, assets, anyValue);
+
+      // La farm se queda con la comisión del reclamo
+      expect(await farm.getAccumulatedFees()).to.equal(fee);
+      expect(await dappToken.balanceOf(vaultAddress)).to.equal(0);
+      expect(await vault.totalAssets()).to.equal(
+        ethers.parseEther('100') + assets
+      );
+      expect(await farm.getStakingBalance(vaultAddress)).to.equal(
+        ethers.parseEther('100') + assets
+      );
+    });
+
+    it('Should compound into a rising share price', async function () {
+      let price = await sharePrice();
+      for (let i = 0; i < 3; i++) {
+        await vault.harvest();
+        const newPrice = await sharePrice();
+        expect(newPrice).to.be.greaterThan(price);
+        price = newPrice;
+        await mine(5);
+      }
+    });
+
+    it('Should stake idle LP tokens without rewards to convert', async function () {
+      await vault.harvest();
+      await expect(vault.harvest())
+        .to.emit(vault, 'Harvested')
+        .withArgs(owner.address, anyValue, anyValue, anyValue);
+      expect(await lpToken.balanceOf(vaultAddress)).to.equal(0);
+    });
+
+    it('Should let only the owner change the converter', async function () {
+      await expect(
+        vault.connect(user1).setConverter(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(vault, 'OwnableUnauthorizedAccount');
+
+      await expect(vault.setConverter(ethers.ZeroAddress))
+        .to.emit(vault, 'ConverterChanged')
+        .withArgs(
+          owner.address,
+          await swapper.getAddress(),
+          ethers.ZeroAddress,
+          anyValue
+        );
+      await expect(vault.harvest()).to.be.revertedWith('No converter set');
+    });
+  });
+
+  describe('Withdrawals', function () {
+    beforeEach(async function () {
+      await vault
+        .connect(user1)
+        .deposit(ethers.parseEther('100'), user1.address);
+    });
+
+    it('Should charge the early withdrawal penalty to the withdrawer', async function () {
+      await vault
+        .connect(user2)
+        .deposit(ethers.parseEther('100'), user2.address);
+      const price = await sharePrice();
+
+      // Todo el stake está bloqueado: 5% de penalización
+      const shares = ethers.parseEther('50');
+      const preview = await vault.previewRedeem(shares);
+      expect(preview).to.equal(ethers.parseEther('47.5'));
+
+      await vault.connect(user2).redeem(shares, user2.address, user2.address);
+      expect(await lpToken.balanceOf(user2.address)).to.equal(
+        ethers.parseEther('947.5')
+      );
+      // El redondeo de la penalización favorece a quien retira por 1 wei
+      expect(await farm.getPenaltyPool()).to.be.closeTo(
+        ethers.parseEther('2.5'),
+        1n
+      );
+
+      // Quien se queda no pierde nada
+      expect(await sharePrice()).to.be.at.least(price);
+      expect(await vault.maxWithdraw(user1.address)).to.equal(
+        ethers.parseEther('95')
+      );
+    });
+
+    it('Should withdraw exact amounts net of the penalty', async function () {
+      const assets = ethers.parseEther('19');
+      const shares = await vault.previewWithdraw(assets);
+      expect(shares).to.be.closeTo(ethers.parseEther('20'), 1n);
+
+      await expect(
+        vault.connect(user1).withdraw(assets, user1.address, user1.address)
+      )
+        .to.emit(farm, 'Withdraw')
+        .withArgs(vaultAddress, assets, anyValue, anyValue);
+      expect(await vault.balanceOf(user1.address)).to.equal(
+        ethers.parseEther('100') - shares
+      );
+
+      // Se puede retirar todo lo que indica maxWithdraw
+      const max = await vault.maxWithdraw(user1.address);
+      await vault.connect(user1).withdraw(max, user1.address, user1.address);
+      expect(await lpToken.balanceOf(user1.address)).to.equal(
+        ethers.parseEther('900') + assets + max
+      );
+    });
+
+    it('Should not charge a penalty once the lock expires', async function () {
+      await mine(100);
+
+      const shares = await vault.balanceOf(user1.address);
+      expect(await vault.previewRedeem(shares)).to.equal(
+        await vault.totalAssets()
+      );
+
+      // Lo reinvertido queda bloqueado y solo eso se penaliza
+      await vault.harvest();
+      const total = await vault.totalAssets();
+      const compounded = total - ethers.parseEther('100');
+      expect(await vault.withdrawalPenalty(ethers.parseEther('100'))).to.equal(
+        0
+      );
+      expect(await vault.withdrawalPenalty(total)).to.equal(
+        (compounded * 500n) / 10000n
+      );
+
+      await vault.connect(user1).redeem(shares, user1.address, user1.address);
+      expect(await lpToken.balanceOf(user1.address)).to.be.greaterThan(
+        ethers.parseEther('1000')
+      );
+    });
+
+    it('Should never lower the share price for holders who stay', async function () {
+      const prices = [await sharePrice()];
+      const record = async () => {
+        const price = await sharePrice();
+        expect(price).to.be.at.least(prices[prices.length - 1]);
+        prices.push(price);
+      };
+
+      await vault
+        .connect(user2)
+        .deposit(ethers.parseEther('300'), user2.address);
+      await record();
+      await mine(20);
+      await vault.harvest();
+      await record();
+      await vault
+        .connect(user2)
+        .redeem(ethers.parseEther('123.456'), user2.address, user2.address);
+      await record();
+      await vault.connect(user3).deposit(ethers.parseEther('7'), user3.address);
+      await record();
+      await mine(100);
+      await vault.harvest();
+      await record();
+      await vault
+        .connect(user1)
+        .withdraw(ethers.parseEther('33'), user1.address, user1.address);
+      await record();
+
+      expect(prices[prices.length - 1]).to.be.greaterThan(prices[0]);
+    });
+
+    it('Should exit the farm without penalty during an emergency stop', async function () {
+      await mine(10);
+      await farm.toggleEmergencyStop();
+
+      expect(await vault.maxDeposit(user2.address)).to.equal(0);
+      await expect(
+        vault.connect(user2).deposit(ONE, user2.address)
+      ).to.be.revertedWithCustomError(vault, 'ERC4626ExceededMaxDeposit');
+
+      await vault
+        .connect(user1)
+        .withdraw(ethers.parseEther('40'), user1.address, user1.address);
+      expect(await lpToken.balanceOf(user1.address)).to.equal(
+        ethers.parseEther('940')
+      );
+      // El resto queda en el vault hasta que la farm se reanude
+      expect(await farm.getStakingBalance(vaultAddress)).to.equal(0);
+      expect(await lpToken.balanceOf(vaultAddress)).to.equal(
+        ethers.parseEther('60')
+      );
+
+      await farm.toggleEmergencyStop();
+      await vault.harvest();
+      expect(await farm.getStakingBalance(vaultAddress)).to.be.at.least(
+        ethers.parseEther('60')
+      );
+    });
+  });
+});
@@ -0,0 +1,256 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { ethers } = hre;
+const { loadStore } = require('../scripts/indexer/store');
+const {
+  summarizeByUser,
+  summarizeByDay,
+  toCsv,
+} = require('../scripts/indexer/report');
+
+describe('Indexer', function () {
+  let dappToken, lpToken, tokenFarmV2, farmAddress;
+  let owner, user1, user2;
+  let dir, storeFile;
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, user1, user2] = await ethers.getSigners();
+
+    // Desplegar los contratos
+    const DAppToken = await ethers.getContractFactory('DAppToken');
+    dappToken = await DAppToken.deploy(owner.address);
+
+    const LPToken = await ethers.getContractFactory('LPToken');
+    lpToken = await LPToken.deploy(owner.address);
+
+    const TokenFarmV2 = await ethers.getContractFactory('TokenFarmV2');
+    tokenFarmV2 = await TokenFarmV2.deploy(
+      await dappToken.getAddress(),
+      await lpToken.getAddress()
+    );
+    farmAddress = await tokenFarmV2.getAddress();
+
+    await dappToken.transferOwnership(farmAddress);
+    for (const user of [user1, user2]) {
+      await lpToken.mint(user.address, ethers.parseEther('1000'));
+      await lpToken
+        .connect(user)
+        .approve(farmAddress, ethers.parseEther('1000'));
+    }
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'farm-indexer-'));
+    storeFile = path.join(dir, 'store.json');
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Ejecuta una tarea del indexador y devuelve lo que imprimió
+  async function run(taskName, args = {}) {
+    const output = [];
+    const log = console.log;
+    console.log = (...values) => output.push(values.join(' '));
+    try {
+      await hre.run(taskName, {
+        address: farmAddress,
+        store: storeFile,
+        ...args,
+      });
+    } finally {
+      console.log = log;
+    }
+    return output;
+  }
+
+  function readStore() {
+    return loadStore(storeFile, { farm: farmAddress });
+  }
+
+  async function nextDay() {
+    await ethers.provider.send('evm_increaseTime', [24 * 60 * 60]);
+    await ethers.provider.send('evm_mine', []);
+  }
+
+  // Primer día: depósitos, un reclamo y un cambio de recompensa
+  async function firstDay() {
+    await tokenFarmV2.connect(user1).deposit(ethers.parseEther('100'));
+    await tokenFarmV2.connect(user2).deposit(ethers.parseEther('50'));
+    await tokenFarmV2.connect(user1).claimRewards();
+    await tokenFarmV2.setRewardPerBlock(ethers.parseEther('2'));
+  }
+
+  // Segundo día: retiro anticipado con penalización y retiro de comisiones
+  async function secondDay() {
+    await nextDay();
+    await tokenFarmV2.connect(user2).withdraw(ethers.parseEther('50'));
+    await tokenFarmV2.connect(user1).claimRewards();
+    await tokenFarmV2.withdrawFees();
+  }
+
+  it('Should index farm events in chain order', async function () {
+    await firstDay();
+
+    const output = await run('indexer:sync', { fromBlock: 0 });
+    expect(output[0]).to.match(/^Indexed 5 events up to block \d+/);
+
+    // Incluye la inicialización del despliegue
+    const store = readStore();
+    expect(store.events.map((event) => event.name)).to.deep.equal([
+      'Initialized',
+      'Deposit',
+      'Deposit',
+      'RewardsClaimed',
+      'RewardPerBlockChanged',
+    ]);
+    expect(store.events[1].args).to.include({
+      user: user1.address,
+      amount: ethers.parseEther('100').toString(),
+    });
+    expect(store.rewardPerBlock).to.equal(ethers.parseEther('2').toString());
+  });
+
+  it('Should resume from the last indexed block', async function () {
+    await firstDay();
+    await run('indexer:sync', { fromBlock: 0 });
+    const lastIndexedBlock = readStore().lastIndexedBlock;
+
+    // Sin actividad nueva no agrega nada
+    expect((await run('indexer:sync'))[0]).to.match(/^Indexed 0 events/);
+
+    await secondDay();
+    expect((await run('indexer:sync', { batchSize: 2 }))[0]).to.match(
+      /^Indexed 3 events/
+    );
+
+    const store = readStore();
+    expect(store.events).to.have.lengthOf(8);
+    expect(store.lastIndexedBlock).to.equal(
+      await ethers.provider.getBlockNumber()
+    );
+    expect(
+      store.events
+        .slice(5)
+        .every((event) => event.blockNumber > lastIndexedBlock)
+    ).to.be.true;
+
+    // Sin eventos duplicados
+    const ids = store.events.map(
+      (event) => `${event.transactionHash}:${event.logIndex}`
+    );
+    expect(new Set(ids).size).to.equal(ids.length);
+  });
+
+  it('Should stay behind the latest block by the confirmations', async function () {
+    await firstDay();
+
+    await run('indexer:sync', { fromBlock: 0, confirmations: 2 });
+
+    const store = readStore();
+    expect(store.lastIndexedBlock).to.equal(
+      (await ethers.provider.getBlockNumber()) - 2
+    );
+    expect(store.events.map((event) => event.name)).to.deep.equal([
+      'Initialized',
+      'Deposit',
+      'Deposit',
+    ]);
+  });
+
+  it('Should match on-chain totals per user', async function () {
+    await firstDay();
+    await secondDay();
+    await run('indexer:sync', { fromBlock: 0 });
+
+    const rows = summarizeByUser(readStore());
+    const row1 = rows.find((row) => row.user === user1.address);
+    const row2 = rows.find((row) => row.user === user2.address);
+
+    const info1 = await tokenFarmV2.getUserInfo(user1.address);
+    expect(row1.claims).to.equal(2);
+    expect(row1.netRewards).to.equal(
+      ethers.formatEther(info1.totalRewardsClaimed)
+    );
+    expect(row1.netRewards).to.equal(
+      ethers.formatEther(await dappToken.balanceOf(user1.address))
+    );
+    expect(
+      ethers.parseEther(row1.rewardsClaimed) - ethers.parseEther(row1.feesPaid)
+    ).to.equal(info1.totalRewardsClaimed);
+
+    // Lo retirado más la penalización es todo lo depositado
+    const payout =
+      (await lpToken.balanceOf(user2.address)) - ethers.parseEther('950');
+    expect(row2.withdrawn).to.equal(ethers.formatEther(payout));
+    expect(row2.penalties).to.equal(
+      ethers.formatEther(ethers.parseEther('50') - payout)
+    );
+    expect(row2.penalties).to.equal(
+      ethers.formatEther(await tokenFarmV2.getPenaltyPool())
+    );
+  });
+
+  it('Should summarize activity per day', async function () {
+    await firstDay();
+    await secondDay();
+    await run('indexer:sync', { fromBlock: 0 });
+
+    const [day1, day2] = summarizeByDay(readStore());
+    expect(day1).to.include({
+      deposits: 2,
+      deposited: '150.0',
+      claims: 1,
+      totalStaked: '150.0',
+      rewardPerBlock: '2.0',
+      activeUsers: 2,
+    });
+    expect(day2).to.include({
+      withdrawals: 1,
+      claims: 1,
+      totalStaked: '100.0',
+      activeUsers: 2,
+    });
+    expect(day2.feesWithdrawn).to.equal(
+      ethers.formatEther(
+        ethers.parseEther(day1.feesPaid) + ethers.parseEther(day2.feesPaid)
+      )
+    );
+
+    // 2 DAPP por bloque, 7200 bloques por día, 100 LP en stake
+    expect(day2.rewardApr).to.equal('5256000.00%');
+    expect(day2.day > day1.day).to.be.true;
+  });
+
+  it('Should write reports as CSV or JSON', async function () {
+    await firstDay();
+    await run('indexer:sync', { fromBlock: 0 });
+
+    const csv = await run('indexer:report', { by: 'user' });
+    expect(csv[0].split('\n')[0]).to.equal(
+      'user,deposits,deposited,withdrawals,withdrawn,penalties,claims,rewardsClaimed,feesPaid,netRewards'
+    );
+    expect(csv[0].split('\n')).to.have.lengthOf(3);
+
+    const out = path.join(dir, 'days.json');
+    const written = await run('indexer:report', { format: 'json', out });
+    // El reporte diario avisa de lo que la APR no tiene en cuenta
+    expect(written[1]).to.include('1 DAPP = 1 LP');
+    expect(written[1]).to.include('setRewardRange');
+    const days = JSON.parse(fs.readFileSync(out, 'utf8'));
+    expect(days).to.have.lengthOf(1);
+    expect(toCsv(days).split('\n')[0]).to.match(/^day,deposits,/);
+  });
+
+  it('Should require a synced store and a known grouping', async function () {
+    await expect(run('indexer:report')).to.be.rejectedWith(
+      'run indexer:sync first'
+    );
+    await expect(run('indexer:report', { by: 'week' })).to.be.rejectedWith(
+      'Unknown grouping "week"'
+    );
+  });
+});
@@ -1,5 +1,6 @@
 const { expect } = require('chai');
 const { ethers } = require('hardhat');
+const { signPermit } = require('../scripts/lib/permit');
 
 describe('LPToken', function () {
   let LPToken;
@@ -111,4 +112,35 @@ describe('LPToken', function () {
       ).to.be.revertedWithCustomError(lpToken, 'OwnableUnauthorizedAccount');
     });
   });
+
+  describe('Permit', function () {
+    it('Should approve through an EIP-2612 signature', async function () {
+      const value = ethers.parseEther('100');
+      const domain = await lpToken.eip712Domain();
+      expect(domain.name).to.equal('LP Token');
+      expect(domain.version).to.equal('1');
+
+      const { deadline, v, r, s } = await signPermit(
+        lpToken,
+        addr1,
+        addr2.address,
+        value
+      );
+      // Cualquiera puede enviar el permit firmado
+      await lpToken.permit(
+        addr1.address,
+        addr2.address,
+        value,
+        deadline,
+        v,
+        r,
+        s
+      );
+
+      expect(await lpToken.allowance(addr1.address, addr2.address)).to.equal(
+        value
+      );
+      expect(await lpToken.nonces(addr1.address)).to.equal(1);
+    });
+  });
 });
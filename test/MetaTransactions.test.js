@@ -0,0 +1,164 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const { signForwardRequest, relay } = require('../scripts/lib/forwarder');
+const { relayAction } = require('../scripts/relayer');
+const { describeEachFarm, deployFarm } = require('./helpers/farms');
+
+// Llamadas reenviadas por el forwarder (ERC-2771), iguales en ambas farms
+describeEachFarm('Meta transactions', function (farmName) {
+  let dappToken, lpToken, farm, farmAddress, forwarder;
+  let owner, relayer, user1, user2;
+
+  const amount = ethers.parseEther('100');
+
+  async function deployFixture() {
+    const fixture = await deployFarm(farmName, { stakers: [user1] });
+
+    const FarmForwarder = await ethers.getContractFactory('FarmForwarder');
+    const forwarder = await FarmForwarder.deploy();
+    await fixture.farm.setTrustedForwarder(await forwarder.getAddress());
+    return { ...fixture, forwarder };
+  }
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, relayer, user1, user2] = await ethers.getSigners();
+    ({ dappToken, lpToken, farm, farmAddress, forwarder } =
+      await loadFixture(deployFixture));
+  });
+
+  function relayed(action, value = amount) {
+    return relayAction(farm, forwarder, {
+      user: user1,
+      relayer,
+      action,
+      amount: value,
+    });
+  }
+
+  it('Should only let the admin set the trusted forwarder', async function () {
+    const forwarderAddress = await forwarder.getAddress();
+    expect(await farm.isTrustedForwarder(forwarderAddress)).to.be.true;
+    expect(await farm.isTrustedForwarder(ethers.ZeroAddress)).to.be.false;
+
+    await expect(
+      farm.connect(user1).setTrustedForwarder(user1.address)
+    ).to.be.revertedWith('Only owner can call this function');
+    await expect(farm.setTrustedForwarder(ethers.ZeroAddress))
+      .to.emit(farm, 'TrustedForwarderChanged')
+      .withArgs(owner.address, forwarderAddress, ethers.ZeroAddress, anyValue);
+  });
+
+  it('Should credit a relayed claim to the signer, not the relayer', async function () {
+    await farm.connect(user1).deposit(amount);
+    await ethers.provider.send('hardhat_mine', ['0xa']);
+
+    const ethBefore = await ethers.provider.getBalance(user1.address);
+    const receipt = await relayed('claim');
+    const claimed = receipt.logs
+      .map((log) => farm.interface.parseLog(log))
+      .find((event) => event && event.name === 'RewardsClaimed');
+
+    expect(claimed.args.user).to.equal(user1.address);
+    expect(await dappToken.balanceOf(user1.address)).to.equal(
+      claimed.args.netAmount
+    );
+    expect(await dappToken.balanceOf(relayer.address)).to.equal(0);
+    expect(await farm.getPendingRewards(user1.address)).to.equal(0);
+
+    // El usuario no pagó gas
+    expect(await ethers.provider.getBalance(user1.address)).to.equal(ethBefore);
+  });
+
+  it('Should relay deposits and withdrawals for the signer', async function () {
+    // Depósito sin approve ni ETH: permit dentro de la llamada reenviada
+    await lpToken.connect(user1).approve(farmAddress, 0);
+    await relayed('deposit');
+    expect(await farm.getStakingBalance(user1.address)).to.equal(amount);
+    expect(await farm.getStakingBalance(relayer.address)).to.equal(0);
+
+    if (farmName === 'TokenFarmV2') {
+      await ethers.provider.send('hardhat_mine', ['0x64']);
+    }
+    await relayed('withdraw', ethers.parseEther('40'));
+    expect(await farm.getStakingBalance(user1.address)).to.equal(
+      ethers.parseEther('60')
+    );
+    expect(await lpToken.balanceOf(user1.address)).to.equal(
+      ethers.parseEther('940')
+    );
+    expect(await lpToken.balanceOf(relayer.address)).to.equal(0);
+  });
+
+  it('Should not replay a request', async function () {
+    await farm.connect(user1).deposit(amount);
+    await ethers.provider.send('evm_mine', []);
+
+    const request = await signForwardRequest(
+      forwarder,
+      user1,
+      farm,
+      'claimRewards'
+    );
+    await relay(forwarder, relayer, request);
+    await expect(relay(forwarder, relayer, request)).to.be.rejectedWith(
+      'Invalid forward request'
+    );
+  });
+
+  it('Should stop relaying once the forwarder is removed', async function () {
+    await farm.connect(user1).deposit(amount);
+    await farm.setTrustedForwarder(ethers.ZeroAddress);
+
+    await expect(relayed('claim')).to.be.rejectedWith(
+      'Invalid forward request'
+    );
+  });
+
+  it('Should ignore an appended sender from other callers', async function () {
+    await farm.connect(user1).deposit(amount);
+    await ethers.provider.send('evm_mine', []);
+
+    // user2 intenta hacerse pasar por user1 agregando su dirección
+    const data = ethers.concat([
+      farm.interface.encodeFunctionData('claimRewards'),
+      user1.address,
+    ]);
+    await expect(
+      user2.sendTransaction({ to: farmAddress, data })
+    ).to.be.revertedWith('No rewards to claim');
+  });
+
+  if (farmName === 'TokenFarmV2') {
+    it('Should relay an emergency withdrawal', async function () {
+      await farm.connect(user1).deposit(amount);
+      await farm.toggleEmergencyStop();
+
+      await relayed('emergencyWithdraw');
+      expect(await lpToken.balanceOf(user1.address)).to.equal(
+        ethers.parseEther('1000')
+      );
+      expect(await farm.getStakingBalance(user1.address)).to.equal(0);
+    });
+  } else {
+    it('Should not offer an emergency withdrawal on TokenFarm', async function () {
+      await expect(relayed('emergencyWithdraw')).to.be.rejectedWith(
+        'Unknown action "emergencyWithdraw" for this farm (deposit, withdraw, claim)'
+      );
+    });
+  }
+});
+
+describe('Relayer', function () {
+  it('Should reject farms of an unknown version', async function () {
+    const [, relayer, user1] = await ethers.getSigners();
+    // Solo se consulta la versión antes de elegir la acción
+    const futureFarm = { getVersion: async () => 3n };
+
+    await expect(
+      relayAction(futureFarm, null, { user: user1, relayer, action: 'claim' })
+    ).to.be.rejectedWith('Unsupported farm version 3');
+  });
+});
@@ -0,0 +1,334 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+
+describe('MultiTokenFarm', function () {
+  let MultiTokenFarm, DAppToken, LPToken;
+  let multiTokenFarm, dappToken, lpToken, lpToken2;
+  let owner, user1, user2;
+  let ownerAddress, user1Address, user2Address;
+  let farmAddress;
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, user1, user2] = await ethers.getSigners();
+    ownerAddress = await owner.getAddress();
+    user1Address = await user1.getAddress();
+    user2Address = await user2.getAddress();
+
+    // Desplegar los contratos
+    DAppToken = await ethers.getContractFactory('DAppToken');
+    dappToken = await DAppToken.deploy(ownerAddress);
+
+    LPToken = await ethers.getContractFactory('LPToken');
+    lpToken = await LPToken.deploy(ownerAddress);
+    lpToken2 = await LPToken.deploy(ownerAddress);
+
+    MultiTokenFarm = await ethers.getContractFactory('MultiTokenFarm');
+    multiTokenFarm = await MultiTokenFarm.deploy(await dappToken.getAddress());
+    farmAddress = await multiTokenFarm.getAddress();
+
+    // Transferir la propiedad del DAppToken a la farm para que pueda mint
+    await dappToken.transferOwnership(farmAddress);
+
+    // Dar tokens LP de ambos pools a los usuarios
+    for (const token of [lpToken, lpToken2]) {
+      await token.mint(user1Address, ethers.parseEther('1000'));
+      await token.mint(user2Address, ethers.parseEther('1000'));
+      await token.connect(user1).approve(farmAddress, ethers.MaxUint256);
+      await token.connect(user2).approve(farmAddress, ethers.MaxUint256);
+    }
+  });
+
+  describe('Pool Management', function () {
+    it('Should allow owner to add pools', async function () {
+      await expect(multiTokenFarm.addPool(await lpToken.getAddress(), 100))
+        .to.emit(multiTokenFarm, 'PoolAdded')
+        .withArgs(0, await lpToken.getAddress(), 100, anyValue);
+      await multiTokenFarm.addPool(await lpToken2.getAddress(), 300);
+
+      expect(await multiTokenFarm.poolLength()).to.equal(2);
+      expect(await multiTokenFarm.totalAllocPoint()).to.equal(400);
+
+      const pool = await multiTokenFarm.poolInfo(1);
+      expect(pool.lpToken).to.equal(await lpToken2.getAddress());
+      expect(pool.allocPoint).to.equal(300);
+      expect(pool.stakingLockPeriod).to.equal(100);
+      expect(pool.earlyWithdrawalPenalty).to.equal(500);
+    });
+
+    it('Should reject duplicate pools for the same LP token', async function () {
+      await multiTokenFarm.addPool(await lpToken.getAddress(), 100);
+      await expect(
+        multiTokenFarm.addPool(await lpToken.getAddress(), 50)
+      ).to.be.revertedWith('Pool already exists');
+    });
+
+    it('Should allow owner to change alloc points', async function () {
+      await multiTokenFarm.addPool(await lpToken.getAddress(), 100);
+      await multiTokenFarm.addPool(await lpToken2.getAddress(), 100);
+
+      await multiTokenFarm.setPool(1, 300);
+
+      expect((await multiTokenFarm.poolInfo(1)).allocPoint).to.equal(300);
+      expect(await multiTokenFarm.totalAllocPoint()).to.equal(400);
+    });
+
+    it('Should only allow owner to manage pools', async function () {
+      await expect(
+        multiTokenFarm.connect(user1).addPool(await lpToken.getAddress(), 100)
+      ).to.be.revertedWith('Only owner can call this function');
+      await expect(multiTokenFarm.setPool(0, 100)).to.be.revertedWith(
+        'Pool does not exist'
+      );
+    });
+  });
+
+  describe('Staking', function () {
+    beforeEach(async function () {
+      await multiTokenFarm.addPool(await lpToken.getAddress(), 100);
+      await multiTokenFarm.addPool(await lpToken2.getAddress(), 300);
+    });
+
+    it('Should track deposits per pool', async function () {
+      const depositAmount = ethers.parseEther('100');
+
+      await multiTokenFarm.connect(user1).deposit(0, depositAmount);
+      await multiTokenFarm.connect(user1).deposit(1, depositAmount * 2n);
+
+      expect(await multiTokenFarm.getStakingBalance(0, user1Address)).to.equal(
+        depositAmount
+      );
+      expect(await multiTokenFarm.getStakingBalance(1, user1Address)).to.equal(
+        depositAmount * 2n
+      );
+      expect((await multiTokenFarm.poolInfo(1)).totalStakingBalance).to.equal(
+        depositAmount * 2n
+      );
+      expect(await lpToken2.balanceOf(farmAddress)).to.equal(
+        depositAmount * 2n
+      );
+    });
+
+    it('Should fail for unknown pools', async function () {
+      await expect(
+        multiTokenFarm.connect(user1).deposit(5, 1)
+      ).to.be.revertedWith('Pool does not exist');
+    });
+
+    it('Should apply the pool lock period penalty', async function () {
+      const depositAmount = ethers.parseEther('100');
+      await multiTokenFarm.setStakingLockPeriod(1, 0);
+
+      await multiTokenFarm.connect(user1).deposit(0, depositAmount);
+      await multiTokenFarm.connect(user1).deposit(1, depositAmount);
+
+      // Pool 0 mantiene el lock por defecto: penalización del 5%
+      await expect(multiTokenFarm.connect(user1).withdraw(0, depositAmount))
+        .to.emit(multiTokenFarm, 'Withdraw')
+        .withArgs(
+          user1Address,
+          0,
+          ethers.parseEther('95'),
+          ethers.parseEther('5'),
+          anyValue
+        );
+
+      // Pool 1 sin lock: retiro completo
+      await expect(multiTokenFarm.connect(user1).withdraw(1, depositAmount))
+        .to.emit(multiTokenFarm, 'Withdraw')
+        .withArgs(user1Address, 1, depositAmount, 0, anyValue);
+    });
+
+    it('Should lock a top-up without resetting or skipping older locks', async function () {
+      const depositAmount = ethers.parseEther('100');
+      await multiTokenFarm.connect(user1).deposit(0, depositAmount);
+      const firstUnlock = (await ethers.provider.getBlockNumber()) + 100;
+
+      // A mitad del lock, el segundo depósito queda bloqueado 100 bloques
+      await ethers.provider.send('hardhat_mine', ['0x31']);
+      await multiTokenFarm.connect(user1).deposit(0, depositAmount);
+      const secondUnlock = (await ethers.provider.getBlockNumber()) + 100;
+
+      const lock = await multiTokenFarm.getLockInfo(0, user1Address);
+      expect(lock.lockedBalance).to.equal(depositAmount * 2n);
+      expect(lock.unlockedBalance).to.equal(0);
+      expect(lock.unlockBlock).to.equal(
+        Math.ceil((firstUnlock + secondUnlock) / 2)
+      );
+
+      // Pasado el lock medio se retira todo sin penalización
+      await ethers.provider.send('hardhat_mine', ['0x64']);
+      await expect(
+        multiTokenFarm.connect(user1).withdraw(0, depositAmount * 2n)
+      )
+        .to.emit(multiTokenFarm, 'Withdraw')
+        .withArgs(user1Address, 0, depositAmount * 2n, 0, anyValue);
+    });
+
+    it('Should allow partial withdrawals', async function () {
+      const depositAmount = ethers.parseEther('100');
+      await multiTokenFarm.setStakingLockPeriod(0, 0);
+      await multiTokenFarm.connect(user1).deposit(0, depositAmount);
+
+      await multiTokenFarm.connect(user1).withdraw(0, depositAmount / 4n);
+      expect(await multiTokenFarm.getStakingBalance(0, user1Address)).to.equal(
+        (depositAmount * 3n) / 4n
+      );
+      expect((await multiTokenFarm.userInfo(0, user1Address)).isStaking).to.be
+        .true;
+
+      await expect(
+        multiTokenFarm.connect(user1).withdraw(0, depositAmount)
+      ).to.be.revertedWith('Insufficient staked balance');
+      await expect(
+        multiTokenFarm.connect(user1).withdraw(0, 0)
+      ).to.be.revertedWith('Amount must be greater than 0');
+
+      await multiTokenFarm
+        .connect(user1)
+        .withdraw(0, (depositAmount * 3n) / 4n);
+      expect((await multiTokenFarm.userInfo(0, user1Address)).isStaking).to.be
+        .false;
+    });
+
+    it('Should penalize only the locked part of a withdrawal', async function () {
+      const depositAmount = ethers.parseEther('100');
+      await multiTokenFarm.connect(user1).deposit(0, depositAmount);
+      await ethers.provider.send('hardhat_mine', ['0x64']);
+
+      // 100 LP ya desbloqueados y 100 LP nuevos aún bloqueados
+      await multiTokenFarm.connect(user1).deposit(0, depositAmount);
+      await expect(
+        multiTokenFarm.connect(user1).withdraw(0, ethers.parseEther('150'))
+      )
+        .to.emit(multiTokenFarm, 'Withdraw')
+        .withArgs(
+          user1Address,
+          0,
+          ethers.parseEther('147.5'),
+          ethers.parseEther('2.5'),
+          anyValue
+        );
+    });
+
+    it('Should keep penalties in the pool until sent to a treasury', async function () {
+      const depositAmount = ethers.parseEther('100');
+      const penalty = ethers.parseEther('5');
+      await multiTokenFarm.connect(user1).deposit(0, depositAmount);
+      await multiTokenFarm.connect(user2).deposit(0, depositAmount);
+      await multiTokenFarm.connect(user1).withdraw(0, depositAmount);
+
+      // El farm guarda el stake restante más la penalización
+      expect(await multiTokenFarm.getPenaltyPool(0)).to.equal(penalty);
+      expect(await lpToken.balanceOf(farmAddress)).to.equal(
+        (await multiTokenFarm.poolInfo(0)).totalStakingBalance + penalty
+      );
+
+      await expect(
+        multiTokenFarm.connect(user1).sendPenaltiesToTreasury(0, user1Address)
+      ).to.be.revertedWith('Only owner can call this function');
+      await expect(multiTokenFarm.sendPenaltiesToTreasury(0, ownerAddress))
+        .to.emit(multiTokenFarm, 'PenaltiesSentToTreasury')
+        .withArgs(0, ownerAddress, penalty, anyValue);
+
+      expect(await lpToken.balanceOf(ownerAddress)).to.equal(penalty);
+      expect(await multiTokenFarm.getPenaltyPool(0)).to.equal(0);
+      await expect(
+        multiTokenFarm.sendPenaltiesToTreasury(0, ownerAddress)
+      ).to.be.revertedWith('No penalties to distribute');
+    });
+
+    it('Should stop only the affected pool in an emergency', async function () {
+      const depositAmount = ethers.parseEther('100');
+      await multiTokenFarm.connect(user1).deposit(0, depositAmount);
+
+      await multiTokenFarm.toggleEmergencyStop(0);
+
+      await expect(
+        multiTokenFarm.connect(user1).deposit(0, depositAmount)
+      ).to.be.revertedWith('Pool is in emergency stop');
+      await multiTokenFarm.connect(user1).deposit(1, depositAmount);
+
+      const balanceBefore = await lpToken.balanceOf(user1Address);
+      await multiTokenFarm.connect(user1).emergencyWithdraw(0);
+      expect(await lpToken.balanceOf(user1Address)).to.equal(
+        balanceBefore + depositAmount
+      );
+
+      await expect(
+        multiTokenFarm.connect(user1).emergencyWithdraw(1)
+      ).to.be.revertedWith('Not in emergency');
+    });
+  });
+
+  describe('Rewards', function () {
+    beforeEach(async function () {
+      await multiTokenFarm.addPool(await lpToken.getAddress(), 100);
+      await multiTokenFarm.addPool(await lpToken2.getAddress(), 300);
+    });
+
+    it('Should split rewardPerBlock by alloc points', async function () {
+      const depositAmount = ethers.parseEther('100');
+
+      // Cada usuario es el único staker de su pool
+      await multiTokenFarm.connect(user1).deposit(0, depositAmount);
+      await multiTokenFarm.connect(user2).deposit(1, depositAmount);
+      await ethers.provider.send('evm_mine', []);
+
+      // Pool 0 recibe 1/4 por bloque (3 bloques), pool 1 recibe 3/4 (3 bloques)
+      await expect(multiTokenFarm.connect(user1).claimRewards(0))
+        .to.emit(multiTokenFarm, 'RewardsClaimed')
+        .withArgs(
+          user1Address,
+          0,
+          ethers.parseEther('0.75'),
+          anyValue,
+          anyValue,
+          anyValue
+        );
+      await expect(multiTokenFarm.connect(user2).claimRewards(1))
+        .to.emit(multiTokenFarm, 'RewardsClaimed')
+        .withArgs(
+          user2Address,
+          1,
+          ethers.parseEther('2.25'),
+          anyValue,
+          anyValue,
+          anyValue
+        );
+    });
+
+    it('Should apply the withdrawal fee on claims', async function () {
+      await multiTokenFarm.setWithdrawalFee(500);
+      await multiTokenFarm.connect(user1).deposit(1, ethers.parseEther('100'));
+      await ethers.provider.send('evm_mine', []);
+
+      // 2 bloques al 75% de la emisión
+      const pendingRewards = ethers.parseEther('1.5');
+      await multiTokenFarm.connect(user1).claimRewards(1);
+
+      expect(await dappToken.balanceOf(user1Address)).to.equal(
+        (pendingRewards * 9500n) / 10000n
+      );
+      expect(await multiTokenFarm.getAccumulatedFees()).to.equal(
+        (pendingRewards * 500n) / 10000n
+      );
+
+      await multiTokenFarm.withdrawFees();
+      expect(await dappToken.balanceOf(ownerAddress)).to.equal(
+        (pendingRewards * 500n) / 10000n
+      );
+    });
+
+    it('Should not emit rewards for pools with zero alloc points', async function () {
+      await multiTokenFarm.setPool(0, 0);
+      await multiTokenFarm.connect(user1).deposit(0, ethers.parseEther('100'));
+      await ethers.provider.send('evm_mine', []);
+
+      await expect(
+        multiTokenFarm.connect(user1).claimRewards(0)
+      ).to.be.revertedWith('No rewards to claim');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const { signPermit, depositWithPermit } = require('../scripts/lib/permit');
+const { describeEachFarm, deployFarm } = require('./helpers/farms');
+
+// Depósitos con permit (EIP-2612), iguales en ambas farms
+describeEachFarm('Permit deposits', function (farmName) {
+  let dappToken, lpToken, farm, farmAddress;
+  let owner, user1, user2;
+
+  const amount = ethers.parseEther('100');
+
+  // Sin approve previo
+  async function deployFixture() {
+    return deployFarm(farmName, { stakers: [user1, user2], approve: false });
+  }
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, user1, user2] = await ethers.getSigners();
+    ({ dappToken, lpToken, farm, farmAddress } =
+      await loadFixture(deployFixture));
+  });
+
+  it('Should deposit without a separate approve', async function () {
+    await expect(depositWithPermit(farm, user1, amount))
+      .to.emit(farm, 'Deposit')
+      .withArgs(user1.address, amount, anyValue);
+
+    expect(await farm.getStakingBalance(user1.address)).to.equal(amount);
+    expect(await lpToken.allowance(user1.address, farmAddress)).to.equal(0);
+    expect(await lpToken.nonces(user1.address)).to.equal(1);
+  });
+
+  it('Should reject an expired deadline', async function () {
+    const { timestamp } = await ethers.provider.getBlock('latest');
+    const { deadline, v, r, s } = await signPermit(
+      lpToken,
+      user1,
+      farmAddress,
+      amount,
+      { deadline: timestamp - 1 }
+    );
+
+    await expect(
+      farm.connect(user1).depositWithPermit(amount, deadline, v, r, s)
+    ).to.be.revertedWith('Invalid permit');
+    expect(await lpToken.nonces(user1.address)).to.equal(0);
+  });
+
+  it('Should reject a reused nonce', async function () {
+    const { deadline, v, r, s } = await signPermit(
+      lpToken,
+      user1,
+      farmAddress,
+      amount
+    );
+    await farm.connect(user1).depositWithPermit(amount, deadline, v, r, s);
+
+    await expect(
+      farm.connect(user1).depositWithPermit(amount, deadline, v, r, s)
+    ).to.be.revertedWith('Invalid permit');
+
+    // Firmar con el nonce ya usado tampoco sirve
+    const stale = await signPermit(lpToken, user1, farmAddress, amount, {
+      nonce: 0,
+    });
+    await expect(
+      farm
+        .connect(user1)
+        .depositWithPermit(amount, stale.deadline, stale.v, stale.r, stale.s)
+    ).to.be.revertedWith('Invalid permit');
+    expect(await farm.getStakingBalance(user1.address)).to.equal(amount);
+  });
+
+  it('Should reject a permit signed by another account', async function () {
+    // user2 firma, user1 intenta usarlo para sus propios tokens
+    const { deadline, v, r, s } = await signPermit(
+      lpToken,
+      user2,
+      farmAddress,
+      amount
+    );
+
+    await expect(
+      farm.connect(user1).depositWithPermit(amount, deadline, v, r, s)
+    ).to.be.revertedWith('Invalid permit');
+    expect(await lpToken.nonces(user2.address)).to.equal(0);
+  });
+
+  it('Should reject a permit for less than the amount', async function () {
+    const { deadline, v, r, s } = await signPermit(
+      lpToken,
+      user1,
+      farmAddress,
+      amount - 1n
+    );
+
+    await expect(
+      farm.connect(user1).depositWithPermit(amount, deadline, v, r, s)
+    ).to.be.revertedWith('Invalid permit');
+  });
+
+  it('Should still deposit after a front-run permit', async function () {
+    const { deadline, v, r, s } = await signPermit(
+      lpToken,
+      user1,
+      farmAddress,
+      amount
+    );
+    // Alguien envía el permit antes que el usuario
+    await lpToken
+      .connect(user2)
+      .permit(user1.address, farmAddress, amount, deadline, v, r, s);
+
+    await farm.connect(user1).depositWithPermit(amount, deadline, v, r, s);
+    expect(await farm.getStakingBalance(user1.address)).to.equal(amount);
+  });
+
+  if (farmName === 'TokenFarmV2') {
+    it('Should extend a boost lock when topping up with a permit', async function () {
+      await lpToken.connect(user1).approve(farmAddress, amount);
+      await farm.connect(user1)['deposit(uint256,uint256)'](amount, 1000);
+
+      await expect(depositWithPermit(farm, user1, amount))
+        .to.emit(farm, 'BoostLocked')
+        .withArgs(user1.address, 1000, 11000, anyValue, anyValue);
+      expect(await farm.getStakingBalance(user1.address)).to.equal(amount * 2n);
+    });
+  }
+});
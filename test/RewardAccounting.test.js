@@ -0,0 +1,136 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { describeEachFarm, deployFarm } = require('./helpers/farms');
+
+// Las dos farms comparten el mismo modelo de recompensas (accRewardPerShare)
+describeEachFarm('Reward accounting', function (farmName) {
+  let dappToken, lpToken, farm;
+  let owner, users;
+
+  async function deployFixture() {
+    return deployFarm(farmName, { stakers: users });
+  }
+
+  beforeEach(async function () {
+    [owner, ...users] = await ethers.getSigners();
+    users = users.slice(0, 4);
+    ({ dappToken, lpToken, farm } = await loadFixture(deployFixture));
+  });
+
+  async function blockOf(tx) {
+    const receipt = await tx.wait();
+    return BigInt(receipt.blockNumber);
+  }
+
+  it('Should mint exactly rewardPerBlock * blocks across interleaved deposits, withdrawals and redistributions', async function () {
+    // Emisión esperada: solo cuentan los bloques con stake > 0
+    let expectedEmission = 0n;
+    let totalStaked = 0n;
+    let lastBlock = 0n;
+    let rewardPerBlock = await farm.rewardPerBlock();
+
+    async function track(tx) {
+      const block = await blockOf(tx);
+      if (totalStaked > 0n) {
+        expectedEmission += (block - lastBlock) * rewardPerBlock;
+      }
+      lastBlock = block;
+      totalStaked = await farm.totalStakingBalance();
+    }
+
+    // Secuencia pseudoaleatoria pero determinista de operaciones
+    let seed = 7n;
+    const next = (n) => {
+      seed = (seed * 1103515245n + 12345n) % 2147483648n;
+      return seed % BigInt(n);
+    };
+
+    for (let i = 0; i < 40; i++) {
+      const user = users[Number(next(users.length))];
+      // Incluye la parte de penalizaciones redistribuidas (V2)
+      const balance = await farm.getStakingBalance(user.address);
+      const action = next(4);
+
+      if (balance > 0n && action === 0n) {
+        // Retiro total o parcial
+        const amount = next(2) === 0n ? balance : balance / 2n;
+        await track(await farm.connect(user).withdraw(amount));
+      } else if (balance > 0n && action === 1n) {
+        await track(await farm.connect(user).claimRewards());
+      } else if (i === 20) {
+        await track(await farm.setRewardPerBlock(ethers.parseEther('3')));
+        rewardPerBlock = ethers.parseEther('3');
+      } else {
+        const amount = ethers.parseEther((next(50) + 1n).toString()) / 3n;
+        await track(await farm.connect(user).deposit(amount));
+      }
+
+      // V2 reparte las penalizaciones por retiro anticipado entre los stakers
+      if (farmName === 'TokenFarmV2' && i === 30) {
+        expect(await farm.getPenaltyPool()).to.be.gt(0);
+        await track(await farm.redistributePenalties());
+      }
+
+      if (next(3) === 0n) {
+        await ethers.provider.send('evm_mine', []);
+      }
+    }
+
+    // Todos salen de la farm y reclaman lo pendiente
+    for (const user of users) {
+      const balance = await farm.getStakingBalance(user.address);
+      if (balance > 0n) {
+        await track(await farm.connect(user).withdraw(balance));
+      }
+    }
+    expect(await farm.totalStakingBalance()).to.equal(0);
+    if (farmName === 'TokenFarmV2') {
+      // Solo queda el polvo de redondeo de las partes redistribuidas
+      expect(await farm.uncreditedPenalties()).to.be.lt(users.length);
+    }
+
+    for (const user of users) {
+      if ((await farm.getPendingRewards(user.address)) > 0n) {
+        await farm.connect(user).claimRewards();
+      }
+    }
+    await farm.withdrawFees();
+
+    // Lo acuñado (neto + comisiones) nunca supera la emisión, salvo polvo de redondeo
+    const minted = await dappToken.totalSupply();
+    expect(expectedEmission).to.be.gt(0);
+    expect(minted).to.be.lte(expectedEmission);
+    expect(expectedEmission - minted).to.be.lt(
+      ethers.parseUnits('100', 'gwei')
+    );
+  });
+
+  it('Should not depend on how often other users touch the farm', async function () {
+    const [eager, lazy] = users;
+    const amount = ethers.parseEther('100');
+
+    async function totalClaimed(user) {
+      const events = await farm.queryFilter(
+        farm.filters.RewardsClaimed(user.address)
+      );
+      return events.reduce((sum, event) => sum + event.args.amount, 0n);
+    }
+
+    // eager: 1 bloque en solitario antes de que entre lazy
+    await farm.connect(eager).deposit(amount);
+    await farm.connect(lazy).deposit(amount);
+
+    // Un usuario reclama en cada bloque, el otro solo al final
+    for (let i = 0; i < 5; i++) {
+      await farm.connect(eager).claimRewards();
+    }
+    await farm.connect(lazy).claimRewards();
+    await farm.connect(eager).claimRewards();
+
+    // Diferencia: el bloque en solitario + el último bloque compartido
+    expect(await totalClaimed(eager)).to.equal(
+      (await totalClaimed(lazy)) + ethers.parseEther('1.5')
+    );
+  });
+});
@@ -0,0 +1,231 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const { describeEachFarm, deployFarm } = require('./helpers/farms');
+
+// Modo presupuesto: la farm paga desde su saldo de DAPP en lugar de mint
+describeEachFarm('Reward budget', function (farmName) {
+  let dappToken, lpToken, farm, farmAddress;
+  let owner, user1;
+
+  const depositAmount = ethers.parseEther('100');
+  const budget = ethers.parseEther('100');
+
+  // La farm no es dueña del DAppToken: solo puede pagar con su saldo
+  async function deployFixture() {
+    return deployFarm(farmName, {
+      stakers: [user1],
+      rewardTokenOwner: false,
+    });
+  }
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+    ({ dappToken, lpToken, farm, farmAddress } =
+      await loadFixture(deployFixture));
+  });
+
+  async function fund(amount, duration) {
+    await dappToken.mint(farmAddress, amount);
+    return farm.notifyRewardAmount(amount, duration);
+  }
+
+  async function mineBlocks(count) {
+    await ethers.provider.send('hardhat_mine', [ethers.toQuantity(count)]);
+  }
+
+  it('Should mint with unlimited runway by default', async function () {
+    expect(await farm.isFunded()).to.be.false;
+    expect(await farm.getRewardRunway()).to.equal(ethers.MaxUint256);
+  });
+
+  it('Should set the reward rate from the notified amount', async function () {
+    await dappToken.mint(farmAddress, budget);
+
+    await expect(farm.notifyRewardAmount(budget, 100))
+      .to.emit(farm, 'RewardAmountNotified')
+      .withArgs(owner.address, budget, 100, ethers.parseEther('1'), anyValue);
+
+    expect(await farm.isFunded()).to.be.true;
+    expect(await farm.rewardBudget()).to.equal(budget);
+    expect(await farm.rewardPerBlock()).to.equal(ethers.parseEther('1'));
+    expect(await farm.getRewardRunway()).to.equal(100);
+  });
+
+  it('Should reject amounts the farm balance does not cover', async function () {
+    await dappToken.mint(farmAddress, budget - 1n);
+
+    await expect(farm.notifyRewardAmount(budget, 100)).to.be.revertedWith(
+      'Insufficient reward balance'
+    );
+  });
+
+  it('Should require rewards emitted before the switch to be covered', async function () {
+    // Recompensas acumuladas en modo mint que aún no se pagaron
+    await farm.connect(user1).deposit(depositAmount);
+    await mineBlocks(5);
+
+    await expect(fund(budget, 100)).to.be.revertedWith(
+      'Insufficient reward balance'
+    );
+  });
+
+  it('Should reject rates outside the reward range', async function () {
+    await dappToken.mint(farmAddress, budget);
+
+    await expect(farm.notifyRewardAmount(budget, 10000)).to.be.revertedWith(
+      'Below minimum'
+    );
+    await expect(farm.notifyRewardAmount(budget, 5)).to.be.revertedWith(
+      'Above maximum'
+    );
+  });
+
+  it('Should fund a reward schedule without changing rewardPerBlock', async function () {
+    const now = BigInt((await ethers.provider.getBlock('latest')).timestamp);
+    const startTime = now + 10n;
+    await farm.setRewardSchedule(startTime, now + 1000n, [
+      { startTime, rewardPerSecond: ethers.parseEther('0.5') },
+    ]);
+    const rewardPerBlock = await farm.rewardPerBlock();
+
+    await dappToken.mint(farmAddress, budget);
+    await expect(farm.notifyRewardAmount(budget, 0))
+      .to.emit(farm, 'RewardAmountNotified')
+      .withArgs(owner.address, budget, 0, 0, anyValue)
+      .and.not.to.emit(farm, 'RewardPerBlockChanged');
+    expect(await farm.rewardPerBlock()).to.equal(rewardPerBlock);
+
+    // 100 DAPP a 0.5 por segundo alcanzan 200 segundos desde el inicio
+    const notifiedAt = BigInt(
+      (await ethers.provider.getBlock('latest')).timestamp
+    );
+    expect(await farm.getRewardRunway()).to.equal(
+      startTime + 200n - notifiedAt
+    );
+  });
+
+  it('Should only allow owner to notify rewards', async function () {
+    await expect(
+      farm.connect(user1).notifyRewardAmount(budget, 100)
+    ).to.be.revertedWith('Only owner can call this function');
+  });
+
+  it('Should pay claims and fees from the budget', async function () {
+    await fund(budget, 100);
+    await farm.connect(user1).deposit(depositAmount);
+    await mineBlocks(9);
+
+    // 10 bloques a 1 DAPP por bloque, comisión del 3%
+    await farm.connect(user1).claimRewards();
+    const rewards = ethers.parseEther('10');
+    const fee = (rewards * 300n) / 10000n;
+
+    expect(await dappToken.balanceOf(user1.address)).to.equal(rewards - fee);
+    expect(await farm.rewardBudget()).to.equal(budget - rewards);
+    expect(await farm.getRewardRunway()).to.equal(90);
+
+    await farm.withdrawFees();
+    expect(await dappToken.balanceOf(owner.address)).to.equal(fee);
+    expect(await dappToken.balanceOf(farmAddress)).to.equal(budget - rewards);
+    expect(await farm.unpaidRewards()).to.equal(0);
+  });
+
+  it('Should not spend the budget while nobody is staking', async function () {
+    await fund(budget, 100);
+    await mineBlocks(20);
+    await farm.updatePool();
+
+    expect(await farm.rewardBudget()).to.equal(budget);
+    expect(await farm.getRewardRunway()).to.equal(100);
+  });
+
+  it('Should roll the remaining budget into a new period', async function () {
+    await fund(budget, 100);
+    let tx = await farm.connect(user1).deposit(depositAmount);
+    const depositBlock = BigInt((await tx.wait()).blockNumber);
+    await mineBlocks(19);
+
+    await dappToken.mint(farmAddress, ethers.parseEther('50'));
+    tx = await farm.notifyRewardAmount(ethers.parseEther('50'), 100);
+    const notifyBlock = BigInt((await tx.wait()).blockNumber);
+
+    // Lo que quedaba del periodo anterior más el nuevo monto, en 100 bloques
+    const remaining =
+      budget - (notifyBlock - depositBlock) * ethers.parseEther('1');
+    const newBudget = remaining + ethers.parseEther('50');
+    expect(await farm.rewardBudget()).to.equal(newBudget);
+    expect(await farm.rewardPerBlock()).to.equal(newBudget / 100n);
+  });
+
+  it('Should stop rewards when the budget runs dry partway through a period', async function () {
+    await fund(budget, 100);
+    await farm.connect(user1).deposit(depositAmount);
+
+    // Con 4 DAPP por bloque el presupuesto dura 25 bloques, no 100
+    await farm.setRewardPerBlock(ethers.parseEther('4'));
+    await mineBlocks(40);
+
+    expect(await farm.getRewardRunway()).to.equal(0);
+
+    await expect(farm.connect(user1).claimRewards())
+      .to.emit(farm, 'RewardsClaimed')
+      .withArgs(
+        user1.address,
+        user1.address,
+        user1.address,
+        budget,
+        (budget * 300n) / 10000n,
+        anyValue,
+        anyValue
+      );
+    expect(await farm.rewardBudget()).to.equal(0);
+
+    // Sin presupuesto no se acumulan más recompensas
+    await mineBlocks(10);
+    await expect(farm.connect(user1).claimRewards()).to.be.revertedWith(
+      'No rewards to claim'
+    );
+
+    await farm.withdrawFees();
+    expect(await dappToken.balanceOf(farmAddress)).to.equal(0);
+  });
+
+  it('Should report a 0 APR once the budget runs out', async function () {
+    const MockPriceOracle = await ethers.getContractFactory('MockPriceOracle');
+    const oracle = await MockPriceOracle.deploy();
+    await oracle.setPrice(dappToken, ethers.parseEther('1'));
+    await oracle.setPrice(lpToken, ethers.parseEther('1'));
+    await farm.setPriceOracle(oracle, 2628000);
+
+    await fund(budget, 100);
+    await farm.connect(user1).deposit(depositAmount);
+    expect(await farm.getApr()).to.be.gt(0);
+
+    // El ritmo sigue en 1 DAPP por bloque, pero ya no queda presupuesto
+    await mineBlocks(100);
+    expect(await farm.getRewardRunway()).to.equal(0);
+    expect(await farm.rewardPerBlock()).to.equal(ethers.parseEther('1'));
+    expect(await farm.getApr()).to.equal(0);
+  });
+
+  it('Should cap the pending rewards preview at the budget', async function () {
+    await fund(budget, 100);
+    await farm.connect(user1).deposit(depositAmount);
+    await mineBlocks(150);
+
+    expect(await farm.previewPendingRewards(user1.address)).to.equal(budget);
+    await expect(farm.connect(user1).claimRewards())
+      .to.emit(farm, 'RewardsClaimed')
+      .withArgs(
+        user1.address,
+        user1.address,
+        user1.address,
+        budget,
+        anyValue,
+        anyValue,
+        anyValue
+      );
+  });
+});
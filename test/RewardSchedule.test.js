@@ -0,0 +1,273 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const { describeEachFarm, deployFarm } = require('./helpers/farms');
+
+const DAY = 24n * 60n * 60n;
+
+// Emisión por timestamp con épocas (halving diario)
+describeEachFarm('Reward schedule', function (farmName) {
+  let dappToken, lpToken, farm;
+  let owner, user1;
+  let startTime, endTime, epochs;
+
+  const depositAmount = ethers.parseEther('100');
+
+  async function deployFixture() {
+    return deployFarm(farmName, { stakers: [user1] });
+  }
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+    ({ dappToken, lpToken, farm } = await loadFixture(deployFixture));
+
+    // 4 DAPP por segundo el primer día, la mitad cada día siguiente
+    startTime = (await latestTime()) + 100n;
+    endTime = startTime + 3n * DAY;
+    epochs = [
+      { startTime, rewardPerSecond: ethers.parseEther('4') },
+      { startTime: startTime + DAY, rewardPerSecond: ethers.parseEther('2') },
+      {
+        startTime: startTime + 2n * DAY,
+        rewardPerSecond: ethers.parseEther('1'),
+      },
+    ];
+  });
+
+  async function latestTime() {
+    return BigInt((await ethers.provider.getBlock('latest')).timestamp);
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send('evm_increaseTime', [Number(seconds)]);
+    await ethers.provider.send('evm_mine', []);
+  }
+
+  async function timeOf(tx) {
+    const receipt = await tx.wait();
+    return BigInt(
+      (await ethers.provider.getBlock(receipt.blockNumber)).timestamp
+    );
+  }
+
+  // Emisión total del calendario entre startTime y `time`
+  function emittedUntil(time) {
+    let total = 0n;
+    epochs.forEach((epoch, i) => {
+      const epochEnd =
+        i + 1 < epochs.length ? epochs[i + 1].startTime : endTime;
+      const until = time < epochEnd ? time : epochEnd;
+      if (until > epoch.startTime) {
+        total += (until - epoch.startTime) * epoch.rewardPerSecond;
+      }
+    });
+    return total;
+  }
+
+  it('Should store the schedule and emit RewardScheduleSet', async function () {
+    await expect(farm.setRewardSchedule(startTime, endTime, epochs))
+      .to.emit(farm, 'RewardScheduleSet')
+      .withArgs(owner.address, startTime, endTime, 3, anyValue);
+
+    const schedule = await farm.getRewardSchedule();
+    expect(await farm.isScheduled()).to.be.true;
+    expect(schedule.startTime).to.equal(startTime);
+    expect(schedule.endTime).to.equal(endTime);
+    expect(schedule.epochs.length).to.equal(3);
+    expect(schedule.epochs[1].rewardPerSecond).to.equal(ethers.parseEther('2'));
+  });
+
+  it('Should not emit rewards before startTime', async function () {
+    await farm.setRewardSchedule(startTime, endTime, epochs);
+    await farm.connect(user1).deposit(depositAmount);
+    await increaseTime(50);
+
+    expect(await farm.currentRewardPerSecond()).to.equal(0);
+    await expect(farm.connect(user1).claimRewards()).to.be.revertedWith(
+      'No rewards to claim'
+    );
+  });
+
+  it('Should halve emission on each epoch', async function () {
+    await farm.setRewardSchedule(startTime, endTime, epochs);
+    await farm.connect(user1).deposit(depositAmount);
+
+    // A mitad del segundo día
+    await increaseTime(100n + DAY + DAY / 2n);
+    expect(await farm.currentRewardPerSecond()).to.equal(
+      ethers.parseEther('2')
+    );
+
+    let tx = await farm.connect(user1).claimRewards();
+    const firstClaim = emittedUntil(await timeOf(tx));
+    await expect(tx)
+      .to.emit(farm, 'RewardsClaimed')
+      .withArgs(
+        user1.address,
+        user1.address,
+        user1.address,
+        firstClaim,
+        anyValue,
+        anyValue,
+        anyValue
+      );
+    expect(firstClaim).to.be.gt(ethers.parseEther('4') * DAY);
+
+    // Ya en el tercer día
+    await increaseTime(DAY);
+    expect(await farm.currentRewardPerSecond()).to.equal(
+      ethers.parseEther('1')
+    );
+
+    tx = await farm.connect(user1).claimRewards();
+    await expect(tx)
+      .to.emit(farm, 'RewardsClaimed')
+      .withArgs(
+        user1.address,
+        user1.address,
+        user1.address,
+        emittedUntil(await timeOf(tx)) - firstClaim,
+        anyValue,
+        anyValue,
+        anyValue
+      );
+  });
+
+  it('Should stop emission at endTime', async function () {
+    await farm.setRewardSchedule(startTime, endTime, epochs);
+    await farm.connect(user1).deposit(depositAmount);
+
+    await increaseTime(4n * DAY);
+    expect(await farm.currentRewardPerSecond()).to.equal(0);
+
+    // Todo el calendario: 4 + 2 + 1 DAPP por segundo durante un día cada uno
+    await expect(farm.connect(user1).claimRewards())
+      .to.emit(farm, 'RewardsClaimed')
+      .withArgs(
+        user1.address,
+        user1.address,
+        user1.address,
+        ethers.parseEther('7') * DAY,
+        anyValue,
+        anyValue,
+        anyValue
+      );
+
+    await increaseTime(DAY);
+    await expect(farm.connect(user1).claimRewards()).to.be.revertedWith(
+      'No rewards to claim'
+    );
+  });
+
+  it('Should apply the reward range to each epoch', async function () {
+    await expect(
+      farm.setRewardSchedule(startTime, endTime, [
+        { startTime, rewardPerSecond: ethers.parseEther('20') },
+      ])
+    ).to.be.revertedWith('Above maximum');
+
+    await farm.setRewardSchedule(startTime, endTime, epochs);
+    await farm.setRewardRange(ethers.parseEther('1.5'), ethers.parseEther('3'));
+
+    const schedule = await farm.getRewardSchedule();
+    expect(schedule.epochs.map((epoch) => epoch.rewardPerSecond)).to.deep.equal(
+      [ethers.parseEther('3'), ethers.parseEther('2'), ethers.parseEther('1.5')]
+    );
+  });
+
+  it('Should reject invalid schedules', async function () {
+    const now = await latestTime();
+
+    await expect(
+      farm.setRewardSchedule(now - 10n, endTime, [
+        { startTime: now - 10n, rewardPerSecond: ethers.parseEther('1') },
+      ])
+    ).to.be.revertedWith('Invalid schedule');
+    await expect(
+      farm.setRewardSchedule(startTime, endTime, [])
+    ).to.be.revertedWith('Invalid epoch count');
+    await expect(
+      farm.setRewardSchedule(startTime, endTime, [
+        epochs[0],
+        epochs[2],
+        epochs[1],
+      ])
+    ).to.be.revertedWith('Invalid epochs');
+    await expect(
+      farm.setRewardSchedule(startTime, endTime, epochs.slice(1))
+    ).to.be.revertedWith('Invalid epochs');
+  });
+
+  it('Should only allow owner to set the schedule', async function () {
+    await expect(
+      farm.connect(user1).setRewardSchedule(startTime, endTime, epochs)
+    ).to.be.revertedWith('Only owner can call this function');
+  });
+
+  it('Should go back to per-block emission once the schedule is cleared', async function () {
+    await farm.setRewardSchedule(startTime, endTime, epochs);
+    await farm.connect(user1).deposit(depositAmount);
+    await increaseTime(4n * DAY);
+
+    await expect(farm.clearRewardSchedule())
+      .to.emit(farm, 'RewardScheduleCleared')
+      .withArgs(owner.address, anyValue);
+
+    const schedule = await farm.getRewardSchedule();
+    expect(await farm.isScheduled()).to.be.false;
+    expect(schedule.endTime).to.equal(0);
+    expect(schedule.epochs.length).to.equal(0);
+
+    // Todo el calendario más rewardPerBlock por cada bloque desde el cierre
+    await ethers.provider.send('hardhat_mine', [ethers.toQuantity(9)]);
+    await expect(farm.connect(user1).claimRewards())
+      .to.emit(farm, 'RewardsClaimed')
+      .withArgs(
+        user1.address,
+        user1.address,
+        user1.address,
+        ethers.parseEther('7') * DAY + (await farm.rewardPerBlock()) * 10n,
+        anyValue,
+        anyValue,
+        anyValue
+      );
+  });
+
+  it('Should reject setRewardPerBlock while a schedule is active', async function () {
+    const newRate = ethers.parseEther('2');
+    await farm.setRewardSchedule(startTime, endTime, epochs);
+
+    await expect(farm.setRewardPerBlock(newRate)).to.be.revertedWith(
+      'Reward schedule active'
+    );
+
+    await farm.clearRewardSchedule();
+    await farm.setRewardPerBlock(newRate);
+    expect(await farm.rewardPerBlock()).to.equal(newRate);
+  });
+
+  it('Should report the runway in seconds until the schedule ends', async function () {
+    await farm.setRewardSchedule(startTime, endTime, epochs);
+    expect(await farm.getRewardRunway()).to.equal(
+      endTime - (await latestTime())
+    );
+
+    await increaseTime(4n * DAY);
+    expect(await farm.getRewardRunway()).to.equal(0);
+
+    await farm.clearRewardSchedule();
+    expect(await farm.getRewardRunway()).to.equal(ethers.MaxUint256);
+  });
+
+  it('Should only allow owner to clear an existing schedule', async function () {
+    await expect(farm.clearRewardSchedule()).to.be.revertedWith(
+      'No reward schedule'
+    );
+
+    await farm.setRewardSchedule(startTime, endTime, epochs);
+    await expect(farm.connect(user1).clearRewardSchedule()).to.be.revertedWith(
+      'Only owner can call this function'
+    );
+  });
+});
@@ -0,0 +1,218 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { loadFixture } = require('@nomicfoundation/hardhat-network-helpers');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const { depositWithPermit } = require('../scripts/lib/permit');
+const { FARMS, describeEachFarm, deployFarm } = require('./helpers/farms');
+
+// Lista de stakers activos y distribución por lotes, igual en ambas farms
+describeEachFarm('Active stakers', function (farmName) {
+  let dappToken, lpToken, farm, farmAddress;
+  let owner, user1, user2, user3;
+
+  const amount = ethers.parseEther('100');
+
+  // Tres stakers con `amount` en la farm
+  async function deployFixture() {
+    const fixture = await deployFarm(farmName, {
+      stakers: [user1, user2, user3],
+    });
+    for (const user of [user1, user2, user3]) {
+      await fixture.farm.connect(user).deposit(amount);
+    }
+    return fixture;
+  }
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, user1, user2, user3] = await ethers.getSigners();
+    ({ dappToken, lpToken, farm, farmAddress } =
+      await loadFixture(deployFixture));
+  });
+
+  // Retiro total, pasado el período de bloqueo de V2
+  async function exit(user) {
+    await ethers.provider.send('hardhat_mine', ['0x64']);
+    await farm.connect(user).withdraw(amount);
+  }
+
+  it('Should list each staker once', async function () {
+    await farm.connect(user1).deposit(amount);
+
+    expect(await farm.getActiveStakerCount()).to.equal(3);
+    expect(await farm.getActiveStakers(0, 10)).to.deep.equal([
+      user1.address,
+      user2.address,
+      user3.address,
+    ]);
+  });
+
+  it('Should remove a staker who fully exits', async function () {
+    await ethers.provider.send('hardhat_mine', ['0x64']);
+    await farm.connect(user1).withdraw(ethers.parseEther('40'));
+    expect(await farm.getActiveStakerCount()).to.equal(3);
+
+    await farm.connect(user1).withdraw(ethers.parseEther('60'));
+
+    // El último staker ocupa el lugar libre
+    expect(await farm.getActiveStakerCount()).to.equal(2);
+    expect(await farm.getActiveStakers(0, 10)).to.deep.equal([
+      user3.address,
+      user2.address,
+    ]);
+    expect((await farm.userInfo(user1.address)).hasStaked).to.be.true;
+  });
+
+  it('Should list a staker again after a new deposit', async function () {
+    await exit(user2);
+    await farm.connect(user2).deposit(amount);
+
+    expect(await farm.getActiveStakers(0, 10)).to.deep.equal([
+      user1.address,
+      user3.address,
+      user2.address,
+    ]);
+
+    // Las posiciones siguen bien después de moverse
+    await exit(user1);
+    expect(await farm.getActiveStakers(0, 10)).to.deep.equal([
+      user2.address,
+      user3.address,
+    ]);
+  });
+
+  it('Should return pages of active stakers', async function () {
+    expect(await farm.getActiveStakers(1, 1)).to.deep.equal([user2.address]);
+    expect(await farm.getActiveStakers(1, 10)).to.deep.equal([
+      user2.address,
+      user3.address,
+    ]);
+    expect(await farm.getActiveStakers(3, 10)).to.deep.equal([]);
+    expect(await farm.getActiveStakers(0, 0)).to.deep.equal([]);
+  });
+
+  it('Should settle rewards in batches from the saved cursor', async function () {
+    await ethers.provider.send('hardhat_mine', ['0x9']);
+    expect(await farm.distributionCursor()).to.equal(0);
+
+    expect(await farm.distributeRewardsBatch.staticCall(0, 2)).to.equal(2);
+    await expect(farm.connect(user3).distributeRewardsBatch(0, 2))
+      .to.emit(farm, 'RewardsDistributed')
+      .withArgs(user3.address, 0, 2, 0, anyValue);
+    expect(await farm.distributionCursor()).to.equal(2);
+
+    // Las recompensas quedan acreditadas sin reclamar
+    for (const user of [user1, user2]) {
+      const pending = await farm.getPendingRewards(user.address);
+      expect(pending).to.be.gt(0);
+      expect(await farm.previewPendingRewards(user.address)).to.equal(pending);
+    }
+    expect(await farm.getPendingRewards(user3.address)).to.equal(0);
+
+    // Al llegar al final el cursor vuelve a 0
+    await expect(farm.distributeRewardsBatch(2, 2))
+      .to.emit(farm, 'RewardsDistributed')
+      .withArgs(owner.address, 2, 0, 0, anyValue);
+    expect(await farm.distributionCursor()).to.equal(0);
+    expect(await farm.getPendingRewards(user3.address)).to.be.gt(0);
+  });
+
+  it('Should not change what stakers earn', async function () {
+    await ethers.provider.send('hardhat_mine', ['0x9']);
+    const before = await farm.previewPendingRewards(user1.address, {
+      blockTag: 'pending',
+    });
+
+    await farm.distributeRewardsBatch(0, 3);
+    expect(await farm.getPendingRewards(user1.address)).to.equal(before);
+  });
+
+  it('Should reject a batch starting past the end', async function () {
+    await expect(farm.distributeRewardsBatch(4, 1)).to.be.revertedWith(
+      'Start out of bounds'
+    );
+
+    // Empezar justo al final es una ronda vacía
+    await expect(farm.distributeRewardsBatch(3, 1))
+      .to.emit(farm, 'RewardsDistributed')
+      .withArgs(owner.address, 3, 0, 0, anyValue);
+  });
+
+  if (farmName === 'TokenFarmV2') {
+    it('Should remove a staker who exits in an emergency', async function () {
+      await farm.toggleEmergencyStop();
+      await farm.connect(user2).emergencyWithdraw();
+
+      expect(await farm.getActiveStakers(0, 10)).to.deep.equal([
+        user1.address,
+        user3.address,
+      ]);
+    });
+
+    it('Should end expired boosts in a batch', async function () {
+      await exit(user1);
+      await farm.connect(user1)['deposit(uint256,uint256)'](amount, 1000);
+      expect(await farm.rewardWeightOf(user1.address)).to.equal(
+        ethers.parseEther('110')
+      );
+
+      await ethers.provider.send('hardhat_mine', ['0x3e8']);
+      await farm.distributeRewardsBatch(0, 3);
+      expect(await farm.rewardWeightOf(user1.address)).to.equal(amount);
+      expect(await farm.totalBoostWeight()).to.equal(0);
+    });
+  }
+});
+
+describe('Reward batches with hundreds of stakers', function () {
+  // Cada lote debe caber holgadamente en un bloque
+  const STAKERS = 300;
+  const BATCH_SIZE = 100;
+  const BATCH_GAS_LIMIT = 8_000_000n;
+
+  FARMS.forEach(function (farmName) {
+    it(`Should keep every batch under the gas limit (${farmName})`, async function () {
+      this.timeout(300000);
+      const { lpToken, farm } = await deployFarm(farmName);
+
+      // Billeteras nuevas con ETH para el gas; el permit ahorra el approve
+      const amount = ethers.parseEther('10');
+      const wallets = [];
+      for (let i = 0; i < STAKERS; i++) {
+        const wallet = ethers.Wallet.createRandom(ethers.provider);
+        await ethers.provider.send('hardhat_setBalance', [
+          wallet.address,
+          ethers.toQuantity(ethers.parseEther('1')),
+        ]);
+        await lpToken.mint(wallet.address, amount);
+        await depositWithPermit(farm, wallet, amount);
+        wallets.push(wallet);
+      }
+      expect(await farm.getActiveStakerCount()).to.equal(STAKERS);
+
+      // La mitad se va, dejando huecos por toda la lista
+      await ethers.provider.send('hardhat_mine', ['0x64']);
+      for (let i = 0; i < STAKERS; i += 2) {
+        await farm.connect(wallets[i]).withdraw(amount);
+      }
+      expect(await farm.getActiveStakerCount()).to.equal(STAKERS / 2);
+
+      // Una ronda completa por lotes desde el cursor guardado
+      await ethers.provider.send('hardhat_mine', ['0xa']);
+      let batches = 0;
+      do {
+        const start = await farm.distributionCursor();
+        const receipt = await (
+          await farm.distributeRewardsBatch(start, BATCH_SIZE)
+        ).wait();
+        expect(receipt.gasUsed).to.be.lt(BATCH_GAS_LIMIT);
+        batches++;
+      } while ((await farm.distributionCursor()) !== 0n);
+
+      expect(batches).to.equal(Math.ceil(STAKERS / 2 / BATCH_SIZE));
+      for (let i = 1; i < STAKERS; i += 2) {
+        expect(await farm.getPendingRewards(wallets[i].address)).to.be.gt(0);
+      }
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const { expect } = require('chai');
 const { ethers } = require('hardhat');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
 
 describe('TokenFarm V1', function () {
   let TokenFarm, DAppToken, LPToken;
@@ -109,7 +110,7 @@ describe('TokenFarm V1', function () {
     it('Should allow users to withdraw their staked tokens', async function () {
       const initialBalance = await lpToken.balanceOf(user1Address);
 
-      await tokenFarm.connect(user1).withdraw();
+      await tokenFarm.connect(user1).withdraw(ethers.parseEther('100'));
 
       // Verificar que el balance se restableció
       expect(await tokenFarm.getStakingBalance(user1Address)).to.equal(0);
@@ -123,13 +124,44 @@ describe('TokenFarm V1', function () {
 
     it('Should fail if user is not staking', async function () {
       // Primero retirar
-      await tokenFarm.connect(user1).withdraw();
+      await tokenFarm.connect(user1).withdraw(ethers.parseEther('100'));
 
       // Intentar retirar de nuevo
-      await expect(tokenFarm.connect(user1).withdraw()).to.be.revertedWith(
+      await expect(tokenFarm.connect(user1).withdraw(1)).to.be.revertedWith(
         'User is not staking'
       );
     });
+
+    it('Should allow partial withdrawals', async function () {
+      const initialBalance = await lpToken.balanceOf(user1Address);
+
+      await tokenFarm.connect(user1).withdraw(ethers.parseEther('40'));
+
+      // Sigue en staking con el resto
+      expect(await tokenFarm.getStakingBalance(user1Address)).to.equal(
+        ethers.parseEther('60')
+      );
+      expect(await tokenFarm.totalStakingBalance()).to.equal(
+        ethers.parseEther('60')
+      );
+      expect(await lpToken.balanceOf(user1Address)).to.equal(
+        initialBalance + ethers.parseEther('40')
+      );
+      expect((await tokenFarm.userInfo(user1Address)).isStaking).to.be.true;
+
+      // Retirar el resto deja de hacer staking
+      await tokenFarm.connect(user1).withdraw(ethers.parseEther('60'));
+      expect((await tokenFarm.userInfo(user1Address)).isStaking).to.be.false;
+    });
+
+    it('Should fail if amount is 0 or exceeds the staked balance', async function () {
+      await expect(tokenFarm.connect(user1).withdraw(0)).to.be.revertedWith(
+        'Amount must be greater than 0'
+      );
+      await expect(
+        tokenFarm.connect(user1).withdraw(ethers.parseEther('101'))
+      ).to.be.revertedWith('Insufficient staked balance');
+    });
   });
 
   describe('Rewards', function () {
@@ -147,58 +179,95 @@ describe('TokenFarm V1', function () {
       await tokenFarm.connect(user2).deposit(depositAmount);
     });
 
-    it('Should distribute rewards to all stakers', async function () {
+    it('Should accrue rewards for all stakers', async function () {
       // Avanzar algunos bloques para generar recompensas
       await ethers.provider.send('evm_mine', []);
       await ethers.provider.send('evm_mine', []);
 
-      // Distribuir recompensas
-      await tokenFarm.connect(owner).distributeRewardsAll();
-
-      // Verificar que ambos usuarios tienen recompensas pendientes
-      const user1Rewards = await tokenFarm.getPendingRewards(user1Address);
-      const user2Rewards = await tokenFarm.getPendingRewards(user2Address);
+      // Reclamar liquida las recompensas acumuladas de cada usuario
+      await tokenFarm.connect(user1).claimRewards();
+      await tokenFarm.connect(user2).claimRewards();
 
-      expect(user1Rewards).to.be.gt(0);
-      expect(user2Rewards).to.be.gt(0);
+      expect(await dappToken.balanceOf(user1Address)).to.be.gt(0);
+      expect(await dappToken.balanceOf(user2Address)).to.be.gt(0);
     });
 
-            it('Should allow users to claim rewards', async function () {
-          // Avanzar bloques y distribuir recompensas
-          await ethers.provider.send('evm_mine', []);
-          await tokenFarm.connect(owner).distributeRewardsAll();
-
-          const initialBalance = await dappToken.balanceOf(user1Address);
-          const pendingRewards = await tokenFarm.getPendingRewards(user1Address);
-
-          // Reclamar recompensas
-          await tokenFarm.connect(user1).claimRewards();
+    it('Should allow users to claim rewards', async function () {
+      // Avanzar un bloque: user1 tuvo 1 bloque en solitario y 2 compartidos
+      await ethers.provider.send('evm_mine', []);
 
-          // Verificar que las recompensas se transfirieron (con comisión aplicada)
-          // La comisión es del 3% (300 basis points)
-          const expectedRewards = (pendingRewards * 9700n) / 10000n; // 97% después de la comisión
-          expect(await dappToken.balanceOf(user1Address)).to.equal(
-            initialBalance + expectedRewards
-          );
-          expect(await tokenFarm.getPendingRewards(user1Address)).to.equal(0);
-        });
+      const initialBalance = await dappToken.balanceOf(user1Address);
+      const pendingRewards = ethers.parseEther('2');
+
+      // Reclamar recompensas
+      await expect(tokenFarm.connect(user1).claimRewards())
+        .to.emit(tokenFarm, 'RewardsClaimed')
+        .withArgs(
+          user1Address,
+          user1Address,
+          user1Address,
+          pendingRewards,
+          (pendingRewards * 300n) / 10000n,
+          (pendingRewards * 9700n) / 10000n,
+          anyValue
+        );
+
+      // Verificar que las recompensas se transfirieron (con comisión aplicada)
+      // La comisión es del 3% (300 basis points)
+      const expectedRewards = (pendingRewards * 9700n) / 10000n; // 97% después de la comisión
+      expect(await dappToken.balanceOf(user1Address)).to.equal(
+        initialBalance + expectedRewards
+      );
+      expect(await tokenFarm.getPendingRewards(user1Address)).to.equal(0);
+    });
 
     it('Should fail if no rewards to claim', async function () {
-      await expect(tokenFarm.connect(user1).claimRewards()).to.be.revertedWith(
+      await expect(tokenFarm.connect(owner).claimRewards()).to.be.revertedWith(
         'No rewards to claim'
       );
     });
+
+    it('Should preview pending rewards including unaccrued blocks', async function () {
+      await ethers.provider.send('hardhat_mine', ['0x5']);
+
+      // Lo guardado sigue sin los bloques nuevos
+      expect(await tokenFarm.getPendingRewards(user2Address)).to.equal(0);
+      // 5 bloques compartidos a medias
+      expect(await tokenFarm.previewPendingRewards(user2Address)).to.equal(
+        ethers.parseEther('2.5')
+      );
+
+      // La vista en el bloque pendiente coincide con el próximo reclamo
+      const preview = await tokenFarm.previewPendingRewards(user1Address, {
+        blockTag: 'pending',
+      });
+      await expect(tokenFarm.connect(user1).claimRewards())
+        .to.emit(tokenFarm, 'RewardsClaimed')
+        .withArgs(
+          user1Address,
+          user1Address,
+          user1Address,
+          preview,
+          anyValue,
+          anyValue,
+          anyValue
+        );
+      expect(await tokenFarm.previewPendingRewards(user1Address)).to.equal(0);
+    });
   });
 
   describe('Access Control', function () {
-    it('Should only allow owner to distribute rewards', async function () {
+    it('Should only allow the parameter manager to change the reward per block', async function () {
       await expect(
-        tokenFarm.connect(user1).distributeRewardsAll()
-      ).to.be.revertedWith('Only owner can call this function');
+        tokenFarm.connect(user1).setRewardPerBlock(ethers.parseEther('2'))
+      ).to.be.revertedWith('Missing role');
     });
 
     it('Should allow owner to transfer ownership', async function () {
       await tokenFarm.connect(owner).transferOwnership(user1Address);
+      // La transferencia se completa cuando el nuevo owner la acepta
+      expect(await tokenFarm.owner()).to.equal(ownerAddress);
+      await tokenFarm.connect(user1).acceptOwnership();
       expect(await tokenFarm.owner()).to.equal(user1Address);
     });
 
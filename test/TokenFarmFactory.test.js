@@ -0,0 +1,202 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+
+describe('TokenFarmFactory', function () {
+  let TokenFarmFactory, TokenFarmV2, DAppToken, LPToken;
+  let factory, implementation, dappToken, lpToken, lpToken2;
+  let owner, user1;
+  let ownerAddress, user1Address;
+
+  const params = {
+    rewardPerBlock: ethers.parseEther('2'),
+    minRewardPerBlock: ethers.parseEther('1'),
+    maxRewardPerBlock: ethers.parseEther('5'),
+    withdrawalFeeBasisPoints: 200,
+    stakingLockPeriod: 50,
+    earlyWithdrawalPenalty: 1000,
+  };
+
+  beforeEach(async function () {
+    // Obtener las cuentas de prueba
+    [owner, user1] = await ethers.getSigners();
+    ownerAddress = await owner.getAddress();
+    user1Address = await user1.getAddress();
+
+    // Desplegar los contratos
+    DAppToken = await ethers.getContractFactory('DAppToken');
+    dappToken = await DAppToken.deploy(ownerAddress);
+
+    LPToken = await ethers.getContractFactory('LPToken');
+    lpToken = await LPToken.deploy(ownerAddress);
+    lpToken2 = await LPToken.deploy(ownerAddress);
+
+    // La implementación se despliega una sola vez
+    TokenFarmV2 = await ethers.getContractFactory('TokenFarmV2');
+    implementation = await TokenFarmV2.deploy(
+      await dappToken.getAddress(),
+      await lpToken.getAddress()
+    );
+
+    TokenFarmFactory = await ethers.getContractFactory('TokenFarmFactory');
+    factory = await TokenFarmFactory.deploy(
+      await implementation.getAddress(),
+      await dappToken.getAddress()
+    );
+  });
+
+  async function createFarm(token) {
+    await factory.createFarm(await token.getAddress(), params);
+    return TokenFarmV2.attach(
+      await factory.farmByLpToken(await token.getAddress())
+    );
+  }
+
+  describe('Farm Creation', function () {
+    it('Should create a farm and emit FarmCreated', async function () {
+      const predicted = await factory.predictFarmAddress(
+        await lpToken.getAddress()
+      );
+
+      await expect(factory.createFarm(await lpToken.getAddress(), params))
+        .to.emit(factory, 'FarmCreated')
+        .withArgs(
+          await lpToken.getAddress(),
+          predicted,
+          ownerAddress,
+          0,
+          anyValue
+        );
+
+      expect(await factory.farmByLpToken(await lpToken.getAddress())).to.equal(
+        predicted
+      );
+      expect(await factory.getFarmCount()).to.equal(1);
+      expect(await factory.getFarmByIndex(0)).to.equal(predicted);
+    });
+
+    it('Should initialize the clone with the given params', async function () {
+      const farm = await createFarm(lpToken2);
+
+      expect(await farm.name()).to.equal('Proportional Token Farm V2');
+      expect(await farm.owner()).to.equal(ownerAddress);
+      expect(await farm.dappToken()).to.equal(await dappToken.getAddress());
+      expect(await farm.lpToken()).to.equal(await lpToken2.getAddress());
+      expect(await farm.rewardPerBlock()).to.equal(params.rewardPerBlock);
+      expect(await farm.minRewardPerBlock()).to.equal(params.minRewardPerBlock);
+      expect(await farm.maxRewardPerBlock()).to.equal(params.maxRewardPerBlock);
+      expect(await farm.withdrawalFeeBasisPoints()).to.equal(200);
+      expect(await farm.stakingLockPeriod()).to.equal(50);
+      expect(await farm.earlyWithdrawalPenalty()).to.equal(1000);
+    });
+
+    it('Should reject duplicate farms for the same LP token', async function () {
+      await createFarm(lpToken);
+
+      await expect(
+        factory.createFarm(await lpToken.getAddress(), params)
+      ).to.be.revertedWith('Farm already exists');
+    });
+
+    it('Should reject invalid params', async function () {
+      await expect(
+        factory.createFarm(await lpToken.getAddress(), {
+          ...params,
+          withdrawalFeeBasisPoints: 1500,
+        })
+      ).to.be.revertedWith('Fee cannot exceed 10%');
+
+      await expect(
+        factory.createFarm(await lpToken.getAddress(), {
+          ...params,
+          rewardPerBlock: ethers.parseEther('10'),
+        })
+      ).to.be.revertedWith('Above maximum');
+    });
+
+    it('Should only allow owner to create farms', async function () {
+      await expect(
+        factory.connect(user1).createFarm(await lpToken.getAddress(), params)
+      ).to.be.revertedWith('Only owner can call this function');
+    });
+  });
+
+  describe('Initialization', function () {
+    it('Should not allow clones to be initialized twice', async function () {
+      const farm = await createFarm(lpToken);
+
+      await expect(
+        farm.initialize(
+          await dappToken.getAddress(),
+          await lpToken.getAddress(),
+          user1Address,
+          params
+        )
+      ).to.be.revertedWithCustomError(farm, 'InvalidInitialization');
+    });
+
+    it('Should not allow initializeV2 on a clone', async function () {
+      const farm = await createFarm(lpToken);
+
+      await expect(farm.initializeV2(1000, 0, 0)).to.be.revertedWithCustomError(
+        farm,
+        'InvalidInitialization'
+      );
+    });
+
+    it('Should not allow the implementation to be initialized', async function () {
+      await expect(
+        implementation
+          .connect(user1)
+          .initialize(
+            await dappToken.getAddress(),
+            await lpToken.getAddress(),
+            user1Address,
+            params
+          )
+      ).to.be.revertedWithCustomError(implementation, 'InvalidInitialization');
+    });
+  });
+
+  describe('Cloned Farm', function () {
+    it('Should work as a regular TokenFarmV2', async function () {
+      const farm = await createFarm(lpToken);
+      const farmAddress = await farm.getAddress();
+      const depositAmount = ethers.parseEther('100');
+
+      // El clon necesita poder mint de DAPP
+      await dappToken.transferOwnership(farmAddress);
+
+      await lpToken.mint(user1Address, depositAmount);
+      await lpToken.connect(user1).approve(farmAddress, depositAmount);
+      await farm.connect(user1).deposit(depositAmount);
+      await ethers.provider.send('evm_mine', []);
+
+      // 2 bloques a 2 DAPP por bloque, comisión del 2%
+      await farm.connect(user1).claimRewards();
+      expect(await dappToken.balanceOf(user1Address)).to.equal(
+        (ethers.parseEther('4') * 9800n) / 10000n
+      );
+
+      // La implementación no comparte estado con el clon
+      expect(await implementation.totalStakingBalance()).to.equal(0);
+      expect(await farm.totalStakingBalance()).to.equal(depositAmount);
+    });
+  });
+
+  describe('Gas', function () {
+    it('Should deploy a clone for a fraction of a full deployment', async function () {
+      const fullDeploy = await TokenFarmV2.deploy(
+        await dappToken.getAddress(),
+        await lpToken.getAddress()
+      );
+      const fullReceipt = await fullDeploy.deploymentTransaction().wait();
+
+      const tx = await factory.createFarm(await lpToken.getAddress(), params);
+      const cloneReceipt = await tx.wait();
+
+      // Un clon (incluida la inicialización) cuesta menos de un tercio
+      expect(cloneReceipt.gasUsed * 3n).to.be.lt(fullReceipt.gasUsed);
+    });
+  });
+});
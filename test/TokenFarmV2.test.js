@@ -1,5 +1,6 @@
 const { expect } = require('chai');
 const { ethers } = require('hardhat');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
 
 describe('TokenFarm V2', function () {
   let TokenFarmV2, DAppToken, LPToken;
@@ -58,6 +59,24 @@ describe('TokenFarm V2', function () {
       expect(await tokenFarmV2.earlyWithdrawalPenalty()).to.equal(500);
       expect(await tokenFarmV2.emergencyStop()).to.be.false;
     });
+
+    it('Should only run the admin functions through the farm', async function () {
+      // El contrato de funciones admin es lo primero que crea la farm
+      const adminFunctions = await ethers.getContractAt(
+        'TokenFarmV2Admin',
+        ethers.getCreateAddress({
+          from: await tokenFarmV2.getAddress(),
+          nonce: 1,
+        })
+      );
+
+      await expect(adminFunctions.setBoostTier(1000, 30000)).to.be.revertedWith(
+        'Only through the farm'
+      );
+      await expect(adminFunctions.redistributePenalties()).to.be.revertedWith(
+        'Only through the farm'
+      );
+    });
   });
 
   describe('V2 Specific Features', function () {
@@ -71,7 +90,7 @@ describe('TokenFarm V2', function () {
         
         // Intentar retirar inmediatamente (antes del período de lock)
         const balanceBefore = await lpToken.balanceOf(user1Address);
-        await tokenFarmV2.connect(user1).withdraw();
+        await tokenFarmV2.connect(user1).withdraw(depositAmount);
         const balanceAfter = await lpToken.balanceOf(user1Address);
         
         // Debería recibir menos debido a la penalización
@@ -98,7 +117,7 @@ describe('TokenFarm V2', function () {
         
         // Retirar después del período de lock
         const balanceBefore = await lpToken.balanceOf(user1Address);
-        await tokenFarmV2.connect(user1).withdraw();
+        await tokenFarmV2.connect(user1).withdraw(depositAmount);
         const balanceAfter = await lpToken.balanceOf(user1Address);
         
         // Debería recibir el monto completo sin penalización
@@ -106,6 +125,251 @@ describe('TokenFarm V2', function () {
       });
     });
 
+    describe('Partial Withdrawals', function () {
+      const depositAmount = ethers.parseEther('100');
+      const withdrawAmount = ethers.parseEther('40');
+
+      beforeEach(async function () {
+        await lpToken.connect(user1).approve(await tokenFarmV2.getAddress(), depositAmount);
+      });
+
+      it('Should apply penalty only on the amount withdrawn inside the lock period', async function () {
+        await tokenFarmV2.connect(user1).deposit(depositAmount);
+
+        const penalty = (withdrawAmount * 500n) / 10000n; // 5% de lo retirado
+        await expect(tokenFarmV2.connect(user1).withdraw(withdrawAmount))
+          .to.emit(tokenFarmV2, 'Withdraw')
+          .withArgs(user1Address, withdrawAmount - penalty, penalty, anyValue);
+
+        // El resto sigue en staking sin penalización
+        const userInfo = await tokenFarmV2.getUserInfo(user1Address);
+        expect(userInfo.stakingBalance).to.equal(depositAmount - withdrawAmount);
+        expect(userInfo.isStaking).to.be.true;
+        expect(await tokenFarmV2.totalStakingBalance()).to.equal(depositAmount - withdrawAmount);
+      });
+
+      it('Should not apply penalty on partial withdrawals after the lock period', async function () {
+        await tokenFarmV2.setStakingLockPeriod(1);
+        await tokenFarmV2.connect(user1).deposit(depositAmount);
+        await ethers.provider.send('evm_mine', []);
+
+        await expect(tokenFarmV2.connect(user1).withdraw(withdrawAmount))
+          .to.emit(tokenFarmV2, 'Withdraw')
+          .withArgs(user1Address, withdrawAmount, 0, anyValue);
+        expect((await tokenFarmV2.getUserInfo(user1Address)).isStaking).to.be.true;
+
+        // Retirar el resto cierra la posición
+        await tokenFarmV2.connect(user1).withdraw(depositAmount - withdrawAmount);
+        expect((await tokenFarmV2.getUserInfo(user1Address)).isStaking).to.be.false;
+      });
+
+      it('Should fail if amount exceeds the staked balance', async function () {
+        await tokenFarmV2.connect(user1).deposit(depositAmount);
+
+        await expect(
+          tokenFarmV2.connect(user1).withdraw(depositAmount + 1n)
+        ).to.be.revertedWith('Insufficient staked balance');
+      });
+    });
+
+    describe('Deposit Locks', function () {
+      const depositAmount = ethers.parseEther('100');
+
+      async function mineBlocks(count) {
+        await ethers.provider.send('hardhat_mine', [ethers.toQuantity(count)]);
+      }
+
+      beforeEach(async function () {
+        await lpToken.connect(user1).approve(await tokenFarmV2.getAddress(), ethers.MaxUint256);
+        await tokenFarmV2.setStakingLockPeriod(10);
+      });
+
+      it('Should lock a top-up even if the first deposit is unlocked', async function () {
+        await tokenFarmV2.connect(user1).deposit(depositAmount);
+        await mineBlocks(20);
+
+        // Un staker antiguo deposita más y retira todo de inmediato
+        await tokenFarmV2.connect(user1).deposit(depositAmount);
+
+        const lockInfo = await tokenFarmV2.getLockInfo(user1Address);
+        expect(lockInfo.lockedBalance).to.equal(depositAmount);
+        expect(lockInfo.unlockedBalance).to.equal(depositAmount);
+
+        // Solo la parte bloqueada paga la penalización del 5%
+        const penalty = (depositAmount * 500n) / 10000n;
+        await expect(tokenFarmV2.connect(user1).withdraw(depositAmount * 2n))
+          .to.emit(tokenFarmV2, 'Withdraw')
+          .withArgs(user1Address, depositAmount * 2n - penalty, penalty, anyValue);
+      });
+
+      it('Should withdraw unlocked tokens first without penalty', async function () {
+        await tokenFarmV2.connect(user1).deposit(depositAmount);
+        await mineBlocks(20);
+        await tokenFarmV2.connect(user1).deposit(depositAmount);
+
+        await expect(tokenFarmV2.connect(user1).withdraw(depositAmount))
+          .to.emit(tokenFarmV2, 'Withdraw')
+          .withArgs(user1Address, depositAmount, 0, anyValue);
+
+        // Lo que queda sigue bloqueado
+        const lockInfo = await tokenFarmV2.getLockInfo(user1Address);
+        expect(lockInfo.lockedBalance).to.equal(depositAmount);
+        expect(lockInfo.unlockedBalance).to.equal(0);
+      });
+
+      it('Should not reset the lock of older tokens on a top-up', async function () {
+        let tx = await tokenFarmV2.connect(user1).deposit(depositAmount);
+        const firstBlock = BigInt((await tx.wait()).blockNumber);
+        await mineBlocks(3);
+        tx = await tokenFarmV2.connect(user1).deposit(depositAmount * 3n);
+        const secondBlock = BigInt((await tx.wait()).blockNumber);
+
+        // Bloque de desbloqueo ponderado por monto (redondeado hacia arriba)
+        const weighted = (firstBlock + 10n) * 1n + (secondBlock + 10n) * 3n;
+        const expectedUnlock = (weighted + 3n) / 4n;
+
+        const lockInfo = await tokenFarmV2.getLockInfo(user1Address);
+        expect(lockInfo.lockedBalance).to.equal(depositAmount * 4n);
+        expect(lockInfo.unlockBlock).to.equal(expectedUnlock);
+        expect(lockInfo.unlockBlock).to.be.lt(secondBlock + 10n);
+
+        // Al llegar al bloque de desbloqueo todo es retirable sin penalización
+        await mineBlocks(Number(expectedUnlock) - (await ethers.provider.getBlockNumber()));
+        const unlocked = await tokenFarmV2.getLockInfo(user1Address);
+        expect(unlocked.lockedBalance).to.equal(0);
+        expect(unlocked.unlockedBalance).to.equal(depositAmount * 4n);
+        expect(unlocked.unlockBlock).to.equal(0);
+      });
+
+      it('Should not lock deposits when the lock period is zero', async function () {
+        await tokenFarmV2.setStakingLockPeriod(0);
+        await tokenFarmV2.connect(user1).deposit(depositAmount);
+
+        const lockInfo = await tokenFarmV2.getLockInfo(user1Address);
+        expect(lockInfo.lockedBalance).to.equal(0);
+        expect(lockInfo.unlockedBalance).to.equal(depositAmount);
+      });
+    });
+
+    describe('Penalty Pool', function () {
+      const depositAmount = ethers.parseEther('100');
+      const penalty = (depositAmount * 500n) / 10000n;
+      let farmAddress;
+
+      async function expectBalanceInvariant() {
+        // El farm solo guarda LP de stakers y penalizaciones, acreditadas o no
+        expect(await lpToken.balanceOf(farmAddress)).to.equal(
+          (await tokenFarmV2.totalStakingBalance()) +
+            (await tokenFarmV2.uncreditedPenalties()) +
+            (await tokenFarmV2.getPenaltyPool())
+        );
+      }
+
+      beforeEach(async function () {
+        farmAddress = await tokenFarmV2.getAddress();
+        await lpToken.connect(user1).approve(farmAddress, ethers.MaxUint256);
+        await lpToken.connect(user2).approve(farmAddress, ethers.MaxUint256);
+      });
+
+      it('Should track early withdrawal penalties in the pool', async function () {
+        await tokenFarmV2.connect(user1).deposit(depositAmount);
+        await tokenFarmV2.connect(user2).deposit(depositAmount);
+        await tokenFarmV2.connect(user1).withdraw(depositAmount);
+
+        expect(await tokenFarmV2.getPenaltyPool()).to.equal(penalty);
+        await expectBalanceInvariant();
+
+        await tokenFarmV2.connect(user2).withdraw(depositAmount / 2n);
+        expect(await tokenFarmV2.getPenaltyPool()).to.equal(penalty + penalty / 2n);
+        await expectBalanceInvariant();
+      });
+
+      it('Should send penalties to a treasury', async function () {
+        await tokenFarmV2.connect(user1).deposit(depositAmount);
+        await tokenFarmV2.connect(user1).withdraw(depositAmount);
+
+        await expect(tokenFarmV2.sendPenaltiesToTreasury(ownerAddress))
+          .to.emit(tokenFarmV2, 'PenaltiesSentToTreasury')
+          .withArgs(ownerAddress, ownerAddress, penalty, anyValue);
+
+        expect(await lpToken.balanceOf(ownerAddress)).to.equal(penalty);
+        expect(await tokenFarmV2.getPenaltyPool()).to.equal(0);
+        await expectBalanceInvariant();
+      });
+
+      it('Should redistribute penalties pro rata to remaining stakers', async function () {
+        const [, , , user3] = await ethers.getSigners();
+        await lpToken.mint(await user3.getAddress(), depositAmount);
+        await lpToken.connect(user3).approve(farmAddress, ethers.MaxUint256);
+
+        // User1 tiene 1/4 y user2 3/4 de lo que queda en stake
+        await tokenFarmV2.connect(user1).deposit(depositAmount);
+        await tokenFarmV2.connect(user2).deposit(depositAmount * 3n);
+        await tokenFarmV2.connect(user3).deposit(depositAmount);
+        await tokenFarmV2.connect(user3).withdraw(depositAmount);
+
+        await expect(tokenFarmV2.redistributePenalties())
+          .to.emit(tokenFarmV2, 'PenaltiesRedistributed')
+          .withArgs(ownerAddress, penalty, anyValue);
+
+        expect(await tokenFarmV2.getPenaltyPool()).to.equal(0);
+        expect(await tokenFarmV2.getStakingBalance(user1Address)).to.equal(depositAmount + penalty / 4n);
+        expect(await tokenFarmV2.getStakingBalance(user2Address)).to.equal(
+          depositAmount * 3n + (penalty * 3n) / 4n
+        );
+        await expectBalanceInvariant();
+
+        // La parte redistribuida está desbloqueada y se puede retirar
+        const lockInfo = await tokenFarmV2.getLockInfo(user1Address);
+        expect(lockInfo.unlockedBalance).to.equal(penalty / 4n);
+
+        const balanceBefore = await lpToken.balanceOf(user1Address);
+        await tokenFarmV2.connect(user1).withdraw(penalty / 4n);
+        expect(await lpToken.balanceOf(user1Address)).to.equal(balanceBefore + penalty / 4n);
+        expect(await tokenFarmV2.getStakingBalance(user1Address)).to.equal(depositAmount);
+        await expectBalanceInvariant();
+      });
+
+      it('Should keep the invariant through withdrawals and emergency exits', async function () {
+        await tokenFarmV2.connect(user1).deposit(depositAmount);
+        await tokenFarmV2.connect(user2).deposit(depositAmount * 2n);
+        await tokenFarmV2.connect(user1).withdraw(depositAmount / 2n);
+        await tokenFarmV2.redistributePenalties();
+        await expectBalanceInvariant();
+
+        await tokenFarmV2.connect(user1).withdraw(depositAmount / 4n);
+        await expectBalanceInvariant();
+
+        // La salida de emergencia incluye la parte redistribuida pendiente
+        await tokenFarmV2.toggleEmergencyStop();
+        const user2Balance = await tokenFarmV2.getStakingBalance(user2Address);
+        const balanceBefore = await lpToken.balanceOf(user2Address);
+        await tokenFarmV2.connect(user2).emergencyWithdraw();
+        expect(await lpToken.balanceOf(user2Address)).to.equal(balanceBefore + user2Balance);
+        await expectBalanceInvariant();
+      });
+
+      it('Should only allow owner to move the penalty pool', async function () {
+        await tokenFarmV2.connect(user1).deposit(depositAmount);
+        await tokenFarmV2.connect(user1).withdraw(depositAmount);
+
+        await expect(tokenFarmV2.connect(user1).redistributePenalties()).to.be.revertedWith(
+          'Only owner can call this function'
+        );
+        await expect(tokenFarmV2.connect(user1).sendPenaltiesToTreasury(user1Address)).to.be.revertedWith(
+          'Only owner can call this function'
+        );
+
+        // Sin stakers no hay a quién redistribuir
+        await expect(tokenFarmV2.redistributePenalties()).to.be.revertedWith('No stakers');
+
+        await tokenFarmV2.sendPenaltiesToTreasury(ownerAddress);
+        await expect(tokenFarmV2.sendPenaltiesToTreasury(ownerAddress)).to.be.revertedWith(
+          'No penalties to distribute'
+        );
+      });
+    });
+
     describe('Configurable Withdrawal Fee', function () {
       it('Should apply configurable withdrawal fee', async function () {
         // Configurar comisión del 5%
@@ -117,11 +381,10 @@ describe('TokenFarm V2', function () {
         await lpToken.connect(user1).approve(await tokenFarmV2.getAddress(), depositAmount);
         await tokenFarmV2.connect(user1).deposit(depositAmount);
         
-        // Generar recompensas
+        // Generar recompensas: 2 bloques en solitario al reclamar
         await ethers.provider.send('evm_mine', []);
-        await tokenFarmV2.distributeRewardsAll();
         
-        const pendingRewards = await tokenFarmV2.getPendingRewards(user1Address);
+        const pendingRewards = ethers.parseEther('2');
         
         // Reclamar recompensas
         await tokenFarmV2.connect(user1).claimRewards();
@@ -139,7 +402,6 @@ describe('TokenFarm V2', function () {
         await tokenFarmV2.connect(user1).deposit(depositAmount);
         
         await ethers.provider.send('evm_mine', []);
-        await tokenFarmV2.distributeRewardsAll();
         
         // Reclamar recompensas para acumular comisiones
         await tokenFarmV2.connect(user1).claimRewards();
@@ -198,7 +460,6 @@ describe('TokenFarm V2', function () {
         
         // Generar y reclamar recompensas
         await ethers.provider.send('evm_mine', []);
-        await tokenFarmV2.distributeRewardsAll();
         await tokenFarmV2.connect(user1).claimRewards();
         
         const userInfo = await tokenFarmV2.getUserInfo(user1Address);
@@ -244,6 +505,359 @@ describe('TokenFarm V2', function () {
         expect(contractInfo.isEmergencyStopped).to.be.false;
       });
     });
+
+    describe('Previews', function () {
+      beforeEach(async function () {
+        const farmAddress = await tokenFarmV2.getAddress();
+        await lpToken
+          .connect(user1)
+          .approve(farmAddress, ethers.parseEther('1000'));
+        await lpToken
+          .connect(user2)
+          .approve(farmAddress, ethers.parseEther('1000'));
+
+        await tokenFarmV2.connect(user1).deposit(ethers.parseEther('100'));
+        await tokenFarmV2.connect(user2).deposit(ethers.parseEther('300'));
+        await ethers.provider.send('hardhat_mine', ['0xa']);
+      });
+
+      // Las vistas en el bloque pendiente ven lo que verá la próxima transacción
+      const pending = { blockTag: 'pending' };
+
+      it('Should preview pending rewards including unaccrued blocks', async function () {
+        expect(await tokenFarmV2.getPendingRewards(user2Address)).to.equal(0);
+        // 10 bloques, user2 tiene 3/4 del stake
+        expect(await tokenFarmV2.previewPendingRewards(user2Address)).to.equal(
+          ethers.parseEther('7.5')
+        );
+      });
+
+      it('Should preview the next claim', async function () {
+        await tokenFarmV2.setWithdrawalFee(500);
+        const [gross, fee, net] = await tokenFarmV2.previewClaim(
+          user1Address,
+          pending
+        );
+        expect(fee).to.equal((gross * 500n) / 10000n);
+
+        await expect(tokenFarmV2.connect(user1).claimRewards())
+          .to.emit(tokenFarmV2, 'RewardsClaimed')
+          .withArgs(
+            user1Address,
+            user1Address,
+            user1Address,
+            gross,
+            fee,
+            net,
+            anyValue
+          );
+        expect(await dappToken.balanceOf(user1Address)).to.equal(net);
+      });
+
+      it('Should preview a withdrawal with the lock penalty', async function () {
+        const [payout, penalty] = await tokenFarmV2.previewWithdraw(
+          user1Address,
+          pending
+        );
+        // Todo el depósito sigue bloqueado: 5% de penalización
+        expect(penalty).to.equal(ethers.parseEther('5'));
+
+        await expect(
+          tokenFarmV2.connect(user1).withdraw(ethers.parseEther('100'))
+        )
+          .to.emit(tokenFarmV2, 'Withdraw')
+          .withArgs(user1Address, payout, penalty, anyValue);
+      });
+
+      it('Should preview a withdrawal without penalty once unlocked', async function () {
+        await ethers.provider.send('hardhat_mine', ['0x64']);
+
+        expect(
+          await tokenFarmV2.previewWithdraw(user2Address, pending)
+        ).to.deep.equal([ethers.parseEther('300'), 0n]);
+        await expect(
+          tokenFarmV2.connect(user2).withdraw(ethers.parseEther('300'))
+        )
+          .to.emit(tokenFarmV2, 'Withdraw')
+          .withArgs(user2Address, ethers.parseEther('300'), 0, anyValue);
+      });
+
+      it('Should include redistributed penalties in the withdrawal preview', async function () {
+        await tokenFarmV2.connect(user1).withdraw(ethers.parseEther('100'));
+        await tokenFarmV2.redistributePenalties();
+
+        const [payout, penalty] = await tokenFarmV2.previewWithdraw(
+          user2Address,
+          pending
+        );
+        const balance = await tokenFarmV2.getStakingBalance(user2Address);
+        expect(balance).to.be.gt(ethers.parseEther('300'));
+        expect(payout + penalty).to.equal(balance);
+
+        await expect(tokenFarmV2.connect(user2).withdraw(balance))
+          .to.emit(tokenFarmV2, 'Withdraw')
+          .withArgs(user2Address, payout, penalty, anyValue);
+      });
+    });
+
+    describe('Boosts', function () {
+      const depositAmount = ethers.parseEther('100');
+
+      async function mineBlocks(count) {
+        await ethers.provider.send('hardhat_mine', [ethers.toQuantity(count)]);
+      }
+
+      beforeEach(async function () {
+        const farmAddress = await tokenFarmV2.getAddress();
+        await lpToken.connect(user1).approve(farmAddress, ethers.MaxUint256);
+        await lpToken.connect(user2).approve(farmAddress, ethers.MaxUint256);
+      });
+
+      it('Should start with the default boost tiers', async function () {
+        const [lockBlocks, multipliers] = await tokenFarmV2.getBoostTiers();
+        expect(lockBlocks).to.deep.equal([1000n, 5000n, 10000n]);
+        expect(multipliers).to.deep.equal([11000n, 15000n, 20000n]);
+      });
+
+      it('Should give a 2x-boosted staker twice the rewards', async function () {
+        await expect(
+          tokenFarmV2
+            .connect(user1)
+            ['deposit(uint256,uint256)'](depositAmount, 10000)
+        )
+          .to.emit(tokenFarmV2, 'BoostLocked')
+          .withArgs(user1Address, 10000, 20000, anyValue, anyValue);
+        await tokenFarmV2.connect(user2).deposit(depositAmount);
+
+        expect(await tokenFarmV2.rewardWeightOf(user1Address)).to.equal(
+          depositAmount * 2n
+        );
+        expect(await tokenFarmV2.totalBoostWeight()).to.equal(depositAmount);
+
+        // Mismo stake, mismos bloques: el boost 2x gana el doble
+        const before1 = await tokenFarmV2.previewPendingRewards(user1Address);
+        const before2 = await tokenFarmV2.previewPendingRewards(user2Address);
+        await mineBlocks(30);
+        const earned1 =
+          (await tokenFarmV2.previewPendingRewards(user1Address)) - before1;
+        const earned2 =
+          (await tokenFarmV2.previewPendingRewards(user2Address)) - before2;
+
+        expect(earned1).to.be.closeTo(ethers.parseEther('20'), 10n);
+        expect(earned2).to.be.closeTo(ethers.parseEther('10'), 10n);
+        expect(earned1).to.be.closeTo(earned2 * 2n, 2n);
+      });
+
+      it('Should block withdrawals until the boost lock ends', async function () {
+        await tokenFarmV2
+          .connect(user1)
+          ['deposit(uint256,uint256)'](depositAmount, 1000);
+
+        await expect(
+          tokenFarmV2.connect(user1).withdraw(depositAmount)
+        ).to.be.revertedWith('Stake is boost-locked');
+
+        await mineBlocks(1000);
+        await expect(tokenFarmV2.connect(user1).withdraw(depositAmount))
+          .to.emit(tokenFarmV2, 'Withdraw')
+          .withArgs(user1Address, depositAmount, 0, anyValue);
+        expect(await tokenFarmV2.totalBoostWeight()).to.equal(0);
+      });
+
+      it('Should end the boost with its lock', async function () {
+        await tokenFarmV2
+          .connect(user1)
+          ['deposit(uint256,uint256)'](depositAmount, 1000);
+
+        await expect(tokenFarmV2.kickBoost(user1Address)).to.be.revertedWith(
+          'Boost still locked'
+        );
+        await expect(tokenFarmV2.kickBoost(user2Address)).to.be.revertedWith(
+          'No active boost'
+        );
+
+        // Cualquiera puede terminar un boost vencido
+        await mineBlocks(1000);
+        await tokenFarmV2.connect(user2).kickBoost(user1Address);
+        expect(await tokenFarmV2.rewardWeightOf(user1Address)).to.equal(
+          depositAmount
+        );
+        expect(await tokenFarmV2.totalBoostWeight()).to.equal(0);
+        expect((await tokenFarmV2.boostInfo(user1Address)).multiplier).to.equal(
+          0
+        );
+
+        // Desde entonces gana sin multiplicador
+        const before = await tokenFarmV2.previewPendingRewards(user1Address);
+        await mineBlocks(10);
+        expect(
+          (await tokenFarmV2.previewPendingRewards(user1Address)) - before
+        ).to.equal(ethers.parseEther('10'));
+      });
+
+      it('Should not let a deposit shorten an active lock', async function () {
+        await tokenFarmV2
+          .connect(user1)
+          ['deposit(uint256,uint256)'](depositAmount, 5000);
+
+        await expect(
+          tokenFarmV2
+            .connect(user1)
+            ['deposit(uint256,uint256)'](depositAmount, 1000)
+        ).to.be.revertedWith('Lock ends before current lock');
+        await expect(
+          tokenFarmV2
+            .connect(user1)
+            ['deposit(uint256,uint256)'](depositAmount, 42)
+        ).to.be.revertedWith('Unknown lock duration');
+
+        // Un lock más largo rebloquea todo el stake con su multiplicador
+        await tokenFarmV2
+          .connect(user1)
+          ['deposit(uint256,uint256)'](depositAmount, 10000);
+        expect(await tokenFarmV2.rewardWeightOf(user1Address)).to.equal(
+          depositAmount * 4n
+        );
+      });
+
+      it('Should extend the boost lock on a top-up without a lock', async function () {
+        await tokenFarmV2
+          .connect(user1)
+          ['deposit(uint256,uint256)'](depositAmount, 1000);
+        await mineBlocks(500);
+
+        // El nuevo depósito entra al boost y el lock vuelve a empezar
+        const tx = await tokenFarmV2.connect(user1).deposit(depositAmount);
+        const { blockNumber } = await tx.wait();
+        await expect(tx)
+          .to.emit(tokenFarmV2, 'BoostLocked')
+          .withArgs(user1Address, 1000, 11000, blockNumber + 1000, anyValue);
+        expect(await tokenFarmV2.rewardWeightOf(user1Address)).to.equal(
+          (depositAmount * 2n * 11n) / 10n
+        );
+
+        await mineBlocks(600);
+        await expect(
+          tokenFarmV2.connect(user1).withdraw(depositAmount)
+        ).to.be.revertedWith('Stake is boost-locked');
+        await mineBlocks(400);
+        await tokenFarmV2.connect(user1).withdraw(depositAmount * 2n);
+      });
+
+      it('Should preview nothing while the stake is boost-locked', async function () {
+        await tokenFarmV2
+          .connect(user1)
+          ['deposit(uint256,uint256)'](depositAmount, 1000);
+        expect(
+          await tokenFarmV2.previewWithdraw(user1Address)
+        ).to.deep.equal([0n, 0n]);
+
+        await mineBlocks(1000);
+        expect(
+          await tokenFarmV2.previewWithdraw(user1Address)
+        ).to.deep.equal([depositAmount, 0n]);
+      });
+
+      it('Should pay an expired boost unboosted from its unlock block', async function () {
+        await tokenFarmV2.connect(user2).deposit(depositAmount);
+        await tokenFarmV2
+          .connect(user1)
+          ['deposit(uint256,uint256)'](depositAmount, 1000);
+
+        // 1000 bloques con 110 de 210 y 1000 más sin boost, a la mitad
+        await mineBlocks(1999);
+        const expected1 =
+          (ethers.parseEther('1000') * 110n) / 210n + ethers.parseEther('500');
+        const expected2 =
+          ethers.parseEther('1') +
+          (ethers.parseEther('1000') * 100n) / 210n +
+          ethers.parseEther('500');
+        // Redondeo de ACC_REWARD_PRECISION
+        const tolerance = ethers.parseUnits('1', 'gwei');
+
+        await expect(tokenFarmV2.connect(user1).claimRewards())
+          .to.emit(tokenFarmV2, 'RewardsClaimed')
+          .withArgs(
+            user1Address,
+            user1Address,
+            user1Address,
+            (amount) => amount > expected1 - tolerance && amount < expected1 + tolerance,
+            anyValue,
+            anyValue,
+            anyValue
+          );
+        expect((await tokenFarmV2.boostInfo(user1Address)).multiplier).to.equal(
+          0
+        );
+        // Lo que el boost vencido habría cobrado de más vuelve al otro staker
+        expect(
+          await tokenFarmV2.previewPendingRewards(user2Address)
+        ).to.be.closeTo(expected2, tolerance);
+      });
+
+      it('Should let the parameter manager configure the tiers', async function () {
+        await tokenFarmV2
+          .connect(user1)
+          ['deposit(uint256,uint256)'](depositAmount, 1000);
+
+        await expect(tokenFarmV2.setBoostTier(2000, 12500))
+          .to.emit(tokenFarmV2, 'BoostTierChanged')
+          .withArgs(ownerAddress, 2000, 0, 12500, anyValue);
+        await expect(tokenFarmV2.setBoostTier(1000, 0))
+          .to.emit(tokenFarmV2, 'BoostTierChanged')
+          .withArgs(ownerAddress, 1000, 11000, 0, anyValue);
+
+        const [lockBlocks, multipliers] = await tokenFarmV2.getBoostTiers();
+        expect(lockBlocks).to.deep.equal([2000n, 5000n, 10000n]);
+        expect(multipliers).to.deep.equal([12500n, 15000n, 20000n]);
+
+        // Los locks existentes conservan su multiplicador
+        expect((await tokenFarmV2.boostInfo(user1Address)).multiplier).to.equal(
+          11000
+        );
+        await expect(
+          tokenFarmV2
+            .connect(user2)
+            ['deposit(uint256,uint256)'](depositAmount, 1000)
+        ).to.be.revertedWith('Unknown lock duration');
+
+        await expect(tokenFarmV2.setBoostTier(1000, 0)).to.be.revertedWith(
+          'Unknown lock duration'
+        );
+        await expect(tokenFarmV2.setBoostTier(0, 20000)).to.be.revertedWith(
+          'Invalid lock duration'
+        );
+        await expect(tokenFarmV2.setBoostTier(500, 9000)).to.be.revertedWith(
+          'Multiplier out of range'
+        );
+        await expect(tokenFarmV2.setBoostTier(500, 30001)).to.be.revertedWith(
+          'Multiplier out of range'
+        );
+        await expect(
+          tokenFarmV2.connect(user1).setBoostTier(500, 20000)
+        ).to.be.revertedWith('Missing role');
+
+        // Con timelock hay que encolar el cambio
+        await tokenFarmV2.setTimelockDelay(60);
+        await expect(tokenFarmV2.setBoostTier(500, 20000)).to.be.revertedWith(
+          'Change not queued'
+        );
+      });
+
+      it('Should release a boost-locked stake in an emergency', async function () {
+        await tokenFarmV2
+          .connect(user1)
+          ['deposit(uint256,uint256)'](depositAmount, 10000);
+        await tokenFarmV2.toggleEmergencyStop();
+
+        await tokenFarmV2.connect(user1).emergencyWithdraw();
+        expect(await lpToken.balanceOf(user1Address)).to.equal(
+          ethers.parseEther('1000')
+        );
+        expect(await tokenFarmV2.totalBoostWeight()).to.equal(0);
+        expect(await tokenFarmV2.rewardWeightOf(user1Address)).to.equal(0);
+      });
+    });
   });
 
   describe('Inherited V1 Features', function () {
@@ -266,18 +880,16 @@ describe('TokenFarm V2', function () {
       
       // Generar recompensas
       await ethers.provider.send('evm_mine', []);
-      await tokenFarmV2.distributeRewardsAll();
-      
-      const user1Rewards = await tokenFarmV2.getPendingRewards(user1Address);
-      const user2Rewards = await tokenFarmV2.getPendingRewards(user2Address);
       
-      // User2 debería tener 3 veces más recompensas que User1 (300 vs 100)
-      // Permitir un margen de error del 10% debido a diferencias en el timing de bloques
-      const expectedRatio = 3n;
-      const actualRatio = user2Rewards / user1Rewards;
+      // User1: 1 bloque en solitario + 2 bloques al 25%
+      await expect(tokenFarmV2.connect(user1).claimRewards())
+        .to.emit(tokenFarmV2, 'RewardsClaimed')
+        .withArgs(user1Address, user1Address, user1Address, ethers.parseEther('1.5'), anyValue, anyValue, anyValue);
       
-      expect(actualRatio).to.be.gte(2n); // Al menos 2x
-      expect(actualRatio).to.be.lte(4n); // Máximo 4x
+      // User2: 3 bloques al 75%, 3 veces más por bloque que User1 (300 vs 100)
+      await expect(tokenFarmV2.connect(user2).claimRewards())
+        .to.emit(tokenFarmV2, 'RewardsClaimed')
+        .withArgs(user2Address, user2Address, user2Address, ethers.parseEther('2.25'), anyValue, anyValue, anyValue);
     });
   });
 });
@@ -0,0 +1,61 @@
+const { ethers } = require('hardhat');
+
+// Farms de un solo pool que comparten la interfaz de staking
+const FARMS = ['TokenFarm', 'TokenFarmV2'];
+
+/**
+ * Declarar la misma suite una vez por farm: `suite(farmName)` se ejecuta
+ * dentro de `describe(`${title} (${farmName})`)`
+ */
+function describeEachFarm(title, suite) {
+  FARMS.forEach(function (farmName) {
+    describe(`${title} (${farmName})`, function () {
+      suite.call(this, farmName);
+    });
+  });
+}
+
+/**
+ * Desplegar DAppToken, el LP token y `farmName`, y dar 1000 LP a cada staker.
+ * Pensado para usarse dentro de un fixture de `loadFixture`.
+ * @param options.stakers Cuentas que reciben LP tokens
+ * @param options.approve Si los stakers aprueban la farm (por defecto sí)
+ * @param options.rewardTokenOwner Si la farm es dueña del DAppToken y acuña
+ * las recompensas (por defecto sí); si no, paga desde su presupuesto
+ * @param options.lpToken LP token ya desplegado, en lugar de un LPToken nuevo
+ */
+async function deployFarm(
+  farmName,
+  { stakers = [], approve = true, rewardTokenOwner = true, lpToken } = {}
+) {
+  const [owner] = await ethers.getSigners();
+
+  const DAppToken = await ethers.getContractFactory('DAppToken');
+  const dappToken = await DAppToken.deploy(owner.address);
+
+  if (!lpToken) {
+    const LPToken = await ethers.getContractFactory('LPToken');
+    lpToken = await LPToken.deploy(owner.address);
+  }
+
+  const Farm = await ethers.getContractFactory(farmName);
+  const farm = await Farm.deploy(
+    await dappToken.getAddress(),
+    await lpToken.getAddress()
+  );
+  const farmAddress = await farm.getAddress();
+  if (rewardTokenOwner) {
+    await dappToken.transferOwnership(farmAddress);
+  }
+
+  for (const staker of stakers) {
+    await lpToken.mint(staker.address, ethers.parseEther('1000'));
+    if (approve) {
+      await lpToken.connect(staker).approve(farmAddress, ethers.MaxUint256);
+    }
+  }
+
+  return { dappToken, lpToken, farm, farmAddress };
+}
+
+module.exports = { FARMS, describeEachFarm, deployFarm };